@@ -6,6 +6,7 @@ import { BpmnModelerService } from './services/BpmnModelerService.js';
 import { YjsSyncService } from './services/YjsSyncService.js';
 import { WebSocketService } from './services/WebSocketService.js';
 import { ElementManager } from './managers/ElementManager.js';
+import { LabelTextBinding } from './services/LabelTextBinding.js';
 import UnifiedEventManager from '../../src/utils/UnifiedEventManager.js';
 
 export class BpmnCollaborationDemo {
@@ -24,6 +25,7 @@ export class BpmnCollaborationDemo {
     this.maxErrors = 5;
     this.autoStopOnError = true;
     this.yProvider = null;
+    this.labelTextBinding = null; // 라벨 글자 단위 협업 편집
     this.connectedUsers = new Map();
     this.lastSyncedData = new Map(); // 마지막 동기화 데이터 캐시 (중복 방지)
     this.connectionRetryCount = new Map(); // 연결 생성 재시도 카운트
@@ -245,6 +247,14 @@ export class BpmnCollaborationDemo {
           this.updateAwarenessUsers();
         });
 
+        // 라벨 편집을 Y.Text로 연결 (원격 캐럿, 편집 중 표시)
+        this.labelTextBinding = new LabelTextBinding(
+          this.yjsSyncService.getDocument(),
+          this.bpmnModelerService.getModeler(),
+          this.yProvider.awareness,
+          { provider: this.yProvider }
+        );
+
         // 연결 타임아웃 설정
         setTimeout(() => {
           if (!this.isConnected) {
@@ -399,6 +409,12 @@ export class BpmnCollaborationDemo {
         console.log('📡 문서 나가기 알림 전송 완료');
       }
 
+      // 라벨 바인딩 정리
+      if (this.labelTextBinding) {
+        this.labelTextBinding.destroy();
+        this.labelTextBinding = null;
+      }
+
       // Y.js Provider 정리
       if (this.yProvider) {
         this.yProvider.destroy();
@@ -1041,9 +1057,13 @@ export class BpmnCollaborationDemo {
    */
   handleEditingStart(event) {
     this.isEditing = true;
-    this.editingElement = event?.element;
-    const elementId = event?.element?.id || 'unknown';
+    this.editingElement = event?.active?.element || event?.element;
+    const elementId = this.editingElement?.id || 'unknown';
     console.log('📝 편집 시작:', elementId);
+
+    if (this.labelTextBinding) {
+      this.labelTextBinding.startEditing(this.editingElement);
+    }
   }
 
   /**
@@ -1053,6 +1073,10 @@ export class BpmnCollaborationDemo {
     this.isEditing = false;
     this.editingElement = null;
     console.log('📝 편집 종료');
+
+    if (this.labelTextBinding) {
+      this.labelTextBinding.stopEditing();
+    }
   }
 
   /**
@@ -1395,6 +1419,10 @@ export class BpmnCollaborationDemo {
    * 연결 해제
    */
   disconnect() {
+    if (this.labelTextBinding) {
+      this.labelTextBinding.destroy();
+      this.labelTextBinding = null;
+    }
     if (this.yProvider) {
       this.yProvider.disconnect();
       this.yProvider = null;
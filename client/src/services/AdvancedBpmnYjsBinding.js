@@ -359,12 +359,14 @@ export class AdvancedBpmnYjsBinding {
   handleViewportChange(event) {
     if (!this.options.enablePresence || !this.awareness) return;
     
+    // 'canvas.viewbox.changing'은 viewbox 없이 발생하므로 캔버스에서 직접 조회
+    const viewbox = event.viewbox || this.bpmnModeler.get('canvas').viewbox();
     const viewport = {
-      x: event.viewbox.x,
-      y: event.viewbox.y,
-      width: event.viewbox.width,
-      height: event.viewbox.height,
-      scale: event.viewbox.scale || 1
+      x: viewbox.x,
+      y: viewbox.y,
+      width: viewbox.width,
+      height: viewbox.height,
+      scale: viewbox.scale || 1
     };
     
     this.awareness.setLocalStateField('bpmn', {
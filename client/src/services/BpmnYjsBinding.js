@@ -2,6 +2,9 @@
  * BPMN Y.js 직접 바인딩
  * Y-Quill, Y-CodeMirror와 동일한 패턴으로 BPMN.js와 Y.js를 직접 연결
  */
+
+import * as Y from 'yjs';
+
 export class BpmnYjsBinding {
   constructor(yElements, yConnections, bpmnModeler, awareness = null) {
     this.yElements = yElements;
@@ -20,6 +23,15 @@ export class BpmnYjsBinding {
     this.observing = true;
     this.processingDeletion = new Set(); // 삭제 처리 중인 요소 추적
     this.processingCreation = new Set(); // 생성 처리 중인 요소 추적
+
+    // 협업 실행 취소 - 이 바인딩이 origin인 로컬 트랜잭션만 기록
+    // 이후 다른 클라이언트가 덮어쓴 키는 되돌리지 않고, 실행 취소도 Y.js 업데이트로 전파됨
+    this.undoManager = new Y.UndoManager([yElements, yConnections], {
+      trackedOrigins: new Set([this]),
+      captureTimeout: 500
+    });
+    this.editorActions = null;
+    this.handleCommandStackChanged = () => this.undoManager.stopCapturing();
     
     // 바인딩 시작
     this.bind();
@@ -40,6 +52,10 @@ export class BpmnYjsBinding {
     this.bpmnModeler.on('commandStack.connection.create.postExecuted', this.handleBpmnConnectionCreated.bind(this));
     this.bpmnModeler.on('commandStack.shape.delete.postExecuted', this.handleBpmnElementDeleted.bind(this));
     this.bpmnModeler.on('commandStack.connection.delete.postExecuted', this.handleBpmnConnectionDeleted.bind(this));
+
+    // 명령 단위로 실행 취소 항목 구분, 편집기 undo/redo를 협업 실행 취소로 교체
+    this.bpmnModeler.on('commandStack.changed', this.handleCommandStackChanged);
+    this.bindEditorActions();
     
     // console.log('✅ BPMN Y.js 직접 바인딩 활성화됨');
   }
@@ -594,6 +610,60 @@ export class BpmnYjsBinding {
     }
   }
 
+  /**
+   * 로컬 사용자의 마지막 변경 실행 취소 (원격 변경은 건드리지 않음)
+   */
+  undo() {
+    return this.undoManager.undo() !== null;
+  }
+
+  /**
+   * 실행 취소한 로컬 변경 다시 실행
+   */
+  redo() {
+    return this.undoManager.redo() !== null;
+  }
+
+  canUndo() {
+    return this.undoManager.canUndo();
+  }
+
+  canRedo() {
+    return this.undoManager.canRedo();
+  }
+
+  /**
+   * 편집기 undo/redo 액션(Ctrl+Z 등)을 로컬 명령 스택 대신 협업 실행 취소로 교체
+   */
+  bindEditorActions() {
+    try {
+      this.editorActions = this.bpmnModeler.get('editorActions');
+    } catch (error) {
+      return;
+    }
+
+    ['undo', 'redo'].forEach(action => {
+      if (this.editorActions.isRegistered(action)) {
+        this.editorActions.unregister(action);
+      }
+      this.editorActions.register(action, () => this[action]());
+    });
+  }
+
+  /**
+   * 편집기 undo/redo 액션을 명령 스택 기본 동작으로 복원
+   */
+  unbindEditorActions() {
+    if (!this.editorActions) return;
+
+    const commandStack = this.bpmnModeler.get('commandStack');
+    ['undo', 'redo'].forEach(action => {
+      this.editorActions.unregister(action);
+      this.editorActions.register(action, () => commandStack[action]());
+    });
+    this.editorActions = null;
+  }
+
   /**
    * 관찰 일시 중단하고 작업 실행 - Y-Quill 패턴
    */
@@ -623,6 +693,10 @@ export class BpmnYjsBinding {
     this.bpmnModeler.off('commandStack.connection.create.postExecuted', this.handleBpmnConnectionCreated);
     this.bpmnModeler.off('commandStack.shape.delete.postExecuted', this.handleBpmnElementDeleted);
     this.bpmnModeler.off('commandStack.connection.delete.postExecuted', this.handleBpmnConnectionDeleted);
+    this.bpmnModeler.off('commandStack.changed', this.handleCommandStackChanged);
+
+    this.unbindEditorActions();
+    this.undoManager.destroy();
     
     console.log('🔌 BPMN Y.js 바인딩 해제됨');
   }
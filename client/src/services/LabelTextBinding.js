@@ -0,0 +1,754 @@
+/**
+ * 라벨 텍스트 협업 바인딩
+ * 요소의 name/text/documentation을 필드별 Y.Text로 보관해 동시에 이름을 바꿔도 글자 단위로 병합하고,
+ * 직접 편집 상자에 원격 캐럿을, 도형에 "편집 중" 표시를 보여줌
+ *
+ * 구조: labelTexts(Y.Map) → '<elementId>:<field>' → Y.Text
+ * awareness: labelEditing { elementId, field, anchor, head } (anchor/head는 Y.js 상대 위치 JSON)
+ *
+ * 같은 키에 두 클라이언트가 동시에 Y.Text를 넣으면 한쪽 Y.Text와 그 입력이 사라지므로,
+ * Y.Text는 첫 동기화를 마친 클라이언트 중 awareness clientID가 가장 작은 클라이언트만 생성함
+ */
+
+// 사용자 색상이 없을 때 사용할 색상
+const FALLBACK_COLORS = ['#e53935', '#8e24aa', '#3949ab', '#00897b', '#f4511e', '#6d4c41'];
+
+export class LabelTextBinding {
+  /**
+   * @param {Y.Doc} ydoc - 협업 문서
+   * @param {Object} bpmnModeler - BPMN 모델러
+   * @param {Object} awareness - y-protocols awareness
+   * @param {Object} options - 옵션
+   */
+  constructor(ydoc, bpmnModeler, awareness, options = {}) {
+    this.options = {
+      mapName: 'labelTexts',
+      fields: ['name', 'text', 'documentation'],
+      showEditingIndicator: true,
+      provider: null, // y-websocket provider (있으면 첫 동기화 후에만 Y.Text 생성)
+      Y: window.Y,
+      ...options
+    };
+
+    if (!this.options.Y || !this.options.Y.Text) {
+      throw new Error('Y.js 라이브러리가 로드되지 않았습니다.');
+    }
+
+    this.Y = this.options.Y;
+    this.ydoc = ydoc;
+    this.awareness = awareness;
+    this.yTexts = ydoc.getMap(this.options.mapName);
+
+    this.bpmnModeler = bpmnModeler;
+    this.eventBus = bpmnModeler.get('eventBus');
+    this.overlays = bpmnModeler.get('overlays');
+    this.elementRegistry = bpmnModeler.get('elementRegistry');
+    this.directEditing = bpmnModeler.get('directEditing');
+
+    // 현재 편집 세션 { element, field, ytext, content, caretLayer, ... }
+    this.session = null;
+    this.editingIndicators = new Map(); // 요소 ID → 오버레이 ID
+
+    // 원격 업데이트의 observer 실행 중 여부 (그동안 발생한 element.changed는 원격 변경 적용 결과)
+    this.isApplyingRemoteTransaction = false;
+    this.isSynced = !this.options.provider || Boolean(this.options.provider.synced);
+
+    this.handleAwarenessChange = this.onAwarenessChange.bind(this);
+    this.handleElementChanged = this.onElementChanged.bind(this);
+    this.handleSelectionChange = this.publishCaret.bind(this);
+    this.handleElementAdded = event => this.ensureElementTexts(event.element);
+    this.handleImportDone = () => this.ensureAllTexts();
+    this.handleProviderSync = this.onProviderSync.bind(this);
+    this.handleBeforeObserverCalls = transaction => {
+      this.isApplyingRemoteTransaction = !transaction.local;
+    };
+    this.handleAfterTransaction = () => {
+      this.isApplyingRemoteTransaction = false;
+    };
+
+    this.ydoc.on('beforeObserverCalls', this.handleBeforeObserverCalls);
+    this.ydoc.on('afterTransaction', this.handleAfterTransaction);
+    this.awareness.on('change', this.handleAwarenessChange);
+    this.eventBus.on('element.changed', this.handleElementChanged);
+    this.eventBus.on(['shape.added', 'connection.added'], this.handleElementAdded);
+    this.eventBus.on('import.done', this.handleImportDone);
+    this.options.provider?.on('sync', this.handleProviderSync);
+    document.addEventListener('selectionchange', this.handleSelectionChange);
+
+    this.addStyles();
+
+    this.wasTextWriter = this.isTextWriter();
+    this.ensureAllTexts();
+  }
+
+  /**
+   * 필드의 Y.Text 조회
+   * @param {string} elementId - 요소 ID
+   * @param {string} field - 'name' | 'text' | 'documentation'
+   * @returns {Y.Text|null} 아직 생성되지 않았으면 null
+   */
+  getText(elementId, field) {
+    return this.yTexts.get(this.getKey(elementId, field)) || null;
+  }
+
+  /**
+   * Y.Text를 생성하는 클라이언트인지 여부
+   * 첫 동기화를 마쳤고 awareness에 보이는 클라이언트 중 clientID가 가장 작을 때만 true
+   * @returns {boolean}
+   */
+  isTextWriter() {
+    if (!this.isSynced) return false;
+
+    const ownId = this.awareness.clientID;
+    return Array.from(this.awareness.getStates().keys()).every(clientId => clientId >= ownId);
+  }
+
+  /**
+   * 요소의 라벨 필드 중 Y.Text가 없는 필드를 요소의 현재 값으로 생성 (작성자 클라이언트만)
+   * @param {Object} element - 요소
+   */
+  ensureElementTexts(element) {
+    if (!element || !this.isTextWriter()) return;
+
+    const missing = this.getFields(element).filter(field => !this.yTexts.has(this.getKey(element.id, field)));
+    if (missing.length === 0) return;
+
+    this.ydoc.transact(() => {
+      missing.forEach(field => {
+        this.yTexts.set(this.getKey(element.id, field), new this.Y.Text(this.readField(element, field)));
+      });
+    }, this);
+  }
+
+  /**
+   * 모든 요소의 빠진 Y.Text 생성 (작성자 클라이언트만)
+   */
+  ensureAllTexts() {
+    if (!this.isTextWriter()) return;
+
+    this.ydoc.transact(() => {
+      this.elementRegistry.getAll().forEach(element => this.ensureElementTexts(element));
+    }, this);
+  }
+
+  /**
+   * 필드 값 조회 (Y.Text가 없으면 요소의 현재 값)
+   * @param {string} elementId - 요소 ID
+   * @param {string} field - 필드 이름
+   * @returns {string}
+   */
+  getValue(elementId, field) {
+    const ytext = this.yTexts.get(this.getKey(elementId, field));
+    if (ytext) return ytext.toString();
+
+    const element = this.elementRegistry.get(elementId);
+    return element ? this.readField(element, field) : '';
+  }
+
+  /**
+   * 필드 값 변경 (바뀐 부분만 삽입/삭제, 속성 패널 등에서 사용)
+   * @param {string} elementId - 요소 ID
+   * @param {string} field - 필드 이름
+   * @param {string} value - 새 값
+   * @returns {boolean} 반영 여부 (Y.Text가 아직 없으면 false)
+   */
+  setValue(elementId, field, value) {
+    const ytext = this.getText(elementId, field);
+    if (!ytext) return false;
+
+    this.applyLocalText(ytext, value);
+    return true;
+  }
+
+  /**
+   * 필드 변경 구독 (Y.Text가 나중에 생성되어도 그때부터 구독)
+   * @param {string} elementId - 요소 ID
+   * @param {string} field - 필드 이름
+   * @param {Function} callback - (value, { local }) => void
+   * @returns {Function} 구독 해제 함수
+   */
+  observeField(elementId, field, callback) {
+    const key = this.getKey(elementId, field);
+    let ytext = null;
+
+    const observer = (event, transaction) => {
+      callback(ytext.toString(), { local: transaction.origin === this });
+    };
+    const attach = () => {
+      ytext?.unobserve(observer);
+      ytext = this.yTexts.get(key) || null;
+      ytext?.observe(observer);
+    };
+    const mapObserver = (event, transaction) => {
+      if (!event.keysChanged.has(key)) return;
+
+      attach();
+      callback(this.getValue(elementId, field), { local: transaction.origin === this });
+    };
+
+    attach();
+    this.yTexts.observe(mapObserver);
+
+    return () => {
+      this.yTexts.unobserve(mapObserver);
+      ytext?.unobserve(observer);
+    };
+  }
+
+  /**
+   * 직접 편집 시작 ('directEditing.activate' 후 호출)
+   * 다른 사용자가 편집 중이면 그 내용에 합류하고, 아니면 요소의 현재 값에서 시작
+   * 작성자 클라이언트가 아직 Y.Text를 만들지 않았으면 일반 직접 편집으로 동작
+   * @param {Object} element - 편집 중인 요소
+   */
+  startEditing(element) {
+    this.stopEditing();
+
+    if (!element || !this.directEditing.isActive()) return;
+
+    const field = this.getEditingField(element);
+    const currentValue = this.readField(element, field);
+    this.ensureElementTexts(element);
+
+    const ytext = this.getText(element.id, field);
+    if (!ytext) return;
+    const textbox = this.directEditing._textbox;
+    const content = textbox.content;
+
+    if (this.getRemoteEditors(element.id, field).length === 0) {
+      // 아무도 편집하지 않을 때는 요소 값이 기준 (취소된 편집 내용 제거)
+      this.applyLocalText(ytext, currentValue);
+    } else if (ytext.toString() !== getContentText(content)) {
+      this.renderText(content, ytext.toString(), ytext.length);
+    }
+
+    const caretLayer = document.createElement('div');
+    caretLayer.className = 'collaboration-label-carets';
+    textbox.parent.appendChild(caretLayer);
+
+    const handleInput = () => {
+      this.applyLocalText(ytext, getContentText(content));
+      this.publishCaret();
+      this.renderRemoteCarets();
+    };
+
+    const observer = (event, transaction) => {
+      if (transaction.origin === this) return;
+
+      // 원격 삽입/삭제만큼 로컬 캐럿을 옮긴 뒤 내용 갱신
+      const caret = transformIndex(this.getLocalCaret()?.head ?? ytext.length, event.delta);
+      this.renderText(content, ytext.toString(), caret);
+
+      // 입력 이벤트 없이 바뀐 내용에 맞춰 편집 상자 크기 조정
+      if (textbox.options?.autoResize) {
+        textbox.autoResize();
+      }
+
+      this.renderRemoteCarets();
+    };
+
+    content.addEventListener('input', handleInput);
+    ytext.observe(observer);
+
+    this.session = { element, field, ytext, content, parent: textbox.parent, caretLayer, handleInput, observer };
+    this.publishCaret();
+    this.renderRemoteCarets();
+  }
+
+  /**
+   * 직접 편집 종료 ('directEditing.deactivate' 후 호출)
+   */
+  stopEditing() {
+    if (!this.session) return;
+
+    const { ytext, content, caretLayer, handleInput, observer } = this.session;
+    content.removeEventListener('input', handleInput);
+    ytext.unobserve(observer);
+    caretLayer.remove();
+
+    this.session = null;
+    this.awareness.setLocalStateField('labelEditing', null);
+  }
+
+  /**
+   * 이 클라이언트에서 편집 외 경로(속성 변경 등)로 바뀐 요소 값을 Y.Text에 반영
+   * 원격 변경을 적용하며 발생한 이벤트는 무시 (변경한 클라이언트가 이미 Y.Text에 반영했으므로
+   * 다시 쓰면 병합된 텍스트에 이전 값이 한 번 더 합쳐짐)
+   * @param {Object} event - 'element.changed' 이벤트
+   */
+  onElementChanged(event) {
+    const element = event.element;
+    if (!element || this.isApplyingRemoteTransaction || this.session?.element.id === element.id) return;
+
+    this.options.fields.forEach(field => {
+      const ytext = this.yTexts.get(this.getKey(element.id, field));
+      if (!ytext || this.getRemoteEditors(element.id, field).length > 0) return;
+
+      const value = this.readField(element, field);
+      if (value !== ytext.toString()) {
+        this.applyLocalText(ytext, value);
+      }
+    });
+  }
+
+  /**
+   * awareness 변경 시 원격 캐럿과 편집 중 표시 갱신
+   * 작성자 클라이언트가 나가 이 클라이언트가 작성자가 되면 빠진 Y.Text 생성
+   */
+  onAwarenessChange() {
+    const isWriter = this.isTextWriter();
+    if (isWriter && !this.wasTextWriter) {
+      this.ensureAllTexts();
+    }
+    this.wasTextWriter = isWriter;
+
+    this.renderRemoteCarets();
+    this.renderEditingIndicators();
+  }
+
+  /**
+   * provider 동기화 상태 변경 (첫 동기화 후 빠진 Y.Text 생성)
+   * @param {boolean} synced - 동기화 여부
+   */
+  onProviderSync(synced) {
+    this.isSynced = this.isSynced || synced;
+    this.wasTextWriter = this.isTextWriter();
+    this.ensureAllTexts();
+  }
+
+  /**
+   * 로컬 캐럿을 상대 위치로 awareness에 게시
+   */
+  publishCaret() {
+    if (!this.session) return;
+
+    const caret = this.getLocalCaret();
+    const { element, field, ytext } = this.session;
+    const toJSON = index => this.Y.relativePositionToJSON(
+      this.Y.createRelativePositionFromTypeIndex(ytext, Math.min(index, ytext.length))
+    );
+
+    this.awareness.setLocalStateField('labelEditing', {
+      elementId: element.id,
+      field,
+      anchor: caret ? toJSON(caret.anchor) : null,
+      head: caret ? toJSON(caret.head) : null
+    });
+  }
+
+  /**
+   * 편집 상자 안의 로컬 선택 위치
+   * @returns {Object|null} { anchor, head } (텍스트 인덱스)
+   */
+  getLocalCaret() {
+    const selection = window.getSelection();
+    const content = this.session?.content;
+
+    if (!content || !selection.rangeCount || !content.contains(selection.focusNode)) {
+      return null;
+    }
+
+    return {
+      anchor: getTextOffset(content, selection.anchorNode, selection.anchorOffset),
+      head: getTextOffset(content, selection.focusNode, selection.focusOffset)
+    };
+  }
+
+  /**
+   * 같은 라벨을 편집 중인 원격 사용자의 캐럿 표시
+   */
+  renderRemoteCarets() {
+    if (!this.session) return;
+
+    const { content, parent, caretLayer } = this.session;
+    const parentRect = parent.getBoundingClientRect();
+    caretLayer.innerHTML = '';
+
+    this.getRemoteEditors(this.session.element.id, this.session.field).forEach(({ clientId, state }) => {
+      const index = this.resolvePosition(state.labelEditing.head);
+      if (index === null) return;
+
+      const rect = getCaretRect(content, index);
+      const caret = document.createElement('div');
+      caret.className = 'collaboration-label-caret';
+      caret.style.left = `${rect.left - parentRect.left}px`;
+      caret.style.top = `${rect.top - parentRect.top}px`;
+      caret.style.height = `${rect.height}px`;
+      caret.style.backgroundColor = this.getUserColor(clientId, state.user);
+      caret.dataset.name = state.user?.name || '';
+
+      caretLayer.appendChild(caret);
+    });
+  }
+
+  /**
+   * 도형에 "편집 중" 표시 (원격 사용자 기준)
+   */
+  renderEditingIndicators() {
+    if (!this.options.showEditingIndicator) return;
+
+    const editors = new Map(); // 요소 ID → [{ name, color }]
+    this.awareness.getStates().forEach((state, clientId) => {
+      const editing = state.labelEditing;
+      if (clientId === this.awareness.clientID || !editing?.elementId) return;
+
+      const names = editors.get(editing.elementId) || [];
+      names.push({ name: state.user?.name || '익명', color: this.getUserColor(clientId, state.user) });
+      editors.set(editing.elementId, names);
+    });
+
+    this.editingIndicators.forEach((indicator, elementId) => {
+      if (!editors.has(elementId)) {
+        this.overlays.remove(indicator.overlayId);
+        this.editingIndicators.delete(elementId);
+      }
+    });
+
+    editors.forEach((users, elementId) => {
+      const label = `✏️ ${users.map(user => user.name).join(', ')} 편집 중`;
+      const existing = this.editingIndicators.get(elementId);
+      if (existing?.label === label) return;
+
+      const element = this.elementRegistry.get(elementId);
+      if (existing) {
+        this.overlays.remove(existing.overlayId);
+        this.editingIndicators.delete(elementId);
+      }
+      if (!element) return;
+
+      const indicator = document.createElement('div');
+      indicator.className = 'collaboration-label-editing';
+      indicator.style.backgroundColor = users[0].color;
+      indicator.textContent = label;
+
+      const overlayId = this.overlays.add(element, 'collaboration-label-editing', {
+        position: { top: -24, left: 0 },
+        html: indicator
+      });
+
+      this.editingIndicators.set(elementId, { overlayId, label });
+    });
+  }
+
+  /**
+   * 같은 필드를 편집 중인 원격 awareness 상태
+   * @param {string} elementId - 요소 ID
+   * @param {string} field - 필드 이름
+   * @returns {Object[]} [{ clientId, state }]
+   */
+  getRemoteEditors(elementId, field) {
+    const editors = [];
+
+    this.awareness.getStates().forEach((state, clientId) => {
+      const editing = state.labelEditing;
+      if (clientId !== this.awareness.clientID && editing?.elementId === elementId && editing.field === field) {
+        editors.push({ clientId, state });
+      }
+    });
+
+    return editors;
+  }
+
+  /**
+   * 상대 위치 JSON을 현재 편집 중인 Y.Text의 인덱스로 변환
+   * @param {Object} json - 상대 위치 JSON
+   * @returns {number|null}
+   */
+  resolvePosition(json) {
+    if (!json || !this.session) return null;
+
+    const position = this.Y.createAbsolutePositionFromRelativePosition(
+      this.Y.createRelativePositionFromJSON(json),
+      this.ydoc
+    );
+
+    return position && position.type === this.session.ytext ? position.index : null;
+  }
+
+  /**
+   * 새 값과 다른 부분만 Y.Text에 반영 (공통 앞/뒤 부분은 유지)
+   * @param {Y.Text} ytext - 대상 텍스트
+   * @param {string} value - 새 값
+   */
+  applyLocalText(ytext, value) {
+    const previous = ytext.toString();
+    if (previous === value) return;
+
+    let start = 0;
+    while (start < previous.length && start < value.length && previous[start] === value[start]) {
+      start++;
+    }
+
+    let end = 0;
+    while (
+      end < previous.length - start &&
+      end < value.length - start &&
+      previous[previous.length - 1 - end] === value[value.length - 1 - end]
+    ) {
+      end++;
+    }
+
+    this.ydoc.transact(() => {
+      const deleteCount = previous.length - start - end;
+      if (deleteCount > 0) {
+        ytext.delete(start, deleteCount);
+      }
+
+      const inserted = value.slice(start, value.length - end);
+      if (inserted) {
+        ytext.insert(start, inserted);
+      }
+    }, this);
+  }
+
+  /**
+   * 편집 상자 내용 교체 후 캐럿 복원
+   * @param {HTMLElement} content - contenteditable 요소
+   * @param {string} text - 표시할 텍스트
+   * @param {number} caret - 캐럿 인덱스
+   */
+  renderText(content, text, caret) {
+    content.innerText = text;
+
+    const position = findTextPosition(content, Math.min(caret, text.length));
+    const range = document.createRange();
+    range.setStart(position.node, position.offset);
+    range.collapse(true);
+
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * 요소 필드 값 읽기
+   * @param {Object} element - 요소
+   * @param {string} field - 필드 이름
+   * @returns {string}
+   */
+  readField(element, field) {
+    const businessObject = element.businessObject || {};
+
+    if (field === 'documentation') {
+      return businessObject.documentation?.[0]?.text || '';
+    }
+
+    return businessObject[field] || '';
+  }
+
+  /**
+   * 요소의 라벨 필드 (라벨과 루트 요소는 제외, 텍스트 주석은 name 대신 text)
+   * @param {Object} element - 요소
+   * @returns {string[]}
+   */
+  getFields(element) {
+    if (!element.businessObject || element.labelTarget || !element.parent) return [];
+
+    const excluded = element.type === 'bpmn:TextAnnotation' ? 'name' : 'text';
+    return this.options.fields.filter(field => field !== excluded);
+  }
+
+  /**
+   * 직접 편집 대상 필드 (텍스트 주석은 text, 나머지는 name)
+   * @param {Object} element - 요소
+   * @returns {string}
+   */
+  getEditingField(element) {
+    return element.type === 'bpmn:TextAnnotation' ? 'text' : 'name';
+  }
+
+  /**
+   * @param {string} elementId - 요소 ID
+   * @param {string} field - 필드 이름
+   * @returns {string} Y.Map 키
+   */
+  getKey(elementId, field) {
+    return `${elementId}:${field}`;
+  }
+
+  /**
+   * 사용자 색상 (awareness에 없으면 clientID로 결정)
+   */
+  getUserColor(clientId, user) {
+    return user?.color || FALLBACK_COLORS[clientId % FALLBACK_COLORS.length];
+  }
+
+  /**
+   * CSS 스타일 추가
+   */
+  addStyles() {
+    if (document.getElementById('label-text-binding-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'label-text-binding-styles';
+    style.textContent = `
+      .collaboration-label-carets {
+        position: absolute;
+        top: 0;
+        left: 0;
+        pointer-events: none;
+      }
+
+      .collaboration-label-caret {
+        position: absolute;
+        width: 2px;
+      }
+
+      .collaboration-label-caret::after {
+        content: attr(data-name);
+        position: absolute;
+        bottom: 100%;
+        left: 0;
+        padding: 0 3px;
+        font-size: 9px;
+        color: white;
+        white-space: nowrap;
+        background: inherit;
+        border-radius: 2px;
+      }
+
+      .collaboration-label-editing {
+        color: white;
+        font-family: Arial, sans-serif;
+        font-size: 10px;
+        padding: 1px 6px;
+        border-radius: 8px;
+        white-space: nowrap;
+        pointer-events: none;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * 바인딩 해제
+   */
+  destroy() {
+    this.stopEditing();
+
+    this.ydoc.off('beforeObserverCalls', this.handleBeforeObserverCalls);
+    this.ydoc.off('afterTransaction', this.handleAfterTransaction);
+    this.awareness.off('change', this.handleAwarenessChange);
+    this.eventBus.off('element.changed', this.handleElementChanged);
+    this.eventBus.off(['shape.added', 'connection.added'], this.handleElementAdded);
+    this.eventBus.off('import.done', this.handleImportDone);
+    this.options.provider?.off('sync', this.handleProviderSync);
+    document.removeEventListener('selectionchange', this.handleSelectionChange);
+
+    this.editingIndicators.forEach(indicator => this.overlays.remove(indicator.overlayId));
+    this.editingIndicators.clear();
+  }
+}
+
+/**
+ * 편집 상자 텍스트 (TextBox.getValue와 달리 앞뒤 공백 유지)
+ * @param {HTMLElement} content - contenteditable 요소
+ * @returns {string}
+ */
+function getContentText(content) {
+  return content.innerText.replace(/\r\n|\r/g, '\n');
+}
+
+/**
+ * DOM 위치(node, offset)를 텍스트 인덱스로 변환 (<br>은 줄바꿈 한 글자)
+ */
+function getTextOffset(root, node, offset) {
+  let index = 0;
+  let found = false;
+
+  const walk = current => {
+    if (found) return;
+
+    if (current === node && current.nodeType !== Node.TEXT_NODE) {
+      Array.from(current.childNodes).slice(0, offset).forEach(walk);
+      found = true;
+      return;
+    }
+
+    if (current.nodeType === Node.TEXT_NODE) {
+      if (current === node) {
+        index += offset;
+        found = true;
+      } else {
+        index += current.length;
+      }
+    } else if (current.nodeName === 'BR') {
+      index += 1;
+    } else {
+      Array.from(current.childNodes).forEach(walk);
+    }
+  };
+
+  walk(root);
+  return index;
+}
+
+/**
+ * 텍스트 인덱스를 DOM 위치(node, offset)로 변환
+ */
+function findTextPosition(root, index) {
+  let remaining = index;
+  let result = null;
+
+  const walk = current => {
+    if (result) return;
+
+    if (current.nodeType === Node.TEXT_NODE) {
+      if (remaining <= current.length) {
+        result = { node: current, offset: remaining };
+      } else {
+        remaining -= current.length;
+      }
+    } else if (current.nodeName === 'BR') {
+      if (remaining === 0) {
+        result = { node: current.parentNode, offset: Array.from(current.parentNode.childNodes).indexOf(current) };
+      } else {
+        remaining -= 1;
+      }
+    } else {
+      Array.from(current.childNodes).forEach(walk);
+    }
+  };
+
+  walk(root);
+  return result || { node: root, offset: root.childNodes.length };
+}
+
+/**
+ * 텍스트 인덱스 위치의 화면 좌표 (빈 줄이면 편집 상자 시작점)
+ */
+function getCaretRect(content, index) {
+  const position = findTextPosition(content, index);
+  const range = document.createRange();
+  range.setStart(position.node, position.offset);
+  range.collapse(true);
+
+  const rect = range.getClientRects()[0];
+  if (rect) return rect;
+
+  const contentRect = content.getBoundingClientRect();
+  return { left: contentRect.left, top: contentRect.top, height: parseFloat(getComputedStyle(content).lineHeight) || 14 };
+}
+
+/**
+ * Y.Text delta만큼 인덱스 이동 (원격 변경 후 로컬 캐럿 유지)
+ */
+function transformIndex(index, delta) {
+  let position = 0; // 변경 전 텍스트 기준 위치
+  let result = index;
+
+  for (const op of delta) {
+    if (position > index) break;
+
+    if (op.retain) {
+      position += op.retain;
+    } else if (op.insert) {
+      result += typeof op.insert === 'string' ? op.insert.length : 1;
+    } else if (op.delete) {
+      result -= Math.min(op.delete, index - position);
+      position += op.delete;
+    }
+  }
+
+  return result;
+}
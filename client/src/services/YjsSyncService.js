@@ -49,8 +49,11 @@ export class YjsSyncService {
 
   /**
    * Y.js Provider 초기화
+   * @param {string} wsUrl - WebSocket 서버 URL
+   * @param {string} documentId - 문서 ID
+   * @param {string} [authToken] - 서버 인증이 켜진 경우 JWT (?token=으로 전달)
    */
-  async initializeYjsProvider(wsUrl, documentId) {
+  async initializeYjsProvider(wsUrl, documentId, authToken = null) {
     try {
       if (this.yProvider) {
         this.yProvider.disconnect();
@@ -71,6 +74,7 @@ export class YjsSyncService {
 
       this.yProvider = new WebsocketProvider(wsUrl, documentId, this.yjsDoc, {
         connect: true,
+        params: authToken ? { token: authToken } : {},
         resyncInterval: 5000,
         maxBackoffTime: 5000
       });
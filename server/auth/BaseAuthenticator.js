@@ -0,0 +1,72 @@
+/**
+ * 기본 인증기
+ * 모든 인증 구현의 베이스 클래스
+ */
+
+export class BaseAuthenticator {
+  constructor(options = {}) {
+    this.options = {
+      queryParameter: 'token', // WebSocket 업그레이드 시 토큰을 전달하는 쿼리 파라미터
+      ...options
+    };
+
+    this.logger = options.logger;
+  }
+
+  /**
+   * 토큰 검증 (추상 메서드)
+   * 실패 시 code='AUTH_FAILED' 오류를 던져야 함 (createError 사용)
+   * @param {string} token - 인증 토큰
+   * @returns {Promise<Object>} 검증된 사용자 { id, name, roles, claims }
+   */
+  async authenticate(token) {
+    throw new Error('BaseAuthenticator.authenticate() must be implemented by subclass');
+  }
+
+  /**
+   * HTTP 요청(또는 WebSocket 업그레이드 요청) 인증
+   * Authorization: Bearer 헤더를 우선 사용하고, 없으면 쿼리 파라미터를 사용
+   * (브라우저 WebSocket은 헤더를 지정할 수 없음)
+   * @param {Object} req - http.IncomingMessage
+   * @returns {Promise<Object>} 검증된 사용자
+   */
+  async authenticateRequest(req) {
+    const token = this.extractToken(req);
+
+    if (!token) {
+      throw this.createError('Authentication token missing');
+    }
+
+    return this.authenticate(token);
+  }
+
+  /**
+   * 요청에서 토큰 추출
+   * @param {Object} req - http.IncomingMessage
+   * @returns {string|null}
+   */
+  extractToken(req) {
+    const header = req.headers?.authorization;
+
+    if (typeof header === 'string') {
+      const match = header.match(/^Bearer\s+(.+)$/i);
+      if (match) {
+        return match[1].trim();
+      }
+    }
+
+    const url = new URL(req.url || '/', 'http://localhost');
+    return url.searchParams.get(this.options.queryParameter) || null;
+  }
+
+  /**
+   * 인증 오류 생성
+   * @param {string} message - 오류 메시지
+   * @returns {Error}
+   */
+  createError(message) {
+    const error = new Error(message);
+    error.code = 'AUTH_FAILED';
+    return error;
+  }
+}
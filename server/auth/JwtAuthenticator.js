@@ -0,0 +1,164 @@
+/**
+ * JWT 인증기
+ * 로컬 HMAC 비밀키(HS256/HS384/HS512)로 서명된 JWT를 발급/검증
+ */
+
+import crypto from 'crypto';
+import { BaseAuthenticator } from './BaseAuthenticator.js';
+
+const HMAC_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512'
+};
+
+export class JwtAuthenticator extends BaseAuthenticator {
+  constructor(options = {}) {
+    super({
+      secret: null,
+      algorithm: 'HS256',
+      issuer: null,        // 지정 시 iss 클레임 검사
+      audience: null,      // 지정 시 aud 클레임 검사
+      expiresIn: 3600,     // sign() 기본 만료 시간 (초)
+      clockTolerance: 30,  // exp/nbf 허용 오차 (초)
+      ...options
+    });
+
+    if (!this.options.secret) {
+      throw new Error('JwtAuthenticator requires a secret');
+    }
+
+    if (!HMAC_ALGORITHMS[this.options.algorithm]) {
+      throw new Error(`Unsupported JWT algorithm: ${this.options.algorithm}`);
+    }
+  }
+
+  /**
+   * 토큰 발급
+   * @param {Object} claims - 클레임 (sub 필수, name/roles 등 선택)
+   * @param {Object} options - { expiresIn } (초, 0이면 만료 없음)
+   * @returns {string} JWT
+   */
+  sign(claims, options = {}) {
+    if (!claims?.sub) {
+      throw new Error('JWT claims must include sub');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const expiresIn = options.expiresIn ?? this.options.expiresIn;
+    const payload = {
+      iat: now,
+      ...(expiresIn ? { exp: now + expiresIn } : {}),
+      ...(this.options.issuer ? { iss: this.options.issuer } : {}),
+      ...(this.options.audience ? { aud: this.options.audience } : {}),
+      ...claims
+    };
+
+    const header = { alg: this.options.algorithm, typ: 'JWT' };
+    const unsigned = `${this._encode(header)}.${this._encode(payload)}`;
+
+    return `${unsigned}.${this._signature(unsigned)}`;
+  }
+
+  /**
+   * 토큰 검증
+   * @param {string} token - JWT
+   * @returns {Promise<Object>} 검증된 사용자 { id, name, roles, claims }
+   */
+  async authenticate(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw this.createError('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+    const header = this._decode(encodedHeader);
+    const payload = this._decode(encodedPayload);
+
+    // 설정된 알고리즘만 허용 ('none' 등 다운그레이드 방지)
+    if (header?.alg !== this.options.algorithm) {
+      throw this.createError('Unexpected token algorithm');
+    }
+
+    const expected = Buffer.from(this._signature(`${encodedHeader}.${encodedPayload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw this.createError('Invalid token signature');
+    }
+
+    this._validateClaims(payload);
+
+    return {
+      id: String(payload.sub),
+      name: payload.name || String(payload.sub),
+      roles: Array.isArray(payload.roles) ? payload.roles : [],
+      claims: payload
+    };
+  }
+
+  /**
+   * 표준 클레임 검사
+   * @private
+   * @param {Object} payload - 디코딩된 페이로드
+   */
+  _validateClaims(payload) {
+    if (!payload || typeof payload !== 'object' || !payload.sub) {
+      throw this.createError('Token has no subject');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = this.options.clockTolerance;
+
+    if (typeof payload.exp === 'number' && now - tolerance >= payload.exp) {
+      throw this.createError('Token expired');
+    }
+
+    if (typeof payload.nbf === 'number' && now + tolerance < payload.nbf) {
+      throw this.createError('Token not yet valid');
+    }
+
+    if (this.options.issuer && payload.iss !== this.options.issuer) {
+      throw this.createError('Unexpected token issuer');
+    }
+
+    if (this.options.audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(this.options.audience)) {
+        throw this.createError('Unexpected token audience');
+      }
+    }
+  }
+
+  /**
+   * HMAC 서명 생성
+   * @private
+   * @param {string} data - 서명할 문자열
+   * @returns {string} base64url 서명
+   */
+  _signature(data) {
+    return crypto
+      .createHmac(HMAC_ALGORITHMS[this.options.algorithm], this.options.secret)
+      .update(data)
+      .digest('base64url');
+  }
+
+  /**
+   * JSON을 base64url로 인코딩
+   * @private
+   */
+  _encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+  }
+
+  /**
+   * base64url JSON 디코딩
+   * @private
+   */
+  _decode(value) {
+    try {
+      return JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw this.createError('Malformed token');
+    }
+  }
+}
@@ -13,14 +13,21 @@ import { setupWSConnection } from 'y-websocket/bin/utils';
 
 import { Logger } from '../src/utils/Logger.js';
 import { EventBus } from '../src/utils/EventBus.js';
+import { CommentStore, THREAD_STATUS } from '../src/comments/CommentStore.js';
 import { CollaborationManager } from './services/CollaborationManager.js';
 import { DocumentManager } from './services/DocumentManager.js';
 import { UserManager } from './services/UserManager.js';
 import { SessionManager } from './services/SessionManager.js';
+import { PermissionGuard } from './services/PermissionGuard.js';
+import { OperationLog } from './services/OperationLog.js';
+import { JwtAuthenticator } from './auth/JwtAuthenticator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 역할 우선순위 (토큰에 여러 역할이 있으면 앞쪽 적용)
+const ROLE_PRIORITY = ['admin', 'editor', 'viewer'];
+
 class BpmnCollaborationServer {
   constructor(options = {}) {
     this.options = {
@@ -31,8 +38,20 @@ class BpmnCollaborationServer {
       maxDocuments: 100,
       maxUsersPerDocument: 50,
       documentTimeout: 3600000, // 1시간
+      enablePersistence: process.env.ENABLE_PERSISTENCE !== 'false',
+      storagePath: process.env.STORAGE_PATH || path.join(__dirname, 'data'),
       enableMetrics: true,
       enableLogging: true,
+      // 인증 (AUTH_SECRET이 있으면 기본 활성화, authenticator로 BaseAuthenticator 구현 교체 가능)
+      enableAuth: process.env.ENABLE_AUTH ? process.env.ENABLE_AUTH === 'true' : Boolean(process.env.AUTH_SECRET),
+      authSecret: process.env.AUTH_SECRET || null,
+      authenticator: null,
+      // 토큰에 역할(role/roles)이 없을 때의 역할 (미지정 시 인증 사용 중이면 editor, 아니면 admin)
+      defaultRole: process.env.DEFAULT_ROLE || null,
+      // 작업 로그 (문서별 보관 작업 수, 작업 재전송으로 따라잡을 최대 작업 수, 피어 스냅샷 대기 시간)
+      maxOperationLog: parseInt(process.env.MAX_OPERATION_LOG) || 1000,
+      maxCatchUp: parseInt(process.env.MAX_CATCH_UP) || 500,
+      syncTimeout: 5000,
       ...options
     };
 
@@ -43,6 +62,9 @@ class BpmnCollaborationServer {
     });
     
     this.eventBus = new EventBus();
+
+    // 인증기 (비활성화 시 null)
+    this.authenticator = this._createAuthenticator();
     
     // Express 앱 초기화
     this.app = express();
@@ -57,6 +79,9 @@ class BpmnCollaborationServer {
     this.documentManager = new DocumentManager({
       maxDocuments: this.options.maxDocuments,
       documentTimeout: this.options.documentTimeout,
+      enablePersistence: this.options.enablePersistence,
+      storage: this.options.storage,
+      storagePath: this.options.storagePath,
       logger: this.logger
     });
     
@@ -64,14 +89,31 @@ class BpmnCollaborationServer {
       maxUsersPerDocument: this.options.maxUsersPerDocument,
       logger: this.logger
     });
+
+    this.permissionGuard = new PermissionGuard({
+      userManager: this.userManager,
+      logger: this.logger
+    });
     
     this.sessionManager = new SessionManager({
       logger: this.logger,
       eventBus: this.eventBus
     });
 
+    this.operationLog = new OperationLog({
+      maxOperations: this.options.maxOperationLog,
+      maxCatchUp: this.options.maxCatchUp,
+      logger: this.logger
+    });
+
     // WebSocket 서버
     this.wss = null;
+
+    // 문서별 협업 룸 (documentId -> Set<WebSocket>, JSON 프로토콜 연결만 포함)
+    this.rooms = new Map();
+
+    // 피어에 스냅샷을 요청 중인 동기화 요청 (requestId -> { requester, peers, timer })
+    this.pendingSyncRequests = new Map();
     
     // 서버 상태
     this.isRunning = false;
@@ -112,6 +154,7 @@ class BpmnCollaborationServer {
       await this.collaborationManager.initialize();
       await this.documentManager.initialize();
       await this.userManager.initialize();
+      await this._loadSharing();
       
     } catch (error) {
       this.logger.error('Failed to start server:', error);
@@ -145,6 +188,9 @@ class BpmnCollaborationServer {
       await this.documentManager.destroy();
       await this.userManager.destroy();
       await this.sessionManager.destroy();
+      this.pendingSyncRequests.forEach(pending => clearTimeout(pending.timer));
+      this.pendingSyncRequests.clear();
+      this.operationLog.destroy();
       
       this.isRunning = false;
       this.logger.info('Server stopped successfully');
@@ -177,6 +223,11 @@ class BpmnCollaborationServer {
     // 정적 파일 서빙
     this.app.use('/static', express.static(this.options.staticPath));
 
+    // API 인증 (검증된 사용자는 req.user에 바인딩)
+    if (this.authenticator) {
+      this.app.use('/api', (req, res, next) => this._authenticateRequest(req, res, next));
+    }
+
     // 로깅 미들웨어
     if (this.options.enableLogging) {
       this.app.use((req, res, next) => {
@@ -192,6 +243,155 @@ class BpmnCollaborationServer {
     }
   }
 
+  /**
+   * 인증기 생성
+   * @private
+   * @returns {BaseAuthenticator|null}
+   */
+  _createAuthenticator() {
+    if (!this.options.enableAuth) {
+      this.logger.warn('Authentication disabled - user identities are not verified');
+      return null;
+    }
+
+    if (this.options.authenticator) {
+      return this.options.authenticator;
+    }
+
+    if (!this.options.authSecret) {
+      throw new Error('AUTH_SECRET is required when authentication is enabled');
+    }
+
+    return new JwtAuthenticator({
+      secret: this.options.authSecret,
+      issuer: process.env.AUTH_ISSUER || null,
+      audience: process.env.AUTH_AUDIENCE || null,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * HTTP 요청 인증 미들웨어
+   * @private
+   */
+  async _authenticateRequest(req, res, next) {
+    try {
+      req.user = await this.authenticator.authenticateRequest(req);
+      next();
+    } catch (error) {
+      if (error.code !== 'AUTH_FAILED') {
+        return next(error);
+      }
+
+      res.set('WWW-Authenticate', 'Bearer');
+      res.status(401).json({ error: 'Unauthorized', message: error.message });
+    }
+  }
+
+  /**
+   * WebSocket 업그레이드 인증
+   * 검증된 사용자는 req.auth에 바인딩되어 연결 처리 시 소켓으로 옮겨짐
+   * @private
+   * @param {Object} info - { req, origin, secure }
+   * @param {Function} callback - (result, code, message) => void
+   */
+  _verifyWebSocketClient(info, callback) {
+    this.authenticator.authenticateRequest(info.req)
+      .then((identity) => {
+        info.req.auth = identity;
+        callback(true);
+      })
+      .catch((error) => {
+        this.logger.warn(`WebSocket authentication failed: ${error.message}`);
+        callback(false, 401, 'Unauthorized');
+      });
+  }
+
+  /**
+   * 검증된 사용자의 토큰 역할
+   * 토큰의 role 클레임 또는 roles 중 가장 높은 역할, 없으면 defaultRole
+   * @private
+   * @param {Object|null} identity - 검증된 사용자 (인증 비활성화 시 null)
+   * @returns {string|null} admin | editor | viewer (인증 사용 시 역할이 없으면 null)
+   */
+  _resolveRole(identity) {
+    const claimed = [identity?.claims?.role, ...(identity?.roles || [])];
+    const role = ROLE_PRIORITY.find(candidate => claimed.includes(candidate));
+
+    // 인증이 꺼져 있으면 신원을 확인할 수 없으므로 기존처럼 모든 편집 허용
+    return role || this.options.defaultRole || (this.authenticator ? null : 'admin');
+  }
+
+  /**
+   * 문서에서의 역할
+   * 인증 사용 시 토큰 admin이 아니면 문서 공유가 있어야 접근할 수 있고,
+   * 공유 역할과 토큰 역할 중 높은 역할을 사용
+   * @private
+   * @param {Object|null} identity - 검증된 사용자
+   * @param {string} documentId - 문서 ID
+   * @returns {string|null} admin | editor | viewer (접근할 수 없으면 null)
+   */
+  _getDocumentRole(identity, documentId) {
+    const tokenRole = this._resolveRole(identity);
+    if (!this.authenticator || tokenRole === 'admin') {
+      return tokenRole;
+    }
+
+    const sharedRole = identity ? this.userManager.getSharedRole(documentId, identity.id) : null;
+    return sharedRole ? this.userManager.getHigherRole(sharedRole, tokenRole) : null;
+  }
+
+  /**
+   * 문서 권한 조회 (접속 중 부여된 권한 우선, 없으면 문서 역할의 기본 권한)
+   * @private
+   * @param {Object|null} identity - 검증된 사용자
+   * @param {string} documentId - 문서 ID
+   * @returns {Array} 권한 목록 (문서에 접근할 수 없으면 빈 배열)
+   */
+  _getDocumentPermissions(identity, documentId) {
+    const role = this._getDocumentRole(identity, documentId);
+    if (!role) {
+      return [];
+    }
+
+    const granted = identity ? this.userManager.getUserPermissions(identity.id, documentId) : [];
+    return granted.length > 0 ? granted : this.userManager.getRolePermissions(role);
+  }
+
+  /**
+   * 문서 읽기 가능 여부
+   * @private
+   * @param {Object|null} identity - 검증된 사용자
+   * @param {string} documentId - 문서 ID
+   * @returns {boolean}
+   */
+  _canRead(identity, documentId) {
+    const permissions = this._getDocumentPermissions(identity, documentId);
+    return permissions.includes('read') || permissions.includes('admin');
+  }
+
+  /**
+   * REST 권한 검사 미들웨어
+   * @private
+   * @param {string} permission - 필요한 권한
+   * @returns {Function} Express 미들웨어
+   */
+  _requirePermission(permission) {
+    return (req, res, next) => {
+      const permissions = this._getDocumentPermissions(req.user, req.params.id);
+
+      if (permissions.includes(permission) || permissions.includes('admin')) {
+        return next();
+      }
+
+      res.status(403).json({
+        error: 'permission_denied',
+        message: `Missing "${permission}" permission on document ${req.params.id}`,
+        required: permission
+      });
+    };
+  }
+
   /**
    * 라우트 설정
    * @private
@@ -224,7 +424,7 @@ class BpmnCollaborationServer {
     this.app.get('/api/documents', async (req, res) => {
       try {
         const documents = await this.documentManager.getDocuments();
-        res.json(documents);
+        res.json(documents.filter(({ id }) => this._canRead(req.user, id)));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -233,14 +433,39 @@ class BpmnCollaborationServer {
     this.app.post('/api/documents', async (req, res) => {
       try {
         const { name, initialData } = req.body;
+
+        // 맵 데이터 없이 BPMN XML만 전달되면 가져오기 파이프라인으로 변환
+        if (initialData?.bpmn && !initialData.elements && !initialData.connections) {
+          const result = await this.documentManager.importDocument(name, initialData.bpmn);
+          await this._shareWithCreator(result.document.id, req.user);
+          return this._sendImportResult(res, result);
+        }
+
         const document = await this.documentManager.createDocument(name, initialData);
+        await this._shareWithCreator(document.id, req.user);
         res.status(201).json(document);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        this._sendImportError(res, error);
+      }
+    });
+
+    this.app.post('/api/documents/import', express.text({
+      type: ['application/xml', 'text/xml', 'application/bpmn+xml'],
+      limit: '10mb'
+    }), async (req, res) => {
+      try {
+        const xml = typeof req.body === 'string' ? req.body : req.body?.bpmn;
+        const name = req.query.name || req.body?.name;
+
+        const result = await this.documentManager.importDocument(name, xml);
+        await this._shareWithCreator(result.document.id, req.user);
+        this._sendImportResult(res, result);
+      } catch (error) {
+        this._sendImportError(res, error);
       }
     });
 
-    this.app.get('/api/documents/:id', async (req, res) => {
+    this.app.get('/api/documents/:id', this._requirePermission('read'), async (req, res) => {
       try {
         const document = await this.documentManager.getDocument(req.params.id);
         if (!document) {
@@ -252,17 +477,136 @@ class BpmnCollaborationServer {
       }
     });
 
-    this.app.delete('/api/documents/:id', async (req, res) => {
+    this.app.delete('/api/documents/:id', this._requirePermission('delete'), async (req, res) => {
       try {
         await this.documentManager.deleteDocument(req.params.id);
+        this.userManager.clearSharing(req.params.id);
+        this.operationLog.clear(req.params.id);
         res.status(204).send();
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    this.app.get('/api/documents/:id/export', this._requirePermission('read'), async (req, res) => {
+      try {
+        const format = req.query.format || 'bpmn';
+        if (format !== 'bpmn') {
+          return res.status(400).json({ error: `Unsupported export format: ${format}` });
+        }
+
+        const xml = await this.documentManager.exportDocumentXml(req.params.id);
+        if (xml === null) {
+          const document = await this.documentManager.getDocument(req.params.id);
+          return document
+            ? res.status(404).json({ error: 'Document has no diagram content' })
+            : res.status(404).json({ error: 'Document not found' });
+        }
+
+        // attachment()는 확장자로 Content-Type을 정하므로 먼저 호출
+        res.attachment(`${req.params.id}.bpmn`);
+        res.type('application/xml');
+        res.send(xml);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 버전 관련 API
+    this.app.get('/api/documents/:id/versions', this._requirePermission('read'), async (req, res) => {
+      try {
+        const versions = this.documentManager.getVersions(req.params.id);
+        if (!versions) {
+          return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json(versions);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/documents/:id/versions', this._requirePermission('write'), async (req, res) => {
+      try {
+        if (!this.documentManager.getVersions(req.params.id)) {
+          return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const { name, description, author } = req.body || {};
+        const version = await this.documentManager.createVersion(req.params.id, {
+          name,
+          description,
+          author
+        });
+        res.status(201).json(version);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/documents/:id/versions/:from/diff/:to', this._requirePermission('read'), async (req, res) => {
+      try {
+        const to = req.params.to === 'current' ? 'current' : Number(req.params.to);
+        const diff = await this.documentManager.diffVersions(
+          req.params.id,
+          Number(req.params.from),
+          to
+        );
+        if (!diff) {
+          return res.status(404).json({ error: 'Version not found' });
+        }
+        res.json(diff);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/documents/:id/versions/:version', this._requirePermission('read'), async (req, res) => {
+      try {
+        const version = await this.documentManager.getVersion(
+          req.params.id,
+          Number(req.params.version)
+        );
+        if (!version) {
+          return res.status(404).json({ error: 'Version not found' });
+        }
+
+        if (req.query.format === 'bpmn') {
+          const xml = await this.documentManager.getVersionXml(req.params.id, version.version);
+          if (!xml) {
+            return res.status(404).json({ error: 'BPMN XML not available for this version' });
+          }
+          return res.type('application/xml').send(xml);
+        }
+
+        res.json(version);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/documents/:id/versions/:version/restore', this._requirePermission('write'), async (req, res) => {
+      try {
+        const version = await this.documentManager.getVersion(
+          req.params.id,
+          Number(req.params.version)
+        );
+        if (!version) {
+          return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const result = await this.documentManager.restoreVersion(
+          req.params.id,
+          version.version,
+          { author: req.body?.author }
+        );
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // 사용자 관련 API
-    this.app.get('/api/documents/:id/users', async (req, res) => {
+    this.app.get('/api/documents/:id/users', this._requirePermission('read'), async (req, res) => {
       try {
         const users = await this.userManager.getDocumentUsers(req.params.id);
         res.json(users);
@@ -271,8 +615,179 @@ class BpmnCollaborationServer {
       }
     });
 
+    // 요청자의 문서 권한 (클라이언트 읽기 전용 모드 판단용)
+    this.app.get('/api/documents/:id/permissions', (req, res) => {
+      const permissions = this._getDocumentPermissions(req.user, req.params.id);
+
+      res.json({
+        documentId: req.params.id,
+        userId: req.user?.id || null,
+        role: this._getDocumentRole(req.user, req.params.id),
+        permissions,
+        readOnly: !permissions.includes('write') && !permissions.includes('admin')
+      });
+    });
+
+    // 요소 댓글 API (스레드는 문서의 'comments' Y.Map에 저장되어 Y.js 클라이언트와 공유)
+    this.app.get('/api/documents/:id/comments', this._requirePermission('read'), async (req, res) => {
+      try {
+        const status = req.query.status || THREAD_STATUS.OPEN;
+        if (![...Object.values(THREAD_STATUS), 'all'].includes(status)) {
+          return res.status(400).json({ error: `Invalid status: ${status}` });
+        }
+
+        const threads = await this._withCommentStore(req.params.id, null, store => store.getThreads({
+          elementId: req.query.elementId,
+          status: status === 'all' ? undefined : status
+        }));
+
+        res.json({ documentId: req.params.id, status, threads });
+      } catch (error) {
+        this._sendCommentError(res, error);
+      }
+    });
+
+    this.app.get('/api/documents/:id/comments/mentionable', this._requirePermission('read'), (req, res) => {
+      res.json({ documentId: req.params.id, users: this.userManager.getMentionableUsers(req.params.id) });
+    });
+
+    this.app.post('/api/documents/:id/comments', this._requirePermission('write'), async (req, res) => {
+      try {
+        const { elementId, text } = req.body || {};
+        const thread = await this._withCommentStore(req.params.id, this._getCommentAuthor(req), store => {
+          return store.createThread(elementId, text);
+        });
+
+        this._notifyComments(req.params.id, 'thread_created', thread, thread.comments[0]);
+        res.status(201).json(thread);
+      } catch (error) {
+        this._sendCommentError(res, error);
+      }
+    });
+
+    this.app.post('/api/documents/:id/comments/:threadId/replies', this._requirePermission('write'), async (req, res) => {
+      try {
+        const { thread, comment } = await this._withCommentStore(req.params.id, this._getCommentAuthor(req), store => {
+          const comment = store.reply(req.params.threadId, req.body?.text);
+          return { thread: store.getThread(req.params.threadId), comment };
+        });
+
+        this._notifyComments(req.params.id, 'comment_added', thread, comment);
+        res.status(201).json(comment);
+      } catch (error) {
+        this._sendCommentError(res, error);
+      }
+    });
+
+    this.app.post('/api/documents/:id/comments/:threadId/:action(resolve|reopen)', this._requirePermission('write'), async (req, res) => {
+      try {
+        const { action, threadId } = req.params;
+        const thread = await this._withCommentStore(req.params.id, this._getCommentAuthor(req), store => {
+          return action === 'resolve' ? store.resolve(threadId) : store.reopen(threadId);
+        });
+
+        this._notifyComments(req.params.id, action === 'resolve' ? 'thread_resolved' : 'thread_reopened', thread);
+        res.json(thread);
+      } catch (error) {
+        this._sendCommentError(res, error);
+      }
+    });
+
+    // 공유/초대 API (invite 권한 필요)
+    this.app.get('/api/documents/:id/shares', this._requirePermission('invite'), (req, res) => {
+      if (!this.documentManager.getSharing(req.params.id)) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      res.json({ documentId: req.params.id, ...this.userManager.getShares(req.params.id) });
+    });
+
+    this.app.post('/api/documents/:id/shares', this._requirePermission('invite'), async (req, res) => {
+      try {
+        const { userId, role } = req.body || {};
+        this._assertDocumentExists(req.params.id);
+
+        const share = this.userManager.shareDocument(req.params.id, userId, role, {
+          sharedBy: req.user?.id || null
+        });
+        await this._persistSharing(req.params.id);
+
+        res.status(201).json({ documentId: req.params.id, ...share });
+      } catch (error) {
+        this._sendSharingError(res, error);
+      }
+    });
+
+    this.app.delete('/api/documents/:id/shares/:userId', this._requirePermission('invite'), async (req, res) => {
+      try {
+        if (!this.userManager.revokeShare(req.params.id, req.params.userId)) {
+          return res.status(404).json({ error: 'Share not found' });
+        }
+        await this._persistSharing(req.params.id);
+        this._closeUnreadableConnections(req.params.id);
+
+        res.status(204).send();
+      } catch (error) {
+        this._sendSharingError(res, error);
+      }
+    });
+
+    this.app.post('/api/documents/:id/invites', this._requirePermission('invite'), async (req, res) => {
+      try {
+        const { role, expiresIn, maxUses } = req.body || {};
+        this._assertDocumentExists(req.params.id);
+
+        const invite = this.userManager.createInvite(req.params.id, {
+          role,
+          expiresIn,
+          maxUses,
+          createdBy: req.user?.id || null
+        });
+        await this._persistSharing(req.params.id);
+
+        res.status(201).json({ ...invite, url: `/api/invites/${invite.token}/accept` });
+      } catch (error) {
+        this._sendSharingError(res, error);
+      }
+    });
+
+    this.app.delete('/api/documents/:id/invites/:inviteId', this._requirePermission('invite'), async (req, res) => {
+      try {
+        if (!this.userManager.revokeInvite(req.params.id, req.params.inviteId)) {
+          return res.status(404).json({ error: 'Invite not found' });
+        }
+        await this._persistSharing(req.params.id);
+
+        res.status(204).send();
+      } catch (error) {
+        this._sendSharingError(res, error);
+      }
+    });
+
+    // 초대 수락 (인증 사용 시 토큰의 사용자, 아니면 본문의 userId로 공유)
+    this.app.post('/api/invites/:token/accept', async (req, res) => {
+      try {
+        const userId = req.user?.id || (this.authenticator ? null : req.body?.userId);
+        if (!userId) {
+          return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const { documentId, share } = this.userManager.acceptInvite(req.params.token, userId);
+        await this._persistSharing(documentId);
+
+        res.json({
+          documentId,
+          userId,
+          role: share.role,
+          permissions: this.userManager.getRolePermissions(share.role)
+        });
+      } catch (error) {
+        this._sendSharingError(res, error);
+      }
+    });
+
     // 협업 세션 API
-    this.app.get('/api/documents/:id/sessions', async (req, res) => {
+    this.app.get('/api/documents/:id/sessions', this._requirePermission('read'), async (req, res) => {
       try {
         const sessions = await this.sessionManager.getDocumentSessions(req.params.id);
         res.json(sessions);
@@ -294,8 +809,10 @@ class BpmnCollaborationServer {
           documents: this.documentManager.getMetrics(),
           users: this.userManager.getMetrics(),
           websockets: {
-            connections: this.wss ? this.wss.clients.size : 0
-          }
+            connections: this.wss ? this.wss.clients.size : 0,
+            rooms: this.rooms.size
+          },
+          operationLog: this.operationLog.getMetrics()
         });
       });
     }
@@ -310,16 +827,244 @@ class BpmnCollaborationServer {
     });
   }
 
+  /**
+   * BPMN 가져오기 결과 응답
+   * @private
+   * @param {Object} res - Express 응답
+   * @param {Object} result - DocumentManager.importDocument() 결과
+   */
+  _sendImportResult(res, result) {
+    res.status(201).json({
+      ...result.document,
+      warnings: result.warnings,
+      statistics: result.statistics
+    });
+  }
+
+  /**
+   * 문서 생성/가져오기 오류 응답 (잘못된 BPMN은 400)
+   * @private
+   * @param {Object} res - Express 응답
+   * @param {Error} error - 발생한 오류
+   */
+  _sendImportError(res, error) {
+    if (error.code === 'INVALID_BPMN') {
+      return res.status(400).json({ error: error.message, warnings: error.warnings });
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+
+  /**
+   * 저장된 문서 공유 상태를 UserManager로 복원
+   * @private
+   */
+  async _loadSharing() {
+    const documents = await this.documentManager.getDocuments();
+
+    documents.forEach(({ id }) => {
+      this.userManager.importSharing(id, this.documentManager.getSharing(id));
+    });
+  }
+
+  /**
+   * 문서 공유 상태 저장 (메타데이터와 함께 영속화)
+   * @private
+   * @param {string} documentId - 문서 ID
+   */
+  async _persistSharing(documentId) {
+    await this.documentManager.saveSharing(documentId, this.userManager.exportSharing(documentId));
+  }
+
+  /**
+   * 인증 사용 시 문서를 만든 사용자에게 admin으로 공유 (토큰 역할과 무관하게 자신의 문서에 접근)
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {Object|null} identity - 검증된 사용자
+   */
+  async _shareWithCreator(documentId, identity) {
+    if (!this.authenticator || !identity) {
+      return;
+    }
+
+    this.userManager.shareDocument(documentId, identity.id, 'admin', { sharedBy: identity.id });
+    await this._persistSharing(documentId);
+  }
+
+  /**
+   * 공유 해제 등으로 더 이상 문서를 읽을 수 없는 연결 종료
+   * @private
+   * @param {string} documentId - 문서 ID
+   */
+  _closeUnreadableConnections(documentId) {
+    this.wss?.clients.forEach(client => {
+      if (client.permissionContext?.documentId === documentId && !this._canRead(client.auth, documentId)) {
+        client.close(4403, 'Forbidden');
+      }
+    });
+  }
+
+  /**
+   * 문서 Y.js 문서에 연결한 댓글 저장소로 작업 실행 (작업 후 관찰 해제)
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {Object|null} author - 작성자 { id, name }
+   * @param {Function} fn - (store) => 결과
+   * @returns {Promise<*>} 작업 결과
+   */
+  async _withCommentStore(documentId, author, fn) {
+    const yjsDoc = await this.documentManager.getYjsDocument(documentId);
+    if (!yjsDoc) {
+      throw new Error('Document not found');
+    }
+
+    const store = new CommentStore(yjsDoc, {
+      user: author,
+      users: this.userManager.getMentionableUsers(documentId)
+    });
+
+    try {
+      return fn(store);
+    } finally {
+      store.destroy();
+    }
+  }
+
+  /**
+   * 댓글 작성자 (인증 사용 시 토큰의 사용자, 아니면 본문의 author/userId)
+   * @private
+   * @param {Object} req - Express 요청
+   * @returns {Object|null} { id, name }
+   */
+  _getCommentAuthor(req) {
+    if (req.user) {
+      return { id: req.user.id, name: req.user.name };
+    }
+
+    if (this.authenticator) {
+      return null;
+    }
+
+    const author = req.body?.author || (req.body?.userId ? { id: req.body.userId } : null);
+    return author?.id ? { id: author.id, name: author.name } : null;
+  }
+
+  /**
+   * 댓글 변경을 문서 룸에 알리고 멘션된 사용자에게 별도 알림
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {string} action - thread_created | comment_added | thread_resolved | thread_reopened
+   * @param {Object} thread - 변경된 스레드
+   * @param {Object} [comment] - 추가된 댓글
+   */
+  _notifyComments(documentId, action, thread, comment = null) {
+    const room = Array.from(this.rooms.get(documentId) || [])
+      .filter(client => client.readyState === client.OPEN);
+    const mentions = new Set((comment?.mentions || []).filter(userId => userId !== comment.author.id));
+
+    const changed = JSON.stringify({
+      type: 'comments_changed',
+      documentId,
+      action,
+      threadId: thread.id,
+      elementId: thread.elementId,
+      status: thread.status,
+      timestamp: Date.now()
+    });
+
+    room.forEach(client => {
+      try {
+        client.send(changed);
+
+        if (mentions.has(client.userId)) {
+          client.send(JSON.stringify({
+            type: 'comment_mention',
+            documentId,
+            threadId: thread.id,
+            elementId: thread.elementId,
+            comment,
+            timestamp: Date.now()
+          }));
+        }
+      } catch (error) {
+        this.logger.error('Error sending comment notification:', error.message);
+      }
+    });
+  }
+
+  /**
+   * 댓글 API 오류 응답
+   * @private
+   * @param {Object} res - Express 응답
+   * @param {Error} error - 발생한 오류
+   */
+  _sendCommentError(res, error) {
+    switch (error.message) {
+      case 'Document not found':
+      case 'Thread not found':
+        return res.status(404).json({ error: error.message });
+      case 'Comment author is required':
+        return res.status(400).json({ error: 'userId is required' });
+    }
+
+    if (/^(Element ID is required|Comment text is required|Comment exceeds)/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+
+  /**
+   * 문서 존재 확인
+   * @private
+   * @param {string} documentId - 문서 ID
+   */
+  _assertDocumentExists(documentId) {
+    if (!this.documentManager.getSharing(documentId)) {
+      throw new Error('Document not found');
+    }
+  }
+
+  /**
+   * 공유/초대 오류 응답
+   * @private
+   * @param {Object} res - Express 응답
+   * @param {Error} error - 발생한 오류
+   */
+  _sendSharingError(res, error) {
+    switch (error.code) {
+      case 'INVALID_ROLE':
+      case 'INVALID_SHARE':
+        return res.status(400).json({ error: error.message });
+      case 'INVITE_NOT_FOUND':
+        return res.status(404).json({ error: error.message });
+      case 'INVITE_EXPIRED':
+        return res.status(410).json({ error: error.message });
+    }
+
+    if (error.message === 'Document not found') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+
   /**
    * WebSocket 서버 설정
    * @private
    */
   _setupWebSocketServer() {
     this.wss = new WebSocketServer({ 
-      server: this.server
+      server: this.server,
+      verifyClient: this.authenticator
+        ? (info, callback) => this._verifyWebSocketClient(info, callback)
+        : undefined
     });
 
     this.wss.on('connection', async (ws, req) => {
+      // 업그레이드 시 검증된 사용자 (인증 비활성화 시 null)
+      ws.auth = req.auth || null;
+
       try {
         const url = new URL(req.url, 'http://localhost');
         const pathname = url.pathname;
@@ -329,15 +1074,26 @@ class BpmnCollaborationServer {
           // Y.js의 내장 WebSocket 처리 사용 (기존 방식)
           const documentId = pathname.replace('/collaboration/', '') || 'default';
           
-          // DocumentManager에서 Y.js 문서 가져오기 또는 생성
-          let yjsDoc = this.documentManager.getYjsDocument(documentId);
+          // DocumentManager에서 Y.js 문서 가져오기 (저장소에서 로드) 또는 생성
+          let yjsDoc = await this.documentManager.getYjsDocument(documentId);
           if (!yjsDoc) {
-            // 문서가 없으면 새로 생성
-            const docInfo = await this.documentManager.createDocument(`Document ${documentId}`);
-            yjsDoc = this.documentManager.getYjsDocument(docInfo.id);
+            // 문서가 없으면 같은 ID로 새로 생성
+            await this.documentManager.createDocument(`Document ${documentId}`, null, { documentId });
+            await this._shareWithCreator(documentId, ws.auth);
+            yjsDoc = await this.documentManager.getYjsDocument(documentId);
             this.logger.info(`Created new document for Y.js: ${documentId}`);
+          } else if (!this._canRead(ws.auth, documentId)) {
+            this.logger.warn(`Y.js connection denied for ${ws.auth?.id} on ${documentId}`);
+            ws.close(4403, 'Forbidden');
+            return;
           }
           
+          // 권한 검사는 y-websocket이 메시지 리스너를 등록하기 전에 설정
+          const userId = ws.auth?.id || `yjs-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+          const context = this._registerConnection(ws, documentId, userId, ws.auth?.name);
+          this.permissionGuard.guardYjsConnection(ws, yjsDoc, context);
+          ws.on('close', () => this._unregisterConnection(ws));
+
           // Y.js 연결 설정 (DocumentManager의 문서 사용)
           setupWSConnection(ws, req, {
             gc: true,
@@ -366,11 +1122,12 @@ class BpmnCollaborationServer {
    * @private
    */
   _handleCollaborationConnection(ws, req) {
-    // 연결 메타데이터
+    // 연결 메타데이터 (문서는 ?document= 쿼리 또는 user_join의 documentId)
     ws.userId = null;
-    ws.documentId = null;
+    ws.documentId = new URL(req.url, 'http://localhost').searchParams.get('document') || 'default';
     ws.userInfo = null;
     ws.isAlive = true;
+    ws.messageQueue = Promise.resolve();
 
     // 하트비트 설정
     ws.on('pong', () => {
@@ -381,7 +1138,8 @@ class BpmnCollaborationServer {
     ws.on('message', (data) => {
       try {
         const message = JSON.parse(data.toString());
-        this._handleWebSocketMessage(ws, message);
+        // 권한 검사가 비동기이므로 소켓별로 수신 순서대로 처리
+        ws.messageQueue = ws.messageQueue.then(() => this._handleWebSocketMessage(ws, message));
       } catch (error) {
         this.logger.error('Invalid WebSocket message:', error.message);
         ws.send(JSON.stringify({
@@ -408,8 +1166,18 @@ class BpmnCollaborationServer {
    * WebSocket 메시지 처리
    * @private
    */
-  _handleWebSocketMessage(ws, message) {
+  async _handleWebSocketMessage(ws, message) {
     try {
+      // 인증된 연결은 메시지의 사용자 ID를 검증된 ID로 고정 (사칭 방지)
+      if (ws.auth) {
+        this._bindIdentity(ws, message);
+      }
+
+      // 배치는 업데이트별로 검사
+      if (message.type !== 'batch_update' && !(await this._authorizeMessage(ws, message))) {
+        return;
+      }
+
       switch (message.type) {
         case 'user_join':
           this._handleUserJoin(ws, message);
@@ -421,7 +1189,7 @@ class BpmnCollaborationServer {
           this._handleModelChange(ws, message);
           break;
         case 'batch_update':
-          this._handleBatchUpdate(ws, message);
+          await this._handleBatchUpdate(ws, message);
           break;
         case 'cursor_position':
           this._handleCursorPosition(ws, message);
@@ -432,6 +1200,13 @@ class BpmnCollaborationServer {
         case 'user_selection':
           this._handleUserSelection(ws, message);
           break;
+        case 'viewport_changed':
+        case 'follow_request':
+          this._handleViewportMessage(ws, message);
+          break;
+        case 'drag_preview':
+          this._handleDragPreview(ws, message);
+          break;
         case 'heartbeat':
           this._handleHeartbeat(ws, message);
           break;
@@ -444,6 +1219,9 @@ class BpmnCollaborationServer {
         case 'sync_response':
           this._handleSyncResponse(ws, message);
           break;
+        case 'control_message':
+          this._handleControlMessage(ws, message);
+          break;
         default:
           this.logger.warn('Unknown message type:', message.type);
       }
@@ -456,21 +1234,211 @@ class BpmnCollaborationServer {
     }
   }
 
+  /**
+   * 메시지에 검증된 사용자 ID 바인딩
+   * @private
+   * @param {WebSocket} ws - 인증된 소켓
+   * @param {Object} message - 수신 메시지
+   */
+  _bindIdentity(ws, message) {
+    message.userId = ws.auth.id;
+
+    if (message.type === 'user_join') {
+      message.user = {
+        ...message.user,
+        id: ws.auth.id,
+        name: ws.auth.name || message.user?.name
+      };
+    }
+
+    if (Array.isArray(message.updates)) {
+      message.updates.forEach(update => {
+        update.userId = ws.auth.id;
+      });
+    }
+  }
+
+  /**
+   * 편집 메시지 권한 검사
+   * 거부 시 발신자에게 permission_denied를 보내고 메시지는 전달하지 않음
+   * @private
+   * @param {WebSocket} ws - 발신 소켓
+   * @param {Object} message - 수신 메시지
+   * @returns {Promise<boolean>} 처리 허용 여부
+   */
+  async _authorizeMessage(ws, message) {
+    if (!this.permissionGuard.isEditMessage(message)) {
+      return true;
+    }
+
+    // user_join 전에 도착한 변경 (오프라인 재전송 등)도 룸에 참가시켜 역할 권한으로 검사
+    if (!ws.permissionContext) {
+      if (!this._canRead(ws.auth, ws.documentId)) {
+        this._sendReadDenied(ws, message, ws.documentId);
+        return false;
+      }
+      this._joinRoom(ws, ws.documentId, message.userId || 'anonymous', null);
+    }
+
+    const { userId, documentId } = ws.permissionContext;
+    this.userManager.updateUserActivity(userId);
+
+    const result = await this.permissionGuard.authorize(userId, documentId, message);
+    if (result.allowed) {
+      return true;
+    }
+
+    this.logger.warn(`Permission denied for ${userId} on ${documentId}: ${message.type} requires ${result.required}`);
+
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(this.permissionGuard.createDeniedMessage(message, result, ws.permissionContext)));
+    }
+
+    return false;
+  }
+
+  /**
+   * 읽기 권한이 없는 문서에 대한 요청 거부 응답
+   * @private
+   * @param {WebSocket} ws - 요청 소켓
+   * @param {Object} message - 거부된 메시지
+   * @param {string} documentId - 문서 ID
+   */
+  _sendReadDenied(ws, message, documentId) {
+    if (ws.readyState !== ws.OPEN) {
+      return;
+    }
+
+    ws.send(JSON.stringify(this.permissionGuard.createDeniedMessage(
+      message,
+      { required: 'read', elementIds: [] },
+      { userId: ws.auth?.id || message.userId || message.user?.id || null, documentId }
+    )));
+  }
+
+  /**
+   * 연결을 문서 사용자로 등록 (공유 역할과 토큰 역할 중 높은 역할의 권한 부여)
+   * @private
+   * @param {WebSocket} ws - 연결
+   * @param {string} documentId - 문서 ID
+   * @param {string} userId - 사용자 ID
+   * @param {string} name - 표시 이름
+   * @returns {Object} 권한 검사 컨텍스트 { userId, documentId, role, permissions }
+   */
+  _registerConnection(ws, documentId, userId, name) {
+    const role = this._resolveRole(ws.auth);
+    const user = this.userManager.addUser(documentId, userId, { name, role });
+
+    ws.permissionContext = { userId, documentId, role: user.role, permissions: user.permissions };
+    return ws.permissionContext;
+  }
+
+  /**
+   * 연결 해제 시 문서 사용자 제거 (같은 사용자의 다른 연결이 남아 있으면 유지)
+   * @private
+   * @param {WebSocket} ws - 닫힌 연결
+   */
+  _unregisterConnection(ws) {
+    const context = ws.permissionContext;
+    if (!context) {
+      return;
+    }
+
+    let hasOtherConnection = false;
+    this.wss?.clients.forEach(client => {
+      if (client !== ws && client.permissionContext?.userId === context.userId &&
+          client.permissionContext.documentId === context.documentId) {
+        hasOtherConnection = true;
+      }
+    });
+
+    if (!hasOtherConnection) {
+      this.userManager.removeUser(context.documentId, context.userId);
+    }
+  }
+
+  /**
+   * 문서 룸 참가 (문서 사용자로 등록하고 역할 권한 부여)
+   * @private
+   * @param {WebSocket} ws - JSON 프로토콜 연결
+   * @param {string} documentId - 문서 ID
+   * @param {string} userId - 사용자 ID
+   * @param {string} name - 표시 이름
+   * @returns {Object} 권한 검사 컨텍스트 { userId, documentId, role, permissions }
+   */
+  _joinRoom(ws, documentId, userId, name) {
+    const context = this._registerConnection(ws, documentId, userId, name);
+
+    if (!this.rooms.has(documentId)) {
+      this.rooms.set(documentId, new Set());
+    }
+    this.rooms.get(documentId).add(ws);
+    ws.documentId = documentId;
+
+    this.logger.debug(`Joined room ${documentId}: ${userId} (${this.rooms.get(documentId).size} connections)`);
+    return context;
+  }
+
+  /**
+   * 문서 룸 퇴장 (같은 사용자의 다른 연결이 없으면 문서 사용자에서 제거)
+   * @private
+   * @param {WebSocket} ws - JSON 프로토콜 연결
+   */
+  _leaveRoom(ws) {
+    const room = this.rooms.get(ws.documentId);
+
+    if (room) {
+      room.delete(ws);
+
+      if (room.size === 0) {
+        this.rooms.delete(ws.documentId);
+      }
+    }
+
+    this._unregisterConnection(ws);
+    ws.permissionContext = null;
+  }
+
+  /**
+   * 문서 룸의 참가 사용자 목록 (userInfo가 있는 열린 연결)
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @returns {Array} 사용자 정보 목록
+   */
+  _getRoomUsers(documentId) {
+    return Array.from(this.rooms.get(documentId) || [])
+      .filter(client => client.userInfo && client.readyState === client.OPEN)
+      .map(client => client.userInfo);
+  }
+
   /**
    * 사용자 참가 처리
+   * 다른 문서로 참가하거나 다른 사용자로 다시 참가하면 이전 룸에서 먼저 퇴장
    * @private
    */
   _handleUserJoin(ws, message) {
+    const documentId = message.documentId || ws.documentId;
+    const previous = ws.permissionContext;
+
+    if (!this._canRead(ws.auth, documentId)) {
+      this.logger.warn(`Join denied for ${message.user.id} on ${documentId}`);
+      this._sendReadDenied(ws, message, documentId);
+      return;
+    }
+
+    if (previous && (previous.documentId !== documentId || previous.userId !== message.user.id)) {
+      if (ws.userId) {
+        this._broadcast(ws, { type: 'user_left', userId: ws.userId, timestamp: Date.now() });
+      }
+      this._leaveRoom(ws);
+    }
+
     ws.userId = message.user.id;
     ws.userInfo = message.user;
-    
-    // 현재 연결된 모든 사용자 목록 수집
-    const connectedUsers = [];
-    this.wss.clients.forEach(client => {
-      if (client.userInfo && client.readyState === 1) { // OPEN state
-        connectedUsers.push(client.userInfo);
-      }
-    });
+    const { role, permissions } = this._joinRoom(ws, documentId, ws.userId, message.user.name);
+
+    // 같은 문서에 참가한 사용자 목록
+    const connectedUsers = this._getRoomUsers(documentId);
 
     // 새 사용자에게 현재 사용자 목록 전송
     ws.send(JSON.stringify({
@@ -490,10 +1458,13 @@ class BpmnCollaborationServer {
     ws.send(JSON.stringify({
       type: 'user_join_confirmed',
       userId: message.user.id,
+      documentId: ws.documentId,
+      role,
+      permissions,
       timestamp: Date.now()
     }));
 
-    this.logger.info(`User joined: ${message.user.name} (${message.user.id}), total users: ${connectedUsers.length}`);
+    this.logger.info(`User joined ${documentId}: ${message.user.name} (${message.user.id}), room users: ${connectedUsers.length}`);
   }
 
   /**
@@ -501,13 +1472,20 @@ class BpmnCollaborationServer {
    * @private
    */
   _handleUserLeave(ws, message) {
+    const userId = ws.userId || message.userId;
+
     this._broadcast(ws, {
       type: 'user_left',
-      userId: message.userId,
+      userId,
       timestamp: Date.now()
     });
 
-    this.logger.info(`User left: ${message.userId}`);
+    // 룸을 떠난 연결은 다시 user_join할 때까지 문서 메시지를 받지 않음
+    this._leaveRoom(ws);
+    ws.userId = null;
+    ws.userInfo = null;
+
+    this.logger.info(`User left ${ws.documentId}: ${userId}`);
   }
 
   /**
@@ -515,8 +1493,8 @@ class BpmnCollaborationServer {
    * @private
    */
   _handleModelChange(ws, message) {
-    // 다른 클라이언트들에게 변경사항 브로드캐스트
-    this._broadcast(ws, message);
+    // 작업 로그에 순번을 매겨 기록한 뒤 다른 클라이언트들에게 브로드캐스트
+    this._broadcast(ws, this._recordOperation(ws, message));
     
     this.logger.debug(`Model change from ${message.userId}:`, message.operation?.type);
   }
@@ -525,15 +1503,44 @@ class BpmnCollaborationServer {
    * 배치 업데이트 처리
    * @private
    */
-  _handleBatchUpdate(ws, message) {
-    // 배치 업데이트를 개별 업데이트로 분해하여 브로드캐스트
-    message.updates.forEach(update => {
-      this._broadcast(ws, update);
-    });
+  async _handleBatchUpdate(ws, message) {
+    // 배치 업데이트를 개별 업데이트로 분해하여 권한이 있는 것만 기록/브로드캐스트
+    for (const update of message.updates) {
+      if (await this._authorizeMessage(ws, update)) {
+        this._broadcast(ws, this._recordOperation(ws, update));
+      }
+    }
 
     this.logger.debug(`Batch update from ${message.userId}: ${message.updates.length} updates`);
   }
 
+  /**
+   * 모델 변경을 문서 작업 로그에 기록하고 발신자에게 순번 확인(operation_ack) 전송
+   * @private
+   * @param {WebSocket} ws - 발신 소켓
+   * @param {Object} message - 모델 변경 메시지
+   * @returns {Object} 순번이 붙은 메시지
+   */
+  _recordOperation(ws, message) {
+    if (message.type !== 'model_change' || !ws.documentId) {
+      return message;
+    }
+
+    const sequence = this.operationLog.append(ws.documentId, message);
+
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'operation_ack',
+        documentId: ws.documentId,
+        sequence,
+        operationId: message.operation?.id || null,
+        timestamp: Date.now()
+      }));
+    }
+
+    return { ...message, sequence };
+  }
+
   /**
    * 커서 위치 처리
    * @private
@@ -558,6 +1565,22 @@ class BpmnCollaborationServer {
     this._broadcast(ws, message);
   }
 
+  /**
+   * 뷰포트 공유 처리 (따라가기 모드의 뷰포트 변경, 발표자 따라오기 요청)
+   * @private
+   */
+  _handleViewportMessage(ws, message) {
+    this._broadcast(ws, message);
+  }
+
+  /**
+   * 드래그 미리보기 처리 (진행 중인 이동/크기 조절/연결, 작업 로그에 기록하지 않음)
+   * @private
+   */
+  _handleDragPreview(ws, message) {
+    this._broadcast(ws, message);
+  }
+
   /**
    * 하트비트 처리
    * @private
@@ -571,20 +1594,140 @@ class BpmnCollaborationServer {
 
   /**
    * 동기화 요청 처리
+   * 마지막으로 받은 순번(lastSequence) 이후의 작업을 로그에서 응답하고,
+   * 보관 범위를 벗어났거나 차이가 너무 크면 스냅샷으로 응답 (스냅샷이 없으면 룸 피어에 요청)
    * @private
    */
   _handleSyncRequest(ws, message) {
-    // 다른 클라이언트들에게 동기화 요청 전달
-    this._broadcast(ws, message);
+    const documentId = ws.documentId;
+
+    if (!this._canRead(ws.auth, documentId)) {
+      this._sendReadDenied(ws, message, documentId);
+      return;
+    }
+    const { operations, latestSequence, complete } = this.operationLog.getSince(documentId, message.lastSequence);
+
+    if (complete) {
+      this._sendSyncResponse(ws, { mode: 'operations', operations, latestSequence });
+      return;
+    }
+
+    const catchUp = this.operationLog.getSnapshotCatchUp(documentId);
+    if (catchUp) {
+      this._sendSyncResponse(ws, { mode: 'snapshot', ...catchUp });
+      return;
+    }
+
+    this._requestPeerSnapshot(ws, latestSequence);
   }
 
   /**
    * 동기화 응답 처리
+   * 서버가 요청한 피어 스냅샷을 저장하고 대기 중인 요청자에게 전달 (먼저 도착한 응답만 사용)
+   * 요청 이후 쓰기 권한을 잃은 피어의 응답은 버림 (다른 피어 응답 또는 시간 초과로 처리)
    * @private
    */
   _handleSyncResponse(ws, message) {
-    // 동기화 요청자에게 응답 전달 (구현 필요시)
-    this.logger.debug('Sync response received from:', message.userId);
+    const pending = this.pendingSyncRequests.get(message.requestId);
+
+    if (!pending || !pending.peers.has(ws)) {
+      this.logger.debug('Unsolicited sync response from:', message.userId);
+      return;
+    }
+
+    if (!this._canProvideSnapshot(ws)) {
+      this.logger.warn(`Sync response rejected from ${message.userId}: write permission required`);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingSyncRequests.delete(message.requestId);
+
+    this.operationLog.setSnapshot(ws.documentId, message.modelState, message.sequence);
+    const catchUp = this.operationLog.getSnapshotCatchUp(ws.documentId);
+
+    this._sendSyncResponse(pending.requester, catchUp
+      ? { mode: 'snapshot', ...catchUp }
+      : { mode: 'unavailable', latestSequence: this.operationLog.getLatestSequence(ws.documentId) });
+
+    this.logger.debug(`Snapshot for ${ws.documentId} provided by ${message.userId}`);
+  }
+
+  /**
+   * 룸 피어에 스냅샷 요청 (피어가 없거나 syncTimeout 안에 응답이 없으면 unavailable 응답)
+   * 쓰기 권한이 있는 피어에만 요청
+   * @private
+   * @param {WebSocket} requester - 동기화 요청 소켓
+   * @param {number} latestSequence - 현재 최신 순번
+   */
+  _requestPeerSnapshot(requester, latestSequence) {
+    const peers = new Set(Array.from(this.rooms.get(requester.documentId) || [])
+      .filter(client => client !== requester && client.readyState === client.OPEN && this._canProvideSnapshot(client)));
+
+    if (peers.size === 0) {
+      this._sendSyncResponse(requester, { mode: 'unavailable', latestSequence });
+      return;
+    }
+
+    const requestId = `sync_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    const timer = setTimeout(() => {
+      this.pendingSyncRequests.delete(requestId);
+      this._sendSyncResponse(requester, {
+        mode: 'unavailable',
+        latestSequence: this.operationLog.getLatestSequence(requester.documentId)
+      });
+    }, this.options.syncTimeout);
+
+    this.pendingSyncRequests.set(requestId, { requester, peers, timer });
+
+    const request = JSON.stringify({
+      type: 'sync_request',
+      requestId,
+      userId: requester.userId,
+      timestamp: Date.now()
+    });
+    peers.forEach(peer => peer.send(request));
+  }
+
+  /**
+   * 피어 스냅샷을 제공할 수 있는 연결인지 여부
+   * 스냅샷은 작업 로그의 기준 상태로 저장되므로 편집 메시지와 같이 쓰기 권한 필요
+   * @private
+   * @param {WebSocket} client - 룸 연결
+   * @returns {boolean}
+   */
+  _canProvideSnapshot(client) {
+    const context = client.permissionContext;
+    return Boolean(context) && this.userManager.hasPermission(context.userId, context.documentId, 'write');
+  }
+
+  /**
+   * 동기화 응답 전송
+   * @private
+   * @param {WebSocket} ws - 요청 소켓
+   * @param {Object} response - { mode, operations, latestSequence, modelState, snapshotSequence }
+   */
+  _sendSyncResponse(ws, response) {
+    if (ws.readyState !== ws.OPEN) {
+      return;
+    }
+
+    ws.send(JSON.stringify({
+      type: 'sync_response',
+      documentId: ws.documentId,
+      operations: [],
+      ...response,
+      timestamp: Date.now()
+    }));
+  }
+
+  /**
+   * 제어 메시지 처리 (상태 해시 교환 등)
+   * 수신 대상(to) 필터링은 클라이언트가 수행
+   * @private
+   */
+  _handleControlMessage(ws, message) {
+    this._broadcast(ws, message);
   }
 
   /**
@@ -602,18 +1745,23 @@ class BpmnCollaborationServer {
 
       this.logger.info(`User disconnected: ${ws.userId}`);
     }
+
+    this._leaveRoom(ws);
   }
 
   /**
-   * 메시지 브로드캐스트 (발신자 제외)
+   * 발신자 문서 룸에 메시지 브로드캐스트 (발신자 제외)
    * @private
+   * @param {WebSocket} sender - 발신 소켓
+   * @param {Object} message - 전송할 메시지
    */
   _broadcast(sender, message) {
-    if (!this.wss) return;
+    const room = this.rooms.get(sender.documentId);
+    if (!room) return;
 
     const messageStr = JSON.stringify(message);
     
-    this.wss.clients.forEach(client => {
+    room.forEach(client => {
       if (client !== sender && client.readyState === client.OPEN) {
         try {
           client.send(messageStr);
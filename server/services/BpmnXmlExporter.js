@@ -0,0 +1,642 @@
+/**
+ * BPMN XML 내보내기
+ * Y.js 문서의 elements/connections 맵을 DI가 포함된 BPMN 2.0 XML로 변환
+ */
+
+import BpmnModdle from 'bpmn-moddle';
+
+// bpmn-js 기본 도형 크기 (맵에 크기가 없을 때 사용)
+const DEFAULT_SIZES = [
+  ['bpmn:SubProcess', { width: 350, height: 200 }],
+  ['bpmn:Activity', { width: 100, height: 80 }],
+  ['bpmn:Event', { width: 36, height: 36 }],
+  ['bpmn:Gateway', { width: 50, height: 50 }],
+  ['bpmn:Participant', { width: 600, height: 250 }],
+  ['bpmn:Lane', { width: 570, height: 125 }],
+  ['bpmn:DataObjectReference', { width: 36, height: 50 }],
+  ['bpmn:DataStoreReference', { width: 50, height: 50 }],
+  ['bpmn:TextAnnotation', { width: 100, height: 30 }]
+];
+
+// 맵에 함께 저장되지만 다이어그램 요소가 아닌 키 (YjsAdapter의 Diff 기록 등)
+const INTERNAL_KEY_PATTERN = /^(diff_|_)/;
+
+export class BpmnXmlExporter {
+  constructor(options = {}) {
+    this.options = {
+      targetNamespace: 'http://bpmn.io/schema/bpmn',
+      exporter: 'online-bpmn-diff',
+      exporterVersion: '1.0.0',
+      format: true,
+      ...options
+    };
+
+    this.logger = options.logger;
+    this.moddle = new BpmnModdle();
+  }
+
+  /**
+   * 문서 내용을 BPMN XML로 변환
+   * @param {Object} content - DocumentManager._extractDocumentContent() 결과 { elements, connections, metadata }
+   * @param {Object} options - 내보내기 옵션
+   * @param {string} [options.documentId] - 문서 ID (Definitions ID에 사용)
+   * @param {string} [options.name] - 기본 프로세스 이름
+   * @returns {Promise<string>} BPMN XML
+   */
+  async export(content = {}, options = {}) {
+    const context = {
+      definitions: this.moddle.create('bpmn:Definitions', {
+        id: this._toXmlId(`Definitions_${options.documentId || '1'}`),
+        targetNamespace: this.options.targetNamespace,
+        exporter: this.options.exporter,
+        exporterVersion: this.options.exporterVersion,
+        rootElements: []
+      }),
+      elements: new Map(),
+      shapes: [],
+      edges: [],
+      collaboration: null,
+      defaultProcess: null,
+      processName: options.name || content.metadata?.name,
+      processId: content.metadata?.processId
+    };
+
+    const shapes = this._collectEntries(content.elements, false);
+    const connections = [
+      ...this._collectEntries(content.connections, true),
+      // 연결이 elements 맵에 저장된 경우도 허용
+      ...this._collectEntries(content.elements, true)
+    ];
+
+    this._createContainers(shapes, context);
+    this._createShapes(shapes, context);
+    this._createConnections(connections, context);
+    this._createDiagram(context);
+
+    const { xml } = await this.moddle.toXML(context.definitions, { format: this.options.format });
+    return xml;
+  }
+
+  /**
+   * 맵 항목을 요소 레코드로 정규화
+   * @private
+   * @param {Object} entries - 맵 내용
+   * @param {boolean} connections - true이면 연결(source/target 보유)만, false이면 도형만
+   * @returns {Array<Object>} { id, type, data, businessObject }
+   */
+  _collectEntries(entries = {}, connections) {
+    const records = [];
+
+    for (const [key, data] of Object.entries(entries || {})) {
+      if (INTERNAL_KEY_PATTERN.test(key) || !data || typeof data !== 'object') {
+        continue;
+      }
+
+      const type = data.type || data.businessObject?.$type;
+      if (typeof type !== 'string' || !type.startsWith('bpmn:')) {
+        continue;
+      }
+
+      const isConnection = Boolean(data.source || data.target || data.waypoints);
+      if (isConnection !== connections) {
+        continue;
+      }
+
+      records.push({
+        id: data.businessObject?.id || data.id || key,
+        type,
+        data,
+        businessObject: data.businessObject || {}
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * 프로세스/협업 컨테이너 생성
+   * 참가자(Participant)가 있으면 Collaboration과 참가자별 프로세스를 만들고,
+   * 없으면 단일 프로세스를 사용
+   * @private
+   * @param {Array<Object>} shapes - 도형 레코드
+   * @param {Object} context - 내보내기 컨텍스트
+   */
+  _createContainers(shapes, context) {
+    const { definitions } = context;
+    const processRecord = shapes.find(record => record.type === 'bpmn:Process');
+    const participants = shapes.filter(record => record.type === 'bpmn:Participant');
+
+    if (participants.length === 0) {
+      context.defaultProcess = this._createProcess(
+        processRecord?.id || context.processId || 'Process_1',
+        processRecord?.businessObject.name || context.processName,
+        context
+      );
+      return;
+    }
+
+    context.collaboration = this.moddle.create('bpmn:Collaboration', {
+      id: 'Collaboration_1',
+      participants: []
+    });
+    definitions.rootElements.unshift(context.collaboration);
+
+    for (const record of participants) {
+      const processId = record.businessObject.processRef?.id ||
+        record.businessObject.processRef ||
+        `Process_${record.id}`;
+
+      const participant = this._createBusinessObject(record);
+      participant.processRef = this._createProcess(this._toXmlId(String(processId)), null, context);
+      participant.$parent = context.collaboration;
+      context.collaboration.participants.push(participant);
+
+      this._registerShape(record, participant, context);
+    }
+  }
+
+  /**
+   * 프로세스 생성 및 등록
+   * @private
+   * @param {string} id - 프로세스 ID
+   * @param {string} [name] - 프로세스 이름
+   * @param {Object} context - 내보내기 컨텍스트
+   * @returns {Object} bpmn:Process
+   */
+  _createProcess(id, name, context) {
+    const process = this.moddle.create('bpmn:Process', {
+      id,
+      isExecutable: false,
+      flowElements: [],
+      artifacts: [],
+      laneSets: []
+    });
+
+    if (name) {
+      process.name = name;
+    }
+
+    process.$parent = context.definitions;
+    context.definitions.rootElements.push(process);
+    context.elements.set(id, process);
+
+    return process;
+  }
+
+  /**
+   * 도형 요소 생성
+   * 레인과 서브프로세스를 먼저 만들어 자식 요소가 참조할 수 있게 함
+   * @private
+   * @param {Array<Object>} shapes - 도형 레코드
+   * @param {Object} context - 내보내기 컨텍스트
+   */
+  _createShapes(shapes, context) {
+    const order = (record) => {
+      if (record.type === 'bpmn:Lane') return 0;
+      if (record.type === 'bpmn:SubProcess') return 1;
+      return 2;
+    };
+
+    const pending = shapes
+      .filter(record => record.type !== 'bpmn:Process' && record.type !== 'bpmn:Participant')
+      .sort((a, b) => order(a) - order(b));
+
+    for (const record of pending) {
+      const element = this._createBusinessObject(record);
+      if (!element) {
+        continue;
+      }
+
+      if (element.$instanceOf('bpmn:Lane')) {
+        this._addLane(record, element, context);
+      } else {
+        const container = this._resolveContainer(record, context);
+
+        if (element.$instanceOf('bpmn:FlowElement')) {
+          this._addTo(container, 'flowElements', element);
+          this._addToLanes(record, element, context);
+        } else if (element.$instanceOf('bpmn:Artifact')) {
+          this._addTo(container, 'artifacts', element);
+        } else {
+          this._skip(record, 'unsupported shape type');
+          continue;
+        }
+      }
+
+      this._registerShape(record, element, context);
+    }
+
+    // 경계 이벤트는 모든 도형이 만들어진 뒤 부착 대상을 연결
+    for (const record of pending) {
+      const element = context.elements.get(record.id);
+      const host = context.elements.get(this._refId(record.businessObject.attachedToRef));
+
+      if (element?.$instanceOf('bpmn:BoundaryEvent') && host) {
+        element.attachedToRef = host;
+      }
+    }
+  }
+
+  /**
+   * 연결 요소 생성
+   * @private
+   * @param {Array<Object>} connections - 연결 레코드
+   * @param {Object} context - 내보내기 컨텍스트
+   */
+  _createConnections(connections, context) {
+    for (const record of connections) {
+      const source = context.elements.get(this._refId(record.data.source || record.businessObject.sourceRef));
+      const target = context.elements.get(this._refId(record.data.target || record.businessObject.targetRef));
+
+      if (!source || !target) {
+        this._skip(record, 'missing source or target');
+        continue;
+      }
+
+      const element = this._createBusinessObject(record);
+      if (!element) {
+        continue;
+      }
+
+      element.sourceRef = source;
+      element.targetRef = target;
+
+      if (element.$instanceOf('bpmn:MessageFlow')) {
+        if (!context.collaboration) {
+          this._skip(record, 'message flow without participants');
+          continue;
+        }
+        this._addTo(context.collaboration, 'messageFlows', element);
+      } else if (element.$instanceOf('bpmn:SequenceFlow')) {
+        this._addTo(source.$parent || this._getDefaultProcess(context), 'flowElements', element);
+        this._addTo(source, 'outgoing', element);
+        this._addTo(target, 'incoming', element);
+        this._applyConditionExpression(record, element);
+      } else if (element.$instanceOf('bpmn:Association')) {
+        const owner = source.$instanceOf('bpmn:FlowElementsContainer') ? source : source.$parent;
+        this._addTo(owner || this._getDefaultProcess(context), 'artifacts', element);
+      } else {
+        this._skip(record, 'unsupported connection type');
+        continue;
+      }
+
+      context.edges.push({
+        record,
+        element,
+        waypoints: this._getWaypoints(record.data, source, target, context)
+      });
+    }
+  }
+
+  /**
+   * BPMNDiagram/BPMNPlane 생성
+   * @private
+   * @param {Object} context - 내보내기 컨텍스트
+   */
+  _createDiagram(context) {
+    const rootElement = context.collaboration || context.defaultProcess || context.definitions.rootElements[0];
+    const plane = this.moddle.create('bpmndi:BPMNPlane', {
+      id: 'BPMNPlane_1',
+      bpmnElement: rootElement,
+      planeElement: []
+    });
+
+    for (const { element, bounds, isExpanded } of context.shapes) {
+      const shape = this.moddle.create('bpmndi:BPMNShape', {
+        id: `${element.id}_di`,
+        bpmnElement: element,
+        bounds: this.moddle.create('dc:Bounds', bounds)
+      });
+
+      if (isExpanded !== undefined) {
+        shape.isExpanded = isExpanded;
+      }
+      if (element.$instanceOf('bpmn:Participant') || element.$instanceOf('bpmn:Lane')) {
+        shape.isHorizontal = true;
+      }
+
+      plane.planeElement.push(shape);
+    }
+
+    for (const { element, waypoints } of context.edges) {
+      plane.planeElement.push(this.moddle.create('bpmndi:BPMNEdge', {
+        id: `${element.id}_di`,
+        bpmnElement: element,
+        waypoint: waypoints.map(point => this.moddle.create('dc:Point', point))
+      }));
+    }
+
+    const diagram = this.moddle.create('bpmndi:BPMNDiagram', {
+      id: 'BPMNDiagram_1',
+      plane
+    });
+
+    context.definitions.diagrams = [diagram];
+  }
+
+  /**
+   * 레코드로부터 비즈니스 객체 생성
+   * @private
+   * @param {Object} record - 요소 레코드
+   * @returns {Object|null} moddle 요소 (알 수 없는 타입이면 null)
+   */
+  _createBusinessObject(record) {
+    const { businessObject } = record;
+    let element;
+
+    try {
+      element = this.moddle.create(record.type, { id: this._toXmlId(record.id) });
+    } catch (error) {
+      this._skip(record, error.message);
+      return null;
+    }
+
+    if (businessObject.name) {
+      element.name = businessObject.name;
+    }
+
+    if (record.type === 'bpmn:TextAnnotation' && (businessObject.text || record.data.text)) {
+      element.text = businessObject.text || record.data.text;
+    }
+
+    if (typeof businessObject.documentation === 'string' && businessObject.documentation) {
+      element.documentation = [
+        this.moddle.create('bpmn:Documentation', { text: businessObject.documentation })
+      ];
+    }
+
+    if (Array.isArray(businessObject.eventDefinitions) && element.$instanceOf('bpmn:Event')) {
+      const definitions = businessObject.eventDefinitions
+        .filter(definition => definition && typeof definition.$type === 'string')
+        .map((definition, index) => this.moddle.create(definition.$type, {
+          id: this._toXmlId(definition.id || `${record.id}_ed_${index}`)
+        }));
+
+      if (definitions.length > 0) {
+        element.eventDefinitions = definitions;
+      }
+    }
+
+    return element;
+  }
+
+  /**
+   * 시퀀스 플로우 조건식 적용
+   * @private
+   * @param {Object} record - 연결 레코드
+   * @param {Object} element - bpmn:SequenceFlow
+   */
+  _applyConditionExpression(record, element) {
+    const expression = record.businessObject.conditionExpression ?? record.data.conditionExpression;
+    const body = typeof expression === 'string' ? expression : expression?.body;
+
+    if (body) {
+      element.conditionExpression = this.moddle.create('bpmn:FormalExpression', { body });
+    }
+  }
+
+  /**
+   * 레인 추가 (소속 프로세스의 laneSet에 등록)
+   * @private
+   * @param {Object} record - 레인 레코드
+   * @param {Object} lane - bpmn:Lane
+   * @param {Object} context - 내보내기 컨텍스트
+   */
+  _addLane(record, lane, context) {
+    const process = this._resolveContainer(record, context);
+
+    if (!process.laneSets.length) {
+      process.laneSets.push(this.moddle.create('bpmn:LaneSet', {
+        id: `LaneSet_${process.id}`,
+        lanes: []
+      }));
+      process.laneSets[0].$parent = process;
+    }
+
+    lane.flowNodeRef = [];
+    this._addTo(process.laneSets[0], 'lanes', lane);
+  }
+
+  /**
+   * 요소를 포함하는 레인의 flowNodeRef에 등록
+   * @private
+   * @param {Object} record - 요소 레코드
+   * @param {Object} element - moddle 요소
+   * @param {Object} context - 내보내기 컨텍스트
+   */
+  _addToLanes(record, element, context) {
+    if (!element.$instanceOf('bpmn:FlowNode')) {
+      return;
+    }
+
+    const lane = this._findContainingShape(record, context, 'bpmn:Lane', element.$parent);
+    if (lane) {
+      lane.flowNodeRef.push(element);
+    }
+  }
+
+  /**
+   * 요소가 속할 컨테이너(프로세스 또는 서브프로세스) 결정
+   * 명시된 parent가 우선이며, 없으면 요소를 포함하는 참가자(pool)의 프로세스를 사용
+   * @private
+   * @param {Object} record - 요소 레코드
+   * @param {Object} context - 내보내기 컨텍스트
+   * @returns {Object} bpmn:Process 또는 bpmn:SubProcess
+   */
+  _resolveContainer(record, context) {
+    const parent = context.elements.get(this._refId(record.data.parent));
+
+    if (parent) {
+      if (parent.$instanceOf('bpmn:Participant')) {
+        return parent.processRef;
+      }
+      if (parent.$instanceOf('bpmn:Lane')) {
+        return parent.$parent.$parent;
+      }
+      if (parent.$instanceOf('bpmn:FlowElementsContainer')) {
+        return parent;
+      }
+    }
+
+    const participant = this._findContainingShape(record, context, 'bpmn:Participant');
+    if (participant) {
+      return participant.processRef;
+    }
+
+    return this._getDefaultProcess(context);
+  }
+
+  /**
+   * 요소 중심점을 포함하는 가장 작은 도형 검색
+   * @private
+   * @param {Object} record - 요소 레코드
+   * @param {Object} context - 내보내기 컨텍스트
+   * @param {string} type - 검색할 도형 타입
+   * @param {Object} [process] - 지정 시 해당 프로세스에 속한 도형만 검색
+   * @returns {Object|null} moddle 요소
+   */
+  _findContainingShape(record, context, type, process = null) {
+    const bounds = this._getBounds(record);
+    const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+    let match = null;
+
+    for (const shape of context.shapes) {
+      if (!shape.element.$instanceOf(type)) {
+        continue;
+      }
+
+      if (process) {
+        const owner = shape.element.$instanceOf('bpmn:Lane') ? shape.element.$parent.$parent : shape.element.processRef;
+        if (owner !== process) {
+          continue;
+        }
+      }
+
+      const area = shape.bounds;
+      const contains = center.x >= area.x && center.x <= area.x + area.width &&
+        center.y >= area.y && center.y <= area.y + area.height;
+
+      if (contains && (!match || area.width * area.height < match.bounds.width * match.bounds.height)) {
+        match = shape;
+      }
+    }
+
+    return match?.element || null;
+  }
+
+  /**
+   * 기본 프로세스 조회 (참가자만 있는 경우 첫 참가자의 프로세스)
+   * @private
+   * @param {Object} context - 내보내기 컨텍스트
+   * @returns {Object} bpmn:Process
+   */
+  _getDefaultProcess(context) {
+    if (!context.defaultProcess) {
+      context.defaultProcess = context.collaboration?.participants[0]?.processRef ||
+        this._createProcess('Process_1', context.processName, context);
+    }
+    return context.defaultProcess;
+  }
+
+  /**
+   * 도형 등록 (연결 참조 및 DI 생성용)
+   * @private
+   * @param {Object} record - 요소 레코드
+   * @param {Object} element - moddle 요소
+   * @param {Object} context - 내보내기 컨텍스트
+   */
+  _registerShape(record, element, context) {
+    context.elements.set(record.id, element);
+    context.shapes.push({
+      element,
+      bounds: this._getBounds(record),
+      isExpanded: element.$instanceOf('bpmn:SubProcess') ? record.data.isExpanded !== false : undefined
+    });
+  }
+
+  /**
+   * 도형 경계 계산 (크기가 없으면 타입별 기본 크기)
+   * @private
+   * @param {Object} record - 요소 레코드
+   * @returns {Object} { x, y, width, height }
+   */
+  _getBounds(record) {
+    const { data } = record;
+    const defaults = this._getDefaultSize(record.type);
+
+    return {
+      x: Number(data.x ?? data.position?.x) || 0,
+      y: Number(data.y ?? data.position?.y) || 0,
+      width: Number(data.width ?? data.size?.width) || defaults.width,
+      height: Number(data.height ?? data.size?.height) || defaults.height
+    };
+  }
+
+  /**
+   * 타입별 기본 크기
+   * @private
+   * @param {string} type - BPMN 타입
+   * @returns {Object} { width, height }
+   */
+  _getDefaultSize(type) {
+    let probe = null;
+
+    try {
+      probe = this.moddle.create(type);
+    } catch (error) {
+      // 알 수 없는 타입은 기본 크기 사용
+    }
+
+    const match = probe && DEFAULT_SIZES.find(([baseType]) => probe.$instanceOf(baseType));
+    return match ? match[1] : { width: 100, height: 80 };
+  }
+
+  /**
+   * 연결 경로 계산 (waypoints가 없으면 양 끝 도형의 중심을 연결)
+   * @private
+   * @param {Object} data - 연결 데이터
+   * @param {Object} source - 소스 moddle 요소
+   * @param {Object} target - 타겟 moddle 요소
+   * @param {Object} context - 내보내기 컨텍스트
+   * @returns {Array<Object>} { x, y } 목록
+   */
+  _getWaypoints(data, source, target, context) {
+    if (Array.isArray(data.waypoints) && data.waypoints.length >= 2) {
+      return data.waypoints.map(point => ({ x: Number(point.x) || 0, y: Number(point.y) || 0 }));
+    }
+
+    const center = (element) => {
+      const shape = context.shapes.find(entry => entry.element === element);
+      const bounds = shape?.bounds || { x: 0, y: 0, width: 0, height: 0 };
+      return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+    };
+
+    return [center(source), center(target)];
+  }
+
+  /**
+   * 컬렉션 속성에 요소 추가
+   * @private
+   * @param {Object} owner - 소유 요소
+   * @param {string} property - 컬렉션 속성 이름
+   * @param {Object} element - 추가할 요소
+   */
+  _addTo(owner, property, element) {
+    owner.get(property).push(element);
+
+    if (property !== 'incoming' && property !== 'outgoing') {
+      element.$parent = owner;
+    }
+  }
+
+  /**
+   * 참조 값에서 ID 추출
+   * @private
+   * @param {string|Object} ref - ID 문자열 또는 { id }
+   * @returns {string|undefined}
+   */
+  _refId(ref) {
+    return ref && typeof ref === 'object' ? ref.id : ref;
+  }
+
+  /**
+   * XML ID로 사용할 수 있도록 변환 (NCName)
+   * @private
+   * @param {string} id - 원본 ID
+   * @returns {string}
+   */
+  _toXmlId(id) {
+    const sanitized = String(id).replace(/[^\w.-]/g, '_');
+    return /^[A-Za-z_]/.test(sanitized) ? sanitized : `_${sanitized}`;
+  }
+
+  /**
+   * 내보낼 수 없는 항목 기록
+   * @private
+   * @param {Object} record - 요소 레코드
+   * @param {string} reason - 제외 사유
+   */
+  _skip(record, reason) {
+    this.logger?.warn(`BPMN export skipped ${record.id} (${record.type}): ${reason}`);
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * BPMN XML 가져오기
+ * 업로드된 BPMN 2.0 XML을 파싱하여 클라이언트(YjsSyncService, BpmnYjsBinding)가 관찰하는
+ * elements/connections Y.Map 구조로 변환
+ */
+
+import BpmnModdle from 'bpmn-moddle';
+
+export class BpmnXmlImporter {
+  constructor(options = {}) {
+    this.options = {
+      maxElements: 5000,
+      ...options
+    };
+
+    this.logger = options.logger;
+    this.moddle = new BpmnModdle();
+  }
+
+  /**
+   * BPMN XML을 맵 데이터로 변환
+   * 파싱할 수 없거나 다이어그램(DI)이 없는 XML은 오류를 던지며,
+   * 오류에는 code='INVALID_BPMN'과 수집된 warnings가 포함됨
+   * @param {string} xml - BPMN XML
+   * @returns {Promise<Object>} { elements, connections, metadata, warnings, name }
+   */
+  async import(xml) {
+    if (typeof xml !== 'string' || !xml.trim()) {
+      throw this._createError('BPMN XML is empty');
+    }
+
+    let parsed;
+    try {
+      parsed = await this.moddle.fromXML(xml, 'bpmn:Definitions');
+    } catch (error) {
+      throw this._createError(`Failed to parse BPMN XML: ${error.message}`, this._formatWarnings(error.warnings));
+    }
+
+    const definitions = parsed.rootElement;
+    const warnings = this._formatWarnings(parsed.warnings);
+    const planes = (definitions.diagrams || [])
+      .map(diagram => diagram.plane)
+      .filter(plane => plane && plane.planeElement?.length);
+
+    if (planes.length === 0) {
+      throw this._createError('BPMN XML has no diagram interchange (DI) information', warnings);
+    }
+
+    const context = {
+      collaboration: planes[0].bpmnElement?.$instanceOf('bpmn:Collaboration') ? planes[0].bpmnElement : null,
+      elements: {},
+      connections: {},
+      warnings,
+      timestamp: Date.now()
+    };
+
+    const edges = [];
+    for (const plane of planes) {
+      for (const di of plane.planeElement) {
+        if (di.$instanceOf('bpmndi:BPMNEdge')) {
+          edges.push(di);
+        } else if (di.$instanceOf('bpmndi:BPMNShape')) {
+          this._importShape(di, context);
+        }
+      }
+    }
+
+    // 연결은 양 끝 도형이 모두 등록된 뒤 처리
+    for (const di of edges) {
+      this._importEdge(di, context);
+    }
+
+    const total = Object.keys(context.elements).length + Object.keys(context.connections).length;
+    if (total > this.options.maxElements) {
+      throw this._createError(`BPMN XML exceeds the element limit (${total} > ${this.options.maxElements})`, warnings);
+    }
+
+    this._warnMissingDi(definitions, context);
+
+    const rootProcess = this._getRootProcess(definitions, context);
+
+    return {
+      name: rootProcess?.name || context.collaboration?.name || null,
+      elements: context.elements,
+      connections: context.connections,
+      metadata: {
+        importedAt: context.timestamp,
+        definitionsId: definitions.id || null,
+        processId: rootProcess?.id || null,
+        exporter: definitions.exporter || null
+      },
+      warnings
+    };
+  }
+
+  /**
+   * 도형 DI를 요소 데이터로 변환
+   * @private
+   * @param {Object} di - bpmndi:BPMNShape
+   * @param {Object} context - 가져오기 컨텍스트
+   */
+  _importShape(di, context) {
+    const element = di.bpmnElement;
+
+    if (!element) {
+      this._warn(context, `Shape ${di.id} references no BPMN element`, di.id);
+      return;
+    }
+
+    if (!di.bounds) {
+      this._warn(context, `Shape for ${element.id} has no bounds`, element.id);
+      return;
+    }
+
+    if (context.elements[element.id]) {
+      this._warn(context, `Duplicate shape for ${element.id}`, element.id);
+      return;
+    }
+
+    const data = {
+      type: element.$type,
+      x: Math.round(di.bounds.x),
+      y: Math.round(di.bounds.y),
+      width: Math.round(di.bounds.width),
+      height: Math.round(di.bounds.height),
+      businessObject: this._extractBusinessObject(element),
+      parent: this._resolveParentId(element, context),
+      lastModified: context.timestamp
+    };
+
+    if (element.$instanceOf('bpmn:SubProcess')) {
+      data.isExpanded = di.isExpanded !== false;
+    }
+
+    context.elements[element.id] = data;
+  }
+
+  /**
+   * 연결 DI를 연결 데이터로 변환
+   * @private
+   * @param {Object} di - bpmndi:BPMNEdge
+   * @param {Object} context - 가져오기 컨텍스트
+   */
+  _importEdge(di, context) {
+    const element = di.bpmnElement;
+
+    if (!element) {
+      this._warn(context, `Edge ${di.id} references no BPMN element`, di.id);
+      return;
+    }
+
+    const source = element.sourceRef?.id || (Array.isArray(element.sourceRef) && element.sourceRef[0]?.id);
+    const target = element.targetRef?.id;
+
+    if (!context.elements[source] || !context.elements[target]) {
+      this._warn(context, `Connection ${element.id} skipped: source or target is not on the diagram`, element.id);
+      return;
+    }
+
+    context.connections[element.id] = {
+      type: element.$type,
+      source,
+      target,
+      businessObject: this._extractBusinessObject(element),
+      waypoints: (di.waypoint || []).map(point => ({
+        x: Math.round(point.x),
+        y: Math.round(point.y)
+      })),
+      lastModified: context.timestamp
+    };
+  }
+
+  /**
+   * 다이어그램에 그려지지 않아 가져오지 못한 요소 경고
+   * @private
+   * @param {Object} definitions - bpmn:Definitions
+   * @param {Object} context - 가져오기 컨텍스트
+   */
+  _warnMissingDi(definitions, context) {
+    const visit = (container) => {
+      for (const element of [...(container.flowElements || []), ...(container.artifacts || [])]) {
+        const imported = context.elements[element.id] || context.connections[element.id];
+
+        if (!imported && !element.$instanceOf('bpmn:DataObject')) {
+          this._warn(context, `Element ${element.id} has no diagram information and was not imported`, element.id);
+        }
+
+        if (element.$instanceOf('bpmn:FlowElementsContainer')) {
+          visit(element);
+        }
+      }
+    };
+
+    for (const rootElement of definitions.rootElements || []) {
+      if (rootElement.$instanceOf('bpmn:Process')) {
+        visit(rootElement);
+      }
+    }
+  }
+
+  /**
+   * 비즈니스 객체 핵심 속성 추출
+   * 클라이언트가 사용하는 { id, name, $type }에 더해 내보내기 시 복원할 수 있는 속성을 포함
+   * @private
+   * @param {Object} element - moddle 요소
+   * @returns {Object}
+   */
+  _extractBusinessObject(element) {
+    const businessObject = {
+      id: element.id,
+      name: element.name || '',
+      $type: element.$type
+    };
+
+    if (element.documentation?.length) {
+      businessObject.documentation = element.documentation.map(doc => doc.text).join('\n');
+    }
+
+    if (element.text !== undefined && element.$instanceOf('bpmn:TextAnnotation')) {
+      businessObject.text = element.text;
+    }
+
+    if (element.eventDefinitions?.length) {
+      businessObject.eventDefinitions = element.eventDefinitions.map(definition => ({
+        id: definition.id,
+        $type: definition.$type
+      }));
+    }
+
+    if (element.attachedToRef) {
+      businessObject.attachedToRef = element.attachedToRef.id;
+    }
+
+    if (element.processRef) {
+      businessObject.processRef = element.processRef.id;
+    }
+
+    if (element.conditionExpression?.body) {
+      businessObject.conditionExpression = element.conditionExpression.body;
+    }
+
+    return businessObject;
+  }
+
+  /**
+   * bpmn-js 기준 부모 ID 결정
+   * 프로세스 직속 요소는 협업 다이어그램이면 해당 참가자, 아니면 프로세스가 부모
+   * @private
+   * @param {Object} element - moddle 요소
+   * @param {Object} context - 가져오기 컨텍스트
+   * @returns {string|null}
+   */
+  _resolveParentId(element, context) {
+    if (element.$instanceOf('bpmn:Participant')) {
+      return element.$parent?.id || null;
+    }
+
+    // 레인은 laneSet을 거쳐 상위 레인 또는 프로세스에 속함
+    const owner = element.$instanceOf('bpmn:Lane') ? element.$parent?.$parent : element.$parent;
+
+    if (!owner) {
+      return null;
+    }
+
+    if (owner.$instanceOf('bpmn:Process')) {
+      const participant = context.collaboration?.participants?.find(p => p.processRef === owner);
+      return participant ? participant.id : owner.id;
+    }
+
+    return owner.id;
+  }
+
+  /**
+   * 기준 프로세스 조회 (협업이면 첫 참가자의 프로세스)
+   * @private
+   * @param {Object} definitions - bpmn:Definitions
+   * @param {Object} context - 가져오기 컨텍스트
+   * @returns {Object|null} bpmn:Process
+   */
+  _getRootProcess(definitions, context) {
+    if (context.collaboration) {
+      return context.collaboration.participants?.[0]?.processRef || null;
+    }
+
+    return (definitions.rootElements || []).find(element => element.$instanceOf('bpmn:Process')) || null;
+  }
+
+  /**
+   * moddle 경고를 직렬화 가능한 형태로 변환
+   * @private
+   * @param {Array} warnings - moddle 경고 목록
+   * @returns {Array<Object>} { message, elementId }
+   */
+  _formatWarnings(warnings = []) {
+    return warnings.map(warning => ({
+      message: warning.message,
+      elementId: warning.element?.id || null
+    }));
+  }
+
+  /**
+   * 경고 추가
+   * @private
+   * @param {Object} context - 가져오기 컨텍스트
+   * @param {string} message - 경고 메시지
+   * @param {string} elementId - 관련 요소 ID
+   */
+  _warn(context, message, elementId) {
+    context.warnings.push({ message, elementId: elementId || null });
+    this.logger?.warn(`BPMN import: ${message}`);
+  }
+
+  /**
+   * 가져오기 오류 생성
+   * @private
+   * @param {string} message - 오류 메시지
+   * @param {Array<Object>} warnings - 수집된 경고
+   * @returns {Error}
+   */
+  _createError(message, warnings = []) {
+    const error = new Error(message);
+    error.code = 'INVALID_BPMN';
+    error.warnings = warnings;
+    return error;
+  }
+}
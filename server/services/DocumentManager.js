@@ -4,6 +4,12 @@
  */
 
 import * as Y from 'yjs';
+import { FileStorage } from '../storage/FileStorage.js';
+import { BpmnXmlExporter } from './BpmnXmlExporter.js';
+import { BpmnXmlImporter } from './BpmnXmlImporter.js';
+
+// 버전 비교/복원 대상이 되는 Y.Map 이름
+const VERSIONED_MAPS = ['elements', 'connections', 'metadata'];
 
 export class DocumentManager {
   constructor(options = {}) {
@@ -12,12 +18,21 @@ export class DocumentManager {
       documentTimeout: 3600000, // 1시간
       enablePersistence: false,
       persistenceInterval: 30000, // 30초
+      storage: null, // BaseStorage 구현체 (없으면 FileStorage 사용)
+      storagePath: null,
+      compactionThreshold: 100, // 압축 전 누적 업데이트 수
       enableVersioning: true,
       maxVersions: 50,
       ...options
     };
 
     this.logger = options.logger;
+
+    // elements/connections 맵 → BPMN XML 변환기
+    this.xmlExporter = new BpmnXmlExporter({ logger: this.logger });
+
+    // BPMN XML → elements/connections 맵 변환기
+    this.xmlImporter = new BpmnXmlImporter({ logger: this.logger });
     
     // Y.js 문서들
     this.documents = new Map();
@@ -27,9 +42,24 @@ export class DocumentManager {
     
     // 문서 버전 히스토리
     this.versionHistory = new Map();
+
+    // 버전별 인코딩된 상태 캐시 (documentId -> Map<version, Uint8Array>)
+    this.versionStates = new Map();
+
+    // 문서 공유 상태 (UserManager.exportSharing() 결과, 메타데이터와 함께 저장)
+    this.documentSharing = new Map();
     
     // 지속성 타이머
     this.persistenceTimer = null;
+
+    // 문서 저장소
+    this.storage = this.options.enablePersistence ? this._createStorage() : null;
+
+    // 압축 대기 중인 업데이트 수 (문서별)
+    this.pendingUpdates = new Map();
+
+    // 진행 중인 문서 로드 (동시 로드 방지)
+    this.loadingDocuments = new Map();
     
     // 메트릭스
     this.metrics = {
@@ -56,6 +86,8 @@ export class DocumentManager {
       
       // 지속성 활성화
       if (this.options.enablePersistence) {
+        await this.storage.initialize();
+        await this._loadStoredMetadata();
         this._startPersistenceTimer();
       }
       
@@ -72,14 +104,21 @@ export class DocumentManager {
    * 새 문서 생성
    * @param {string} name - 문서 이름
    * @param {Object} initialData - 초기 데이터
+   * @param {Object} options - 생성 옵션
+   * @param {string} [options.documentId] - 사용할 문서 ID (없으면 자동 생성)
+   * @param {string} [options.author] - 초기 버전 작성자
    * @returns {Object} 생성된 문서 정보
    */
-  async createDocument(name, initialData = null) {
+  async createDocument(name, initialData = null, options = {}) {
     if (this.documents.size >= this.options.maxDocuments) {
       throw new Error('Maximum number of documents reached');
     }
 
-    const documentId = this._generateDocumentId();
+    const documentId = options.documentId || this._generateDocumentId();
+
+    if (this.documentMetadata.has(documentId)) {
+      throw new Error(`Document already exists: ${documentId}`);
+    }
     
     // Y.js 문서 생성
     const yjsDoc = new Y.Doc();
@@ -107,18 +146,21 @@ export class DocumentManager {
     this.documents.set(documentId, yjsDoc);
     this.documentMetadata.set(documentId, metadata);
     
+    // Y.js 이벤트 리스너 설정
+    this._setupDocumentListeners(documentId, yjsDoc);
+
     // 버전 히스토리 초기화
     if (this.options.enableVersioning) {
-      this.versionHistory.set(documentId, [{
-        version: 1,
-        timestamp: Date.now(),
-        size: 0,
-        description: 'Initial version'
-      }]);
+      await this._createVersion(documentId, {
+        description: 'Initial version',
+        author: options.author
+      }, 1);
     }
 
-    // Y.js 이벤트 리스너 설정
-    this._setupDocumentListeners(documentId, yjsDoc);
+    // 초기 상태 저장
+    if (this.options.enablePersistence) {
+      await this._persistDocument(documentId, yjsDoc);
+    }
 
     this.metrics.totalDocuments++;
     this.metrics.activeDocuments++;
@@ -132,13 +174,43 @@ export class DocumentManager {
     };
   }
 
+  /**
+   * BPMN XML을 가져와 새 문서 생성
+   * XML을 클라이언트가 관찰하는 elements/connections 맵으로 변환하여 문서를 채움
+   * (유효하지 않은 XML이면 code='INVALID_BPMN' 오류)
+   * @param {string} name - 문서 이름 (없으면 프로세스 이름 사용)
+   * @param {string} xml - BPMN XML
+   * @param {Object} options - 생성 옵션 (createDocument와 동일)
+   * @returns {Promise<Object>} { document, warnings, statistics }
+   */
+  async importDocument(name, xml, options = {}) {
+    const imported = await this.xmlImporter.import(xml);
+
+    const document = await this.createDocument(name || imported.name, {
+      elements: imported.elements,
+      connections: imported.connections,
+      metadata: imported.metadata
+    }, options);
+
+    this.logger.info(`Document imported: ${document.id} (${imported.warnings.length} warnings)`);
+
+    return {
+      document,
+      warnings: imported.warnings,
+      statistics: {
+        elements: Object.keys(imported.elements).length,
+        connections: Object.keys(imported.connections).length
+      }
+    };
+  }
+
   /**
    * 문서 조회
    * @param {string} documentId - 문서 ID
    * @returns {Object|null} 문서 정보
    */
   async getDocument(documentId) {
-    const yjsDoc = this.documents.get(documentId);
+    const yjsDoc = await this.getYjsDocument(documentId);
     const metadata = this.documentMetadata.get(documentId);
     
     if (!yjsDoc || !metadata) {
@@ -159,11 +231,22 @@ export class DocumentManager {
 
   /**
    * Y.js 문서 직접 조회 (WebSocket용)
+   * 메모리에 없으면 저장소에서 로드
    * @param {string} documentId - 문서 ID
-   * @returns {Y.Doc|null} Y.js 문서
+   * @returns {Promise<Y.Doc|null>} Y.js 문서
    */
-  getYjsDocument(documentId) {
-    return this.documents.get(documentId) || null;
+  async getYjsDocument(documentId) {
+    const yjsDoc = this.documents.get(documentId);
+
+    if (yjsDoc) {
+      return yjsDoc;
+    }
+
+    if (!this.options.enablePersistence) {
+      return null;
+    }
+
+    return this._loadDocument(documentId);
   }
 
   /**
@@ -204,7 +287,7 @@ export class DocumentManager {
    */
   async updateDocument(documentId, updates) {
     const metadata = this.documentMetadata.get(documentId);
-    const yjsDoc = this.documents.get(documentId);
+    const yjsDoc = await this.getYjsDocument(documentId);
     
     if (!metadata || !yjsDoc) {
       throw new Error('Document not found');
@@ -220,7 +303,11 @@ export class DocumentManager {
 
     // 버전 생성 (중요한 변경사항인 경우)
     if (this.options.enableVersioning && updates.createVersion) {
-      this._createVersion(documentId, updates.versionDescription);
+      await this._createVersion(documentId, { description: updates.versionDescription });
+    }
+
+    if (this.options.enablePersistence) {
+      await this._saveMetadata(documentId);
     }
 
     this.logger.debug(`Document updated: ${documentId}`);
@@ -234,19 +321,28 @@ export class DocumentManager {
     const yjsDoc = this.documents.get(documentId);
     const metadata = this.documentMetadata.get(documentId);
     
-    if (!yjsDoc || !metadata) {
+    if (!metadata) {
       throw new Error('Document not found');
     }
 
-    // Y.js 문서 정리
-    yjsDoc.destroy();
+    // Y.js 문서 정리 (로드되지 않은 저장 문서는 메모리에 없음)
+    if (yjsDoc) {
+      yjsDoc.destroy();
+    }
     
     // 데이터 제거
     this.documents.delete(documentId);
     this.documentMetadata.delete(documentId);
+    this.pendingUpdates.delete(documentId);
+    this.documentSharing.delete(documentId);
     
     if (this.options.enableVersioning) {
       this.versionHistory.delete(documentId);
+      this.versionStates.delete(documentId);
+    }
+
+    if (this.options.enablePersistence) {
+      await this.storage.deleteDocument(documentId);
     }
 
     this.metrics.activeDocuments--;
@@ -254,6 +350,287 @@ export class DocumentManager {
     this.logger.info(`Document deleted: ${documentId}`);
   }
 
+  /**
+   * 문서를 메모리에서 내림 (저장 후 Y.js 문서 정리, 메타데이터는 유지되어 다음 조회 시 다시 로드)
+   * 지속성이 비활성화되어 있으면 내용이 사라지므로 내리지 않음
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<boolean>} 내림 여부
+   */
+  async unloadDocument(documentId) {
+    const yjsDoc = this.documents.get(documentId);
+
+    if (!yjsDoc || !this.options.enablePersistence) {
+      return false;
+    }
+
+    await this._persistDocument(documentId, yjsDoc);
+
+    // 저장 중 삭제/재로드된 경우
+    if (this.documents.get(documentId) !== yjsDoc) {
+      return false;
+    }
+
+    this.documents.delete(documentId);
+    this.pendingUpdates.delete(documentId);
+    this.versionStates.delete(documentId);
+    yjsDoc.destroy();
+
+    this.metrics.activeDocuments = Math.max(this.metrics.activeDocuments - 1, 0);
+    this.logger.info(`Document unloaded: ${documentId}`);
+
+    return true;
+  }
+
+  /**
+   * 문서가 메모리에 로드되어 있는지 확인
+   * @param {string} documentId - 문서 ID
+   * @returns {boolean}
+   */
+  isDocumentLoaded(documentId) {
+    return this.documents.has(documentId);
+  }
+
+  /**
+   * 이름 있는 버전 생성 (현재 상태 스냅샷)
+   * @param {string} documentId - 문서 ID
+   * @param {Object} options - 버전 옵션
+   * @param {string} [options.name] - 버전 이름
+   * @param {string} [options.description] - 버전 설명
+   * @param {string} [options.author] - 작성자
+   * @returns {Promise<Object>} 생성된 버전 정보
+   */
+  async createVersion(documentId, options = {}) {
+    this._assertVersioningEnabled();
+
+    const yjsDoc = await this.getYjsDocument(documentId);
+
+    if (!yjsDoc || !this.documentMetadata.has(documentId)) {
+      throw new Error('Document not found');
+    }
+
+    const version = await this._createVersion(documentId, options);
+
+    if (this.options.enablePersistence) {
+      await this._saveMetadata(documentId);
+    }
+
+    return version;
+  }
+
+  /**
+   * 버전 목록 조회
+   * @param {string} documentId - 문서 ID
+   * @returns {Array|null} 버전 목록 (문서가 없으면 null)
+   */
+  getVersions(documentId) {
+    this._assertVersioningEnabled();
+
+    if (!this.documentMetadata.has(documentId)) {
+      return null;
+    }
+
+    return [...(this.versionHistory.get(documentId) || [])];
+  }
+
+  /**
+   * 저장된 문서 공유 상태 조회
+   * @param {string} documentId - 문서 ID
+   * @returns {Object|null} { shares, invites } (문서가 없으면 null)
+   */
+  getSharing(documentId) {
+    if (!this.documentMetadata.has(documentId)) {
+      return null;
+    }
+
+    return this.documentSharing.get(documentId) || { shares: [], invites: [] };
+  }
+
+  /**
+   * 문서 공유 상태 저장
+   * @param {string} documentId - 문서 ID
+   * @param {Object} sharing - { shares, invites }
+   */
+  async saveSharing(documentId, sharing) {
+    if (!this.documentMetadata.has(documentId)) {
+      throw new Error('Document not found');
+    }
+
+    this.documentSharing.set(documentId, sharing);
+
+    if (this.options.enablePersistence) {
+      await this._saveMetadata(documentId);
+    }
+  }
+
+  /**
+   * 특정 버전 조회
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @returns {Promise<Object|null>} 버전 정보와 해당 시점의 문서 내용
+   */
+  async getVersion(documentId, version) {
+    this._assertVersioningEnabled();
+
+    const entry = this._findVersion(documentId, version);
+
+    if (!entry) {
+      return null;
+    }
+
+    const versionDoc = await this._loadVersionDocument(documentId, entry.version);
+
+    if (!versionDoc) {
+      return null;
+    }
+
+    try {
+      return {
+        ...entry,
+        content: this._extractDocumentContent(versionDoc)
+      };
+    } finally {
+      versionDoc.destroy();
+    }
+  }
+
+  /**
+   * 특정 버전의 BPMN XML 조회
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @returns {Promise<string|null>} BPMN XML (없으면 null)
+   */
+  async getVersionXml(documentId, version) {
+    const versionInfo = await this.getVersion(documentId, version);
+
+    if (!versionInfo) {
+      return null;
+    }
+
+    return this._materializeXml(documentId, versionInfo.content);
+  }
+
+  /**
+   * 현재 문서의 BPMN XML 내보내기
+   * elements/connections 맵으로부터 XML(DI 포함)을 생성 (맵이 비어 있으면 공유 BPMN 텍스트)
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<string|null>} BPMN XML (문서가 없으면 null)
+   */
+  async exportDocumentXml(documentId) {
+    const yjsDoc = await this.getYjsDocument(documentId);
+
+    if (!yjsDoc) {
+      return null;
+    }
+
+    return this._materializeXml(documentId, this._extractDocumentContent(yjsDoc));
+  }
+
+  /**
+   * 두 버전 비교
+   * @param {string} documentId - 문서 ID
+   * @param {number} fromVersion - 기준 버전
+   * @param {number|string} toVersion - 비교 버전 ('current'이면 현재 문서 상태)
+   * @returns {Promise<Object|null>} 맵별 추가/수정/삭제 목록
+   */
+  async diffVersions(documentId, fromVersion, toVersion = 'current') {
+    const from = await this.getVersion(documentId, fromVersion);
+
+    if (!from) {
+      return null;
+    }
+
+    let to;
+    if (toVersion === 'current') {
+      const yjsDoc = await this.getYjsDocument(documentId);
+      to = yjsDoc ? { version: 'current', content: this._extractDocumentContent(yjsDoc) } : null;
+    } else {
+      to = await this.getVersion(documentId, toVersion);
+    }
+
+    if (!to) {
+      return null;
+    }
+
+    const diff = {
+      from: from.version,
+      to: to.version,
+      bpmnChanged: (from.content.bpmn || '') !== (to.content.bpmn || '')
+    };
+
+    for (const mapName of VERSIONED_MAPS) {
+      diff[mapName] = this._diffMaps(from.content[mapName] || {}, to.content[mapName] || {});
+    }
+
+    return diff;
+  }
+
+  /**
+   * 문서를 이전 버전으로 복원
+   * 복원 직전 상태를 새 버전으로 남겨 복원 자체도 되돌릴 수 있게 함
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 복원할 버전 번호
+   * @param {Object} options - 복원 옵션
+   * @param {string} [options.author] - 복원 요청자
+   * @returns {Promise<Object>} 복원 결과
+   */
+  async restoreVersion(documentId, version, options = {}) {
+    this._assertVersioningEnabled();
+
+    const yjsDoc = await this.getYjsDocument(documentId);
+    const entry = this._findVersion(documentId, version);
+
+    if (!yjsDoc || !entry) {
+      throw new Error('Version not found');
+    }
+
+    const versionDoc = await this._loadVersionDocument(documentId, entry.version);
+
+    if (!versionDoc) {
+      throw new Error('Version not found');
+    }
+
+    let content;
+    try {
+      content = this._extractDocumentContent(versionDoc);
+    } finally {
+      versionDoc.destroy();
+    }
+
+    const backup = await this._createVersion(documentId, {
+      description: `Before restoring version ${entry.version}`,
+      author: options.author
+    });
+
+    // 연결된 클라이언트에 변경이 전파되도록 현재 문서에 차이만 적용
+    yjsDoc.transact(() => {
+      for (const mapName of VERSIONED_MAPS) {
+        this._replaceMapContent(yjsDoc.getMap(mapName), content[mapName] || {});
+      }
+
+      const bpmnText = yjsDoc.getText('bpmn');
+      const bpmn = content.bpmn || '';
+      if (bpmnText.toString() !== bpmn) {
+        bpmnText.delete(0, bpmnText.length);
+        bpmnText.insert(0, bpmn);
+      }
+    }, 'restore');
+
+    const metadata = this.documentMetadata.get(documentId);
+    metadata.updatedAt = Date.now();
+
+    if (this.options.enablePersistence) {
+      await this._saveMetadata(documentId);
+    }
+
+    this.logger.info(`Document ${documentId} restored to version ${entry.version}`);
+
+    return {
+      id: documentId,
+      restoredVersion: entry.version,
+      backupVersion: backup.version
+    };
+  }
+
   /**
    * 문서 크기 계산
    * @param {string} documentId - 문서 ID
@@ -303,9 +680,11 @@ export class DocumentManager {
     return {
       ...this.metrics,
       activeDocuments: this.documents.size,
+      storedDocuments: this.documentMetadata.size,
       totalVersions,
       storageSize: totalSize,
-      averageDocumentSize: this.documents.size > 0 ? totalSize / this.documents.size : 0
+      averageDocumentSize: this.documents.size > 0 ? totalSize / this.documents.size : 0,
+      storage: this.storage ? this.storage.getStatistics() : null
     };
   }
 
@@ -329,6 +708,14 @@ export class DocumentManager {
         yMap.set(key, value);
       }
     }
+
+    if (initialData.connections) {
+      // 연결 데이터
+      const yMap = yjsDoc.getMap('connections');
+      for (const [key, value] of Object.entries(initialData.connections)) {
+        yMap.set(key, value);
+      }
+    }
     
     if (initialData.metadata) {
       // 메타데이터
@@ -359,6 +746,11 @@ export class DocumentManager {
         }
       }
 
+      // 증분 업데이트 저장 (저장소에서 로드한 업데이트는 제외)
+      if (this.options.enablePersistence && origin !== 'persistence') {
+        this._storeUpdate(documentId, update);
+      }
+
       this.logger.debug(`Document ${documentId} updated, size: ${metadata?.size || 0} bytes`);
     });
 
@@ -388,6 +780,12 @@ export class DocumentManager {
     if (elementsMap.size > 0) {
       content.elements = elementsMap.toJSON();
     }
+
+    // 연결 데이터
+    const connectionsMap = yjsDoc.getMap('connections');
+    if (connectionsMap.size > 0) {
+      content.connections = connectionsMap.toJSON();
+    }
     
     // 메타데이터
     const metadataMap = yjsDoc.getMap('metadata');
@@ -398,38 +796,233 @@ export class DocumentManager {
     return content;
   }
 
+  /**
+   * 문서 내용을 BPMN XML로 변환
+   * 편집은 elements/connections 맵에 기록되므로 맵에 항목이 있으면 맵으로 생성하고,
+   * 맵이 비어 있을 때만 기존 BPMN 텍스트 사용
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {Object} content - 문서 내용
+   * @returns {Promise<string|null>} BPMN XML (요소가 없으면 null)
+   */
+  async _materializeXml(documentId, content) {
+    const hasMapEntries = [content.elements, content.connections]
+      .some(map => map && Object.keys(map).length > 0);
+
+    if (!hasMapEntries) {
+      return content.bpmn || null;
+    }
+
+    return this.xmlExporter.export(content, {
+      documentId,
+      name: this.documentMetadata.get(documentId)?.name
+    });
+  }
+
   /**
    * 버전 생성
+   * 현재 문서 상태를 인코딩하여 함께 보관
    * @private
    * @param {string} documentId - 문서 ID
-   * @param {string} description - 버전 설명
+   * @param {Object} options - 버전 옵션 (name, description, author)
+   * @param {number} [versionNumber] - 버전 번호 (기본값: 마지막 버전 + 1)
+   * @returns {Promise<Object|null>} 생성된 버전 정보
    */
-  _createVersion(documentId, description = '') {
+  async _createVersion(documentId, options = {}, versionNumber = null) {
     const metadata = this.documentMetadata.get(documentId);
+    const yjsDoc = this.documents.get(documentId);
     const versions = this.versionHistory.get(documentId) || [];
     
-    if (!metadata) {
-      return;
+    if (!metadata || !yjsDoc) {
+      return null;
     }
 
+    const version = versionNumber || metadata.version + 1;
+    const state = Y.encodeStateAsUpdate(yjsDoc);
+
     const newVersion = {
-      version: metadata.version + 1,
+      version,
       timestamp: Date.now(),
-      size: this.getDocumentSize(documentId),
-      description: description || `Version ${metadata.version + 1}`
+      size: state.length,
+      name: options.name || null,
+      description: options.description || `Version ${version}`,
+      author: options.author || null,
+      elementCount: yjsDoc.getMap('elements').size
     };
 
     versions.push(newVersion);
-    metadata.version = newVersion.version;
+    metadata.version = version;
+
+    this._getVersionStates(documentId).set(version, state);
+
+    if (this.options.enablePersistence) {
+      await this.storage.saveVersion(documentId, version, state);
+    }
 
     // 최대 버전 수 제한
-    if (versions.length > this.options.maxVersions) {
-      versions.shift();
+    while (versions.length > this.options.maxVersions) {
+      const removed = versions.shift();
+      this._getVersionStates(documentId).delete(removed.version);
+
+      if (this.options.enablePersistence) {
+        await this.storage.deleteVersion(documentId, removed.version);
+      }
     }
 
     this.versionHistory.set(documentId, versions);
     
-    this.logger.debug(`Version created for document ${documentId}: v${newVersion.version}`);
+    this.logger.debug(`Version created for document ${documentId}: v${version}`);
+
+    return newVersion;
+  }
+
+  /**
+   * 버전 정보 검색
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @returns {Object|null} 버전 정보
+   */
+  _findVersion(documentId, version) {
+    const versions = this.versionHistory.get(documentId) || [];
+
+    return versions.find(entry => entry.version === Number(version)) || null;
+  }
+
+  /**
+   * 문서별 버전 상태 캐시 조회
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @returns {Map<number, Uint8Array>} 버전 상태 캐시
+   */
+  _getVersionStates(documentId) {
+    if (!this.versionStates.has(documentId)) {
+      this.versionStates.set(documentId, new Map());
+    }
+
+    return this.versionStates.get(documentId);
+  }
+
+  /**
+   * 버전 상태로 임시 Y.js 문서 생성
+   * 호출자가 사용 후 destroy() 해야 함
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @returns {Promise<Y.Doc|null>} 해당 버전의 Y.js 문서
+   */
+  async _loadVersionDocument(documentId, version) {
+    const states = this._getVersionStates(documentId);
+    let state = states.get(version);
+
+    if (!state && this.options.enablePersistence) {
+      state = await this.storage.getVersion(documentId, version);
+
+      if (state) {
+        states.set(version, state);
+      }
+    }
+
+    if (!state) {
+      return null;
+    }
+
+    const versionDoc = new Y.Doc();
+    Y.applyUpdate(versionDoc, state);
+
+    return versionDoc;
+  }
+
+  /**
+   * 버전 기능 활성화 확인
+   * @private
+   */
+  _assertVersioningEnabled() {
+    if (!this.options.enableVersioning) {
+      throw new Error('Versioning is disabled');
+    }
+  }
+
+  /**
+   * 두 맵 내용 비교
+   * @private
+   * @param {Object} fromEntries - 기준 내용
+   * @param {Object} toEntries - 비교 내용
+   * @returns {Object} 추가/수정/삭제된 키 목록
+   */
+  _diffMaps(fromEntries, toEntries) {
+    const added = [];
+    const modified = [];
+    const removed = [];
+
+    for (const [key, value] of Object.entries(toEntries)) {
+      if (!(key in fromEntries)) {
+        added.push(key);
+      } else if (!this._isEqualValue(fromEntries[key], value)) {
+        modified.push(key);
+      }
+    }
+
+    for (const key of Object.keys(fromEntries)) {
+      if (!(key in toEntries)) {
+        removed.push(key);
+      }
+    }
+
+    return { added, modified, removed };
+  }
+
+  /**
+   * Y.Map 내용을 주어진 값으로 교체 (변경된 키만 갱신)
+   * @private
+   * @param {Y.Map} yMap - 대상 맵
+   * @param {Object} entries - 복원할 내용
+   */
+  _replaceMapContent(yMap, entries) {
+    for (const key of Array.from(yMap.keys())) {
+      if (!(key in entries)) {
+        yMap.delete(key);
+      }
+    }
+
+    for (const [key, value] of Object.entries(entries)) {
+      const current = yMap.get(key);
+      const currentValue = current && typeof current.toJSON === 'function' ? current.toJSON() : current;
+
+      if (!yMap.has(key) || !this._isEqualValue(currentValue, value)) {
+        yMap.set(key, value);
+      }
+    }
+  }
+
+  /**
+   * JSON 값 깊은 비교
+   * @private
+   * @param {any} a - 값 A
+   * @param {any} b - 값 B
+   * @returns {boolean} 동일 여부
+   */
+  _isEqualValue(a, b) {
+    if (a === b) {
+      return true;
+    }
+
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+      return false;
+    }
+
+    if (Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+
+    if (keysA.length !== keysB.length) {
+      return false;
+    }
+
+    return keysA.every(key => key in b && this._isEqualValue(a[key], b[key]));
   }
 
   /**
@@ -453,10 +1046,8 @@ export class DocumentManager {
       let persistedCount = 0;
       
       for (const [documentId, yjsDoc] of this.documents.entries()) {
-        const metadata = this.documentMetadata.get(documentId);
-        
-        // 최근에 수정된 문서만 저장
-        if (metadata && Date.now() - metadata.updatedAt < this.options.persistenceInterval * 2) {
+        // 압축되지 않은 업데이트가 있는 문서만 저장
+        if (this.pendingUpdates.get(documentId) > 0) {
           await this._persistDocument(documentId, yjsDoc);
           persistedCount++;
         }
@@ -474,15 +1065,159 @@ export class DocumentManager {
 
   /**
    * 개별 문서 저장
+   * 누적된 업데이트를 전체 상태로 압축하고 메타데이터를 기록
    * @private
    * @param {string} documentId - 문서 ID
    * @param {Y.Doc} yjsDoc - Y.js 문서
    */
   async _persistDocument(documentId, yjsDoc) {
-    // 실제 구현에서는 데이터베이스나 파일 시스템에 저장
-    // 여기서는 로깅만 수행
-    const size = this.getDocumentSize(documentId);
-    this.logger.debug(`Persisting document ${documentId} (${size} bytes)`);
+    const state = Y.encodeStateAsUpdate(yjsDoc);
+
+    this.pendingUpdates.set(documentId, 0);
+    await this.storage.compact(documentId, state);
+    await this._saveMetadata(documentId);
+
+    this.logger.debug(`Persisted document ${documentId} (${state.length} bytes)`);
+  }
+
+  /**
+   * 증분 업데이트 저장
+   * 누적 업데이트가 임계값을 넘으면 압축
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {Uint8Array} update - Y.js 업데이트
+   */
+  _storeUpdate(documentId, update) {
+    this.pendingUpdates.set(documentId, (this.pendingUpdates.get(documentId) || 0) + 1);
+
+    this.storage.storeUpdate(documentId, update)
+      .then((updateCount) => {
+        const yjsDoc = this.documents.get(documentId);
+
+        if (yjsDoc && updateCount >= this.options.compactionThreshold) {
+          return this._persistDocument(documentId, yjsDoc);
+        }
+      })
+      .catch((error) => {
+        this.logger.error(`Failed to store update for document ${documentId}:`, error);
+      });
+  }
+
+  /**
+   * 메타데이터 저장
+   * @private
+   * @param {string} documentId - 문서 ID
+   */
+  async _saveMetadata(documentId) {
+    const metadata = this.documentMetadata.get(documentId);
+
+    if (!metadata) {
+      return;
+    }
+
+    await this.storage.saveMetadata(documentId, {
+      ...metadata,
+      versions: this.versionHistory.get(documentId) || [],
+      sharing: this.documentSharing.get(documentId) || null
+    });
+  }
+
+  /**
+   * 저장된 문서 메타데이터 로드
+   * 문서 내용은 처음 조회될 때 로드
+   * @private
+   */
+  async _loadStoredMetadata() {
+    const documentIds = await this.storage.listDocuments();
+
+    for (const documentId of documentIds) {
+      try {
+        const stored = await this.storage.getMetadata(documentId);
+
+        if (!stored) {
+          continue;
+        }
+
+        const { versions, sharing, ...metadata } = stored;
+
+        this.documentMetadata.set(documentId, {
+          ...metadata,
+          activeUsers: 0
+        });
+
+        if (this.options.enableVersioning) {
+          this.versionHistory.set(documentId, versions || []);
+        }
+
+        if (sharing) {
+          this.documentSharing.set(documentId, sharing);
+        }
+      } catch (error) {
+        this.logger.error(`Failed to load metadata for document ${documentId}:`, error);
+      }
+    }
+
+    this.metrics.totalDocuments = this.documentMetadata.size;
+    this.logger.info(`Loaded ${this.documentMetadata.size} stored documents`);
+  }
+
+  /**
+   * 저장소에서 문서 로드
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<Y.Doc|null>} 로드된 Y.js 문서
+   */
+  async _loadDocument(documentId) {
+    if (this.loadingDocuments.has(documentId)) {
+      return this.loadingDocuments.get(documentId);
+    }
+
+    const loading = (async () => {
+      if (!this.documentMetadata.has(documentId)) {
+        return null;
+      }
+
+      const updates = await this.storage.getUpdates(documentId);
+      const yjsDoc = new Y.Doc();
+
+      // 'persistence' origin으로 적용하여 다시 저장되지 않도록 함
+      yjsDoc.transact(() => {
+        updates.forEach(update => Y.applyUpdate(yjsDoc, update));
+      }, 'persistence');
+
+      this.documents.set(documentId, yjsDoc);
+      this.pendingUpdates.set(documentId, Math.max(updates.length - 1, 0));
+      this._setupDocumentListeners(documentId, yjsDoc);
+
+      this.metrics.activeDocuments++;
+      this.logger.info(`Document loaded from storage: ${documentId} (${updates.length} updates)`);
+
+      return yjsDoc;
+    })();
+
+    this.loadingDocuments.set(documentId, loading);
+
+    try {
+      return await loading;
+    } finally {
+      this.loadingDocuments.delete(documentId);
+    }
+  }
+
+  /**
+   * 저장소 생성
+   * @private
+   * @returns {BaseStorage} 문서 저장소
+   */
+  _createStorage() {
+    if (this.options.storage) {
+      return this.options.storage;
+    }
+
+    return new FileStorage({
+      ...(this.options.storagePath ? { basePath: this.options.storagePath } : {}),
+      logger: this.logger
+    });
   }
 
   /**
@@ -513,6 +1248,7 @@ export class DocumentManager {
     // 최종 저장
     if (this.options.enablePersistence) {
       await this._persistDocuments();
+      await this.storage.destroy();
     }
 
     // 모든 Y.js 문서 정리
@@ -524,6 +1260,9 @@ export class DocumentManager {
     this.documents.clear();
     this.documentMetadata.clear();
     this.versionHistory.clear();
+    this.versionStates.clear();
+    this.documentSharing.clear();
+    this.pendingUpdates.clear();
 
     this.isInitialized = false;
     this.logger.info('DocumentManager destroyed');
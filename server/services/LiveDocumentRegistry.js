@@ -0,0 +1,195 @@
+/**
+ * 라이브 Y.js 문서 레지스트리
+ * 연결 중인 문서를 DocumentManager에서 로드해 awareness와 함께 메모리에 유지하고
+ * 연결이 모두 끊긴 문서는 유예 시간 후 저장한 뒤 내림
+ * - 내리는 중에 다시 연결되면 저장이 끝난 뒤 저장소에서 다시 로드
+ */
+
+import * as awarenessProtocol from 'y-protocols/awareness.js';
+
+export class LiveDocumentRegistry {
+  constructor(options = {}) {
+    this.options = {
+      idleTimeout: 30000, // 연결이 모두 끊긴 문서를 내리기까지의 유예 시간
+      ...options
+    };
+
+    this.documentManager = options.documentManager;
+    this.logger = options.logger;
+
+    // 연결 중인 문서 (docname -> { doc, awareness, connections, loadedAt, lastActivity, unloadTimer, activityHandler })
+    this.documents = new Map();
+
+    // 로드/내리기 진행 중인 문서 (동시 생성 및 내리는 중인 문서 사용 방지)
+    this.loading = new Map();
+    this.unloading = new Map();
+  }
+
+  /**
+   * 라이브 문서 가져오기 (메모리에 없으면 저장소에서 로드, 저장소에도 없으면 생성)
+   * 로드 후 연결이 생기지 않으면 유휴 문서와 같이 내림
+   * @param {string} docname - 문서 이름
+   * @returns {Promise<Object>} 라이브 문서 항목
+   */
+  async get(docname) {
+    if (this.documents.has(docname)) {
+      return this.documents.get(docname);
+    }
+
+    if (!this.loading.has(docname)) {
+      const loading = this._load(docname);
+      this.loading.set(docname, loading);
+      loading.finally(() => this.loading.delete(docname)).catch(() => {});
+    }
+
+    return this.loading.get(docname);
+  }
+
+  /**
+   * 연결 수 변경 (0이 되면 유예 시간 후 내리기 예약, 다시 연결되면 취소)
+   * @param {string} docname - 문서 이름
+   * @param {Object} entry - 라이브 문서 항목
+   * @param {number} delta - 연결 수 변화량
+   */
+  updateConnections(docname, entry, delta) {
+    entry.connections += delta;
+    entry.lastActivity = Date.now();
+    this.documentManager.updateActiveUsers(docname, entry.connections);
+
+    if (entry.unloadTimer) {
+      clearTimeout(entry.unloadTimer);
+      entry.unloadTimer = null;
+    }
+
+    if (entry.connections === 0) {
+      this._scheduleUnload(docname, entry);
+    }
+  }
+
+  /**
+   * 연결이 없는 문서를 저장 후 메모리에서 내림
+   * @param {string} docname - 문서 이름
+   * @returns {Promise<boolean>} 내림 여부 (지속성이 꺼져 있으면 DocumentManager가 유지)
+   */
+  async unload(docname) {
+    const entry = this.documents.get(docname);
+    if (!entry || entry.connections > 0) {
+      return false;
+    }
+
+    clearTimeout(entry.unloadTimer);
+    this.documents.delete(docname);
+    entry.doc.off('update', entry.activityHandler);
+    entry.awareness.destroy();
+
+    const unloading = this.documentManager.unloadDocument(docname);
+    this.unloading.set(docname, unloading.catch(() => {}));
+
+    try {
+      const unloaded = await unloading;
+      this.logger?.info(unloaded
+        ? `유휴 Y.js 문서를 내림: ${docname}`
+        : `지속성이 비활성화되어 Y.js 문서를 메모리에 유지: ${docname}`);
+      return unloaded;
+    } finally {
+      this.unloading.delete(docname);
+    }
+  }
+
+  /**
+   * 라이브 문서 정보 (REST 응답용)
+   * @param {string} docname - 문서 이름
+   * @returns {Object|null} 로드되지 않았으면 null
+   */
+  describe(docname) {
+    const entry = this.documents.get(docname);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      id: docname,
+      connections: entry.connections,
+      awarenessStates: entry.awareness.getStates().size,
+      size: this.documentManager.getDocumentSize(docname),
+      loadedAt: entry.loadedAt,
+      lastActivity: entry.lastActivity,
+      idleSince: entry.connections === 0 ? entry.lastActivity : null
+    };
+  }
+
+  /**
+   * 라이브 문서 목록 (연결 수, 최근 활동 순)
+   * @returns {Object} { documents, totalConnections }
+   */
+  list() {
+    const documents = Array.from(this.documents.keys())
+      .map(docname => this.describe(docname))
+      .sort((a, b) => b.connections - a.connections || b.lastActivity - a.lastActivity);
+
+    return {
+      documents,
+      totalConnections: documents.reduce((sum, document) => sum + document.connections, 0)
+    };
+  }
+
+  /**
+   * 정리 (예약된 내리기 취소, 문서 저장은 DocumentManager.destroy()가 담당)
+   */
+  destroy() {
+    this.documents.forEach(entry => {
+      clearTimeout(entry.unloadTimer);
+      entry.doc.off('update', entry.activityHandler);
+      entry.awareness.destroy();
+    });
+    this.documents.clear();
+  }
+
+  /**
+   * 저장소에서 문서 로드 (내리는 중이면 저장이 끝날 때까지 대기)
+   * @private
+   * @param {string} docname - 문서 이름
+   * @returns {Promise<Object>} 라이브 문서 항목
+   */
+  async _load(docname) {
+    await this.unloading.get(docname);
+
+    let doc = await this.documentManager.getYjsDocument(docname);
+    if (!doc) {
+      await this.documentManager.createDocument(`Document ${docname}`, null, { documentId: docname });
+      doc = await this.documentManager.getYjsDocument(docname);
+      this.logger?.info(`새 Y.js 문서 생성: ${docname}`);
+    }
+
+    const entry = {
+      doc,
+      awareness: new awarenessProtocol.Awareness(doc),
+      connections: 0,
+      loadedAt: Date.now(),
+      lastActivity: Date.now(),
+      unloadTimer: null,
+      activityHandler: () => {
+        entry.lastActivity = Date.now();
+      }
+    };
+    // 서버 자신의 awareness 상태는 게시하지 않음
+    entry.awareness.setLocalState(null);
+    doc.on('update', entry.activityHandler);
+
+    this.documents.set(docname, entry);
+    this._scheduleUnload(docname, entry);
+    return entry;
+  }
+
+  /**
+   * 유예 시간 후 내리기 예약
+   * @private
+   * @param {string} docname - 문서 이름
+   * @param {Object} entry - 라이브 문서 항목
+   */
+  _scheduleUnload(docname, entry) {
+    entry.unloadTimer = setTimeout(() => {
+      this.unload(docname).catch(error => this.logger?.error(`문서 내리기 실패: ${docname}`, error));
+    }, this.options.idleTimeout);
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * 문서별 작업 로그
+ * JSON 프로토콜 모델 변경에 문서별 순번(sequence)을 매겨 순서대로 보관하고
+ * 늦게 참가하거나 재연결한 클라이언트에 마지막으로 받은 순번 이후의 작업을 제공
+ * - 보관 범위를 벗어났거나 따라잡을 작업이 너무 많으면 스냅샷으로 대체
+ */
+
+export class OperationLog {
+  constructor(options = {}) {
+    this.options = {
+      maxOperations: 1000, // 문서별 보관 작업 수
+      maxCatchUp: 500, // 작업 재전송으로 따라잡을 최대 작업 수 (초과 시 스냅샷)
+      ...options
+    };
+
+    this.logger = options.logger;
+
+    // 문서별 로그 (documentId -> { sequence, operations: [{ sequence, message, timestamp }] })
+    this.logs = new Map();
+
+    // 문서별 최신 스냅샷 (documentId -> { sequence, modelState, timestamp })
+    this.snapshots = new Map();
+  }
+
+  /**
+   * 작업 추가 (순번 부여)
+   * @param {string} documentId - 문서 ID
+   * @param {Object} message - 모델 변경 메시지
+   * @returns {number} 부여한 순번
+   */
+  append(documentId, message) {
+    const log = this._getLog(documentId);
+    const sequence = ++log.sequence;
+
+    log.operations.push({ sequence, message: { ...message, sequence }, timestamp: Date.now() });
+
+    if (log.operations.length > this.options.maxOperations) {
+      log.operations.splice(0, log.operations.length - this.options.maxOperations);
+    }
+
+    return sequence;
+  }
+
+  /**
+   * 지정 순번 이후의 작업 조회
+   * @param {string} documentId - 문서 ID
+   * @param {number} sequence - 마지막으로 받은 순번 (0이면 처음부터)
+   * @returns {Object} { operations, latestSequence, complete }
+   *   complete가 false이면 보관 범위를 벗어났거나 maxCatchUp을 넘어 작업만으로 따라잡을 수 없음
+   */
+  getSince(documentId, sequence = 0) {
+    const log = this.logs.get(documentId);
+    const latestSequence = log?.sequence || 0;
+    const since = Number.isInteger(sequence) && sequence > 0 ? sequence : 0;
+
+    // 서버 재시작 등으로 클라이언트가 더 앞선 순번을 가진 경우
+    if (since > latestSequence) {
+      return { operations: [], latestSequence, complete: false };
+    }
+
+    const operations = (log?.operations || [])
+      .filter(entry => entry.sequence > since)
+      .map(entry => entry.message);
+
+    const firstSequence = log?.operations[0]?.sequence || latestSequence + 1;
+    const complete = since >= firstSequence - 1 && operations.length <= this.options.maxCatchUp;
+
+    return { operations: complete ? operations : [], latestSequence, complete };
+  }
+
+  /**
+   * 문서의 최신 순번
+   * @param {string} documentId - 문서 ID
+   * @returns {number}
+   */
+  getLatestSequence(documentId) {
+    return this.logs.get(documentId)?.sequence || 0;
+  }
+
+  /**
+   * 스냅샷 저장 (더 오래된 순번의 스냅샷으로는 덮어쓰지 않음)
+   * @param {string} documentId - 문서 ID
+   * @param {Object} modelState - 모델 상태
+   * @param {number} sequence - 스냅샷에 반영된 마지막 순번
+   * @returns {boolean} 저장 여부
+   */
+  setSnapshot(documentId, modelState, sequence) {
+    const current = this.snapshots.get(documentId);
+    const snapshotSequence = Math.min(Number.isInteger(sequence) ? sequence : 0, this.getLatestSequence(documentId));
+
+    if (!modelState || (current && current.sequence > snapshotSequence)) {
+      return false;
+    }
+
+    this.snapshots.set(documentId, { sequence: snapshotSequence, modelState, timestamp: Date.now() });
+    return true;
+  }
+
+  /**
+   * 최신 스냅샷 조회
+   * @param {string} documentId - 문서 ID
+   * @returns {Object|null} { sequence, modelState, timestamp }
+   */
+  getSnapshot(documentId) {
+    return this.snapshots.get(documentId) || null;
+  }
+
+  /**
+   * 스냅샷과 그 이후 작업으로 따라잡기 (스냅샷 이후 작업이 보관 범위를 벗어났으면 null)
+   * @param {string} documentId - 문서 ID
+   * @returns {Object|null} { modelState, snapshotSequence, operations, latestSequence }
+   */
+  getSnapshotCatchUp(documentId) {
+    const snapshot = this.getSnapshot(documentId);
+    if (!snapshot) {
+      return null;
+    }
+
+    const { operations, latestSequence, complete } = this.getSince(documentId, snapshot.sequence);
+    if (!complete) {
+      return null;
+    }
+
+    return {
+      modelState: snapshot.modelState,
+      snapshotSequence: snapshot.sequence,
+      operations,
+      latestSequence
+    };
+  }
+
+  /**
+   * 문서 로그와 스냅샷 삭제
+   * @param {string} documentId - 문서 ID
+   */
+  clear(documentId) {
+    this.logs.delete(documentId);
+    this.snapshots.delete(documentId);
+  }
+
+  /**
+   * 메트릭스 조회
+   * @returns {Object}
+   */
+  getMetrics() {
+    let operations = 0;
+    this.logs.forEach(log => {
+      operations += log.operations.length;
+    });
+
+    return {
+      documents: this.logs.size,
+      operations,
+      snapshots: this.snapshots.size
+    };
+  }
+
+  /**
+   * 정리
+   */
+  destroy() {
+    this.logs.clear();
+    this.snapshots.clear();
+  }
+
+  /**
+   * 문서 로그 조회 (없으면 생성)
+   * @private
+   */
+  _getLog(documentId) {
+    if (!this.logs.has(documentId)) {
+      this.logs.set(documentId, { sequence: 0, operations: [] });
+    }
+
+    return this.logs.get(documentId);
+  }
+}
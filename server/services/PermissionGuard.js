@@ -0,0 +1,284 @@
+/**
+ * 편집 권한 검사기
+ * 협업 메시지(JSON 프로토콜, Y.js 동기화)가 요구하는 권한을 판별하고 UserManager 권한과 대조
+ * - 문서 변경: write
+ * - 요소/연결선 삭제: write + delete
+ */
+
+import * as decoding from 'lib0/decoding';
+import { DiffCodec } from '../../src/utils/DiffCodec.js';
+
+// y-websocket 메시지 타입 (y-protocols/sync)
+const YJS_MESSAGE_SYNC = 0;
+const YJS_SYNC_STEP2 = 1;
+const YJS_SYNC_UPDATE = 2;
+
+// 삭제로 취급하는 operation 타입
+const REMOVE_OPERATION_TYPES = ['element.removed', 'removeElement'];
+
+// 삭제 권한이 없을 때 되돌리는 Y.js 맵
+const GUARDED_MAPS = ['elements', 'connections'];
+
+export class PermissionGuard {
+  constructor(options = {}) {
+    this.options = {
+      guardedMaps: GUARDED_MAPS,
+      ...options
+    };
+
+    this.userManager = options.userManager;
+    this.logger = options.logger;
+    this.codec = new DiffCodec();
+
+    // 삭제 감시를 등록한 Y.js 문서
+    this.watchedDocuments = new WeakSet();
+  }
+
+  /**
+   * 문서를 변경하는 메시지인지 확인
+   * @param {Object} message - 협업 메시지
+   * @returns {boolean}
+   */
+  isEditMessage(message) {
+    switch (message?.type) {
+      case 'model_change':
+      case 'batch_update':
+        return true;
+      case 'control_message':
+        // 기준 상태 응답은 수신 측 모델을 덮어씀
+        return message.payload?.kind === 'resync-response';
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 메시지 권한 검사
+   * @param {string} userId - 사용자 ID
+   * @param {string} documentId - 문서 ID
+   * @param {Object} message - 협업 메시지
+   * @returns {Promise<Object>} { allowed, required, elementIds }
+   */
+  async authorize(userId, documentId, message) {
+    if (!this.isEditMessage(message)) {
+      return { allowed: true, required: null, elementIds: [] };
+    }
+
+    if (!this.userManager.hasPermission(userId, documentId, 'write')) {
+      return { allowed: false, required: 'write', elementIds: this._getElementIds(message) };
+    }
+
+    if (this.userManager.hasPermission(userId, documentId, 'delete')) {
+      return { allowed: true, required: null, elementIds: [] };
+    }
+
+    let removedIds;
+    try {
+      removedIds = await this.getRemovedElementIds(message);
+    } catch (error) {
+      // 내용을 확인할 수 없는 변경은 삭제로 간주
+      this.logger.warn(`Could not inspect change from ${userId}: ${error.message}`);
+      return { allowed: false, required: 'delete', elementIds: this._getElementIds(message) };
+    }
+
+    return removedIds.length > 0
+      ? { allowed: false, required: 'delete', elementIds: removedIds }
+      : { allowed: true, required: null, elementIds: [] };
+  }
+
+  /**
+   * 메시지가 삭제하는 요소 ID 목록
+   * @param {Object} message - 협업 메시지
+   * @returns {Promise<string[]>}
+   */
+  async getRemovedElementIds(message) {
+    switch (message.type) {
+      case 'model_change':
+        return this._getRemovedByOperation(message.operation);
+      case 'batch_update': {
+        const removed = await Promise.all((message.updates || []).map(update => this.getRemovedElementIds(update)));
+        return removed.flat();
+      }
+      case 'control_message':
+        return Object.entries(message.payload?.elements || {})
+          .filter(([, element]) => element === null)
+          .map(([elementId]) => elementId);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * 거부 응답 메시지 생성
+   * @param {Object} message - 거부된 메시지
+   * @param {Object} result - authorize() 결과
+   * @param {Object} context - { userId, documentId }
+   * @returns {Object} permission_denied 메시지
+   */
+  createDeniedMessage(message, result, context) {
+    return {
+      type: 'permission_denied',
+      error: 'permission_denied',
+      message: `Missing "${result.required}" permission on document ${context.documentId}`,
+      required: result.required,
+      messageType: message.type,
+      operation: message.operation?.type || message.payload?.kind || null,
+      elementIds: result.elementIds,
+      userId: context.userId,
+      documentId: context.documentId,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Y.js 연결 보호
+   * 쓰기 권한이 없으면 문서 업데이트 메시지를 버리고(동기화 요청/awareness는 허용),
+   * 삭제 권한이 없는 연결이 지운 요소/연결선은 되돌림
+   * @param {WebSocket} ws - y-websocket 연결 (setupWSConnection 전에 호출)
+   * @param {Y.Doc} yjsDoc - 연결된 Y.js 문서
+   * @param {Object} context - { userId, documentId }
+   */
+  guardYjsConnection(ws, yjsDoc, context) {
+    ws.permissionContext = context;
+
+    const emit = ws.emit.bind(ws);
+    ws.emit = (event, data, ...args) => {
+      if (event === 'message' && this.isYjsUpdate(data) &&
+          !this.userManager.hasPermission(context.userId, context.documentId, 'write')) {
+        this.logger.warn(`Dropped Y.js update from read-only user ${context.userId} on ${context.documentId}`);
+        return false;
+      }
+      return emit(event, data, ...args);
+    };
+
+    this._watchDeletions(yjsDoc);
+  }
+
+  /**
+   * 문서 상태를 바꾸는 y-websocket 메시지인지 확인 (sync step2 / update)
+   * @param {ArrayBuffer|Uint8Array|Buffer} data - 수신 데이터
+   * @returns {boolean}
+   */
+  isYjsUpdate(data) {
+    try {
+      const decoder = decoding.createDecoder(new Uint8Array(data));
+      if (decoding.readVarUint(decoder) !== YJS_MESSAGE_SYNC) {
+        return false;
+      }
+
+      const syncType = decoding.readVarUint(decoder);
+      return syncType === YJS_SYNC_STEP2 || syncType === YJS_SYNC_UPDATE;
+    } catch (error) {
+      // 해석할 수 없는 메시지는 y-websocket이 처리하도록 그대로 전달
+      return false;
+    }
+  }
+
+  /**
+   * 삭제 권한이 없는 연결이 지운 맵 항목 복구
+   * y-websocket은 업데이트를 적용할 때 연결(ws)을 트랜잭션 origin으로 사용
+   * @private
+   * @param {Y.Doc} yjsDoc - Y.js 문서
+   */
+  _watchDeletions(yjsDoc) {
+    if (this.watchedDocuments.has(yjsDoc)) {
+      return;
+    }
+    this.watchedDocuments.add(yjsDoc);
+
+    this.options.guardedMaps.forEach((mapName) => {
+      const map = yjsDoc.getMap(mapName);
+
+      map.observe((event, transaction) => {
+        const context = transaction.origin?.permissionContext;
+        if (!context || this.userManager.hasPermission(context.userId, context.documentId, 'delete')) {
+          return;
+        }
+
+        const restored = [];
+        event.changes.keys.forEach((change, key) => {
+          if (change.action === 'delete') {
+            restored.push([key, change.oldValue]);
+          }
+        });
+
+        if (restored.length === 0) {
+          return;
+        }
+
+        yjsDoc.transact(() => {
+          restored.forEach(([key, value]) => map.set(key, value));
+        }, this);
+
+        this.logger.warn(`Restored ${restored.length} ${mapName} deleted by ${context.userId} without delete permission`);
+      });
+    });
+  }
+
+  /**
+   * operation이 삭제하는 요소 ID 목록
+   * @private
+   * @param {Object} operation - model_change operation
+   * @returns {Promise<string[]>}
+   */
+  async _getRemovedByOperation(operation) {
+    if (!operation) {
+      return [];
+    }
+
+    if (REMOVE_OPERATION_TYPES.includes(operation.type)) {
+      return operation.elementId ? [operation.elementId] : [];
+    }
+
+    if (operation.type === 'diff') {
+      const diff = await this._decodeDiff(operation.diff);
+      return Array.isArray(diff?.removed) ? diff.removed : [];
+    }
+
+    return [];
+  }
+
+  /**
+   * WebSocketAdapter가 보낸 Diff 복원 (압축 봉투는 base64 → 바이너리 → 디코딩)
+   * @private
+   * @param {Object} diff - Diff 또는 압축 봉투
+   * @returns {Promise<Object>}
+   */
+  async _decodeDiff(diff) {
+    if (!diff?.compressed) {
+      return diff;
+    }
+
+    const bytes = typeof diff.data === 'string'
+      ? new Uint8Array(Buffer.from(diff.data, 'base64'))
+      : new Uint8Array(diff.data);
+
+    switch (diff.encoding) {
+      case 'binary':
+        return this.codec.decode(bytes);
+      case 'deflate':
+        return this.codec.decode(await DiffCodec.inflate(bytes));
+      default:
+        throw new Error(`Unsupported diff encoding: ${diff.encoding}`);
+    }
+  }
+
+  /**
+   * 메시지가 다루는 요소 ID 목록 (거부 응답용)
+   * @private
+   * @param {Object} message - 협업 메시지
+   * @returns {string[]}
+   */
+  _getElementIds(message) {
+    if (message.type === 'batch_update') {
+      return (message.updates || []).flatMap(update => this._getElementIds(update));
+    }
+
+    if (message.type === 'control_message') {
+      return Object.keys(message.payload?.elements || {});
+    }
+
+    const elementId = message.operation?.elementId;
+    return elementId ? [elementId] : [];
+  }
+}
@@ -3,6 +3,11 @@
  * 협업 세션의 사용자 관리 및 권한 제어
  */
 
+import crypto from 'crypto';
+
+// 공유/초대로 부여할 수 있는 역할
+const SHARE_ROLES = ['admin', 'editor', 'viewer'];
+
 export class UserManager {
   constructor(options = {}) {
     this.options = {
@@ -10,6 +15,7 @@ export class UserManager {
       enableUserProfiles: true,
       enablePermissions: true,
       sessionTimeout: 300000, // 5분
+      inviteExpiry: 604800000, // 초대 링크 기본 만료 (7일)
       ...options
     };
 
@@ -26,6 +32,12 @@ export class UserManager {
     
     // 권한 정보
     this.permissions = new Map();
+
+    // 문서 공유 (documentId -> Map<userId, share>)
+    this.documentShares = new Map();
+
+    // 초대 링크 (documentId -> Map<inviteId, invite>, 토큰은 해시로만 보관)
+    this.documentInvites = new Map();
     
     // 메트릭스
     this.metrics = {
@@ -76,13 +88,14 @@ export class UserManager {
       throw new Error(`Maximum users (${this.options.maxUsersPerDocument}) reached for document ${documentId}`);
     }
 
-    // 사용자 정보 생성/업데이트
+    // 사용자 정보 생성/업데이트 (공유 역할과 요청 역할 중 높은 역할)
     const user = {
       id: userId,
       name: userInfo.name || `User ${userId}`,
       email: userInfo.email || null,
       avatar: userInfo.avatar || null,
-      role: userInfo.role || 'editor',
+      role: this.getHigherRole(this.getSharedRole(documentId, userId), userInfo.role) || 'editor',
+      requestedRole: userInfo.role || null,
       status: 'online',
       joinedAt: Date.now(),
       lastActivity: Date.now(),
@@ -226,6 +239,27 @@ export class UserManager {
     return users.sort((a, b) => a.joinedAt - b.joinedAt);
   }
 
+  /**
+   * 댓글에서 @멘션할 수 있는 사용자 목록 (문서 접속 사용자 + 공유받은 사용자)
+   * @param {string} documentId - 문서 ID
+   * @returns {Array} [{ id, name, online }]
+   */
+  getMentionableUsers(documentId) {
+    const mentionable = new Map();
+
+    this.getDocumentUsers(documentId).forEach(user => {
+      mentionable.set(user.id, { id: user.id, name: user.name || user.id, online: true });
+    });
+
+    (this.documentShares.get(documentId) || new Map()).forEach((share, userId) => {
+      if (!mentionable.has(userId)) {
+        mentionable.set(userId, { id: userId, name: this.users.get(userId)?.name || userId, online: false });
+      }
+    });
+
+    return Array.from(mentionable.values());
+  }
+
   /**
    * 사용자 활동 업데이트
    * @param {string} userId - 사용자 ID
@@ -303,6 +337,263 @@ export class UserManager {
     return permissions.includes(permission) || permissions.includes('admin');
   }
 
+  /**
+   * 역할에 해당하는 권한 목록
+   * @param {string} role - 역할 (admin, editor, viewer)
+   * @returns {Array} 권한 목록 (알 수 없는 역할은 읽기 전용)
+   */
+  getRolePermissions(role) {
+    switch (role) {
+      case 'admin':
+        return ['read', 'write', 'delete', 'admin', 'invite'];
+      case 'editor':
+        return ['read', 'write'];
+      case 'viewer':
+      default:
+        return ['read'];
+    }
+  }
+
+  /**
+   * 문서를 사용자와 공유 (이미 공유되어 있으면 역할 변경)
+   * 접속 중인 사용자는 즉시 새 역할 권한이 적용됨
+   * @param {string} documentId - 문서 ID
+   * @param {string} userId - 공유받을 사용자 ID
+   * @param {string} role - 부여할 역할 (admin, editor, viewer)
+   * @param {Object} options - { sharedBy, inviteId }
+   * @returns {Object} 공유 정보
+   */
+  shareDocument(documentId, userId, role, options = {}) {
+    if (!userId) {
+      throw this._createError('INVALID_SHARE', 'userId is required');
+    }
+    this._assertShareRole(role);
+
+    if (!this.documentShares.has(documentId)) {
+      this.documentShares.set(documentId, new Map());
+    }
+
+    const share = {
+      userId,
+      role,
+      sharedBy: options.sharedBy || null,
+      sharedAt: Date.now(),
+      inviteId: options.inviteId || null
+    };
+
+    this.documentShares.get(documentId).set(userId, share);
+    this._refreshConnectedUser(documentId, userId);
+
+    this.logger.info(`Document ${documentId} shared with ${userId} as ${role}`);
+    return { ...share };
+  }
+
+  /**
+   * 문서 공유 해제 (접속 중인 사용자는 원래 요청 역할로 돌아감)
+   * @param {string} documentId - 문서 ID
+   * @param {string} userId - 사용자 ID
+   * @returns {boolean} 해제 여부
+   */
+  revokeShare(documentId, userId) {
+    const shares = this.documentShares.get(documentId);
+
+    if (!shares || !shares.delete(userId)) {
+      return false;
+    }
+
+    if (shares.size === 0) {
+      this.documentShares.delete(documentId);
+    }
+
+    this._refreshConnectedUser(documentId, userId);
+
+    this.logger.info(`Document ${documentId} share revoked for ${userId}`);
+    return true;
+  }
+
+  /**
+   * 공유로 부여된 역할 조회
+   * @param {string} documentId - 문서 ID
+   * @param {string} userId - 사용자 ID
+   * @returns {string|null} 역할 (공유되지 않았으면 null)
+   */
+  getSharedRole(documentId, userId) {
+    return this.documentShares.get(documentId)?.get(userId)?.role || null;
+  }
+
+  /**
+   * 두 역할 중 높은 역할 (admin > editor > viewer)
+   * @param {string|null} a - 역할
+   * @param {string|null} b - 역할
+   * @returns {string|null} 높은 역할 (둘 다 없으면 null)
+   */
+  getHigherRole(a, b) {
+    return SHARE_ROLES.find(role => role === a || role === b) || null;
+  }
+
+  /**
+   * 만료 기한이 있는 초대 링크 생성
+   * 토큰은 생성 시에만 반환되고 이후에는 해시만 보관
+   * @param {string} documentId - 문서 ID
+   * @param {Object} options - { role, expiresIn(ms), maxUses, createdBy }
+   * @returns {Object} 초대 정보 (token 포함)
+   */
+  createInvite(documentId, options = {}) {
+    const role = options.role || 'viewer';
+    this._assertShareRole(role);
+
+    const expiresIn = options.expiresIn ?? this.options.inviteExpiry;
+    if (!Number.isFinite(expiresIn) || expiresIn <= 0) {
+      throw this._createError('INVALID_SHARE', 'expiresIn must be a positive number of milliseconds');
+    }
+
+    const maxUses = options.maxUses ?? null;
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses <= 0)) {
+      throw this._createError('INVALID_SHARE', 'maxUses must be a positive integer');
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+    const invite = {
+      id: `invite-${now}-${crypto.randomBytes(4).toString('hex')}`,
+      tokenHash: this._hashToken(token),
+      role,
+      createdBy: options.createdBy || null,
+      createdAt: now,
+      expiresAt: now + expiresIn,
+      maxUses,
+      uses: 0
+    };
+
+    if (!this.documentInvites.has(documentId)) {
+      this.documentInvites.set(documentId, new Map());
+    }
+    this.documentInvites.get(documentId).set(invite.id, invite);
+
+    this.logger.info(`Invite ${invite.id} created for document ${documentId} (${role})`);
+    return { ...this._toPublicInvite(invite), documentId, token };
+  }
+
+  /**
+   * 초대 링크 수락 (초대 역할로 문서 공유)
+   * 이미 같거나 높은 역할로 공유되어 있으면 기존 공유를 유지
+   * @param {string} token - 초대 토큰
+   * @param {string} userId - 수락하는 사용자 ID
+   * @returns {Object} { documentId, share }
+   */
+  acceptInvite(token, userId) {
+    const tokenHash = this._hashToken(String(token || ''));
+
+    for (const [documentId, invites] of this.documentInvites.entries()) {
+      for (const invite of invites.values()) {
+        if (invite.tokenHash !== tokenHash) {
+          continue;
+        }
+
+        if (invite.expiresAt <= Date.now()) {
+          throw this._createError('INVITE_EXPIRED', 'Invite has expired');
+        }
+        if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+          throw this._createError('INVITE_EXPIRED', 'Invite has reached its maximum uses');
+        }
+
+        invite.uses++;
+        const existing = this.documentShares.get(documentId)?.get(userId);
+        if (existing && this.getHigherRole(existing.role, invite.role) === existing.role) {
+          return { documentId, share: { ...existing } };
+        }
+
+        const share = this.shareDocument(documentId, userId, invite.role, {
+          sharedBy: invite.createdBy,
+          inviteId: invite.id
+        });
+
+        return { documentId, share };
+      }
+    }
+
+    throw this._createError('INVITE_NOT_FOUND', 'Invite not found');
+  }
+
+  /**
+   * 초대 링크 취소
+   * @param {string} documentId - 문서 ID
+   * @param {string} inviteId - 초대 ID
+   * @returns {boolean} 취소 여부
+   */
+  revokeInvite(documentId, inviteId) {
+    const invites = this.documentInvites.get(documentId);
+
+    if (!invites || !invites.delete(inviteId)) {
+      return false;
+    }
+
+    if (invites.size === 0) {
+      this.documentInvites.delete(documentId);
+    }
+
+    this.logger.info(`Invite ${inviteId} revoked for document ${documentId}`);
+    return true;
+  }
+
+  /**
+   * 문서의 공유 목록과 초대 링크 목록 (토큰 제외)
+   * @param {string} documentId - 문서 ID
+   * @returns {Object} { shares, invites }
+   */
+  getShares(documentId) {
+    const shares = Array.from(this.documentShares.get(documentId)?.values() || [])
+      .map(share => ({ ...share }))
+      .sort((a, b) => a.sharedAt - b.sharedAt);
+    const invites = Array.from(this.documentInvites.get(documentId)?.values() || [])
+      .map(invite => this._toPublicInvite(invite))
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    return { shares, invites };
+  }
+
+  /**
+   * 저장용 공유 상태 (초대 토큰 해시 포함)
+   * @param {string} documentId - 문서 ID
+   * @returns {Object} { shares, invites }
+   */
+  exportSharing(documentId) {
+    return {
+      shares: Array.from(this.documentShares.get(documentId)?.values() || []).map(share => ({ ...share })),
+      invites: Array.from(this.documentInvites.get(documentId)?.values() || []).map(invite => ({ ...invite }))
+    };
+  }
+
+  /**
+   * 저장된 공유 상태 복원 (만료된 초대는 제외)
+   * @param {string} documentId - 문서 ID
+   * @param {Object} sharing - exportSharing() 결과
+   */
+  importSharing(documentId, sharing = {}) {
+    const now = Date.now();
+    const shares = (sharing.shares || []).filter(share => SHARE_ROLES.includes(share.role));
+    const invites = (sharing.invites || []).filter(invite => invite.expiresAt > now);
+
+    this.documentShares.delete(documentId);
+    this.documentInvites.delete(documentId);
+
+    if (shares.length > 0) {
+      this.documentShares.set(documentId, new Map(shares.map(share => [share.userId, { ...share }])));
+    }
+    if (invites.length > 0) {
+      this.documentInvites.set(documentId, new Map(invites.map(invite => [invite.id, { ...invite }])));
+    }
+  }
+
+  /**
+   * 문서 삭제 시 공유/초대 정리
+   * @param {string} documentId - 문서 ID
+   */
+  clearSharing(documentId) {
+    this.documentShares.delete(documentId);
+    this.documentInvites.delete(documentId);
+  }
+
   /**
    * 문서별 사용자 수 조회
    * @param {string} documentId - 문서 ID
@@ -375,19 +666,7 @@ export class UserManager {
 
     if (typeof roleOrPermissions === 'string') {
       // 역할 기반 권한
-      switch (roleOrPermissions) {
-        case 'admin':
-          permissions = ['read', 'write', 'delete', 'admin', 'invite'];
-          break;
-        case 'editor':
-          permissions = ['read', 'write'];
-          break;
-        case 'viewer':
-          permissions = ['read'];
-          break;
-        default:
-          permissions = ['read'];
-      }
+      permissions = this.getRolePermissions(roleOrPermissions);
     } else if (Array.isArray(roleOrPermissions)) {
       permissions = roleOrPermissions;
     }
@@ -399,6 +678,71 @@ export class UserManager {
     this.permissions.get(userId).set(documentId, permissions);
   }
 
+  /**
+   * 접속 중인 사용자의 역할/권한을 공유 상태에 맞게 갱신
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {string} userId - 사용자 ID
+   */
+  _refreshConnectedUser(documentId, userId) {
+    const user = this.users.get(userId);
+
+    if (!user || !this.documentUsers.get(documentId)?.has(userId)) {
+      return;
+    }
+
+    user.role = this.getHigherRole(this.getSharedRole(documentId, userId), user.requestedRole) || 'editor';
+
+    if (this.options.enablePermissions) {
+      this._setUserPermissions(userId, documentId, user.role);
+    }
+  }
+
+  /**
+   * 공유 가능한 역할인지 검사
+   * @private
+   * @param {string} role - 역할
+   */
+  _assertShareRole(role) {
+    if (!SHARE_ROLES.includes(role)) {
+      throw this._createError('INVALID_ROLE', `Invalid role: ${role} (expected ${SHARE_ROLES.join(', ')})`);
+    }
+  }
+
+  /**
+   * 초대 토큰 해시
+   * @private
+   * @param {string} token - 초대 토큰
+   * @returns {string}
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * 응답용 초대 정보 (토큰 해시 제외)
+   * @private
+   * @param {Object} invite - 초대
+   * @returns {Object}
+   */
+  _toPublicInvite(invite) {
+    const { tokenHash, ...publicInvite } = invite;
+    return publicInvite;
+  }
+
+  /**
+   * 코드가 있는 오류 생성
+   * @private
+   * @param {string} code - 오류 코드
+   * @param {string} message - 오류 메시지
+   * @returns {Error}
+   */
+  _createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
   /**
    * 활성 사용자 수 업데이트
    * @private
@@ -485,6 +829,8 @@ export class UserManager {
     this.documentUsers.clear();
     this.userSessions.clear();
     this.permissions.clear();
+    this.documentShares.clear();
+    this.documentInvites.clear();
 
     this.isInitialized = false;
     this.logger.info('UserManager destroyed');
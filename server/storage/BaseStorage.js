@@ -0,0 +1,148 @@
+/**
+ * 기본 문서 저장소
+ * 모든 문서 저장소 구현의 베이스 클래스
+ */
+
+export class BaseStorage {
+  constructor(options = {}) {
+    this.options = {
+      ...options
+    };
+
+    this.logger = options.logger;
+    this.isInitialized = false;
+  }
+
+  /**
+   * 저장소 초기화 (추상 메서드)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    throw new Error('BaseStorage.initialize() must be implemented by subclass');
+  }
+
+  /**
+   * 저장된 문서 ID 목록 조회 (추상 메서드)
+   * @returns {Promise<string[]>} 문서 ID 목록
+   */
+  async listDocuments() {
+    throw new Error('BaseStorage.listDocuments() must be implemented by subclass');
+  }
+
+  /**
+   * 문서 존재 여부 확인 (추상 메서드)
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<boolean>} 존재 여부
+   */
+  async hasDocument(documentId) {
+    throw new Error('BaseStorage.hasDocument() must be implemented by subclass');
+  }
+
+  /**
+   * 문서 메타데이터 조회 (추상 메서드)
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<Object|null>} 메타데이터
+   */
+  async getMetadata(documentId) {
+    throw new Error('BaseStorage.getMetadata() must be implemented by subclass');
+  }
+
+  /**
+   * 문서 메타데이터 저장 (추상 메서드)
+   * @param {string} documentId - 문서 ID
+   * @param {Object} metadata - 메타데이터
+   * @returns {Promise<void>}
+   */
+  async saveMetadata(documentId, metadata) {
+    throw new Error('BaseStorage.saveMetadata() must be implemented by subclass');
+  }
+
+  /**
+   * 저장된 Y.js 업데이트 조회 (추상 메서드)
+   * 압축된 스냅샷이 있으면 가장 먼저 반환된다.
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<Uint8Array[]>} 적용 순서대로 정렬된 업데이트 목록
+   */
+  async getUpdates(documentId) {
+    throw new Error('BaseStorage.getUpdates() must be implemented by subclass');
+  }
+
+  /**
+   * Y.js 업데이트 추가 저장 (추상 메서드)
+   * @param {string} documentId - 문서 ID
+   * @param {Uint8Array} update - Y.js 업데이트
+   * @returns {Promise<number>} 마지막 압축 이후 누적된 업데이트 수
+   */
+  async storeUpdate(documentId, update) {
+    throw new Error('BaseStorage.storeUpdate() must be implemented by subclass');
+  }
+
+  /**
+   * 누적된 업데이트를 단일 상태로 압축 (추상 메서드)
+   * @param {string} documentId - 문서 ID
+   * @param {Uint8Array} state - Y.encodeStateAsUpdate()로 인코딩된 전체 상태
+   * @returns {Promise<void>}
+   */
+  async compact(documentId, state) {
+    throw new Error('BaseStorage.compact() must be implemented by subclass');
+  }
+
+  /**
+   * 버전 상태 저장 (추상 메서드)
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @param {Uint8Array} state - 해당 버전의 전체 문서 상태
+   * @returns {Promise<void>}
+   */
+  async saveVersion(documentId, version, state) {
+    throw new Error('BaseStorage.saveVersion() must be implemented by subclass');
+  }
+
+  /**
+   * 버전 상태 조회 (추상 메서드)
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @returns {Promise<Uint8Array|null>} 해당 버전의 전체 문서 상태
+   */
+  async getVersion(documentId, version) {
+    throw new Error('BaseStorage.getVersion() must be implemented by subclass');
+  }
+
+  /**
+   * 버전 상태 삭제 (추상 메서드)
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @returns {Promise<void>}
+   */
+  async deleteVersion(documentId, version) {
+    throw new Error('BaseStorage.deleteVersion() must be implemented by subclass');
+  }
+
+  /**
+   * 문서 삭제 (추상 메서드)
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<void>}
+   */
+  async deleteDocument(documentId) {
+    throw new Error('BaseStorage.deleteDocument() must be implemented by subclass');
+  }
+
+  /**
+   * 저장소 통계 조회
+   * @returns {Object} 통계 정보
+   */
+  getStatistics() {
+    return {
+      type: this.constructor.name,
+      isInitialized: this.isInitialized
+    };
+  }
+
+  /**
+   * 리소스 정리
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    this.isInitialized = false;
+  }
+}
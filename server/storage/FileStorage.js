@@ -0,0 +1,405 @@
+/**
+ * 파일 시스템 문서 저장소
+ * 문서별 디렉토리에 Y.js 업데이트 로그와 압축 스냅샷을 저장
+ *
+ * 디렉토리 구조:
+ *   <basePath>/<documentId>/metadata.json  - 문서 메타데이터
+ *   <basePath>/<documentId>/snapshot.bin   - 마지막 압축 시점의 전체 상태
+ *   <basePath>/<documentId>/updates.log    - 압축 이후 추가된 업데이트 (길이 접두사 + 바이트)
+ *   <basePath>/<documentId>/versions/<n>.bin - 버전별 전체 상태
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { BaseStorage } from './BaseStorage.js';
+
+const METADATA_FILE = 'metadata.json';
+const SNAPSHOT_FILE = 'snapshot.bin';
+const UPDATES_FILE = 'updates.log';
+const VERSIONS_DIRECTORY = 'versions';
+const LENGTH_PREFIX_BYTES = 4;
+
+export class FileStorage extends BaseStorage {
+  constructor(options = {}) {
+    super(options);
+    this.options = {
+      basePath: path.resolve('data'),
+      ...options
+    };
+
+    // 문서별 쓰기 큐 (같은 파일에 대한 쓰기 순서 보장)
+    this.writeQueues = new Map();
+
+    // 문서별 압축 이후 업데이트 수
+    this.updateCounts = new Map();
+
+    this.statistics = {
+      updatesWritten: 0,
+      bytesWritten: 0,
+      compactions: 0,
+      lastCompaction: null
+    };
+  }
+
+  /**
+   * 저장소 초기화
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    await fs.mkdir(this.options.basePath, { recursive: true });
+
+    this.isInitialized = true;
+    this.logger?.info(`FileStorage initialized at ${this.options.basePath}`);
+  }
+
+  /**
+   * 저장된 문서 ID 목록 조회
+   * @returns {Promise<string[]>} 문서 ID 목록
+   */
+  async listDocuments() {
+    const entries = await fs.readdir(this.options.basePath, { withFileTypes: true });
+    const documentIds = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+
+      const documentId = decodeURIComponent(entry.name);
+      if (await this.hasDocument(documentId)) {
+        documentIds.push(documentId);
+      }
+    }
+
+    return documentIds;
+  }
+
+  /**
+   * 문서 존재 여부 확인
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<boolean>} 존재 여부
+   */
+  async hasDocument(documentId) {
+    return this._exists(this._getFilePath(documentId, METADATA_FILE));
+  }
+
+  /**
+   * 문서 메타데이터 조회
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<Object|null>} 메타데이터
+   */
+  async getMetadata(documentId) {
+    try {
+      const content = await fs.readFile(this._getFilePath(documentId, METADATA_FILE), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 문서 메타데이터 저장
+   * @param {string} documentId - 문서 ID
+   * @param {Object} metadata - 메타데이터
+   */
+  async saveMetadata(documentId, metadata) {
+    return this._enqueue(documentId, async () => {
+      await this._ensureDocumentDirectory(documentId);
+      await this._writeFileAtomic(
+        this._getFilePath(documentId, METADATA_FILE),
+        JSON.stringify(metadata, null, 2)
+      );
+    });
+  }
+
+  /**
+   * 저장된 Y.js 업데이트 조회
+   * @param {string} documentId - 문서 ID
+   * @returns {Promise<Uint8Array[]>} 스냅샷과 업데이트 로그
+   */
+  async getUpdates(documentId) {
+    // 진행 중인 쓰기가 끝난 뒤 읽기
+    await this._enqueue(documentId, async () => {});
+
+    const updates = [];
+
+    const snapshot = await this._readFileIfExists(this._getFilePath(documentId, SNAPSHOT_FILE));
+    if (snapshot && snapshot.length > 0) {
+      updates.push(new Uint8Array(snapshot));
+    }
+
+    const log = await this._readFileIfExists(this._getFilePath(documentId, UPDATES_FILE));
+    const logUpdates = log ? this._decodeUpdateLog(log, documentId) : [];
+    updates.push(...logUpdates);
+
+    this.updateCounts.set(documentId, logUpdates.length);
+
+    return updates;
+  }
+
+  /**
+   * Y.js 업데이트 추가 저장
+   * @param {string} documentId - 문서 ID
+   * @param {Uint8Array} update - Y.js 업데이트
+   * @returns {Promise<number>} 압축 이후 누적된 업데이트 수
+   */
+  async storeUpdate(documentId, update) {
+    return this._enqueue(documentId, async () => {
+      await this._ensureDocumentDirectory(documentId);
+
+      const record = Buffer.alloc(LENGTH_PREFIX_BYTES + update.length);
+      record.writeUInt32BE(update.length, 0);
+      Buffer.from(update.buffer, update.byteOffset, update.length).copy(record, LENGTH_PREFIX_BYTES);
+
+      await fs.appendFile(this._getFilePath(documentId, UPDATES_FILE), record);
+
+      const count = (this.updateCounts.get(documentId) || 0) + 1;
+      this.updateCounts.set(documentId, count);
+
+      this.statistics.updatesWritten++;
+      this.statistics.bytesWritten += record.length;
+
+      return count;
+    });
+  }
+
+  /**
+   * 누적된 업데이트를 스냅샷으로 압축
+   * @param {string} documentId - 문서 ID
+   * @param {Uint8Array} state - 전체 문서 상태
+   */
+  async compact(documentId, state) {
+    return this._enqueue(documentId, async () => {
+      await this._ensureDocumentDirectory(documentId);
+
+      // 스냅샷을 먼저 원자적으로 교체한 뒤 로그를 비움
+      await this._writeFileAtomic(this._getFilePath(documentId, SNAPSHOT_FILE), Buffer.from(state));
+      await fs.rm(this._getFilePath(documentId, UPDATES_FILE), { force: true });
+
+      this.updateCounts.set(documentId, 0);
+      this.statistics.compactions++;
+      this.statistics.lastCompaction = Date.now();
+
+      this.logger?.debug(`Compacted document ${documentId} (${state.length} bytes)`);
+    });
+  }
+
+  /**
+   * 버전 상태 저장
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @param {Uint8Array} state - 해당 버전의 전체 문서 상태
+   */
+  async saveVersion(documentId, version, state) {
+    return this._enqueue(documentId, async () => {
+      await fs.mkdir(this._getFilePath(documentId, VERSIONS_DIRECTORY), { recursive: true });
+      await this._writeFileAtomic(this._getVersionPath(documentId, version), Buffer.from(state));
+    });
+  }
+
+  /**
+   * 버전 상태 조회
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @returns {Promise<Uint8Array|null>} 해당 버전의 전체 문서 상태
+   */
+  async getVersion(documentId, version) {
+    await this._enqueue(documentId, async () => {});
+
+    const state = await this._readFileIfExists(this._getVersionPath(documentId, version));
+    return state ? new Uint8Array(state) : null;
+  }
+
+  /**
+   * 버전 상태 삭제
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   */
+  async deleteVersion(documentId, version) {
+    return this._enqueue(documentId, async () => {
+      await fs.rm(this._getVersionPath(documentId, version), { force: true });
+    });
+  }
+
+  /**
+   * 문서 삭제
+   * @param {string} documentId - 문서 ID
+   */
+  async deleteDocument(documentId) {
+    await this._enqueue(documentId, async () => {
+      await fs.rm(this._getDocumentPath(documentId), { recursive: true, force: true });
+    });
+
+    this.writeQueues.delete(documentId);
+    this.updateCounts.delete(documentId);
+  }
+
+  /**
+   * 저장소 통계 조회
+   * @returns {Object} 통계 정보
+   */
+  getStatistics() {
+    return {
+      ...super.getStatistics(),
+      basePath: this.options.basePath,
+      pendingWrites: this.writeQueues.size,
+      ...this.statistics
+    };
+  }
+
+  /**
+   * 리소스 정리 (대기 중인 쓰기 완료 후 종료)
+   */
+  async destroy() {
+    await Promise.all(Array.from(this.writeQueues.values()));
+
+    this.writeQueues.clear();
+    this.updateCounts.clear();
+
+    await super.destroy();
+  }
+
+  /**
+   * 문서별 쓰기 작업 직렬화
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {Function} task - 실행할 비동기 작업
+   * @returns {Promise<any>} 작업 결과
+   */
+  _enqueue(documentId, task) {
+    const previous = this.writeQueues.get(documentId) || Promise.resolve();
+    const next = previous.then(task, task);
+
+    // 실패한 작업이 이후 작업을 막지 않도록 큐에는 처리된 Promise 저장
+    const settled = next.catch(() => {});
+    this.writeQueues.set(documentId, settled);
+    settled.then(() => {
+      if (this.writeQueues.get(documentId) === settled) {
+        this.writeQueues.delete(documentId);
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * 업데이트 로그 디코딩
+   * @private
+   * @param {Buffer} log - 로그 파일 내용
+   * @param {string} documentId - 문서 ID
+   * @returns {Uint8Array[]} 업데이트 목록
+   */
+  _decodeUpdateLog(log, documentId) {
+    const updates = [];
+    let offset = 0;
+
+    while (offset + LENGTH_PREFIX_BYTES <= log.length) {
+      const length = log.readUInt32BE(offset);
+      const start = offset + LENGTH_PREFIX_BYTES;
+
+      if (start + length > log.length) {
+        // 쓰기 도중 중단된 마지막 레코드는 버림
+        this.logger?.warn(`Truncated update record ignored for document ${documentId}`);
+        break;
+      }
+
+      updates.push(new Uint8Array(log.subarray(start, start + length)));
+      offset = start + length;
+    }
+
+    return updates;
+  }
+
+  /**
+   * 임시 파일을 거쳐 원자적으로 파일 쓰기
+   * @private
+   * @param {string} filePath - 파일 경로
+   * @param {string|Buffer} data - 쓸 데이터
+   */
+  async _writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * 파일 읽기 (없으면 null)
+   * @private
+   * @param {string} filePath - 파일 경로
+   * @returns {Promise<Buffer|null>}
+   */
+  async _readFileIfExists(filePath) {
+    try {
+      return await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 파일 존재 여부 확인
+   * @private
+   * @param {string} filePath - 파일 경로
+   * @returns {Promise<boolean>}
+   */
+  async _exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 문서 디렉토리 생성
+   * @private
+   * @param {string} documentId - 문서 ID
+   */
+  async _ensureDocumentDirectory(documentId) {
+    await fs.mkdir(this._getDocumentPath(documentId), { recursive: true });
+  }
+
+  /**
+   * 문서 디렉토리 경로
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @returns {string}
+   */
+  _getDocumentPath(documentId) {
+    // 경로 조작 방지를 위해 ID를 인코딩 ('.', '..' 포함)
+    const directoryName = encodeURIComponent(documentId).replace(/\./g, '%2E');
+    return path.join(this.options.basePath, directoryName);
+  }
+
+  /**
+   * 문서 파일 경로
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {string} fileName - 파일 이름
+   * @returns {string}
+   */
+  _getFilePath(documentId, fileName) {
+    return path.join(this._getDocumentPath(documentId), fileName);
+  }
+
+  /**
+   * 버전 파일 경로
+   * @private
+   * @param {string} documentId - 문서 ID
+   * @param {number} version - 버전 번호
+   * @returns {string}
+   */
+  _getVersionPath(documentId, version) {
+    return path.join(this._getFilePath(documentId, VERSIONS_DIRECTORY), `${Number(version)}.bin`);
+  }
+}
@@ -4,8 +4,15 @@ import { WebSocketServer } from 'ws';
 import * as Y from 'yjs';
 import * as syncProtocol from 'y-protocols/sync.js';
 import * as awarenessProtocol from 'y-protocols/awareness.js';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { JwtAuthenticator } from './auth/JwtAuthenticator.js';
+import { UserManager } from './services/UserManager.js';
+import { DocumentManager } from './services/DocumentManager.js';
+import { LiveDocumentRegistry } from './services/LiveDocumentRegistry.js';
+import { Logger } from '../src/utils/Logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,11 +22,71 @@ const app = express();
 const server = createServer(app);
 const port = process.env.PORT || 3002;
 
+// y-websocket 메시지 타입
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+
+const logger = new Logger({
+  level: process.env.LOG_LEVEL || 'info',
+  enableConsole: true
+});
+
+// 문서 저장소 (index.js와 같은 저장소/경로 사용)
+const documentManager = new DocumentManager({
+  enablePersistence: process.env.ENABLE_PERSISTENCE !== 'false',
+  storagePath: process.env.STORAGE_PATH || path.join(__dirname, 'data'),
+  logger
+});
+
+// 연결 중인 문서 (연결이 모두 끊긴 문서는 DOCUMENT_IDLE_TIMEOUT 후 저장하고 내림)
+const liveDocuments = new LiveDocumentRegistry({
+  documentManager,
+  idleTimeout: parseInt(process.env.DOCUMENT_IDLE_TIMEOUT) || 30000,
+  logger
+});
+
+// 인증 (AUTH_SECRET이 설정되면 WebSocket 업그레이드 시 JWT 검증)
+const authenticator = process.env.AUTH_SECRET
+  ? new JwtAuthenticator({ secret: process.env.AUTH_SECRET })
+  : null;
+
+// 역할별 권한과 문서 공유 (index.js가 문서 메타데이터와 함께 저장한 공유 사용)
+const userManager = new UserManager({ logger: console });
+
+// 문서에서의 역할 (index.js와 같이 인증 사용 시 토큰 admin이 아니면 문서 공유가 있어야 접근하며,
+// 공유 역할과 토큰 역할 중 높은 역할 사용, 인증 비활성화 시 모두 편집 가능)
+function getDocumentRole(identity, docname) {
+  if (!identity) {
+    return 'admin';
+  }
+
+  const claimed = [identity.claims?.role, ...identity.roles];
+  const tokenRole = ['admin', 'editor', 'viewer'].find(role => claimed.includes(role)) || null;
+  if (tokenRole === 'admin') {
+    return tokenRole;
+  }
+
+  userManager.importSharing(docname, documentManager.getSharing(docname) || {});
+  const sharedRole = userManager.getSharedRole(docname, identity.id);
+  return sharedRole ? userManager.getHigherRole(sharedRole, tokenRole) : null;
+}
+
+// 연결하며 새로 만든 문서는 만든 사용자에게 admin으로 공유 (먼저 공유된 경우 제외)
+async function shareWithCreator(docname, identity) {
+  userManager.importSharing(docname, documentManager.getSharing(docname) || {});
+  if (!identity || userManager.getShares(docname).shares.length > 0) {
+    return;
+  }
+
+  userManager.shareDocument(docname, identity.id, 'admin', { sharedBy: identity.id });
+  await documentManager.saveSharing(docname, userManager.exportSharing(docname));
+}
+
 // CORS 및 JSON 미들웨어
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
   } else {
@@ -28,6 +95,25 @@ app.use((req, res, next) => {
 });
 
 app.use(express.json());
+
+// API 인증 (AUTH_SECRET이 설정되면 index.js와 같이 검증된 사용자를 req.user에 바인딩)
+if (authenticator) {
+  app.use('/api', (req, res, next) => {
+    authenticator.authenticateRequest(req)
+      .then((identity) => {
+        req.user = identity;
+        next();
+      })
+      .catch((error) => {
+        if (error.code !== 'AUTH_FAILED') {
+          return next(error);
+        }
+
+        res.set('WWW-Authenticate', 'Bearer');
+        res.status(401).json({ error: 'Unauthorized', message: error.message });
+      });
+  });
+}
 // 정적 파일 서빙 (demo 디렉토리)
 app.use('/demo', express.static(path.join(__dirname, '../demo')));
 app.use(express.static(path.join(__dirname, '../demo')));
@@ -50,97 +136,214 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Y.js 문서 저장소
-const yjsDocuments = new Map();
-const awareness = new Map();
+// 라이브 문서 목록 (접근할 수 있는 문서만)
+app.get('/api/documents', (req, res) => {
+  const documents = liveDocuments.list().documents
+    .filter(document => getDocumentRole(req.user, document.id));
+
+  res.json({
+    documents,
+    totalConnections: documents.reduce((sum, document) => sum + document.connections, 0)
+  });
+});
 
-// Y.js 문서 가져오기
-function getYDoc(docname) {
-  if (!yjsDocuments.has(docname)) {
-    const doc = new Y.Doc();
-    yjsDocuments.set(docname, doc);
-    console.log(`새 Y.js 문서 생성: ${docname}`);
+// 라이브 문서 조회
+app.get('/api/documents/:id', (req, res) => {
+  if (!getDocumentRole(req.user, req.params.id)) {
+    return res.status(403).json({
+      error: 'permission_denied',
+      message: `Missing "read" permission on document ${req.params.id}`,
+      required: 'read'
+    });
   }
-  return yjsDocuments.get(docname);
-}
 
-// Y.js Awareness 가져오기
-function getAwareness(docname) {
-  if (!awareness.has(docname)) {
-    awareness.set(docname, new awarenessProtocol.Awareness(getYDoc(docname)));
+  const document = liveDocuments.describe(req.params.id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document not loaded' });
   }
-  return awareness.get(docname);
+
+  res.json(document);
+});
+
+// Y.js WebSocket 경로 (문서별 연결은 /yjs/{문서 이름}, y-websocket의 serverUrl/roomname 형식)
+const YJS_PATH = '/yjs';
+
+// 연결 URL에서 문서 이름 추출 (/yjs는 ?doc= 또는 default)
+function getDocumentName(url) {
+  const name = url.pathname.slice(YJS_PATH.length + 1);
+  return decodeURIComponent(name) || url.searchParams.get('doc') || 'default';
 }
 
 // Y.js WebSocket 서버 설정
 const wss = new WebSocketServer({ 
   server,
-  path: '/yjs'
+  verifyClient: authenticator
+    ? (info, callback) => {
+      authenticator.authenticateRequest(info.req)
+        .then((identity) => {
+          info.req.auth = identity;
+          callback(true);
+        })
+        .catch((error) => {
+          console.warn(`Y.js WebSocket 인증 실패: ${error.message}`);
+          callback(false, 401, 'Unauthorized');
+        });
+    }
+    : undefined
 });
 
+// /yjs와 /yjs/{문서 이름} 업그레이드만 처리
+wss.shouldHandle = (req) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  return pathname === YJS_PATH || pathname.startsWith(`${YJS_PATH}/`);
+};
+
 wss.on('connection', (ws, req) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
-  const docname = url.pathname.slice(1) || 'default';
-  const userName = url.searchParams.get('user') || 'Anonymous';
+  const docname = getDocumentName(url);
+  // 인증된 연결은 쿼리 문자열 대신 검증된 사용자 이름 사용
+  const userName = req.auth?.name || url.searchParams.get('user') || 'Anonymous';
   const clientId = url.searchParams.get('clientId') || 'unknown';
 
+  // 저장소에 없는 문서는 연결하며 생성
+  const isNew = documentManager.getSharing(docname) === null;
+
+  if (!isNew && !getDocumentRole(req.auth, docname)) {
+    console.warn(`Y.js WebSocket 접근 거부: user=${userName}, doc=${docname}`);
+    ws.close(4403, 'Forbidden');
+    return;
+  }
+
   console.log(`Y.js WebSocket connected: user=${userName}, clientId=${clientId}, doc=${docname}`);
 
-  const doc = getYDoc(docname);
-  const awareness = getAwareness(docname);
-  
-  // WebSocket이 열릴 때 동기화 상태 전송
-  const encoder = syncProtocol.createSyncReplyMessage(Y.encodeStateAsUpdate(doc), syncProtocol.messageYjsSyncStep1);
-  if (encoder.length > 1) {
-    ws.send(encoder);
+  // 문서 로드가 끝날 때까지 수신 메시지는 순서대로 대기
+  const ready = liveDocuments.get(docname)
+    .then(async (entry) => {
+      if (isNew && authenticator) {
+        await shareWithCreator(docname, req.auth);
+      }
+
+      // 동시에 생성된 문서는 먼저 만든 사용자의 공유로 다시 확인
+      const role = getDocumentRole(req.auth, docname);
+      if (!role) {
+        ws.close(4403, 'Forbidden');
+        return null;
+      }
+
+      const readOnly = !userManager.getRolePermissions(role).includes('write');
+      return setupConnection(ws, docname, entry, { userName, clientId, readOnly });
+    })
+    .catch((error) => {
+      logger.error(`Y.js 문서 로드 실패: ${docname}`, error);
+      ws.close();
+      return null;
+    });
+
+  ws.on('message', (message) => {
+    ready.then(connection => connection?.handleMessage(message));
+  });
+
+  // 에러 처리
+  ws.on('error', (error) => {
+    console.error('Y.js WebSocket 오류:', error);
+  });
+});
+
+// 로드된 문서에 연결 설정 (초기 동기화 전송, 업데이트/awareness 중계, 연결 수 추적)
+function setupConnection(ws, docname, entry, { userName, clientId, readOnly }) {
+  const { doc, awareness } = entry;
+
+  liveDocuments.updateConnections(docname, entry, 1);
+
+  // 로드 중에 연결이 끊긴 경우
+  if (ws.readyState !== ws.OPEN) {
+    liveDocuments.updateConnections(docname, entry, -1);
+    return null;
   }
+  
+  // y-websocket 형식 메시지 전송
+  const send = (write) => {
+    const encoder = encoding.createEncoder();
+    write(encoder);
+    if (ws.readyState === ws.OPEN) {
+      ws.send(encoding.toUint8Array(encoder));
+    }
+  };
+
+  // WebSocket이 열릴 때 동기화 상태 요청 (서버 상태는 클라이언트의 step1에 대한 step2로 전송)
+  send(encoder => {
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeSyncStep1(encoder, doc);
+  });
 
   // 현재 awareness 상태 전송
   const awarenessStates = awareness.getStates();
   if (awarenessStates.size > 0) {
-    const encoder = awarenessProtocol.encodeAwarenessUpdate(awareness, Array.from(awarenessStates.keys()));
-    ws.send(encoder);
+    send(encoder => {
+      encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+      encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, Array.from(awarenessStates.keys())));
+    });
   }
 
+  // 이 연결이 게시한 awareness 클라이언트 ID (연결 해제 시 제거)
+  const controlledIds = new Set();
+
   // WebSocket 메시지 핸들러
-  ws.on('message', (message) => {
+  const handleMessage = (message) => {
     try {
-      const uint8Array = new Uint8Array(message);
-      const messageType = uint8Array[0];
-
-      if (messageType >= 0 && messageType <= 2) {
-        // Y.js 동기화 메시지
-        syncProtocol.readSyncMessage(uint8Array, encoder => {
-          if (encoder) {
-            ws.send(encoder);
-          }
-        }, doc, null);
-      } else if (messageType === 3) {
+      const decoder = decoding.createDecoder(new Uint8Array(message));
+      const messageType = decoding.readVarUint(decoder);
+
+      if (messageType === MESSAGE_SYNC) {
+        // 읽기 전용 사용자는 상태 요청(step1)만 허용
+        if (readOnly && decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) {
+          console.warn(`읽기 전용 사용자의 Y.js 업데이트 무시: user=${userName}, doc=${docname}`);
+          return;
+        }
+
+        // Y.js 동기화 메시지 (발신 소켓을 origin으로 적용해 되돌려 보내지 않음)
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, MESSAGE_SYNC);
+        syncProtocol.readSyncMessage(decoder, encoder, doc, ws);
+        if (encoding.length(encoder) > 1) {
+          ws.send(encoding.toUint8Array(encoder));
+        }
+      } else if (messageType === MESSAGE_AWARENESS) {
         // Awareness 메시지
-        awarenessProtocol.applyAwarenessUpdate(awareness, uint8Array.slice(1), ws);
+        awarenessProtocol.applyAwarenessUpdate(awareness, decoding.readVarUint8Array(decoder), ws);
       }
     } catch (error) {
       console.error('Y.js 메시지 처리 오류:', error);
     }
-  });
+  };
 
   // 문서 업데이트 이벤트
   const updateHandler = (update, origin) => {
     if (origin !== ws) {
-      ws.send(syncProtocol.encodeUpdate(update));
+      send(encoder => {
+        encoding.writeVarUint(encoder, MESSAGE_SYNC);
+        syncProtocol.writeUpdate(encoder, update);
+      });
     }
   };
   doc.on('update', updateHandler);
 
-  // Awareness 변경 이벤트
-  const awarenessChangeHandler = ({ added, updated, removed }) => {
+  // Awareness 변경 이벤트 (상태 내용이 같아도 갱신은 모두 전달해 타임아웃 방지)
+  const awarenessChangeHandler = ({ added, updated, removed }, origin) => {
+    if (origin === ws) {
+      added.concat(updated).forEach(id => controlledIds.add(id));
+      removed.forEach(id => controlledIds.delete(id));
+    }
+
     const changedClients = added.concat(updated, removed);
     if (changedClients.length > 0) {
-      const encoder = awarenessProtocol.encodeAwarenessUpdate(awareness, changedClients);
-      ws.send(encoder);
+      send(encoder => {
+        encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+        encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, changedClients));
+      });
     }
   };
-  awareness.on('change', awarenessChangeHandler);
+  awareness.on('update', awarenessChangeHandler);
 
   // 연결 해제 처리
   ws.on('close', () => {
@@ -148,28 +351,43 @@ wss.on('connection', (ws, req) => {
     
     // 이벤트 리스너 제거
     doc.off('update', updateHandler);
-    awareness.off('change', awarenessChangeHandler);
+    awareness.off('update', awarenessChangeHandler);
     
     // Awareness에서 클라이언트 제거
-    awarenessProtocol.removeAwarenessStates(awareness, [ws.clientID], null);
-  });
+    awarenessProtocol.removeAwarenessStates(awareness, Array.from(controlledIds), null);
 
-  // 에러 처리
-  ws.on('error', (error) => {
-    console.error('Y.js WebSocket 오류:', error);
+    liveDocuments.updateConnections(docname, entry, -1);
   });
-});
 
-// 서버 시작
+  return { handleMessage };
+}
+
+// 서버 시작 (저장된 문서 메타데이터 로드 후)
+await documentManager.initialize();
+
 server.listen(port, () => {
   console.log(`🚀 Y.js BPMN 협업 서버가 시작되었습니다!`);
   console.log(`📍 서버 주소: http://localhost:${port}`);
   console.log(`🔗 데모 페이지: http://localhost:${port}/demo/`);
-  console.log(`🔌 Y.js WebSocket: ws://localhost:${port}/yjs`);
+  console.log(`🔌 Y.js WebSocket: ws://localhost:${port}/yjs/{문서 이름}`);
   console.log('');
   console.log('Y.js 기반 실시간 BPMN 협업이 활성화되었습니다!');
 });
 
+// 종료 시 로드된 문서 저장
+async function shutdown(signal) {
+  logger.info(`${signal} received, saving documents...`);
+
+  liveDocuments.destroy();
+  wss.clients.forEach(ws => ws.terminate());
+
+  await documentManager.destroy();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // 에러 핸들링
 process.on('uncaughtException', (error) => {
   console.error('Uncaught Exception:', error);
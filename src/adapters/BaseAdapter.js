@@ -4,22 +4,38 @@
  */
 
 import { Logger } from '../utils/Logger.js';
+import { DiffCodec } from '../utils/DiffCodec.js';
+
+/**
+ * Diff 전송 인코딩 (압축률 낮은 순)
+ * - json:    원본 객체 그대로
+ * - binary:  DiffCodec 바이너리
+ * - deflate: DiffCodec 바이너리 + deflate
+ */
+export const DIFF_ENCODINGS = ['json', 'binary', 'deflate'];
 
 export class BaseAdapter {
   constructor(config = {}) {
     this.config = {
       enableCompression: false,
+      compressionThreshold: 1024,
       retryOnError: true,
       maxRetries: 3,
       retryDelay: 1000,
       timeout: 10000,
-      ...config
+      ...config,
+      ...config.options
     };
     this.logger = new Logger();
     this.isInitialized = false;
     this.isConnected = false;
     this.remoteDiffCallback = null;
+    this.messageListeners = new Set();
     this.connectionListeners = new Set();
+
+    // 연결(피어)별로 협상된 인코딩
+    this.codec = new DiffCodec();
+    this.peerEncodings = new Map();
   }
 
   /**
@@ -48,6 +64,54 @@ export class BaseAdapter {
     throw new Error('BaseAdapter.onRemoteDiff() must be implemented by subclass');
   }
 
+  /**
+   * 제어 메시지 전송
+   * 상태 해시 교환처럼 문서 이력에 남기지 않는 메시지용이며, 지원하는 어댑터만 재정의
+   * @param {Object} message - 전송할 메시지 (to 지정 시 해당 클라이언트만 처리)
+   * @returns {Promise<void>}
+   */
+  async sendMessage(message) {
+    throw new Error(`${this.constructor.name} does not support control messages`);
+  }
+
+  /**
+   * 제어 메시지 리스너 등록
+   * @param {Function} callback - (message) => void, message.clientId는 보낸 클라이언트
+   * @returns {Function} 제거 함수
+   */
+  onMessage(callback) {
+    this.messageListeners.add(callback);
+
+    return () => {
+      this.messageListeners.delete(callback);
+    };
+  }
+
+  /**
+   * 수신한 제어 메시지 전달
+   * 자신이 보냈거나 다른 클라이언트 앞으로 온 메시지는 무시
+   * @protected
+   * @param {Object} message - 수신 메시지
+   * @param {string} localClientId - 자신의 클라이언트 ID
+   */
+  async _dispatchMessage(message, localClientId) {
+    if (!message || message.clientId === localClientId) {
+      return;
+    }
+
+    if (message.to && message.to !== localClientId) {
+      return;
+    }
+
+    for (const callback of this.messageListeners) {
+      try {
+        await callback(message);
+      } catch (error) {
+        this.logger.error('Message listener error:', error);
+      }
+    }
+  }
+
   /**
    * 연결 상태 리스너 등록
    * @param {Function} callback - 상태 변경 콜백
@@ -68,6 +132,15 @@ export class BaseAdapter {
     };
   }
 
+  /**
+   * 연결 후 놓친 원격 변경을 따라잡는 중인지 여부
+   * 따라잡기를 지원하는 어댑터는 완료 시 'synced' 상태를 알림
+   * @returns {boolean}
+   */
+  isCatchingUp() {
+    return false;
+  }
+
   /**
    * 연결 상태 변경 알림
    * @protected
@@ -137,17 +210,21 @@ export class BaseAdapter {
    * @param {Promise} promise - 래핑할 Promise
    * @param {number} timeoutMs - 타임아웃 시간
    * @param {string} operationName - 작업 이름
+   * @param {Function} [onTimeout] - 시간 초과 시 진행 중인 작업 정리 (늦게 끝난 작업이 상태를 바꾸지 않도록)
    * @returns {Promise<any>}
    */
-  _withTimeout(promise, timeoutMs = this.config.timeout, operationName = 'operation') {
+  _withTimeout(promise, timeoutMs = this.config.timeout, operationName = 'operation', onTimeout = null) {
+    let timer;
+
     return Promise.race([
       promise,
       new Promise((_, reject) => {
-        setTimeout(() => {
+        timer = setTimeout(() => {
+          onTimeout?.();
           reject(new Error(`${operationName} timeout after ${timeoutMs}ms`));
         }, timeoutMs);
       })
-    ]);
+    ]).finally(() => clearTimeout(timer));
   }
 
   /**
@@ -180,30 +257,91 @@ export class BaseAdapter {
   }
 
   /**
-   * Diff 압축 (옵션)
+   * 지원하는 Diff 인코딩 목록 (선호 순)
+   * 협상 시 상대에게 이 목록을 알림
+   * @returns {string[]}
+   */
+  getSupportedEncodings() {
+    if (!this.config.enableCompression) {
+      return ['json'];
+    }
+
+    return DiffCodec.isDeflateSupported() ? ['deflate', 'binary', 'json'] : ['binary', 'json'];
+  }
+
+  /**
+   * 연결별 인코딩 협상
+   * @protected
+   * @param {string|number} peerId - 연결(피어) ID
+   * @param {string[]} [peerEncodings] - 상대가 지원하는 인코딩 목록 (없으면 json만 지원)
+   * @returns {string} 협상된 인코딩
+   */
+  _negotiateEncoding(peerId, peerEncodings = ['json']) {
+    const encoding = this.getSupportedEncodings().find(candidate => peerEncodings.includes(candidate)) || 'json';
+    this.peerEncodings.set(peerId, encoding);
+
+    this.logger.debug(`Negotiated diff encoding with ${peerId}: ${encoding}`);
+    return encoding;
+  }
+
+  /**
+   * 연결 종료 시 협상 정보 제거
+   * @protected
+   * @param {string|number} peerId - 연결(피어) ID
+   */
+  _forgetPeerEncoding(peerId) {
+    this.peerEncodings.delete(peerId);
+  }
+
+  /**
+   * 전송에 사용할 인코딩 선택
+   * 피어를 지정하지 않으면 협상된 모든 피어가 읽을 수 있는 인코딩 사용
+   * 아직 협상한 피어가 없으면 누구나 읽을 수 있는 json 사용
+   * @protected
+   * @param {string|number|null} peerId - 연결(피어) ID
+   * @returns {string}
+   */
+  _selectEncoding(peerId = null) {
+    if (peerId !== null) {
+      return this.peerEncodings.get(peerId) || 'json';
+    }
+
+    if (this.peerEncodings.size === 0) {
+      return 'json';
+    }
+
+    return Array.from(this.peerEncodings.values()).reduce((weakest, encoding) =>
+      DIFF_ENCODINGS.indexOf(encoding) < DIFF_ENCODINGS.indexOf(weakest) ? encoding : weakest
+    );
+  }
+
+  /**
+   * Diff 압축
+   * 협상된 인코딩이 json이 아니면 바이너리로 인코딩하고,
+   * deflate가 협상되었고 compressionThreshold 이상이면 deflate 적용
    * @protected
    * @param {DocumentDiff} diff - 압축할 Diff
-   * @returns {string|DocumentDiff}
+   * @param {string|number|null} [peerId] - 대상 연결 ID (없으면 브로드캐스트)
+   * @returns {Promise<Object|DocumentDiff>} 압축 봉투 또는 원본 Diff
    */
-  _compressDiff(diff) {
-    if (!this.config.enableCompression) {
+  async _compressDiff(diff, peerId = null) {
+    const encoding = this._selectEncoding(peerId);
+    if (encoding === 'json') {
       return diff;
     }
 
     try {
-      // 간단한 JSON 압축 (실제로는 gzip 등 사용)
-      const jsonString = JSON.stringify(diff);
-      
-      // 크기가 작으면 압축하지 않음
-      if (jsonString.length < 1000) {
-        return diff;
-      }
+      const binary = this.codec.encode(diff);
+      const useDeflate = encoding === 'deflate' && binary.length >= this.config.compressionThreshold;
 
-      // 여기서는 단순히 JSON 문자열 반환 (실제로는 압축 알고리즘 적용)
       return {
         compressed: true,
-        data: jsonString,
-        originalSize: jsonString.length
+        encoding: useDeflate ? 'deflate' : 'binary',
+        id: diff.id,
+        clientId: diff.clientId,
+        timestamp: diff.timestamp,
+        data: useDeflate ? await DiffCodec.deflate(binary) : binary,
+        originalSize: binary.length
       };
     } catch (error) {
       this.logger.warn('Compression failed, sending uncompressed:', error);
@@ -214,22 +352,47 @@ export class BaseAdapter {
   /**
    * Diff 압축 해제
    * @protected
-   * @param {string|DocumentDiff} data - 압축 해제할 데이터
-   * @returns {DocumentDiff}
+   * @param {Object|DocumentDiff} data - 압축 봉투 또는 원본 Diff
+   * @returns {Promise<DocumentDiff>}
    */
-  _decompressDiff(data) {
+  async _decompressDiff(data) {
     if (!data || typeof data !== 'object' || !data.compressed) {
       return data;
     }
 
     try {
-      return JSON.parse(data.data);
+      switch (data.encoding) {
+        case 'binary':
+          return this.codec.decode(this._toBytes(data.data));
+        case 'deflate':
+          return this.codec.decode(await DiffCodec.inflate(this._toBytes(data.data)));
+        default:
+          throw new Error(`Unsupported diff encoding: ${data.encoding}`);
+      }
     } catch (error) {
       this.logger.error('Decompression failed:', error);
       throw new Error('Failed to decompress diff data');
     }
   }
 
+  /**
+   * 전송 계층을 거친 바이너리 데이터를 Uint8Array로 변환
+   * @private
+   * @param {Uint8Array|ArrayBuffer|number[]} data - 바이너리 데이터
+   * @returns {Uint8Array}
+   */
+  _toBytes(data) {
+    if (data instanceof Uint8Array) {
+      return data;
+    }
+
+    if (data instanceof ArrayBuffer || Array.isArray(data)) {
+      return new Uint8Array(data);
+    }
+
+    throw new Error('Compressed diff data must be binary');
+  }
+
   /**
    * 메시지 직렬화
    * @protected
@@ -318,6 +481,7 @@ export class BaseAdapter {
       isConnected: this.isConnected,
       configuration: {
         enableCompression: this.config.enableCompression,
+        encodings: this.getSupportedEncodings(),
         retryOnError: this.config.retryOnError,
         maxRetries: this.config.maxRetries,
         timeout: this.config.timeout
@@ -346,7 +510,9 @@ export class BaseAdapter {
     this.isInitialized = false;
     this.isConnected = false;
     this.remoteDiffCallback = null;
+    this.messageListeners.clear();
     this.connectionListeners.clear();
+    this.peerEncodings.clear();
     
     this.logger.info('BaseAdapter destroyed');
   }
@@ -0,0 +1,326 @@
+/**
+ * BroadcastChannel 어댑터
+ * 같은 출처의 브라우저 탭끼리는 BroadcastChannel로, Node에서는 프로세스 내 메모리 허브로
+ * 서버 없이 BpmnDiffSync 인스턴스를 동기화
+ */
+
+import { BaseAdapter } from './BaseAdapter.js';
+
+/**
+ * 프로세스 내 메모리 허브
+ * BroadcastChannel과 같은 방식(자신 제외 전달, 구조적 복제, 비동기 전달)으로 동작
+ */
+export class InMemoryHub {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  /**
+   * 기본 공유 허브
+   * @returns {InMemoryHub}
+   */
+  static get shared() {
+    if (!InMemoryHub._shared) {
+      InMemoryHub._shared = new InMemoryHub();
+    }
+    return InMemoryHub._shared;
+  }
+
+  /**
+   * 채널 열기
+   * @param {string} name - 채널 이름
+   * @returns {Object} BroadcastChannel 호환 엔드포인트 { postMessage, onmessage, close }
+   */
+  open(name) {
+    if (!this.channels.has(name)) {
+      this.channels.set(name, new Set());
+    }
+
+    const members = this.channels.get(name);
+    const endpoint = {
+      name,
+      onmessage: null,
+      postMessage: (data) => {
+        if (!members.has(endpoint)) {
+          throw new Error(`Channel ${name} is closed`);
+        }
+
+        const message = structuredClone(data);
+        members.forEach(member => {
+          if (member !== endpoint) {
+            setTimeout(() => member.onmessage?.({ data: structuredClone(message) }), 0);
+          }
+        });
+      },
+      close: () => {
+        members.delete(endpoint);
+        if (members.size === 0) {
+          this.channels.delete(name);
+        }
+      }
+    };
+
+    members.add(endpoint);
+    return endpoint;
+  }
+
+  /**
+   * 채널 참가자 수 조회
+   * @param {string} name - 채널 이름
+   * @returns {number}
+   */
+  getMemberCount(name) {
+    return this.channels.get(name)?.size || 0;
+  }
+}
+
+export class BroadcastChannelAdapter extends BaseAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.options = {
+      channelName: 'bpmn-diff-sync',
+      transport: 'auto',  // 'auto' | 'broadcast-channel' | 'memory'
+      hub: null,          // memory 전송 시 사용할 InMemoryHub (기본: InMemoryHub.shared)
+      ...config.options
+    };
+
+    this.channel = null;
+    this.clientId = null;
+    this.transport = null;
+    this.peers = new Map();
+
+    // 압축 해제가 비동기이므로 수신 순서를 유지하도록 직렬 처리
+    this.remoteQueue = Promise.resolve();
+  }
+
+  /**
+   * 어댑터 초기화
+   * @param {Object} context - { clientId, documentId }
+   */
+  async initialize(context) {
+    if (this.isInitialized) {
+      throw new Error('BroadcastChannelAdapter already initialized');
+    }
+
+    this.clientId = context.clientId || this._generateClientId();
+    this.transport = this._resolveTransport();
+
+    const channelName = context.documentId
+      ? `${this.options.channelName}:${context.documentId}`
+      : this.options.channelName;
+
+    this.channel = this.transport === 'broadcast-channel'
+      ? new BroadcastChannel(channelName)
+      : (this.options.hub || InMemoryHub.shared).open(channelName);
+    this.channel.onmessage = (event) => this._handleMessage(event.data);
+
+    this.isInitialized = true;
+    this.isConnected = true;
+
+    // 다른 탭/인스턴스에 참가 알림 (응답으로 인코딩 협상)
+    this._post({ type: 'hello', encodings: this.getSupportedEncodings() });
+    this._notifyConnectionChange('connected', { transport: this.transport, channel: channelName });
+
+    this.logger.info(`BroadcastChannelAdapter initialized (${this.transport}: ${channelName})`);
+  }
+
+  /**
+   * Diff 전송
+   * @param {DocumentDiff} diff - 전송할 Diff
+   */
+  async sendDiff(diff) {
+    if (!this.isConnected) {
+      throw new Error('BroadcastChannelAdapter not connected');
+    }
+
+    if (!this._validateDiff(diff)) {
+      throw new Error('Invalid diff format');
+    }
+
+    this._post({
+      type: 'diff',
+      diff: await this._compressDiff({ ...diff, clientId: this.clientId })
+    });
+  }
+
+  /**
+   * 원격 Diff 수신 콜백 등록
+   * @param {Function} callback - 수신 콜백 함수
+   */
+  onRemoteDiff(callback) {
+    this.remoteDiffCallback = callback;
+  }
+
+  /**
+   * 제어 메시지 전송
+   * @param {Object} message - 전송할 메시지
+   */
+  async sendMessage(message) {
+    if (!this.isConnected) {
+      throw new Error('BroadcastChannelAdapter not connected');
+    }
+
+    this._post({ type: 'message', to: message.to, payload: message });
+  }
+
+  /**
+   * 같은 채널의 다른 인스턴스 목록
+   * @returns {string[]} 클라이언트 ID 목록
+   */
+  getPeers() {
+    return Array.from(this.peers.keys());
+  }
+
+  /**
+   * 전송 방식 결정
+   * auto는 브라우저에서 BroadcastChannel, 그 외(Node)에서는 메모리 허브 사용
+   * @private
+   * @returns {string}
+   */
+  _resolveTransport() {
+    const { transport } = this.options;
+
+    if (transport === 'memory') {
+      return 'memory';
+    }
+
+    const hasBroadcastChannel = typeof BroadcastChannel === 'function';
+
+    if (transport === 'broadcast-channel') {
+      if (!hasBroadcastChannel) {
+        throw new Error('BroadcastChannel is not available in this environment');
+      }
+      return 'broadcast-channel';
+    }
+
+    return hasBroadcastChannel && typeof window !== 'undefined' ? 'broadcast-channel' : 'memory';
+  }
+
+  /**
+   * 채널 메시지 처리
+   * @private
+   * @param {Object} message - 수신 메시지
+   */
+  async _handleMessage(message) {
+    if (!message || message.clientId === this.clientId) {
+      return;
+    }
+
+    if (message.to && message.to !== this.clientId) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'hello':
+        this._addPeer(message.clientId, message.encodings);
+        this._post({ type: 'welcome', to: message.clientId, encodings: this.getSupportedEncodings() });
+        break;
+      case 'welcome':
+        this._addPeer(message.clientId, message.encodings);
+        break;
+      case 'bye':
+        this.peers.delete(message.clientId);
+        this._forgetPeerEncoding(message.clientId);
+        this._notifyConnectionChange('peer_left', { clientId: message.clientId });
+        this._notifyConnectionChange('peers_changed', { peers: this.getPeers() });
+        break;
+      case 'diff':
+        this.remoteQueue = this.remoteQueue.then(() => this._processRemoteDiff(message.diff));
+        await this.remoteQueue;
+        break;
+      case 'message':
+        await this._dispatchMessage({ ...message.payload, clientId: message.clientId }, this.clientId);
+        break;
+      default:
+        this.logger.debug(`Ignored channel message: ${message.type}`);
+    }
+  }
+
+  /**
+   * 원격 Diff 처리
+   * @private
+   * @param {Object|DocumentDiff} data - 수신한 Diff 또는 압축 봉투
+   */
+  async _processRemoteDiff(data) {
+    try {
+      const diff = await this._decompressDiff(data);
+
+      if (!this._validateDiff(diff)) {
+        this.logger.warn('Invalid remote diff received');
+        return;
+      }
+
+      if (this.remoteDiffCallback) {
+        await this.remoteDiffCallback(diff);
+      }
+    } catch (error) {
+      this.logger.error('Failed to process remote diff:', error);
+    }
+  }
+
+  /**
+   * 피어 추가 및 인코딩 협상
+   * @private
+   * @param {string} clientId - 피어 클라이언트 ID
+   * @param {string[]} encodings - 피어가 지원하는 인코딩
+   */
+  _addPeer(clientId, encodings) {
+    const isNew = !this.peers.has(clientId);
+
+    this.peers.set(clientId, { clientId, joinedAt: Date.now() });
+    this._negotiateEncoding(clientId, encodings);
+
+    if (isNew) {
+      this._notifyConnectionChange('peer_joined', { clientId });
+      this._notifyConnectionChange('peers_changed', { peers: this.getPeers() });
+    }
+  }
+
+  /**
+   * 채널로 메시지 전송
+   * @private
+   * @param {Object} message - 전송할 메시지
+   */
+  _post(message) {
+    this.channel.postMessage({ ...message, clientId: this.clientId, timestamp: Date.now() });
+  }
+
+  /**
+   * 클라이언트 ID 생성
+   * @private
+   */
+  _generateClientId() {
+    return 'tab-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * 통계 정보 조회
+   * @returns {Object}
+   */
+  getStatistics() {
+    return {
+      ...super.getStatistics(),
+      transport: this.transport,
+      channelName: this.channel?.name || null,
+      peers: this.peers.size
+    };
+  }
+
+  /**
+   * 리소스 정리
+   */
+  async destroy() {
+    if (this.channel) {
+      this._post({ type: 'bye' });
+      this.channel.onmessage = null;
+      this.channel.close();
+      this.channel = null;
+    }
+
+    this.peers.clear();
+    this._notifyConnectionChange('disconnected');
+
+    await super.destroy();
+    this.logger.info('BroadcastChannelAdapter destroyed');
+  }
+}
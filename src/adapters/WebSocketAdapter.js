@@ -0,0 +1,857 @@
+/**
+ * WebSocket 어댑터
+ * Y.js 없이 서버의 JSON 협업 프로토콜(user_join, model_change, batch_update, heartbeat ...)로 동기화
+ */
+
+import { BaseAdapter } from './BaseAdapter.js';
+
+// WebSocket readyState
+const OPEN = 1;
+
+// 정상 종료 코드
+const NORMAL_CLOSURE = 1000;
+
+export class WebSocketAdapter extends BaseAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.options = {
+      url: null,
+      WebSocket: null,            // WebSocket 구현 (기본: globalThis.WebSocket, Node에서는 ws 패키지 전달)
+      user: null,                 // { id, name, color } (기본: clientId 기반)
+      documentId: null,           // 참가할 문서 룸 (기본: context.documentId, 없으면 서버 기본 문서)
+      token: null,                // 인증 토큰 또는 토큰을 반환하는 (비동기) 함수, 연결 시 ?token=으로 전달
+      autoReconnect: true,
+      maxReconnectAttempts: 5,
+      reconnectInterval: 3000,
+      heartbeatInterval: 30000,
+      maxQueueSize: 100,
+      batchUpdates: false,
+      batchDelay: 50,
+      catchUp: true,              // 연결/재연결 시 서버 작업 로그에서 놓친 변경 따라잡기
+      ...config.options
+    };
+
+    // 연결 상태
+    this.socket = null;
+    this.clientId = null;
+    this.user = null;
+    this.documentId = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.lastHeartbeat = null;
+    this.isClosing = false;
+
+    // 메시지 큐 (연결 끊김 시 대기)
+    this.messageQueue = [];
+
+    // 배치 처리
+    this.pendingUpdates = [];
+    this.batchTimer = null;
+
+    // 원격 사용자 및 수신 순서 보장
+    this.remoteUsers = new Map();
+    this.remoteQueue = Promise.resolve();
+
+    // 서버가 부여한 문서 권한 (user_join_confirmed 수신 전에는 null)
+    this.permissions = null;
+
+    // 서버 작업 로그에서 마지막으로 받은 순번과 진행 중인 따라잡기
+    this.lastSequence = 0;
+    this.pendingSync = null;
+
+    // 따라잡기 응답을 받아 모두 적용하기 전까지 true (완료되면 'synced' 상태 알림)
+    this.catchingUp = false;
+  }
+
+  /**
+   * WebSocket 어댑터 초기화
+   * @param {Object} context - { clientId, user }
+   */
+  async initialize(context) {
+    if (this.isInitialized) {
+      throw new Error('WebSocketAdapter already initialized');
+    }
+
+    if (!this.options.url) {
+      throw new Error('WebSocket URL not provided');
+    }
+
+    this.logger.info(`Initializing WebSocketAdapter: ${this.options.url}`);
+
+    this.clientId = context.clientId || this._generateClientId();
+    this.documentId = this.options.documentId || context.documentId || null;
+    this.user = {
+      id: this.clientId,
+      name: `User-${this.clientId.substring(0, 8)}`,
+      ...(context.user || {}),
+      ...(this.options.user || {})
+    };
+
+    await this._retry(() => this._connectWithTimeout('WebSocket connect'), 'WebSocket connect');
+
+    this.isInitialized = true;
+    this.logger.info('WebSocketAdapter initialized successfully');
+  }
+
+  /**
+   * Diff 전송
+   * 연결이 끊긴 동안에는 큐에 보관했다가 재연결 시 전송
+   * @param {DocumentDiff} diff - 전송할 Diff
+   */
+  async sendDiff(diff) {
+    if (!this._validateDiff(diff)) {
+      throw new Error('Invalid diff format');
+    }
+
+    const message = {
+      type: 'model_change',
+      operation: {
+        type: 'diff',
+        diff: this._encodeEnvelope(await this._compressDiff({ ...diff, clientId: this.clientId }))
+      },
+      userId: this.user.id,
+      clientId: this.clientId,
+      timestamp: Date.now()
+    };
+
+    if (this.options.batchUpdates) {
+      this._addToBatch(message);
+    } else {
+      this._send(message);
+    }
+  }
+
+  /**
+   * 원격 Diff 수신 콜백 등록
+   * @param {Function} callback - 수신 콜백 함수
+   */
+  onRemoteDiff(callback) {
+    this.remoteDiffCallback = callback;
+  }
+
+  /**
+   * 스냅샷 따라잡기 콜백 등록
+   * 작업 로그로 따라잡을 수 없어 서버가 스냅샷(mode: 'snapshot')으로 응답하면
+   * 스냅샷 이후 작업보다 먼저 수신 순서대로 호출
+   * @param {Function} callback - (modelState) => Promise<void>
+   */
+  onRemoteSnapshot(callback) {
+    this.remoteSnapshotCallback = callback;
+  }
+
+  /**
+   * 스냅샷 제공 콜백 등록
+   * 다른 클라이언트의 따라잡기를 위해 서버가 sync_request를 보내면 현재 동기화된 상태로 응답
+   * @param {Function} callback - () => DocumentState|Promise<DocumentState|null>
+   */
+  onSnapshotRequest(callback) {
+    this.snapshotRequestCallback = callback;
+  }
+
+  /**
+   * 제어 메시지 전송 (서버가 다른 클라이언트에 중계, 연결이 없으면 보관하지 않음)
+   * @param {Object} message - 전송할 메시지
+   */
+  async sendMessage(message) {
+    if (!this.socket || this.socket.readyState !== OPEN) {
+      throw new Error('WebSocketAdapter not connected');
+    }
+
+    this._send({
+      type: 'control_message',
+      to: message.to,
+      payload: message,
+      userId: this.user.id,
+      clientId: this.clientId,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * 문서 쓰기 가능 여부 (서버 권한을 받기 전에는 true)
+   * @returns {boolean}
+   */
+  canWrite() {
+    return !this.permissions || this.permissions.includes('write') || this.permissions.includes('admin');
+  }
+
+  /**
+   * 연결 후 서버 작업 로그를 따라잡는 중인지 여부
+   * @returns {boolean}
+   */
+  isCatchingUp() {
+    return this.catchingUp;
+  }
+
+  /**
+   * 연결된 원격 사용자 목록 조회
+   * @returns {Object[]}
+   */
+  getConnectedUsers() {
+    return Array.from(this.remoteUsers.values());
+  }
+
+  /**
+   * 시간 제한이 있는 WebSocket 연결
+   * 시간 초과 시 대기 중인 소켓을 닫아 늦게 열린 연결이 중복 연결로 남지 않게 함
+   * @private
+   * @param {string} operationName - 작업 이름
+   * @returns {Promise<void>}
+   */
+  _connectWithTimeout(operationName) {
+    const attempt = { socket: null, aborted: false };
+
+    return this._withTimeout(
+      this._connect(attempt),
+      this.config.timeout,
+      operationName,
+      () => this._abortConnect(attempt)
+    );
+  }
+
+  /**
+   * 연결 시도 중단 (핸들러를 떼고 소켓 닫기)
+   * @private
+   * @param {Object} attempt - { socket, aborted }
+   */
+  _abortConnect(attempt) {
+    attempt.aborted = true;
+
+    const socket = attempt.socket;
+    if (!socket) {
+      return;
+    }
+
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onclose = null;
+    // 연결 전에 닫으면 발생하는 error 이벤트 무시
+    socket.onerror = () => {};
+
+    try {
+      socket.close();
+    } catch (error) {
+      this.logger.debug('Failed to close pending WebSocket:', error.message);
+    }
+  }
+
+  /**
+   * WebSocket 연결
+   * @private
+   * @param {Object} [attempt] - 연결 시도 상태 { socket, aborted } (시간 초과 시 중단용)
+   * @returns {Promise<void>} 연결이 열리면 resolve
+   */
+  async _connect(attempt = { socket: null, aborted: false }) {
+    const WebSocketImpl = this.options.WebSocket || globalThis.WebSocket;
+    if (!WebSocketImpl) {
+      throw new Error('WebSocket implementation not available');
+    }
+
+    this._notifyConnectionChange('connecting', { url: this.options.url });
+
+    const url = await this._resolveConnectionUrl();
+    if (attempt.aborted) {
+      throw new Error('WebSocket connect aborted');
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocketImpl(url);
+      attempt.socket = socket;
+      let opened = false;
+
+      socket.onopen = () => {
+        opened = true;
+        this.socket = socket;
+        this._handleOpen();
+        resolve();
+      };
+
+      socket.onmessage = (event) => {
+        this._handleMessage(event.data);
+      };
+
+      socket.onerror = (event) => {
+        this.logger.warn('WebSocket error:', event?.message || event?.error?.message || 'connection error');
+      };
+
+      socket.onclose = (event) => {
+        if (!opened) {
+          reject(new Error(`WebSocket connection failed (${event?.code ?? 'unknown'})`));
+          return;
+        }
+        this._handleClose(socket, event);
+      };
+    });
+  }
+
+  /**
+   * 인증 토큰을 포함한 연결 URL 생성
+   * 토큰 함수는 재연결마다 호출되어 갱신된 토큰을 사용할 수 있음
+   * @private
+   * @returns {Promise<string>}
+   */
+  async _resolveConnectionUrl() {
+    const { url, token } = this.options;
+    const value = typeof token === 'function' ? await token() : token;
+
+    if (!value) {
+      return url;
+    }
+
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}token=${encodeURIComponent(value)}`;
+  }
+
+  /**
+   * 연결 성립 처리: 참가 알림, 대기 메시지 전송, 하트비트 시작
+   * @private
+   */
+  _handleOpen() {
+    const wasReconnect = this.reconnectAttempts > 0;
+
+    this.isConnected = true;
+    this.reconnectAttempts = 0;
+
+    this._send({
+      type: 'user_join',
+      ...(this.documentId ? { documentId: this.documentId } : {}),
+      user: { ...this.user, clientId: this.clientId, diffEncodings: this.getSupportedEncodings() },
+      timestamp: Date.now()
+    });
+
+    if (this.options.catchUp) {
+      this._requestSync();
+    }
+
+    this._flushMessageQueue();
+    this._startHeartbeat();
+
+    this._notifyConnectionChange('connected', { url: this.options.url, reconnected: wasReconnect });
+    this.logger.info(`WebSocket connected: ${this.options.url}`);
+  }
+
+  /**
+   * 연결 종료 처리 및 재연결 예약
+   * @private
+   * @param {WebSocket} socket - 종료된 소켓
+   * @param {Object} event - close 이벤트
+   */
+  _handleClose(socket, event) {
+    if (socket !== this.socket) {
+      return;
+    }
+
+    this.isConnected = false;
+    this.socket = null;
+    this._stopHeartbeat();
+    this.remoteUsers.clear();
+    this.peerEncodings.clear();
+
+    this._notifyConnectionChange('disconnected', { code: event?.code, reason: event?.reason });
+    this.logger.warn(`WebSocket disconnected: ${event?.code}`);
+
+    if (!this.isClosing && this.options.autoReconnect) {
+      this._scheduleReconnect();
+    }
+  }
+
+  /**
+   * 재연결 예약 (시도 횟수에 비례해 지연 증가)
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+      this.logger.error(`Reconnection failed after ${this.reconnectAttempts} attempts`);
+      this._notifyConnectionChange('error', { error: 'Reconnection attempts exhausted' });
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = this.options.reconnectInterval * this.reconnectAttempts;
+
+    this.logger.info(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.options.maxReconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this._connectWithTimeout('WebSocket reconnect');
+      } catch (error) {
+        this.logger.warn('Reconnect attempt failed:', error.message);
+        if (!this.isClosing) {
+          this._scheduleReconnect();
+        }
+      }
+    }, delay);
+  }
+
+  /**
+   * 수신 메시지 처리
+   * @private
+   * @param {string|Buffer} data - 수신 데이터
+   */
+  _handleMessage(data) {
+    let message;
+    try {
+      message = this._deserialize(typeof data === 'string' ? data : data.toString());
+    } catch (error) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'model_change':
+        this._trackSequence(message.sequence);
+        this._queueRemoteChange(message);
+        break;
+      case 'operation_ack':
+        this._trackSequence(message.sequence);
+        break;
+      case 'sync_response':
+        this._handleSyncResponse(message);
+        break;
+      case 'sync_request':
+        this._answerSyncRequest(message);
+        break;
+      case 'control_message':
+        this._dispatchMessage({ ...message.payload, clientId: message.clientId }, this.clientId);
+        break;
+      case 'users_list':
+        (message.users || []).forEach(user => this._addRemoteUser(user));
+        break;
+      case 'user_joined':
+        this._addRemoteUser(message.user);
+        if (message.user?.clientId && message.user.clientId !== this.clientId) {
+          this._notifyConnectionChange('peer_joined', { clientId: message.user.clientId });
+        }
+        break;
+      case 'user_left':
+        this._removeRemoteUser(message.userId);
+        break;
+      case 'user_join_confirmed':
+        this.logger.debug(`User join confirmed: ${message.userId}`);
+        if (Array.isArray(message.permissions)) {
+          this.permissions = message.permissions;
+          this._notifyConnectionChange('permissions_changed', {
+            role: message.role,
+            permissions: message.permissions,
+            readOnly: !this.canWrite()
+          });
+        }
+        break;
+      case 'permission_denied':
+        this.logger.warn(`Permission denied: ${message.message}`);
+        this._notifyConnectionChange('permission_denied', {
+          required: message.required,
+          operation: message.operation,
+          elementIds: message.elementIds
+        });
+        break;
+      case 'heartbeat':
+        this.lastHeartbeat = message.timestamp;
+        break;
+      case 'error':
+        this.logger.error('Server error:', message.error);
+        break;
+      default:
+        this.logger.debug(`Ignored message type: ${message.type}`);
+    }
+  }
+
+  /**
+   * 원격 Diff 변경을 수신 순서대로 처리하도록 큐잉 (자신의 변경 제외)
+   * @private
+   * @param {Object} message - model_change 메시지
+   */
+  _queueRemoteChange(message) {
+    if (message.operation?.type === 'diff' && message.clientId !== this.clientId) {
+      this.remoteQueue = this.remoteQueue.then(() => this._processRemoteDiff(message.operation.diff));
+    }
+  }
+
+  /**
+   * 마지막으로 받은 순번 이후의 변경 요청
+   * @private
+   */
+  _requestSync() {
+    this.pendingSync = { liveSequences: new Set() };
+    this.catchingUp = true;
+
+    this._send({
+      type: 'sync_request',
+      userId: this.user.id,
+      clientId: this.clientId,
+      lastSequence: this.lastSequence,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * 서버 작업 로그 순번 기록
+   * @private
+   * @param {number} sequence - 메시지 순번
+   */
+  _trackSequence(sequence) {
+    if (!Number.isInteger(sequence)) {
+      return;
+    }
+
+    this.lastSequence = Math.max(this.lastSequence, sequence);
+    this.pendingSync?.liveSequences.add(sequence);
+  }
+
+  /**
+   * 따라잡기 응답 처리
+   * 놓친 작업은 원격 Diff로 적용하고, 스냅샷 응답은 onRemoteSnapshot 콜백으로 먼저 적용한 뒤
+   * 스냅샷 이후 작업을 적용함. 스냅샷 콜백이 없거나 스냅샷도 없으면(unavailable)
+   * resync_required 상태를 알려 상위 계층이 전체 상태를 맞추게 함
+   * @private
+   * @param {Object} message - sync_response 메시지
+   */
+  _handleSyncResponse(message) {
+    const liveSequences = this.pendingSync?.liveSequences || new Set();
+    this.pendingSync = null;
+
+    const applySnapshot = message.mode === 'snapshot' && message.modelState && this.remoteSnapshotCallback;
+    if (applySnapshot) {
+      const modelState = message.modelState;
+      this.remoteQueue = this.remoteQueue.then(() => this._processRemoteSnapshot(modelState));
+    }
+
+    (message.operations || [])
+      .filter(operation => !liveSequences.has(operation.sequence))
+      .forEach(operation => this._queueRemoteChange(operation));
+
+    if (Number.isInteger(message.latestSequence)) {
+      this.lastSequence = message.latestSequence;
+    }
+
+    if (message.mode !== 'operations' && !applySnapshot) {
+      this.logger.warn(`Operation log catch-up not possible (${message.mode}), full resync required`);
+      this._notifyConnectionChange('resync_required', {
+        mode: message.mode,
+        snapshot: message.modelState || null,
+        latestSequence: this.lastSequence
+      });
+    }
+
+    // 스냅샷과 놓친 작업을 모두 적용한 뒤 따라잡기 완료 알림 (오프라인 변경 재전송 시점)
+    this.remoteQueue = this.remoteQueue.then(() => {
+      this.catchingUp = false;
+      this._notifyConnectionChange('synced', { mode: message.mode, latestSequence: this.lastSequence });
+    });
+  }
+
+  /**
+   * 서버가 중계한 다른 클라이언트의 스냅샷 요청에 응답
+   * 먼저 받은 원격 변경을 모두 적용한 뒤의 상태와 그 시점의 순번을 보내고,
+   * 자신도 따라잡는 중이거나 제공할 상태가 없으면 응답하지 않음 (서버가 다른 피어 응답 또는 시간 초과 처리)
+   * @private
+   * @param {Object} message - sync_request 메시지 { requestId, userId }
+   */
+  _answerSyncRequest(message) {
+    if (!message.requestId || !this.snapshotRequestCallback) {
+      return;
+    }
+
+    this.remoteQueue = this.remoteQueue.then(async () => {
+      if (this.pendingSync) {
+        return;
+      }
+
+      const sequence = this.lastSequence;
+      try {
+        const modelState = await this.snapshotRequestCallback();
+        if (!modelState) {
+          return;
+        }
+
+        this._send({
+          type: 'sync_response',
+          requestId: message.requestId,
+          modelState,
+          sequence,
+          userId: this.user.id,
+          clientId: this.clientId,
+          timestamp: Date.now()
+        });
+      } catch (error) {
+        this.logger.error('Failed to provide snapshot:', error);
+      }
+    });
+  }
+
+  /**
+   * 스냅샷 따라잡기 적용
+   * @private
+   * @param {DocumentState} modelState - 서버가 보낸 스냅샷
+   */
+  async _processRemoteSnapshot(modelState) {
+    try {
+      await this.remoteSnapshotCallback(modelState);
+      this._notifyConnectionChange('resynced', { mode: 'snapshot', latestSequence: this.lastSequence });
+    } catch (error) {
+      this.logger.error('Failed to apply snapshot:', error);
+      this._notifyConnectionChange('resync_required', {
+        mode: 'snapshot',
+        snapshot: modelState,
+        latestSequence: this.lastSequence
+      });
+    }
+  }
+
+  /**
+   * 원격 Diff 처리
+   * @private
+   * @param {Object|DocumentDiff} data - 수신한 Diff 또는 압축 봉투
+   */
+  async _processRemoteDiff(data) {
+    try {
+      const diff = await this._decompressDiff(this._decodeEnvelope(data));
+
+      if (!this._validateDiff(diff)) {
+        this.logger.warn('Invalid remote diff received');
+        return;
+      }
+
+      if (this.remoteDiffCallback) {
+        await this.remoteDiffCallback(diff);
+      }
+
+      this.logger.debug(`Remote diff processed: ${diff.id} from ${diff.clientId}`);
+
+    } catch (error) {
+      this.logger.error('Failed to process remote diff:', error);
+    }
+  }
+
+  /**
+   * 원격 사용자 추가 및 인코딩 협상
+   * @private
+   * @param {Object} user - 사용자 정보
+   */
+  _addRemoteUser(user) {
+    if (!user || user.id === this.user.id) {
+      return;
+    }
+
+    this.remoteUsers.set(user.id, user);
+    this._negotiateEncoding(user.id, user.diffEncodings);
+  }
+
+  /**
+   * 원격 사용자 제거
+   * @private
+   * @param {string} userId - 사용자 ID
+   */
+  _removeRemoteUser(userId) {
+    const user = this.remoteUsers.get(userId);
+
+    this.remoteUsers.delete(userId);
+    this._forgetPeerEncoding(userId);
+
+    if (user?.clientId) {
+      this._notifyConnectionChange('peer_left', { clientId: user.clientId });
+    }
+  }
+
+  /**
+   * 메시지 전송 (연결이 없으면 큐에 보관)
+   * @private
+   * @param {Object} message - 전송할 메시지
+   */
+  _send(message) {
+    if (this.socket && this.socket.readyState === OPEN) {
+      try {
+        this.socket.send(this._serialize(message));
+        return;
+      } catch (error) {
+        this.logger.warn('Send failed, queueing message:', error.message);
+      }
+    }
+
+    this._queueMessage(message);
+  }
+
+  /**
+   * 메시지 큐에 추가 (가득 차면 가장 오래된 메시지 제거)
+   * @private
+   * @param {Object} message - 큐에 추가할 메시지
+   */
+  _queueMessage(message) {
+    if (message.type !== 'model_change' && message.type !== 'batch_update') {
+      return;
+    }
+
+    if (this.messageQueue.length >= this.options.maxQueueSize) {
+      this.messageQueue.shift();
+      this.logger.warn('Message queue full, dropping oldest message');
+    }
+    this.messageQueue.push(message);
+  }
+
+  /**
+   * 대기 중인 메시지 전송
+   * @private
+   */
+  _flushMessageQueue() {
+    const queued = this.messageQueue;
+    this.messageQueue = [];
+    queued.forEach(message => this._send(message));
+  }
+
+  /**
+   * 배치에 추가
+   * @private
+   * @param {Object} message - model_change 메시지
+   */
+  _addToBatch(message) {
+    this.pendingUpdates.push(message);
+
+    if (!this.batchTimer) {
+      this.batchTimer = setTimeout(() => this._flushBatch(), this.options.batchDelay);
+    }
+  }
+
+  /**
+   * 배치 플러시 (서버가 batch_update를 개별 메시지로 분해해 전달)
+   * @private
+   */
+  _flushBatch() {
+    if (this.batchTimer) {
+      clearTimeout(this.batchTimer);
+      this.batchTimer = null;
+    }
+
+    if (this.pendingUpdates.length === 0) return;
+
+    const updates = this.pendingUpdates;
+    this.pendingUpdates = [];
+
+    if (updates.length === 1) {
+      this._send(updates[0]);
+      return;
+    }
+
+    this._send({
+      type: 'batch_update',
+      userId: this.user.id,
+      updates,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * 하트비트 시작
+   * @private
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      this._send({ type: 'heartbeat', userId: this.user.id, timestamp: Date.now() });
+    }, this.options.heartbeatInterval);
+  }
+
+  /**
+   * 하트비트 중단
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * JSON 전송을 위해 바이너리 데이터를 base64로 변환
+   * @private
+   * @param {Object|DocumentDiff} envelope - 압축 봉투 또는 원본 Diff
+   * @returns {Object|DocumentDiff}
+   */
+  _encodeEnvelope(envelope) {
+    if (!envelope?.compressed) {
+      return envelope;
+    }
+
+    let binary = '';
+    for (let i = 0; i < envelope.data.length; i += 0x8000) {
+      binary += String.fromCharCode(...envelope.data.subarray(i, i + 0x8000));
+    }
+
+    return { ...envelope, data: btoa(binary) };
+  }
+
+  /**
+   * base64 데이터를 바이너리로 복원
+   * @private
+   * @param {Object|DocumentDiff} envelope - 수신한 봉투 또는 원본 Diff
+   * @returns {Object|DocumentDiff}
+   */
+  _decodeEnvelope(envelope) {
+    if (!envelope?.compressed || typeof envelope.data !== 'string') {
+      return envelope;
+    }
+
+    const binary = atob(envelope.data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    return { ...envelope, data: bytes };
+  }
+
+  /**
+   * 클라이언트 ID 생성
+   * @private
+   */
+  _generateClientId() {
+    return 'ws-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * 통계 정보 조회
+   * @returns {Object}
+   */
+  getStatistics() {
+    return {
+      ...super.getStatistics(),
+      url: this.options.url,
+      reconnectAttempts: this.reconnectAttempts,
+      queuedMessages: this.messageQueue.length,
+      lastSequence: this.lastSequence,
+      connectedUsers: this.remoteUsers.size,
+      negotiatedEncodings: Object.fromEntries(this.peerEncodings)
+    };
+  }
+
+  /**
+   * 리소스 정리
+   */
+  async destroy() {
+    this.isClosing = true;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    this._flushBatch();
+    this._stopHeartbeat();
+
+    if (this.socket) {
+      if (this.socket.readyState === OPEN) {
+        this.socket.send(this._serialize({ type: 'user_leave', userId: this.user.id, timestamp: Date.now() }));
+      }
+      this.socket.close(NORMAL_CLOSURE);
+      this.socket = null;
+    }
+
+    this.messageQueue = [];
+    this.remoteUsers.clear();
+
+    await super.destroy();
+    this.logger.info('WebSocketAdapter destroyed');
+  }
+}
@@ -16,6 +16,7 @@ export class YjsAdapter extends BaseAdapter {
       enableHistory: false,
       batchUpdates: true,
       batchDelay: 100,
+      messageOutboxSize: 10,  // Awareness로 유지하는 최근 제어 메시지 수
       ...config.options
     };
     
@@ -30,6 +31,15 @@ export class YjsAdapter extends BaseAdapter {
     this.lastUpdateTime = 0;
     this.pendingUpdates = [];
     this.updateTimer = null;
+    this.remoteQueue = Promise.resolve();
+
+    // 제어 메시지 (Awareness 상태의 messages 필드로 전달)
+    this.messageSequence = 0;
+    this.messageOutbox = [];
+    this.messageCursors = new Map();
+
+    // Awareness 클라이언트 → 엔진 클라이언트 ID (피어 이탈 알림용)
+    this.peerClientIds = new Map();
     
     // 이벤트 리스너들
     this.boundHandlers = {
@@ -52,8 +62,11 @@ export class YjsAdapter extends BaseAdapter {
     try {
       this.logger.info('Initializing YjsAdapter');
       
-      // 컨텍스트에서 Y.js 문서 가져오기
-      this.yjsDoc = context.collaborationProvider;
+      // 컨텍스트에서 Y.js 문서 가져오기 (프로바이더가 전달되면 provider.doc 사용)
+      const collaborationProvider = context.collaborationProvider;
+      this.yjsDoc = typeof collaborationProvider?.getMap === 'function'
+        ? collaborationProvider
+        : collaborationProvider?.doc;
       this.clientId = context.clientId || this._generateClientId();
       
       if (!this.yjsDoc) {
@@ -123,18 +136,17 @@ export class YjsAdapter extends BaseAdapter {
     const startTime = performance.now();
     
     try {
+      const diffData = {
+        ...diff,
+        timestamp: Date.now(),
+        clientId: this.clientId
+      };
+
+      // 압축 적용 (비동기이므로 트랜잭션 밖에서 수행)
+      const compressedDiff = await this._compressDiff(diffData);
+
       // Y.js 트랜잭션으로 원자적 업데이트
       this.yjsDoc.transact(() => {
-        // Diff 데이터를 Y.js 맵에 저장
-        const diffData = {
-          ...diff,
-          timestamp: Date.now(),
-          clientId: this.clientId
-        };
-        
-        // 압축 적용
-        const compressedDiff = this._compressDiff(diffData);
-        
         // Y.js 맵에 저장
         this.yElements.set(`diff_${diff.id}`, compressedDiff);
         
@@ -179,17 +191,16 @@ export class YjsAdapter extends BaseAdapter {
     this.updateTimer = null;
     
     try {
+      const compressedDiffs = await Promise.all(updates.map(diff => this._compressDiff({
+        ...diff,
+        timestamp: Date.now(),
+        clientId: this.clientId
+      })));
+
       // 여러 Diff를 하나의 트랜잭션으로 처리
       this.yjsDoc.transact(() => {
-        updates.forEach(diff => {
-          const diffData = {
-            ...diff,
-            timestamp: Date.now(),
-            clientId: this.clientId
-          };
-          
-          const compressedDiff = this._compressDiff(diffData);
-          this.yElements.set(`diff_${diff.id}`, compressedDiff);
+        updates.forEach((diff, index) => {
+          this.yElements.set(`diff_${diff.id}`, compressedDiffs[index]);
         });
         
         // 배치 메타데이터
@@ -219,6 +230,23 @@ export class YjsAdapter extends BaseAdapter {
     this.remoteDiffCallback = callback;
   }
 
+  /**
+   * 제어 메시지 전송
+   * 문서(Y.Map)에 남지 않도록 Awareness 상태에 최근 메시지 목록으로 게시
+   * @param {Object} message - 전송할 메시지
+   */
+  async sendMessage(message) {
+    if (!this.awareness) {
+      throw new Error('YjsAdapter control messages require awareness');
+    }
+
+    this.messageOutbox = [
+      ...this.messageOutbox.slice(-(this.options.messageOutboxSize - 1)),
+      { ...message, clientId: this.clientId, sequence: ++this.messageSequence }
+    ];
+    this.awareness.setLocalStateField('messages', this.messageOutbox);
+  }
+
   /**
    * Y.js 업데이트 이벤트 처리
    * @private
@@ -246,10 +274,11 @@ export class YjsAdapter extends BaseAdapter {
       });
 
       // 새로운 Diff들 처리
+      // 압축 해제가 비동기이므로 수신 순서를 유지하도록 직렬 처리
       changedKeys.forEach(key => {
         const diffData = this.yElements.get(key);
         if (diffData && diffData.clientId !== this.clientId) {
-          this._processRemoteDiff(diffData);
+          this.remoteQueue = this.remoteQueue.then(() => this._processRemoteDiff(diffData));
         }
       });
 
@@ -262,10 +291,10 @@ export class YjsAdapter extends BaseAdapter {
    * 원격 Diff 처리
    * @private
    */
-  _processRemoteDiff(diffData) {
+  async _processRemoteDiff(diffData) {
     try {
       // 압축 해제
-      const diff = this._decompressDiff(diffData);
+      const diff = await this._decompressDiff(diffData);
       
       // 검증
       if (!this._validateDiff(diff)) {
@@ -309,12 +338,12 @@ export class YjsAdapter extends BaseAdapter {
     // WebSocket 프로바이더가 이미 설정되어 있는지 확인
     if (context.wsProvider) {
       this.provider = context.wsProvider;
-    } else if (this.yjsDoc.share && this.yjsDoc.share.size > 0) {
-      // 기존 프로바이더 감지
-      this.provider = Array.from(this.yjsDoc.share.values())[0];
+    } else if (context.collaborationProvider !== this.yjsDoc) {
+      // 문서 대신 프로바이더가 전달된 경우
+      this.provider = context.collaborationProvider;
     }
 
-    if (this.provider) {
+    if (this.provider && typeof this.provider.on === 'function') {
       this.provider.on('status', this.boundHandlers.onProviderStatus);
       this.provider.on('sync', this.boundHandlers.onProviderSync);
       
@@ -341,6 +370,10 @@ export class YjsAdapter extends BaseAdapter {
         timestamp: Date.now()
       });
 
+      // 지원하는 Diff 인코딩 알림 (피어별 협상용)
+      this.awareness.setLocalStateField('diffEncodings', this.getSupportedEncodings());
+      this._negotiatePeerEncodings(Array.from(this.awareness.getStates().keys()), []);
+
       // Awareness 변경 이벤트
       this.awareness.on('change', this.boundHandlers.onAwarenessChange);
       
@@ -401,11 +434,81 @@ export class YjsAdapter extends BaseAdapter {
   _handleAwarenessChange({ added, updated, removed }) {
     const changes = { added, updated, removed };
     this.logger.debug('Awareness changed:', changes);
+
+    this._negotiatePeerEncodings([...added, ...updated], removed);
+    this._receiveAwarenessMessages([...added, ...updated], removed);
+    this._trackPeers([...added, ...updated], removed);
     
     // 사용자 목록 업데이트 이벤트 발생 (필요시)
     this._notifyConnectionChange('awareness_changed', { changes });
   }
 
+  /**
+   * Awareness 상태로 피어별 Diff 인코딩 협상
+   * diffEncodings를 알리지 않은 피어는 json만 지원하는 것으로 간주
+   * @private
+   * @param {number[]} changedClients - 추가/변경된 Awareness 클라이언트
+   * @param {number[]} removedClients - 제거된 Awareness 클라이언트
+   */
+  _negotiatePeerEncodings(changedClients, removedClients) {
+    const states = this.awareness.getStates();
+
+    changedClients
+      .filter(clientId => clientId !== this.awareness.clientID && states.has(clientId))
+      .forEach(clientId => this._negotiateEncoding(clientId, states.get(clientId).diffEncodings));
+
+    removedClients.forEach(clientId => this._forgetPeerEncoding(clientId));
+  }
+
+  /**
+   * Awareness 상태에 게시된 새 제어 메시지 전달
+   * @private
+   * @param {number[]} changedClients - 추가/변경된 Awareness 클라이언트
+   * @param {number[]} removedClients - 제거된 Awareness 클라이언트
+   */
+  _receiveAwarenessMessages(changedClients, removedClients) {
+    const states = this.awareness.getStates();
+
+    changedClients
+      .filter(clientId => clientId !== this.awareness.clientID && states.has(clientId))
+      .forEach(clientId => {
+        const lastSequence = this.messageCursors.get(clientId) || 0;
+        const messages = (states.get(clientId).messages || []).filter(message => message.sequence > lastSequence);
+
+        if (messages.length === 0) {
+          return;
+        }
+
+        this.messageCursors.set(clientId, messages[messages.length - 1].sequence);
+        messages.forEach(message => this._dispatchMessage(message, this.clientId));
+      });
+
+    removedClients.forEach(clientId => this.messageCursors.delete(clientId));
+  }
+
+  /**
+   * Awareness 피어의 엔진 클라이언트 ID 추적
+   * 제거된 피어는 상태가 이미 사라졌으므로 기억해 둔 ID로 peer_left 알림
+   * @private
+   * @param {number[]} changedClients - 추가/변경된 Awareness 클라이언트
+   * @param {number[]} removedClients - 제거된 Awareness 클라이언트
+   */
+  _trackPeers(changedClients, removedClients) {
+    const states = this.awareness.getStates();
+
+    changedClients
+      .filter(clientId => clientId !== this.awareness.clientID && states.get(clientId)?.user?.clientId)
+      .forEach(clientId => this.peerClientIds.set(clientId, states.get(clientId).user.clientId));
+
+    removedClients
+      .filter(clientId => this.peerClientIds.has(clientId))
+      .forEach(clientId => {
+        const peerClientId = this.peerClientIds.get(clientId);
+        this.peerClientIds.delete(clientId);
+        this._notifyConnectionChange('peer_left', { clientId: peerClientId });
+      });
+  }
+
   /**
    * 초기 연결 상태 확인
    * @private
@@ -592,7 +695,7 @@ export class YjsAdapter extends BaseAdapter {
       this.yjsDoc.off('update', this.boundHandlers.onUpdate);
     }
     
-    if (this.provider) {
+    if (this.provider && typeof this.provider.off === 'function') {
       this.provider.off('status', this.boundHandlers.onProviderStatus);
       this.provider.off('sync', this.boundHandlers.onProviderSync);
     }
@@ -47,6 +47,7 @@ export class BaseApplicator {
         count: 0,
         reasons: []
       },
+      conflicts: [],
       errors: [],
       warnings: [],
       timing: {
@@ -421,7 +422,9 @@ export class BaseApplicator {
       'dependency_missing': 'Ensure dependencies are applied first',
       'validation_failed': 'Verify element properties',
       'already_exists': 'Check for duplicate elements',
-      'permission_denied': 'Verify user permissions'
+      'permission_denied': 'Verify user permissions',
+      'conflict_local_wins': 'Remote change discarded by conflict resolution',
+      'element_locked': 'Element is locked by another user'
     };
 
     return suggestions[reason] || 'Review and retry';
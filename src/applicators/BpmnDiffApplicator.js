@@ -5,6 +5,23 @@
 
 import { BaseApplicator } from './BaseApplicator.js';
 
+/**
+ * 적용 충돌 해결 전략
+ * - last-writer-wins: 요소의 마지막 로컬 변경 시각과 원격 Diff 시각을 비교해 나중 쪽 우선
+ * - role-priority:    사용자 역할 우선순위 비교 (동일하면 last-writer-wins)
+ * - keep-both:        원격 변경을 복제 요소로 추가하여 양쪽 모두 유지
+ * - callback:         options.onConflict 콜백에 결정 위임
+ */
+export const CONFLICT_STRATEGIES = {
+  LAST_WRITER_WINS: 'last-writer-wins',
+  ROLE_PRIORITY: 'role-priority',
+  KEEP_BOTH: 'keep-both',
+  CALLBACK: 'callback'
+};
+
+// 충돌 해결 결과
+const RESOLUTIONS = ['local', 'remote', 'keep-both'];
+
 export class BpmnDiffApplicator extends BaseApplicator {
   constructor(config = {}) {
     super(config);
@@ -16,14 +33,23 @@ export class BpmnDiffApplicator extends BaseApplicator {
       skipInvalidElements: true,
       preserveSelection: false,
       updateConnections: true,
+      conflictStrategy: CONFLICT_STRATEGIES.LAST_WRITER_WINS,
+      rolePriority: { admin: 3, editor: 2, viewer: 1 },
+      getUserRole: null,  // (clientId, context) => role, Diff에 userRole이 없을 때 사용
+      onConflict: null,   // async (conflict, context) => 'local' | 'remote' | 'keep-both'
       ...config.options
     };
+
+    if (!Object.values(CONFLICT_STRATEGIES).includes(this.options.conflictStrategy)) {
+      throw new Error(`Unknown conflict strategy: ${this.options.conflictStrategy}`);
+    }
   }
 
   /**
    * BPMN Diff 적용
    * @param {DocumentDiff} diff - 적용할 Diff
-   * @param {Object} context - 적용 컨텍스트 { modeler, clientId }
+   * @param {Object} context - 적용 컨텍스트 { modeler, clientId, eventBus, localTimestamps, localTimestamp, userRole }
+   *   (localTimestamps: 요소 ID별 마지막 로컬 변경 시각 Map, 없는 요소는 localTimestamp 사용)
    * @returns {Promise<SyncResult>}
    */
   async apply(diff, context) {
@@ -75,7 +101,7 @@ export class BpmnDiffApplicator extends BaseApplicator {
       try {
         // 배치별 적용
         for (const batch of batches) {
-          const batchResult = await this._applyBatch(batch, services, context);
+          const batchResult = await this._applyBatch(batch, services, { ...context, diff });
           
           // 결과 병합
           this._mergeBatchResult(result, batchResult);
@@ -156,24 +182,37 @@ export class BpmnDiffApplicator extends BaseApplicator {
    * @private
    * @param {Object} batch - 배치
    * @param {Object} services - BPMN 서비스
-   * @param {Object} context - 컨텍스트
+   * @param {Object} context - 컨텍스트 (적용 중인 diff 포함)
    * @returns {Promise<Object>} 배치 결과
    */
   async _applyBatch(batch, services, context) {
     const batchResult = {
       appliedChanges: { added: 0, modified: 0, removed: 0 },
+      skippedChanges: { count: 0, reasons: [] },
+      conflicts: [],
       errors: [],
       warnings: []
     };
 
     for (const operation of batch.operations) {
+      if (operation.type !== 'add' && this._isLocked(operation.id, context)) {
+        this._recordSkip(batchResult, 'element_locked', operation.id);
+        context.eventBus?.emit('lock:rejected', {
+          elementId: operation.id,
+          operation: operation.type,
+          clientId: context.diff?.clientId,
+          lock: context.elementLocks.getLock(operation.id)
+        });
+        continue;
+      }
+
       try {
         switch (operation.type) {
           case 'add':
             await this._applyAddition(operation.data, services, batchResult);
             break;
           case 'modify':
-            await this._applyModification(operation.data, services, batchResult);
+            await this._applyModification(operation.data, services, batchResult, context);
             break;
           case 'remove':
             await this._applyRemoval(operation.data, services, batchResult);
@@ -187,6 +226,17 @@ export class BpmnDiffApplicator extends BaseApplicator {
     return batchResult;
   }
 
+  /**
+   * 다른 클라이언트가 잠근 요소에 대한 원격 변경인지 확인 (ElementLockService)
+   * @private
+   * @param {string} elementId - 요소 ID
+   * @param {Object} context - 컨텍스트 (elementLocks, diff)
+   * @returns {boolean}
+   */
+  _isLocked(elementId, context) {
+    return Boolean(context.elementLocks?.isLockedAgainst(elementId, context.diff?.clientId));
+  }
+
   /**
    * 요소 추가 적용
    * @private
@@ -338,17 +388,25 @@ export class BpmnDiffApplicator extends BaseApplicator {
 
   /**
    * 요소 수정 적용
+   * 대상 요소나 새 부모 요소가 없으면 충돌로 처리
    * @private
    * @param {Object} modification - 수정 데이터
    * @param {Object} services - BPMN 서비스
    * @param {Object} result - 결과 객체
+   * @param {Object} context - 적용 컨텍스트
    */
-  async _applyModification(modification, services, result) {
-    const { modeling, elementRegistry } = services;
+  async _applyModification(modification, services, result, context = {}) {
+    const { elementRegistry } = services;
     
     const element = elementRegistry.get(modification.id);
     if (!element) {
-      this._recordSkip(result, 'element_not_found', modification.id);
+      await this._handleConflict('missing-element', modification, services, result, context);
+      return;
+    }
+
+    const parentId = modification.element?.parent;
+    if (parentId && !elementRegistry.get(parentId)) {
+      await this._handleConflict('missing-parent', modification, services, result, context);
       return;
     }
 
@@ -364,6 +422,174 @@ export class BpmnDiffApplicator extends BaseApplicator {
     }
   }
 
+  /**
+   * 수정 충돌 처리
+   * conflict:detected → 전략에 따라 해결 → conflict:resolved 순으로 이벤트 발생
+   * @private
+   * @param {string} type - 충돌 유형 ('missing-element' | 'missing-parent')
+   * @param {Object} modification - 수정 데이터
+   * @param {Object} services - BPMN 서비스
+   * @param {Object} result - 결과 객체
+   * @param {Object} context - 적용 컨텍스트
+   */
+  async _handleConflict(type, modification, services, result, context) {
+    const conflict = this._createConflict(type, modification, context);
+    this.logger.warn(`Conflict detected on ${modification.id}: ${type}`);
+    context.eventBus?.emit('conflict:detected', conflict);
+
+    const resolution = await this._resolveConflict(conflict, context);
+    const outcome = await this._applyResolution(resolution, conflict, modification, services, result);
+
+    const record = {
+      ...conflict,
+      resolution,
+      strategy: this.options.conflictStrategy,
+      ...outcome,
+      resolvedAt: Date.now()
+    };
+
+    result.conflicts.push(record);
+    context.eventBus?.emit('conflict:resolved', record);
+  }
+
+  /**
+   * 적용 충돌 레코드 생성
+   * @private
+   * @param {string} type - 충돌 유형
+   * @param {Object} modification - 수정 데이터
+   * @param {Object} context - 적용 컨텍스트
+   * @returns {Object} 충돌 레코드
+   */
+  _createConflict(type, modification, context) {
+    const diff = context.diff || {};
+
+    return {
+      id: 'conflict-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      type,
+      elementId: modification.id,
+      parentId: modification.element?.parent || null,
+      remote: modification.element || null,
+      changes: modification.changes,
+      localClientId: context.clientId || 'unknown',
+      remoteClientId: diff.clientId || 'unknown',
+      localTimestamp: context.localTimestamps?.get(modification.id) ?? context.localTimestamp ?? null,
+      remoteTimestamp: diff.timestamp ?? null,
+      localRole: context.userRole ?? context.user?.role ?? null,
+      remoteRole: diff.userRole ?? this.options.getUserRole?.(diff.clientId, context) ?? null,
+      detectedAt: Date.now()
+    };
+  }
+
+  /**
+   * 전략에 따른 충돌 해결 방식 결정
+   * @private
+   * @param {Object} conflict - 충돌 레코드
+   * @param {Object} context - 적용 컨텍스트
+   * @returns {Promise<string>} 'local' | 'remote' | 'keep-both'
+   */
+  async _resolveConflict(conflict, context) {
+    switch (this.options.conflictStrategy) {
+      case CONFLICT_STRATEGIES.ROLE_PRIORITY:
+        return this._resolveByRole(conflict);
+
+      case CONFLICT_STRATEGIES.KEEP_BOTH:
+        return 'keep-both';
+
+      case CONFLICT_STRATEGIES.CALLBACK: {
+        if (typeof this.options.onConflict !== 'function') {
+          this.logger.warn('Conflict strategy is callback but no onConflict provided, using last-writer-wins');
+          return this._resolveByTimestamp(conflict);
+        }
+
+        const resolution = await this.options.onConflict(conflict, context);
+        if (!RESOLUTIONS.includes(resolution)) {
+          throw new Error(`Invalid conflict resolution: ${resolution}`);
+        }
+        return resolution;
+      }
+
+      default:
+        return this._resolveByTimestamp(conflict);
+    }
+  }
+
+  /**
+   * 시각 기준 해결 (동일 시각이면 원격 우선)
+   * @private
+   * @param {Object} conflict - 충돌 레코드
+   * @returns {string}
+   */
+  _resolveByTimestamp(conflict) {
+    return (conflict.remoteTimestamp ?? 0) >= (conflict.localTimestamp ?? 0) ? 'remote' : 'local';
+  }
+
+  /**
+   * 역할 우선순위 기준 해결
+   * @private
+   * @param {Object} conflict - 충돌 레코드
+   * @returns {string}
+   */
+  _resolveByRole(conflict) {
+    const { rolePriority } = this.options;
+    const localPriority = rolePriority[conflict.localRole] ?? 0;
+    const remotePriority = rolePriority[conflict.remoteRole] ?? 0;
+
+    if (localPriority === remotePriority) {
+      return this._resolveByTimestamp(conflict);
+    }
+
+    return remotePriority > localPriority ? 'remote' : 'local';
+  }
+
+  /**
+   * 충돌 해결 결과 적용
+   * - local: 원격 수정 무시
+   * - remote: 없는 요소는 원격 상태로 다시 생성, 없는 부모는 제외하고 나머지 변경 적용
+   * - keep-both: 원격 상태를 새 ID의 복제 요소로 추가
+   * @private
+   * @param {string} resolution - 해결 방식
+   * @param {Object} conflict - 충돌 레코드
+   * @param {Object} modification - 수정 데이터
+   * @param {Object} services - BPMN 서비스
+   * @param {Object} result - 결과 객체
+   * @returns {Promise<Object>} 추가 정보 { cloneId }
+   */
+  async _applyResolution(resolution, conflict, modification, services, result) {
+    const { elementRegistry } = services;
+    const parentExists = conflict.parentId && elementRegistry.get(conflict.parentId);
+    const remoteElement = {
+      ...modification.element,
+      parent: parentExists ? conflict.parentId : undefined
+    };
+
+    if (resolution === 'local') {
+      this._recordSkip(result, 'conflict_local_wins', modification.id);
+      return {};
+    }
+
+    if (resolution === 'keep-both') {
+      const cloneId = `${modification.id}_copy_${Math.random().toString(36).substr(2, 6)}`;
+      await this._applyAddition({
+        ...remoteElement,
+        id: cloneId,
+        businessObject: { ...(remoteElement.businessObject || {}), id: cloneId }
+      }, services, result);
+      return { cloneId };
+    }
+
+    if (conflict.type === 'missing-element') {
+      await this._applyAddition(remoteElement, services, result);
+      return {};
+    }
+
+    await this._applyModification({
+      ...modification,
+      element: remoteElement,
+      changes: modification.changes.filter(change => change.type !== 'parent')
+    }, services, result);
+    return {};
+  }
+
   /**
    * 요소 변경사항 적용
    * @private
@@ -679,6 +905,16 @@ export class BpmnDiffApplicator extends BaseApplicator {
     mainResult.appliedChanges.added += batchResult.appliedChanges.added;
     mainResult.appliedChanges.modified += batchResult.appliedChanges.modified;
     mainResult.appliedChanges.removed += batchResult.appliedChanges.removed;
+
+    mainResult.skippedChanges.count += batchResult.skippedChanges.count;
+    batchResult.skippedChanges.reasons.forEach(reason => {
+      if (!mainResult.skippedChanges.reasons.includes(reason)) {
+        mainResult.skippedChanges.reasons.push(reason);
+      }
+    });
+
+    mainResult.metadata.conflictsResolved += batchResult.conflicts.length;
+    mainResult.conflicts.push(...batchResult.conflicts);
     
     mainResult.errors.push(...batchResult.errors);
     mainResult.warnings.push(...batchResult.warnings);
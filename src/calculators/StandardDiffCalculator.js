@@ -283,7 +283,7 @@ export class StandardDiffCalculator extends BaseDiffCalculator {
     let hasChanges = false;
 
     // 뷰포트 변경
-    if (!this._areObjectsEqual(oldMetadata.canvasViewbox, newMetadata.canvasViewbox)) {
+    if (!this._areEqual(oldMetadata.canvasViewbox, newMetadata.canvasViewbox)) {
       changes.viewport = {
         old: oldMetadata.canvasViewbox,
         new: newMetadata.canvasViewbox
@@ -301,7 +301,7 @@ export class StandardDiffCalculator extends BaseDiffCalculator {
     }
 
     // 스크롤 변경
-    if (!this._areObjectsEqual(oldMetadata.scroll, newMetadata.scroll)) {
+    if (!this._areEqual(oldMetadata.scroll, newMetadata.scroll)) {
       changes.scroll = {
         old: oldMetadata.scroll,
         new: newMetadata.scroll
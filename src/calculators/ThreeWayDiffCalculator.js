@@ -0,0 +1,399 @@
+/**
+ * 3-way 병합 Diff 계산기
+ * 공통 조상 상태를 기준으로 로컬/원격 변경을 속성 단위로 병합하고 충돌을 보고
+ */
+
+import { StandardDiffCalculator } from './StandardDiffCalculator.js';
+
+/**
+ * 충돌 유형
+ * - property:      양쪽이 같은 속성을 서로 다른 값으로 변경
+ * - delete-modify: 한쪽은 요소를 삭제하고 다른 쪽은 수정
+ * - reparent-move: 한쪽은 부모를 변경하고 다른 쪽은 위치만 이동
+ */
+export const CONFLICT_TYPES = {
+  PROPERTY: 'property',
+  DELETE_MODIFY: 'delete-modify',
+  REPARENT_MOVE: 'reparent-move'
+};
+
+// 하위 키 단위로 병합하는 중첩 속성
+const NESTED_PROPERTIES = ['businessObject', 'customProperties'];
+
+// 좌표 허용 오차를 적용하는 속성
+const GEOMETRY_PROPERTIES = ['position', 'size', 'waypoints'];
+
+export class ThreeWayDiffCalculator extends StandardDiffCalculator {
+  /**
+   * 3-way 병합
+   * @param {DocumentState|null} baseState - 공통 조상 상태 (StateManager.getCommonAncestor())
+   * @param {DocumentState} localState - 현재 로컬 상태
+   * @param {DocumentState} remoteState - 원격 변경이 반영된 상태
+   * @returns {Promise<MergeResult>} 병합 결과
+   */
+  async merge(baseState, localState, remoteState) {
+    const startTime = performance.now();
+
+    try {
+      const baseElements = baseState?.elements || {};
+      const localElements = localState.elements || {};
+      const remoteElements = remoteState.elements || {};
+
+      const context = {
+        localClientId: localState.clientId || 'unknown',
+        remoteClientId: remoteState.clientId || 'unknown',
+        conflicts: [],
+        autoMerged: 0
+      };
+
+      const mergedElements = {};
+      const elementIds = new Set([
+        ...Object.keys(baseElements),
+        ...Object.keys(localElements),
+        ...Object.keys(remoteElements)
+      ]);
+
+      for (const id of elementIds) {
+        const merged = this._mergeElement(
+          id,
+          baseElements[id],
+          localElements[id],
+          remoteElements[id],
+          context
+        );
+
+        if (merged) {
+          mergedElements[id] = merged;
+        }
+      }
+
+      const mergedState = {
+        ...localState,
+        timestamp: Date.now(),
+        clientId: context.remoteClientId,
+        elements: mergedElements
+      };
+
+      // 로컬에 적용해야 할 변경 (자동 병합된 원격 변경)
+      const diff = await this.calculate(localState, mergedState);
+
+      const result = {
+        id: this._generateDiffId().replace('diff-', 'merge-'),
+        timestamp: Date.now(),
+        baseVersion: baseState?.version || null,
+        mergedState,
+        diff,
+        conflicts: context.conflicts,
+        hasConflicts: context.conflicts.length > 0,
+        statistics: {
+          autoMerged: context.autoMerged,
+          conflicts: context.conflicts.length,
+          calculationTime: performance.now() - startTime
+        }
+      };
+
+      this.logger.debug(`3-way merge: ${context.autoMerged} auto-merged, ${context.conflicts.length} conflicts`);
+
+      return result;
+
+    } catch (error) {
+      this._handleError(error, 'ThreeWayDiffCalculator.merge');
+    }
+  }
+
+  /**
+   * 상태에 Diff 적용 (원격 상태 재구성용)
+   * @param {DocumentState|null} state - 기준 상태
+   * @param {DocumentDiff} diff - 적용할 Diff
+   * @returns {DocumentState} Diff가 반영된 새 상태
+   */
+  applyDiffToState(state, diff) {
+    const elements = { ...(state?.elements || {}) };
+
+    for (const element of diff.added || []) {
+      elements[element.id] = element;
+    }
+
+    for (const modification of diff.modified || []) {
+      elements[modification.id] = modification.element;
+    }
+
+    for (const elementId of diff.removed || []) {
+      delete elements[elementId];
+    }
+
+    return {
+      ...(state || {}),
+      timestamp: diff.timestamp || Date.now(),
+      version: diff.toVersion || state?.version,
+      clientId: diff.clientId,
+      elements
+    };
+  }
+
+  /**
+   * 요소 단위 병합
+   * @private
+   * @param {string} id - 요소 ID
+   * @param {Object} [base] - 조상 요소
+   * @param {Object} [local] - 로컬 요소
+   * @param {Object} [remote] - 원격 요소
+   * @param {Object} context - 병합 컨텍스트
+   * @returns {Object|null} 병합된 요소 (삭제 시 null)
+   */
+  _mergeElement(id, base, local, remote, context) {
+    // 조상에 없던 요소: 추가
+    if (!base) {
+      if (!remote) {
+        return local || null;
+      }
+
+      if (!local) {
+        context.autoMerged++;
+        return remote;
+      }
+
+      // 양쪽에서 같은 ID로 추가한 경우 빈 조상 기준으로 속성 병합
+      return this._mergeProperties(id, {}, local, remote, context);
+    }
+
+    // 삭제 처리
+    if (!local && !remote) {
+      return null;
+    }
+
+    if (!local || !remote) {
+      const survivor = local || remote;
+      const deletedBy = local ? 'remote' : 'local';
+
+      if (this._isElementEqual(base, survivor)) {
+        if (deletedBy === 'remote') {
+          context.autoMerged++;
+        }
+        return null;
+      }
+
+      // 삭제 대 수정 충돌: 수정된 요소를 유지하고 충돌로 보고
+      context.conflicts.push(this._createConflict(CONFLICT_TYPES.DELETE_MODIFY, id, context, {
+        base,
+        local: local || null,
+        remote: remote || null,
+        deletedBy
+      }));
+
+      return survivor;
+    }
+
+    return this._mergeProperties(id, base, local, remote, context);
+  }
+
+  /**
+   * 속성 단위 병합
+   * 충돌한 속성은 로컬 값을 유지 (충돌 해결 전까지)
+   * @private
+   * @param {string} id - 요소 ID
+   * @param {Object} base - 조상 요소
+   * @param {Object} local - 로컬 요소
+   * @param {Object} remote - 원격 요소
+   * @param {Object} context - 병합 컨텍스트
+   * @returns {Object} 병합된 요소
+   */
+  _mergeProperties(id, base, local, remote, context) {
+    const baseProps = this._flattenElement(base);
+    const localProps = this._flattenElement(local);
+    const remoteProps = this._flattenElement(remote);
+
+    const localChanged = (key) => !this._isPropertyEqual(key, baseProps[key], localProps[key]);
+    const remoteChanged = (key) => !this._isPropertyEqual(key, baseProps[key], remoteProps[key]);
+
+    // 부모 변경 대 위치 이동 충돌
+    const reparentMove = this._detectReparentMove(localChanged, remoteChanged);
+    if (reparentMove) {
+      context.conflicts.push(this._createConflict(CONFLICT_TYPES.REPARENT_MOVE, id, context, {
+        base: { parent: baseProps.parent, position: baseProps.position },
+        local: { parent: localProps.parent, position: localProps.position },
+        remote: { parent: remoteProps.parent, position: remoteProps.position },
+        reparentedBy: reparentMove
+      }));
+    }
+
+    const mergedProps = {};
+    let remoteApplied = false;
+    const keys = new Set([...Object.keys(baseProps), ...Object.keys(localProps), ...Object.keys(remoteProps)]);
+
+    for (const key of keys) {
+      const isLocalChanged = localChanged(key);
+      const isRemoteChanged = remoteChanged(key);
+
+      if (reparentMove && (key === 'parent' || key === 'position')) {
+        mergedProps[key] = localProps[key];
+      } else if (!isRemoteChanged || this._isPropertyEqual(key, localProps[key], remoteProps[key])) {
+        mergedProps[key] = localProps[key];
+      } else if (!isLocalChanged) {
+        mergedProps[key] = remoteProps[key];
+        remoteApplied = true;
+      } else {
+        mergedProps[key] = localProps[key];
+        context.conflicts.push(this._createConflict(CONFLICT_TYPES.PROPERTY, id, context, {
+          property: key,
+          base: baseProps[key],
+          local: localProps[key],
+          remote: remoteProps[key]
+        }));
+      }
+    }
+
+    if (remoteApplied) {
+      context.autoMerged++;
+    }
+
+    return this._unflattenElement(mergedProps);
+  }
+
+  /**
+   * 부모 변경 대 위치 이동 충돌 감지
+   * @private
+   * @param {Function} localChanged - 로컬 변경 여부 확인 함수
+   * @param {Function} remoteChanged - 원격 변경 여부 확인 함수
+   * @returns {string|null} 부모를 변경한 쪽 ('local' 또는 'remote')
+   */
+  _detectReparentMove(localChanged, remoteChanged) {
+    const localReparented = localChanged('parent');
+    const remoteReparented = remoteChanged('parent');
+
+    if (localReparented && !remoteReparented && remoteChanged('position')) {
+      return 'local';
+    }
+
+    if (remoteReparented && !localReparented && localChanged('position')) {
+      return 'remote';
+    }
+
+    return null;
+  }
+
+  /**
+   * 요소를 병합 단위 속성으로 평탄화
+   * x/y는 position, width/height는 size로 묶고 중첩 속성은 하위 키로 분리
+   * @private
+   * @param {Object} element - 요소 데이터
+   * @returns {Object} 속성 맵
+   */
+  _flattenElement(element = {}) {
+    const props = {};
+
+    for (const [key, value] of Object.entries(element)) {
+      if (key === 'x' || key === 'y' || key === 'width' || key === 'height') {
+        continue;
+      }
+
+      if (NESTED_PROPERTIES.includes(key) && value && typeof value === 'object') {
+        for (const [subKey, subValue] of Object.entries(value)) {
+          props[`${key}.${subKey}`] = subValue;
+        }
+        continue;
+      }
+
+      props[key] = value;
+    }
+
+    if (element.x !== undefined || element.y !== undefined) {
+      props.position = { x: element.x, y: element.y };
+    }
+
+    if (element.width !== undefined || element.height !== undefined) {
+      props.size = { width: element.width, height: element.height };
+    }
+
+    return props;
+  }
+
+  /**
+   * 평탄화된 속성을 요소 데이터로 복원
+   * @private
+   * @param {Object} props - 속성 맵
+   * @returns {Object} 요소 데이터
+   */
+  _unflattenElement(props) {
+    const element = {};
+
+    for (const [key, value] of Object.entries(props)) {
+      if (value === undefined) {
+        continue;
+      }
+
+      if (key === 'position') {
+        element.x = value.x;
+        element.y = value.y;
+        continue;
+      }
+
+      if (key === 'size') {
+        element.width = value.width;
+        element.height = value.height;
+        continue;
+      }
+
+      const [parentKey, subKey] = key.split(/\.(.+)/);
+      if (subKey !== undefined && NESTED_PROPERTIES.includes(parentKey)) {
+        element[parentKey] = element[parentKey] || {};
+        element[parentKey][subKey] = value;
+        continue;
+      }
+
+      element[key] = value;
+    }
+
+    return element;
+  }
+
+  /**
+   * 속성 값 비교 (좌표 속성은 허용 오차 적용)
+   * @private
+   * @param {string} key - 속성 키
+   * @param {any} a - 값 A
+   * @param {any} b - 값 B
+   * @returns {boolean}
+   */
+  _isPropertyEqual(key, a, b) {
+    const tolerance = GEOMETRY_PROPERTIES.includes(key) ? this.options.positionTolerance : 0;
+    return this._areEqual(a, b, tolerance);
+  }
+
+  /**
+   * 요소 전체 비교
+   * @private
+   * @param {Object} a - 요소 A
+   * @param {Object} b - 요소 B
+   * @returns {boolean}
+   */
+  _isElementEqual(a, b) {
+    const propsA = this._flattenElement(a);
+    const propsB = this._flattenElement(b);
+    const keys = new Set([...Object.keys(propsA), ...Object.keys(propsB)]);
+
+    return Array.from(keys).every(key => this._isPropertyEqual(key, propsA[key], propsB[key]));
+  }
+
+  /**
+   * 충돌 레코드 생성
+   * @private
+   * @param {string} type - 충돌 유형 (CONFLICT_TYPES)
+   * @param {string} elementId - 요소 ID
+   * @param {Object} context - 병합 컨텍스트
+   * @param {Object} details - 유형별 상세 정보
+   * @returns {ConflictRecord}
+   */
+  _createConflict(type, elementId, context, details) {
+    return {
+      id: 'conflict-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      type,
+      elementId,
+      property: null,
+      ...details,
+      localClientId: context.localClientId,
+      remoteClientId: context.remoteClientId,
+      detectedAt: Date.now()
+    };
+  }
+}
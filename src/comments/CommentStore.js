@@ -0,0 +1,422 @@
+/**
+ * 요소 댓글 저장소
+ * BPMN 요소에 연결된 토론 스레드를 협업 문서(Y.Doc)의 전용 Y.Map에 보관
+ *
+ * 구조: comments(Y.Map)의 평면 키
+ *   - '<elementId>/thread:<threadId>'             스레드 정보 { id, elementId, author, createdAt, status, resolvedBy, resolvedAt }
+ *   - '<elementId>/comment:<threadId>:<commentId>' 댓글 { id, threadId, author, text, mentions, createdAt }
+ * 댓글마다 키가 달라 동시에 단 답글이 서로 덮어쓰지 않는다.
+ * 요소별 중첩 Y.Map을 두면 두 클라이언트가 같은 요소의 첫 스레드를 동시에 만들 때
+ * 한쪽 Y.Map이 통째로 사라지므로 최상위 Map에 직접 저장한다.
+ *
+ * 클라이언트(Y.js 프로바이더 문서)와 서버(DocumentManager 문서)에서 같은 방식으로 사용한다.
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+export const THREAD_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved'
+};
+
+const KEY_SEPARATOR = '/';
+const THREAD_PREFIX = 'thread:';
+const COMMENT_PREFIX = 'comment:';
+
+// @멘션 토큰 (사용자 ID 또는 공백 없는 이름)
+const MENTION_PATTERN = /@([\w.\-]+)/g;
+
+export class CommentStore {
+  /**
+   * @param {Y.Doc} yjsDoc - 협업 문서
+   * @param {Object} options - 옵션
+   */
+  constructor(yjsDoc, options = {}) {
+    if (!yjsDoc) {
+      throw new Error('Y.js document not provided');
+    }
+
+    this.options = {
+      mapName: 'comments',
+      user: null,       // 작성자 { id, name }
+      users: [],        // 멘션 가능한 사용자 [{ id, name }]
+      maxLength: 5000,  // 댓글 최대 길이
+      ...options
+    };
+
+    this.logger = new Logger();
+    this.yjsDoc = yjsDoc;
+    this.comments = yjsDoc.getMap(this.options.mapName);
+    this.users = this.options.users;
+    this.changeListeners = new Set();
+    this.sequence = 0;
+
+    this.handleChange = this._handleChange.bind(this);
+    this.comments.observe(this.handleChange);
+  }
+
+  /**
+   * 요소에 새 스레드 생성
+   * @param {string} elementId - 대상 요소 ID
+   * @param {string} text - 첫 댓글 내용
+   * @param {Object} [options] - { author }
+   * @returns {Object} 생성한 스레드 (댓글 포함)
+   */
+  createThread(elementId, text, options = {}) {
+    if (!elementId) {
+      throw new Error('Element ID is required');
+    }
+
+    const author = this._getAuthor(options.author);
+    const threadId = this._generateId('thread');
+    const comment = this._createComment(threadId, text, author);
+
+    this.yjsDoc.transact(() => {
+      this.comments.set(this._threadKey(elementId, threadId), {
+        id: threadId,
+        elementId,
+        author,
+        createdAt: comment.createdAt,
+        status: THREAD_STATUS.OPEN,
+        resolvedBy: null,
+        resolvedAt: null
+      });
+      this.comments.set(this._commentKey(elementId, threadId, comment.id), comment);
+    }, this);
+
+    return this.getThread(threadId);
+  }
+
+  /**
+   * 스레드에 답글 추가
+   * @param {string} threadId - 스레드 ID
+   * @param {string} text - 답글 내용
+   * @param {Object} [options] - { author }
+   * @returns {Object} 추가한 댓글
+   */
+  reply(threadId, text, options = {}) {
+    const { thread } = this._getThreadEntry(threadId);
+    const comment = this._createComment(threadId, text, this._getAuthor(options.author));
+
+    this.yjsDoc.transact(() => {
+      this.comments.set(this._commentKey(thread.elementId, threadId, comment.id), comment);
+    }, this);
+
+    return comment;
+  }
+
+  /**
+   * 스레드 해결 처리
+   * @param {string} threadId - 스레드 ID
+   * @param {Object} [options] - { author }
+   * @returns {Object} 갱신된 스레드
+   */
+  resolve(threadId, options = {}) {
+    return this._setStatus(threadId, THREAD_STATUS.RESOLVED, this._getAuthor(options.author));
+  }
+
+  /**
+   * 해결된 스레드 다시 열기
+   * @param {string} threadId - 스레드 ID
+   * @returns {Object} 갱신된 스레드
+   */
+  reopen(threadId) {
+    return this._setStatus(threadId, THREAD_STATUS.OPEN, null);
+  }
+
+  /**
+   * 스레드 조회
+   * @param {string} threadId - 스레드 ID
+   * @returns {Object|null} 스레드 (comments는 작성 순)
+   */
+  getThread(threadId) {
+    const entry = this._findThread(threadId);
+    return entry ? this._toThread(entry.thread) : null;
+  }
+
+  /**
+   * 스레드 목록 (최근 활동 순)
+   * @param {Object} [filters] - { elementId, status }
+   * @returns {Object[]}
+   */
+  getThreads(filters = {}) {
+    const threads = [];
+
+    this._forEachThread(thread => {
+      if ((!filters.elementId || thread.elementId === filters.elementId) &&
+          (!filters.status || thread.status === filters.status)) {
+        threads.push(this._toThread(thread));
+      }
+    });
+
+    return threads.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * 열린 스레드 목록
+   * @param {string} [elementId] - 요소 ID (없으면 문서 전체)
+   * @returns {Object[]}
+   */
+  getOpenThreads(elementId) {
+    return this.getThreads({ elementId, status: THREAD_STATUS.OPEN });
+  }
+
+  /**
+   * 요소별 스레드 수 (배지 표시용)
+   * @returns {Map<string, Object>} 요소 ID → { open, resolved }
+   */
+  getCounts() {
+    const counts = new Map();
+
+    this._forEachThread(thread => {
+      const count = counts.get(thread.elementId) || { open: 0, resolved: 0 };
+      count[thread.status === THREAD_STATUS.RESOLVED ? 'resolved' : 'open'] += 1;
+      counts.set(thread.elementId, count);
+    });
+
+    return counts;
+  }
+
+  /**
+   * 멘션 가능한 사용자 목록 갱신
+   * @param {Object[]} users - [{ id, name }]
+   */
+  setUsers(users) {
+    this.users = users || [];
+  }
+
+  /**
+   * 본문의 @멘션을 알려진 사용자 ID로 변환 (알 수 없는 이름은 무시)
+   * @param {string} text - 댓글 내용
+   * @returns {string[]} 멘션된 사용자 ID (중복 제거)
+   */
+  parseMentions(text) {
+    const mentions = [];
+
+    for (const [, handle] of String(text).matchAll(MENTION_PATTERN)) {
+      const lowered = handle.toLowerCase();
+      const user = this.users.find(candidate =>
+        candidate.id === handle ||
+        String(candidate.name || '').replace(/\s+/g, '').toLowerCase() === lowered
+      );
+
+      if (user && !mentions.includes(user.id)) {
+        mentions.push(user.id);
+      }
+    }
+
+    return mentions;
+  }
+
+  /**
+   * 변경 리스너 등록 (로컬/원격 변경 모두)
+   * @param {Function} callback - ({ elementIds, local }) => void
+   * @returns {Function} 제거 함수
+   */
+  onChange(callback) {
+    this.changeListeners.add(callback);
+
+    return () => {
+      this.changeListeners.delete(callback);
+    };
+  }
+
+  /**
+   * 리소스 정리 (문서 내용은 유지)
+   */
+  destroy() {
+    this.comments.unobserve(this.handleChange);
+    this.changeListeners.clear();
+  }
+
+  /**
+   * 스레드 상태 변경
+   * @private
+   */
+  _setStatus(threadId, status, author) {
+    const { key, thread } = this._getThreadEntry(threadId);
+
+    if (thread.status !== status) {
+      this.yjsDoc.transact(() => {
+        this.comments.set(key, {
+          ...thread,
+          status,
+          resolvedBy: status === THREAD_STATUS.RESOLVED ? author : null,
+          resolvedAt: status === THREAD_STATUS.RESOLVED ? Date.now() : null
+        });
+      }, this);
+    }
+
+    return this.getThread(threadId);
+  }
+
+  /**
+   * 댓글 생성 (내용 검증, 멘션 해석)
+   * @private
+   */
+  _createComment(threadId, text, author) {
+    const content = typeof text === 'string' ? text.trim() : '';
+
+    if (!content) {
+      throw new Error('Comment text is required');
+    }
+
+    if (content.length > this.options.maxLength) {
+      throw new Error(`Comment exceeds ${this.options.maxLength} characters`);
+    }
+
+    return {
+      id: this._generateId('comment'),
+      threadId,
+      author,
+      text: content,
+      mentions: this.parseMentions(content),
+      createdAt: Date.now()
+    };
+  }
+
+  /**
+   * 스레드 검색
+   * @private
+   * @returns {Object|null} { key, thread }
+   */
+  _findThread(threadId) {
+    const suffix = KEY_SEPARATOR + THREAD_PREFIX + threadId;
+
+    for (const [key, thread] of this.comments.entries()) {
+      if (key.endsWith(suffix)) {
+        return { key, thread };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 모든 스레드 정보 순회
+   * @private
+   * @param {Function} callback - (thread) => void
+   */
+  _forEachThread(callback) {
+    this.comments.forEach((value, key) => {
+      if (this._getEntryType(key) === THREAD_PREFIX) {
+        callback(value);
+      }
+    });
+  }
+
+  /**
+   * 스레드 검색 (없으면 오류)
+   * @private
+   */
+  _getThreadEntry(threadId) {
+    const entry = this._findThread(threadId);
+    if (!entry) {
+      throw new Error('Thread not found');
+    }
+    return entry;
+  }
+
+  /**
+   * 스레드 정보와 댓글을 합친 조회 결과
+   * @private
+   */
+  _toThread(thread) {
+    const prefix = this._commentKey(thread.elementId, thread.id, '');
+    const comments = [];
+
+    this.comments.forEach((value, key) => {
+      if (key.startsWith(prefix)) {
+        comments.push(value);
+      }
+    });
+
+    comments.sort((a, b) => a.createdAt - b.createdAt || a.id.localeCompare(b.id));
+
+    return {
+      ...thread,
+      comments,
+      updatedAt: Math.max(thread.createdAt, thread.resolvedAt || 0, ...comments.map(comment => comment.createdAt))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _threadKey(elementId, threadId) {
+    return `${elementId}${KEY_SEPARATOR}${THREAD_PREFIX}${threadId}`;
+  }
+
+  /**
+   * @private
+   */
+  _commentKey(elementId, threadId, commentId) {
+    return `${elementId}${KEY_SEPARATOR}${COMMENT_PREFIX}${threadId}:${commentId}`;
+  }
+
+  /**
+   * 키의 요소 ID (ID와 댓글 접두사에는 구분자가 없으므로 마지막 구분자 기준)
+   * @private
+   */
+  _getElementId(key) {
+    return key.slice(0, key.lastIndexOf(KEY_SEPARATOR));
+  }
+
+  /**
+   * 키의 항목 종류 (THREAD_PREFIX | COMMENT_PREFIX | null)
+   * @private
+   */
+  _getEntryType(key) {
+    const entry = key.slice(key.lastIndexOf(KEY_SEPARATOR) + 1);
+    return [THREAD_PREFIX, COMMENT_PREFIX].find(prefix => entry.startsWith(prefix)) || null;
+  }
+
+  /**
+   * 작성자 정보 ({ id, name } 형태로 정규화)
+   * @private
+   */
+  _getAuthor(author = this.options.user) {
+    if (!author?.id) {
+      throw new Error('Comment author is required');
+    }
+
+    return { id: author.id, name: author.name || author.id };
+  }
+
+  /**
+   * 클라이언트 간 충돌하지 않는 ID 생성
+   * @private
+   */
+  _generateId(prefix) {
+    const random = Math.random().toString(36).substr(2, 6);
+    return `${prefix}_${this.yjsDoc.clientID.toString(36)}_${Date.now().toString(36)}${(++this.sequence).toString(36)}${random}`;
+  }
+
+  /**
+   * Y.Map 변경을 리스너에 전달
+   * @private
+   */
+  _handleChange(event, transaction) {
+    const elementIds = new Set();
+
+    event.keysChanged.forEach(key => {
+      if (this._getEntryType(key)) {
+        elementIds.add(this._getElementId(key));
+      }
+    });
+
+    if (elementIds.size === 0) {
+      return;
+    }
+
+    const payload = { elementIds: Array.from(elementIds), local: transaction.origin === this };
+
+    this.changeListeners.forEach(callback => {
+      try {
+        callback(payload);
+      } catch (error) {
+        this.logger.error('Comment listener error:', error);
+      }
+    });
+  }
+}
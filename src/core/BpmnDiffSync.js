@@ -5,11 +5,12 @@
 
 import { DiffSyncEngine } from './DiffSyncEngine.js';
 import { Logger } from '../utils/Logger.js';
+import { ComponentFactory } from '../utils/ComponentFactory.js';
 
 export class BpmnDiffSync {
   constructor(options = {}) {
     this.options = this._validateAndMergeOptions(options);
-    this.engine = new DiffSyncEngine(this.options.engine);
+    this.engine = new DiffSyncEngine(this._createEngineConfig());
     this.logger = new Logger(this.options.logging);
     this.isInitialized = false;
     
@@ -183,7 +184,7 @@ export class BpmnDiffSync {
     });
     
     if (this.isInitialized) {
-      this.engine.updateConfig(this.options.engine);
+      this.engine.updateConfig(this._createEngineConfig());
     }
     
     this.logger.info('Configuration updated');
@@ -243,6 +244,14 @@ export class BpmnDiffSync {
     return this.isInitialized ? this.engine.getDebugInfo() : null;
   }
 
+  /**
+   * 오프라인 상태 조회 ("오프라인 – N개 변경 대기" 표시용)
+   * @returns {Object|null} { enabled, online, pending, oldestQueuedAt, isReplaying }
+   */
+  getOfflineStatus() {
+    return this.isInitialized ? this.engine.getOfflineStatus() : null;
+  }
+
   /**
    * 로그 내역 내보내기
    * @returns {LogEntry[]}
@@ -358,6 +367,15 @@ export class BpmnDiffSync {
         }
       ],
       
+      // 사용자 컴포넌트 등록 (카테고리별 { 이름: 생성자 또는 지연 로더 })
+      // 예: { extractor: { MyExtractor }, adapter: { MyAdapter: () => import('./MyAdapter.js').then(m => m.MyAdapter) } }
+      components: {},
+
+      // 오프라인 큐 설정 (연결 끊김 동안의 변경을 저장했다가 재연결 시 재전송)
+      offline: {
+        enabled: false
+      },
+      
       // 로깅 설정
       logging: {
         level: 'info',
@@ -367,7 +385,38 @@ export class BpmnDiffSync {
       }
     };
 
-    return this._deepMerge(defaultOptions, userOptions);
+    const merged = this._deepMerge(defaultOptions, userOptions);
+
+    // 인스턴스로 전달된 컴포넌트는 기본 설정과 병합하지 않음
+    for (const category of ['extractor', 'calculator', 'applicator', 'adapter']) {
+      if (userOptions[category] && ComponentFactory.isComponentInstance(userOptions[category])) {
+        merged[category] = userOptions[category];
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * 엔진 설정 생성
+   * engine 설정에 컴포넌트/플러그인/로깅 설정을 합쳐 DiffSyncEngine에 전달
+   * @private
+   * @returns {Object} DiffSyncEngine 설정
+   */
+  _createEngineConfig() {
+    const { engine, extractor, calculator, applicator, adapter, plugins, components, offline, logging } = this.options;
+
+    return {
+      ...engine,
+      extractor,
+      calculator,
+      applicator,
+      adapter,
+      plugins,
+      components,
+      offline,
+      logging
+    };
   }
 
   /**
@@ -381,7 +430,8 @@ export class BpmnDiffSync {
     const result = { ...target };
     
     for (const key in source) {
-      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+      // 컴포넌트 인스턴스 등 일반 객체가 아닌 값은 병합하지 않고 그대로 사용
+      if (ComponentFactory.isPlainObject(source[key])) {
         result[key] = this._deepMerge(target[key] || {}, source[key]);
       } else {
         result[key] = source[key];
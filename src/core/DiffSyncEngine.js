@@ -6,7 +6,11 @@
 import { EventBus } from '../utils/EventBus.js';
 import { StateManager } from './StateManager.js';
 import { Logger } from '../utils/Logger.js';
-import { ComponentFactory } from '../factories/ComponentFactory.js';
+import { ComponentFactory } from '../utils/ComponentFactory.js';
+import { OfflineQueue } from '../offline/OfflineQueue.js';
+
+// 엔진 필수 컴포넌트 (설정 키 = 팩토리 카테고리)
+const REQUIRED_COMPONENTS = ['extractor', 'calculator', 'applicator', 'adapter'];
 
 export class DiffSyncEngine {
   constructor(config = {}) {
@@ -14,6 +18,10 @@ export class DiffSyncEngine {
     this.logger = new Logger(this.config.logging);
     this.eventBus = new EventBus();
     this.stateManager = new StateManager(this.config.state);
+
+    // 컴포넌트 팩토리 (기본 컴포넌트 + config.components로 등록한 사용자 컴포넌트)
+    this.factory = new ComponentFactory();
+    this._registerCustomComponents(this.config.components);
     
     // 엔진 상태
     this.isInitialized = false;
@@ -29,6 +37,13 @@ export class DiffSyncEngine {
     
     // 플러그인 시스템
     this.plugins = new Map();
+
+    // 오프라인 큐 (config.offline.enabled 시 생성)
+    this.offlineQueue = null;
+    this.removeConnectionListener = null;
+
+    // 요소별 마지막 로컬 변경 시각 (last-writer-wins 충돌 해결용)
+    this.localModifiedAt = new Map();
     
     // 성능 메트릭
     this.metrics = {
@@ -80,7 +95,9 @@ export class DiffSyncEngine {
       await this._createComponents();
       
       // 어댑터 초기화
-      await this.adapter.initialize(context);
+      if (typeof this.adapter.initialize === 'function') {
+        await this.adapter.initialize(context);
+      }
       
       // 상태 매니저 초기화
       await this.stateManager.initialize(context);
@@ -90,6 +107,9 @@ export class DiffSyncEngine {
       
       // 초기 상태 캡처
       await this._captureInitialState();
+
+      // 오프라인 큐 복원 및 재연결 감지
+      await this._initializeOfflineQueue();
       
       this.isInitialized = true;
       this.eventBus.emit('initialized', { engine: this });
@@ -119,6 +139,14 @@ export class DiffSyncEngine {
 
     // 원격 변경 리스너 등록
     this.adapter.onRemoteDiff(this._handleRemoteDiff.bind(this));
+
+    // 작업 로그로 따라잡을 수 없을 때의 스냅샷 적용/제공 (지원하는 어댑터만)
+    if (typeof this.adapter.onRemoteSnapshot === 'function') {
+      this.adapter.onRemoteSnapshot(this._applyRemoteSnapshot.bind(this));
+    }
+    if (typeof this.adapter.onSnapshotRequest === 'function') {
+      this.adapter.onSnapshotRequest(() => this.stateManager.getCurrentState());
+    }
     
     // 주기적 동기화 시작
     this._startSyncLoop();
@@ -196,6 +224,8 @@ export class DiffSyncEngine {
 
     try {
       const startTime = performance.now();
+
+      await this._runPluginHook('beforeExtract', { context: this.context, timestamp: Date.now() });
       
       // 현재 상태 추출
       const extractStartTime = performance.now();
@@ -207,18 +237,33 @@ export class DiffSyncEngine {
       
       // Diff 계산
       const calcStartTime = performance.now();
-      const lastState = this.stateManager.getLastState();
+      // 마지막으로 동기화된 상태(현재 상태)를 기준으로 비교
+      const lastState = this.stateManager.getCurrentState();
       const diff = await this.calculator.calculate(lastState, currentState);
       const calcTime = performance.now() - calcStartTime;
       
       // 메트릭 업데이트
       this._updateCalculatorMetrics(calcTime);
 
+      await this._runPluginHook('afterCalculate', {
+        diff,
+        previousState: lastState,
+        currentState,
+        timing: { extraction: extractTime, calculation: calcTime }
+      });
+
       if (diff.hasChanges) {
         this.logger.debug(`Local changes detected: +${diff.added.length} ~${diff.modified.length} -${diff.removed.length}`);
         
-        // 어댑터를 통해 전송
-        await this.adapter.sendDiff(diff);
+        // 역할 우선순위 충돌 해결을 위해 작성자 역할 첨부
+        if (this.context.userRole) {
+          diff.userRole = this.context.userRole;
+        }
+
+        this._recordLocalModification(diff);
+
+        // 어댑터를 통해 전송 (오프라인이면 큐에 보관)
+        const queued = await this._sendOrQueue(diff);
         
         // 상태 업데이트
         await this.stateManager.updateState(currentState);
@@ -228,6 +273,7 @@ export class DiffSyncEngine {
         // 성공 이벤트 발생
         this.eventBus.emit('localSync', { 
           diff, 
+          queued,
           timing: {
             extraction: extractTime,
             calculation: calcTime,
@@ -244,6 +290,7 @@ export class DiffSyncEngine {
           success: true,
           syncId: this._generateSyncId(),
           timestamp: Date.now(),
+          queued,
           appliedChanges: {
             added: diff.added.length,
             modified: diff.modified.length,
@@ -277,6 +324,7 @@ export class DiffSyncEngine {
       this.logger.error('Sync failed:', error);
       this._updateSyncMetrics(0, false);
       this.eventBus.emit('syncError', { error, context: 'local_sync' });
+      await this._runPluginHook('onError', { error, stage: 'local_sync' });
       throw error;
     }
   }
@@ -291,10 +339,28 @@ export class DiffSyncEngine {
       const startTime = performance.now();
       
       this.logger.debug(`Remote changes received: +${diff.added.length} ~${diff.modified.length} -${diff.removed.length}`);
+
+      await this._runPluginHook('onRemoteDiff', { diff, receivedAt: Date.now() });
+
+      // 오프라인 변경 재전송 시 충돌 감지용
+      this.offlineQueue?.recordRemoteChange(this._getDiffElementIds(diff), diff.clientId, Date.now());
+
+      // 3-way 병합을 지원하는 계산기면 로컬 미전송 변경과 병합한 결과만 적용
+      const merge = typeof this.calculator.merge === 'function'
+        ? await this._mergeRemoteDiff(diff)
+        : null;
+      const diffToApply = merge ? merge.diff : diff;
+
+      await this._runPluginHook('beforeApply', { diff: diffToApply, context: this.context });
       
       // Diff 적용
       const applyStartTime = performance.now();
-      const result = await this.applicator.apply(diff, this.context);
+      // 적용 충돌 처리용: 이벤트 버스와 요소별 마지막 로컬 변경 시각 전달
+      const result = await this.applicator.apply(diffToApply, {
+        ...this.context,
+        eventBus: this.eventBus,
+        localTimestamps: this.localModifiedAt
+      });
       const applyTime = performance.now() - applyStartTime;
       
       // 메트릭 업데이트
@@ -302,14 +368,22 @@ export class DiffSyncEngine {
 
       if (result.success) {
         // 새 상태 캡처 및 저장
-        const newState = await this.extractor.extract(this.context);
+        // 병합한 경우 원격 상태를 기준으로 삼아 미전송 로컬 변경이 다음 sync()에서 전송되도록 함
+        const newState = merge ? merge.remoteState : await this.extractor.extract(this.context);
         await this.stateManager.updateState(newState);
         
         const totalTime = performance.now() - startTime;
+
+        await this._runPluginHook('afterApply', {
+          diff,
+          result,
+          timing: { application: applyTime, total: totalTime }
+        });
         
         this.eventBus.emit('remoteSync', { 
           diff, 
           result, 
+          conflicts: merge ? merge.conflicts : [],
           timing: {
             application: applyTime,
             total: totalTime
@@ -320,13 +394,205 @@ export class DiffSyncEngine {
       } else {
         this.logger.error('Failed to apply remote diff:', result.errors);
         this.eventBus.emit('remoteSyncError', { diff, result });
+        await this._runPluginHook('afterApply', {
+          diff,
+          result,
+          timing: { application: applyTime, total: performance.now() - startTime }
+        });
       }
       
     } catch (error) {
       this.logger.error('Remote diff handling failed:', error);
       this._updateApplicatorMetrics(0, false);
       this.eventBus.emit('syncError', { error, context: 'remote_diff' });
+      await this._runPluginHook('onError', { error, stage: 'remote_diff' });
+    }
+  }
+
+  /**
+   * 원격 스냅샷으로 전체 상태 재동기화
+   * 로컬 상태와 스냅샷의 차이를 적용하고 적용 결과를 동기화된 상태로 삼음
+   * @private
+   * @param {DocumentState} snapshot - 다른 클라이언트가 제공한 동기화 상태
+   */
+  async _applyRemoteSnapshot(snapshot) {
+    const localState = await this.extractor.extract(this.context);
+    const diff = await this.calculator.calculate(localState, { ...snapshot, clientId: snapshot.clientId || 'snapshot' });
+
+    if (diff.hasChanges) {
+      const result = await this.applicator.apply(diff, {
+        ...this.context,
+        eventBus: this.eventBus,
+        localTimestamp: null
+      });
+
+      if (!result.success) {
+        this.eventBus.emit('remoteSyncError', { diff, result });
+        throw new Error(`Snapshot resync failed: ${result.errors.length} errors`);
+      }
+    }
+
+    await this.stateManager.updateState(await this.extractor.extract(this.context));
+    this.eventBus.emit('resync:completed', { source: 'snapshot', diff });
+    this.logger.info(`Resynced from snapshot: +${diff.added.length} ~${diff.modified.length} -${diff.removed.length}`);
+  }
+
+  /**
+   * 원격 Diff를 로컬 상태와 3-way 병합
+   * @private
+   * @param {DocumentDiff} diff - 원격 Diff
+   * @returns {Promise<MergeResult>} 병합 결과 (remoteState 포함)
+   */
+  async _mergeRemoteDiff(diff) {
+    const baseState = this.stateManager.getCommonAncestor();
+    const localState = await this.extractor.extract(this.context);
+    const remoteState = this.calculator.applyDiffToState(baseState, diff);
+
+    const merge = await this.calculator.merge(baseState, localState, remoteState);
+
+    if (merge.hasConflicts) {
+      this.logger.warn(`Merge conflicts detected: ${merge.conflicts.length} (diff ${diff.id})`);
+    }
+
+    return { ...merge, remoteState };
+  }
+
+  /**
+   * 로컬 Diff에 포함된 요소의 변경 시각 기록
+   * @private
+   * @param {DocumentDiff} diff - 로컬 Diff
+   */
+  _recordLocalModification(diff) {
+    const timestamp = diff.timestamp ?? Date.now();
+    this._getDiffElementIds(diff).forEach(elementId => this.localModifiedAt.set(elementId, timestamp));
+  }
+
+  /**
+   * Diff 전송 또는 오프라인 큐에 보관
+   * 대기 중인 항목이 있으면 순서 보장을 위해 새 변경도 큐 뒤에 추가
+   * @private
+   * @param {DocumentDiff} diff - 전송할 Diff
+   * @returns {Promise<boolean>} 큐에 보관되었는지 여부
+   */
+  async _sendOrQueue(diff) {
+    if (!this.offlineQueue) {
+      await this.adapter.sendDiff(diff);
+      return false;
+    }
+
+    if (this.adapter.isConnected !== false && this.offlineQueue.size === 0) {
+      try {
+        await this.adapter.sendDiff(diff);
+        return false;
+      } catch (error) {
+        this.logger.warn('Send failed, queuing diff for offline replay:', error.message);
+      }
+    }
+
+    await this.offlineQueue.enqueue(diff, this._getDiffElementIds(diff));
+    this._emitOfflineStatus();
+    return true;
+  }
+
+  /**
+   * 오프라인 큐 초기화
+   * @private
+   */
+  async _initializeOfflineQueue() {
+    const offlineConfig = this.config.offline;
+
+    if (!offlineConfig.enabled) {
+      return;
+    }
+
+    this.offlineQueue = new OfflineQueue({
+      storage: offlineConfig.storage,
+      key: offlineConfig.key || this.context.documentId || 'default',
+      maxSize: offlineConfig.maxSize
+    });
+    await this.offlineQueue.load();
+
+    // 이전 실행에서 보관한 변경도 로컬 변경 시각으로 사용
+    this.offlineQueue.getPending().forEach(entry => this._recordLocalModification(entry.payload));
+
+    if (typeof this.adapter.onConnectionChange === 'function') {
+      this.removeConnectionListener = this.adapter.onConnectionChange((event) => {
+        // 따라잡기 중이면 끊긴 동안의 원격 변경을 먼저 적용해 충돌 감지에 반영한 뒤('synced') 재전송
+        const caughtUp = event.status === 'synced'
+          || (event.status === 'connected' && !this.adapter.isCatchingUp?.());
+        if (caughtUp) {
+          this._replayOfflineQueue().catch(error => {
+            this.logger.error('Offline replay failed:', error);
+          });
+        } else if (event.status === 'disconnected') {
+          this._emitOfflineStatus();
+        }
+      });
+    }
+  }
+
+  /**
+   * 오프라인 큐 재전송
+   * @private
+   * @returns {Promise<OfflineReplayResult|null>}
+   */
+  async _replayOfflineQueue() {
+    if (!this.offlineQueue || this.offlineQueue.size === 0) {
+      return null;
+    }
+
+    const onConflict = this.config.offline.onConflict;
+    const result = await this.offlineQueue.replay(
+      (diff) => this.adapter.sendDiff(diff),
+      {
+        onConflict: async (conflict, entry) => {
+          this.eventBus.emit('conflict:detected', conflict);
+          return onConflict ? onConflict(conflict, entry.payload) : true;
+        }
+      }
+    );
+
+    this.eventBus.emit('offline:replayed', result);
+    this._emitOfflineStatus();
+
+    return result;
+  }
+
+  /**
+   * 오프라인 상태 조회
+   * @returns {Object} { enabled, online, pending, oldestQueuedAt, isReplaying }
+   */
+  getOfflineStatus() {
+    const online = this.adapter ? this.adapter.isConnected !== false : false;
+
+    if (!this.offlineQueue) {
+      return { enabled: false, online, pending: 0, oldestQueuedAt: null, isReplaying: false };
     }
+
+    const { pending, oldestQueuedAt, isReplaying } = this.offlineQueue.getStatus();
+    return { enabled: true, online, pending, oldestQueuedAt, isReplaying };
+  }
+
+  /**
+   * 오프라인 상태 이벤트 발생
+   * @private
+   */
+  _emitOfflineStatus() {
+    this.eventBus.emit('offline:status', this.getOfflineStatus());
+  }
+
+  /**
+   * Diff가 변경한 요소 ID 목록
+   * @private
+   * @param {DocumentDiff} diff - Diff
+   * @returns {string[]}
+   */
+  _getDiffElementIds(diff) {
+    return [
+      ...(diff.added || []).map(element => element.id),
+      ...(diff.modified || []).map(modification => modification.id),
+      ...(diff.removed || [])
+    ];
   }
 
   /**
@@ -365,31 +631,123 @@ export class DiffSyncEngine {
    * @private
    */
   async _createComponents() {
-    const factory = new ComponentFactory();
-    
-    this.extractor = factory.createExtractor(this.config.extractor);
-    this.calculator = factory.createCalculator(this.config.calculator);
-    this.applicator = factory.createApplicator(this.config.applicator);
-    this.adapter = factory.createAdapter(this.config.adapter);
+    for (const category of REQUIRED_COMPONENTS) {
+      const spec = this.config[category];
+
+      if (!spec) {
+        throw new Error(`Required component not provided: ${category}`);
+      }
+
+      this[category] = await this._createComponent(category, spec);
+    }
     
     this.logger.debug('Components created');
   }
 
+  /**
+   * 설정 명세로 컴포넌트 생성
+   * - 문자열 type: 팩토리에 등록된 이름으로 생성 (지연 로더 포함)
+   * - 함수 type: 해당 클래스로 직접 생성
+   * - type이 없는 객체: 이미 생성된 인스턴스로 간주하여 그대로 사용
+   * @private
+   * @param {string} category - 컴포넌트 카테고리
+   * @param {Object} spec - 컴포넌트 명세 { type, options } 또는 인스턴스
+   * @returns {Promise<Object>} 컴포넌트 인스턴스
+   */
+  async _createComponent(category, spec) {
+    if (ComponentFactory.isComponentInstance(spec)) {
+      return spec;
+    }
+
+    if (typeof spec.type === 'function') {
+      return new spec.type(spec);
+    }
+
+    if (typeof spec.type !== 'string') {
+      throw new Error(`Invalid ${category} configuration: type is required`);
+    }
+
+    const componentInfo = this.factory.getInfo(spec.type);
+
+    if (!componentInfo) {
+      throw new Error(`Unknown ${category} type: ${spec.type}`);
+    }
+
+    if (componentInfo.category !== category && componentInfo.category !== 'default') {
+      throw new Error(`Component '${spec.type}' is registered as ${componentInfo.category}, not ${category}`);
+    }
+
+    return this.factory.createAsync(spec.type, spec);
+  }
+
+  /**
+   * 사용자 컴포넌트 등록
+   * @private
+   * @param {Object} components - 카테고리별 { 이름: 생성자 또는 지연 로더 } 맵
+   */
+  _registerCustomComponents(components = {}) {
+    for (const [category, definitions] of Object.entries(components)) {
+      for (const [name, constructor] of Object.entries(definitions || {})) {
+        this.factory.register(name, constructor, { category });
+        this.logger.debug(`Component registered: ${name} (${category})`);
+      }
+    }
+  }
+
   /**
    * 플러그인 초기화
    * @private
    */
   async _initializePlugins() {
-    const factory = new ComponentFactory();
-    
     for (const pluginConfig of this.config.plugins) {
       try {
-        const plugin = factory.createPlugin(pluginConfig);
-        await plugin.initialize(this);
-        this.plugins.set(plugin.name, plugin);
+        const plugin = await this._createComponent('plugin', pluginConfig);
+        await this._registerPlugin(plugin);
         this.logger.debug(`Plugin initialized: ${plugin.name}`);
       } catch (error) {
-        this.logger.error(`Failed to initialize plugin ${pluginConfig.type}:`, error);
+        this.logger.error(`Failed to initialize plugin ${pluginConfig.type || pluginConfig.name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * 플러그인 초기화 및 등록
+   * @private
+   * @param {Plugin} plugin - 등록할 플러그인
+   */
+  async _registerPlugin(plugin) {
+    if (!plugin || !plugin.name) {
+      throw new Error('Plugin must have a name');
+    }
+
+    if (this.plugins.has(plugin.name)) {
+      throw new Error(`Plugin already registered: ${plugin.name}`);
+    }
+
+    if (typeof plugin.initialize === 'function') {
+      await plugin.initialize(this);
+    }
+
+    this.plugins.set(plugin.name, plugin);
+  }
+
+  /**
+   * 플러그인 훅 실행
+   * 등록 순서대로 호출하며, 훅 오류는 로깅 후 무시하여 동기화를 막지 않음
+   * @private
+   * @param {string} hookName - 훅 이름 (PLUGIN_HOOKS 참조)
+   * @param {Object} payload - 훅에 전달할 데이터
+   */
+  async _runPluginHook(hookName, payload) {
+    for (const plugin of this.plugins.values()) {
+      if (typeof plugin[hookName] !== 'function') {
+        continue;
+      }
+
+      try {
+        await plugin[hookName](payload);
+      } catch (error) {
+        this.logger.error(`Plugin ${plugin.name} failed in ${hookName}:`, error);
       }
     }
   }
@@ -423,8 +781,7 @@ export class DiffSyncEngine {
    * @param {Plugin} plugin - 추가할 플러그인
    */
   async addPlugin(plugin) {
-    await plugin.initialize(this);
-    this.plugins.set(plugin.name, plugin);
+    await this._registerPlugin(plugin);
     this.logger.info(`Plugin added: ${plugin.name}`);
   }
 
@@ -435,7 +792,9 @@ export class DiffSyncEngine {
   async removePlugin(pluginName) {
     const plugin = this.plugins.get(pluginName);
     if (plugin) {
-      await plugin.destroy();
+      if (typeof plugin.destroy === 'function') {
+        await plugin.destroy();
+      }
       this.plugins.delete(pluginName);
       this.logger.info(`Plugin removed: ${pluginName}`);
     }
@@ -532,18 +891,28 @@ export class DiffSyncEngine {
     // 플러그인 정리
     for (const plugin of this.plugins.values()) {
       try {
-        await plugin.destroy();
+        if (typeof plugin.destroy === 'function') {
+          await plugin.destroy();
+        }
       } catch (error) {
         this.logger.error(`Failed to destroy plugin ${plugin.name}:`, error);
       }
     }
     this.plugins.clear();
+
+    // 오프라인 큐는 저장소에 남겨 다음 실행에서 재전송
+    if (this.removeConnectionListener) {
+      this.removeConnectionListener();
+      this.removeConnectionListener = null;
+    }
     
     // 어댑터 정리
-    if (this.adapter) {
+    if (this.adapter && typeof this.adapter.destroy === 'function') {
       await this.adapter.destroy();
     }
     
+    this.localModifiedAt.clear();
+
     // 이벤트 리스너 정리
     this.eventBus.removeAllListeners();
     
@@ -565,10 +934,27 @@ export class DiffSyncEngine {
       applicator: { type: 'BpmnDiffApplicator', options: {} },
       adapter: { type: 'YjsAdapter', options: {} },
       plugins: [],
+      components: {},
+      offline: {
+        enabled: false,
+        storage: null,     // BaseQueueStorage 구현 (기본: 환경별 영속 저장소)
+        key: null,         // 큐 키 (기본: documentId)
+        maxSize: 1000,
+        onConflict: null   // (conflict, diff) => boolean, false 반환 시 해당 변경 폐기
+      },
       logging: { level: 'info' }
     };
 
-    return this._deepMerge(defaultConfig, userConfig);
+    const merged = this._deepMerge(defaultConfig, userConfig);
+
+    // 인스턴스로 전달된 컴포넌트는 기본 설정과 병합하지 않음
+    for (const category of REQUIRED_COMPONENTS) {
+      if (userConfig[category] && ComponentFactory.isComponentInstance(userConfig[category])) {
+        merged[category] = userConfig[category];
+      }
+    }
+
+    return merged;
   }
 
   /**
@@ -579,7 +965,8 @@ export class DiffSyncEngine {
     const result = { ...target };
     
     for (const key in source) {
-      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+      // 컴포넌트 인스턴스 등 일반 객체가 아닌 값은 병합하지 않고 그대로 사용
+      if (ComponentFactory.isPlainObject(source[key])) {
         result[key] = this._deepMerge(target[key] || {}, source[key]);
       } else {
         result[key] = source[key];
@@ -53,6 +53,15 @@ export class StateManager {
     return this.stateHistory[this.stateHistory.length - 1];
   }
 
+  /**
+   * 공통 조상 상태 조회
+   * 마지막으로 동기화된 상태로, 3-way 병합의 기준이 된다.
+   * @returns {DocumentState|null} 복제된 상태 (수정해도 내부 상태에 영향 없음)
+   */
+  getCommonAncestor() {
+    return this.currentState ? this._deepClone(this.currentState) : null;
+  }
+
   /**
    * 상태 업데이트
    * @param {DocumentState} newState - 새로운 상태
@@ -7,14 +7,34 @@ export { BpmnDiffSync } from './core/BpmnDiffSync.js';
 export { DiffSyncEngine } from './core/DiffSyncEngine.js';
 export { BpmnStateExtractor } from './extractors/BpmnStateExtractor.js';
 export { StandardDiffCalculator } from './calculators/StandardDiffCalculator.js';
-export { BpmnDiffApplicator } from './applicators/BpmnDiffApplicator.js';
+export { ThreeWayDiffCalculator, CONFLICT_TYPES } from './calculators/ThreeWayDiffCalculator.js';
+export { BpmnDiffApplicator, CONFLICT_STRATEGIES } from './applicators/BpmnDiffApplicator.js';
 export { YjsAdapter } from './adapters/YjsAdapter.js';
+export { WebSocketAdapter } from './adapters/WebSocketAdapter.js';
+export { BroadcastChannelAdapter, InMemoryHub } from './adapters/BroadcastChannelAdapter.js';
+export { BaseAdapter, DIFF_ENCODINGS } from './adapters/BaseAdapter.js';
+export { BasePlugin, PLUGIN_HOOKS } from './plugins/BasePlugin.js';
 export { PerformanceMonitor } from './plugins/PerformanceMonitor.js';
+export { StateVerifier } from './plugins/StateVerifier.js';
+export { ElementLockService } from './plugins/ElementLockService.js';
+export { SelectiveUndoService } from './plugins/SelectiveUndoService.js';
+
+// 오프라인 큐
+export { OfflineQueue, OFFLINE_CONFLICT_TYPE } from './offline/OfflineQueue.js';
+export { BaseQueueStorage } from './offline/storage/BaseQueueStorage.js';
+export { MemoryQueueStorage } from './offline/storage/MemoryQueueStorage.js';
+export { FileQueueStorage } from './offline/storage/FileQueueStorage.js';
+export { IndexedDBQueueStorage } from './offline/storage/IndexedDBQueueStorage.js';
+
+// 요소 댓글
+export { CommentStore, THREAD_STATUS } from './comments/CommentStore.js';
 
 // 유틸리티
 export { Logger } from './utils/Logger.js';
 export { EventBus } from './utils/EventBus.js';
 export { ComponentFactory } from './utils/ComponentFactory.js';
+export { DiffCodec } from './utils/DiffCodec.js';
+export { StateHasher } from './utils/StateHasher.js';
 
 // 타입 정의 (JSDoc용)
 /**
@@ -57,7 +77,75 @@ export { ComponentFactory } from './utils/ComponentFactory.js';
  * @property {string} syncId - 동기화 ID
  * @property {number} timestamp - 동기화 타임스탬프
  * @property {Object} appliedChanges - 적용된 변경사항
+ * @property {ApplyConflictRecord[]} conflicts - 적용 중 해결된 충돌 목록
  * @property {SyncError[]} errors - 오류 목록
  * @property {SyncWarning[]} warnings - 경고 목록
  * @property {Object} timing - 성능 정보
- */
\ No newline at end of file
+ */
+
+/**
+ * @typedef {Object} ConflictRecord
+ * @property {string} id - 충돌 ID
+ * @property {string} type - 충돌 유형 ('property', 'delete-modify', 'reparent-move')
+ * @property {string} elementId - 충돌 요소 ID
+ * @property {string|null} property - 충돌 속성 (property 유형, 예: 'businessObject.name')
+ * @property {any} base - 공통 조상 값
+ * @property {any} local - 로컬 값
+ * @property {any} remote - 원격 값
+ * @property {string} [deletedBy] - 삭제한 쪽 (delete-modify 유형)
+ * @property {string} [reparentedBy] - 부모를 변경한 쪽 (reparent-move 유형)
+ * @property {string} localClientId - 로컬 클라이언트 ID
+ * @property {string} remoteClientId - 원격 클라이언트 ID
+ * @property {number} detectedAt - 감지 타임스탬프
+ */
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {string} id - 병합 ID
+ * @property {number} timestamp - 병합 타임스탬프
+ * @property {DocumentState} mergedState - 병합된 상태 (충돌 속성은 로컬 값 유지)
+ * @property {DocumentDiff} diff - 로컬 상태에 적용할 Diff
+ * @property {ConflictRecord[]} conflicts - 충돌 목록
+ * @property {boolean} hasConflicts - 충돌 여부
+ * @property {Object} statistics - 병합 통계
+ */
+
+/**
+ * @typedef {Object} ApplyConflictRecord
+ * @property {string} id - 충돌 ID
+ * @property {string} type - 충돌 유형 ('missing-element', 'missing-parent')
+ * @property {string} elementId - 수정 대상 요소 ID
+ * @property {string|null} parentId - 원격 상태의 부모 요소 ID
+ * @property {Object|null} remote - 원격 요소 상태
+ * @property {number|null} localTimestamp - 요소의 마지막 로컬 변경 시각
+ * @property {number|null} remoteTimestamp - 원격 Diff 시각
+ * @property {string|null} localRole - 로컬 사용자 역할
+ * @property {string|null} remoteRole - 원격 사용자 역할
+ * @property {string} [resolution] - 해결 방식 ('local', 'remote', 'keep-both'), conflict:resolved 시 설정
+ * @property {string} [strategy] - 사용된 해결 전략
+ * @property {string} [cloneId] - keep-both로 생성된 복제 요소 ID
+ */
+
+/**
+ * @typedef {Object} OfflineQueueEntry
+ * @property {string} id - 항목 ID
+ * @property {number} sequence - 추가 순서
+ * @property {number} queuedAt - 추가 시각
+ * @property {string[]} elementIds - 변경된 요소 ID
+ * @property {any} payload - 재전송할 데이터
+ */
+
+/**
+ * @typedef {Object} OfflineReplayResult
+ * @property {number} replayed - 재전송한 항목 수
+ * @property {number} skipped - 충돌로 건너뛴 항목 수
+ * @property {Object[]} conflicts - 충돌 레코드 (type: 'offline-replay')
+ * @property {number} remaining - 전송 실패로 남은 항목 수
+ */
+
+/**
+ * @typedef {Object} StateHash
+ * @property {string} root - 루트 해시
+ * @property {string[]} buckets - 버킷별 해시 (요소 ID 기준 분할)
+ * @property {number} elementCount - 요소 수
+ */
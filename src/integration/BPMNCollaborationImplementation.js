@@ -11,6 +11,13 @@ import { SilentUpdateService } from '../silent-update/SilentUpdateService.js';
 import { SynchronizationManager } from '../synchronization/SynchronizationManager.js';
 import { UserAwarenessSystem } from './UserAwarenessSystem.js';
 import { EventBusManager } from '../silent-update/EventBusManager.js';
+import { OfflineQueue } from '../offline/OfflineQueue.js';
+
+// 오프라인 큐에 영속 보관하는 메시지 (문서 변경)
+const PERSISTENT_MESSAGE_TYPES = ['model_change', 'batch_update'];
+
+// 읽기 전용 모드에서 편집 도구보다 먼저 실행되도록 하는 우선순위
+const READ_ONLY_PRIORITY = 10000;
 
 export class BPMNCollaborationImplementation {
   constructor(modeler, websocketUrl, options = {}) {
@@ -24,10 +31,16 @@ export class BPMNCollaborationImplementation {
       userId: options.userId || this.generateUserId(),
       userName: options.userName || 'Anonymous',
       userColor: options.userColor || this.generateUserColor(),
+      authToken: null,            // 서버 인증이 켜진 경우 JWT (업그레이드 요청에 ?token=으로 전달)
+      documentId: null,           // 참가할 문서 룸 (없으면 서버 기본 문서)
       enableCursorTracking: true,
       enableSelectionTracking: true,
       batchDelayMs: 50,
       maxBatchSize: 20,
+      offlineStorage: null,       // 오프라인 큐 저장소 (기본: 브라우저 IndexedDB, Node 파일)
+      offlineQueueKey: null,      // 오프라인 큐 키 (기본: documentId)
+      maxOfflineChanges: 1000,
+      onOfflineConflict: null,    // (conflict, message) => boolean, false 반환 시 해당 변경 폐기
       ...options
     };
 
@@ -37,8 +50,22 @@ export class BPMNCollaborationImplementation {
     this.heartbeatTimer = null;
 
     // 메시지 큐 (연결 끊김 시 대기)
+    // 문서 변경은 오프라인 큐에(새로고침/재시작 후에도 유지), 나머지는 메모리에 보관
     this.messageQueue = [];
     this.maxQueueSize = 100;
+    this.offlineQueue = new OfflineQueue({
+      storage: this.options.offlineStorage || OfflineQueue.createDefaultStorage(),
+      key: this.options.offlineQueueKey || this.options.documentId || 'default',
+      maxSize: this.options.maxOfflineChanges
+    });
+    this.offlineQueueReady = this.offlineQueue.load()
+      .then(() => {
+        this.emitOfflineStatus();
+        if (this.isConnected && !this.pendingSync) {
+          this.flushMessageQueue();
+        }
+      })
+      .catch(error => console.error('Failed to restore offline queue:', error));
 
     // 사용자 정보
     this.localUser = {
@@ -52,6 +79,15 @@ export class BPMNCollaborationImplementation {
     this.pendingBroadcasts = [];
     this.batchTimer = null;
 
+    // 서버가 부여한 문서 권한 (user_join_confirmed 수신 전에는 null)
+    this.permissions = null;
+    this.readOnly = false;
+
+    // 서버 작업 로그에서 마지막으로 받은 순번 (재연결 시 이후 작업만 따라잡음)
+    this.lastSequence = 0;
+    // 진행 중인 따라잡기 (요청 후 응답 전까지 실시간으로 받은 순번, 중복 적용 방지)
+    this.pendingSync = null;
+
     this.initializeComponents();
     this.setupWebSocket();
     this.setupEventHandlers();
@@ -89,12 +125,25 @@ export class BPMNCollaborationImplementation {
     console.log('BPMN Collaboration components initialized with dependencies');
   }
 
+  /**
+   * 인증 토큰을 포함한 WebSocket URL
+   * @returns {string}
+   */
+  getWebSocketUrl() {
+    if (!this.options.authToken) {
+      return this.websocketUrl;
+    }
+
+    const separator = this.websocketUrl.includes('?') ? '&' : '?';
+    return `${this.websocketUrl}${separator}token=${encodeURIComponent(this.options.authToken)}`;
+  }
+
   /**
    * WebSocket 연결 설정
    */
   setupWebSocket() {
     try {
-      this.websocket = new WebSocket(this.websocketUrl);
+      this.websocket = new WebSocket(this.getWebSocketUrl());
       this.setupWebSocketHandlers();
     } catch (error) {
       console.error('Failed to create WebSocket connection:', error);
@@ -123,9 +172,10 @@ export class BPMNCollaborationImplementation {
 
       // 사용자 정보 전송
       this.sendUserJoin();
-      
-      // 대기 중인 메시지 전송
-      this.flushMessageQueue();
+
+      // 끊긴 동안(또는 참가 전)의 변경 따라잡기
+      // 대기 중인 메시지와 오프라인 변경은 따라잡기 응답을 적용한 뒤 전송 (handleSyncResponse)
+      this.requestSync();
       
       // 하트비트 시작
       this.startHeartbeat();
@@ -144,6 +194,7 @@ export class BPMNCollaborationImplementation {
       console.log('WebSocket disconnected:', event.code, event.reason);
       this.isConnected = false;
       this.stopHeartbeat();
+      this.emitOfflineStatus();
       
       if (this.options.autoReconnect && this.reconnectCount < this.options.maxReconnectAttempts) {
         this.scheduleReconnect();
@@ -162,14 +213,27 @@ export class BPMNCollaborationImplementation {
   handleWebSocketMessage(data) {
     switch (data.type) {
       case 'model_change':
+        this.trackSequence(data.sequence);
         this.handleRemoteModelChange(data);
         break;
+      case 'operation_ack':
+        this.trackSequence(data.sequence);
+        break;
       case 'cursor_position':
         this.handleRemoteCursorPosition(data);
         break;
       case 'user_selection':
         this.handleRemoteUserSelection(data);
         break;
+      case 'viewport_changed':
+        this.handleRemoteViewport(data);
+        break;
+      case 'follow_request':
+        this.handleFollowRequest(data);
+        break;
+      case 'drag_preview':
+        this.handleRemoteDragPreview(data);
+        break;
       case 'user_join':
         this.handleUserJoin(data);
         break;
@@ -194,9 +258,15 @@ export class BPMNCollaborationImplementation {
       case 'error':
         this.handleServerError(data);
         break;
+      case 'permission_denied':
+        this.handlePermissionDenied(data);
+        break;
       case 'sync_request':
         this.handleSyncRequest(data);
         break;
+      case 'sync_response':
+        this.handleSyncResponse(data);
+        break;
       default:
         console.warn('Unknown message type:', data.type);
     }
@@ -238,6 +308,19 @@ export class BPMNCollaborationImplementation {
       }
     });
 
+    // 읽기 전용 모드: 규칙 기반 편집 도구(이동, 생성, 연결, 삭제 등)와 레이블 편집 차단
+    this.modeler.on('commandStack.canExecute', READ_ONLY_PRIORITY, () => {
+      if (this.readOnly && !this.collaborationManager.isProcessingRemoteEvent) {
+        return false;
+      }
+    });
+
+    this.modeler.on('element.dblclick', READ_ONLY_PRIORITY, () => {
+      if (this.readOnly) {
+        return false;
+      }
+    });
+
     // 페이지 언로드 시 정리
     window.addEventListener('beforeunload', () => {
       this.destroy();
@@ -370,6 +453,9 @@ export class BPMNCollaborationImplementation {
       return; // 자신의 변경사항은 무시
     }
 
+    // 오프라인 변경 재전송 시 충돌 감지용
+    this.offlineQueue.recordRemoteChange(this.getMessageElementIds(data), data.userId, Date.now());
+
     try {
       // 협업 매니저를 통해 원격 변경사항 적용
       this.collaborationManager.applyRemoteChanges([data.operation]);
@@ -409,6 +495,36 @@ export class BPMNCollaborationImplementation {
     // }
   }
 
+  /**
+   * 원격 뷰포트 변경 처리 (따라가기 모드)
+   * @param {Object} data - 뷰포트 데이터
+   */
+  handleRemoteViewport(data) {
+    if (this.userAwarenessSystem && data.userId !== this.localUser.id) {
+      this.userAwarenessSystem.updateRemoteViewport(data.userId, data.viewport);
+    }
+  }
+
+  /**
+   * 발표자의 따라오기 요청 처리
+   * @param {Object} data - 요청 데이터
+   */
+  handleFollowRequest(data) {
+    if (this.userAwarenessSystem && data.userId !== this.localUser.id) {
+      this.userAwarenessSystem.handleFollowRequest(data);
+    }
+  }
+
+  /**
+   * 원격 드래그 미리보기 처리
+   * @param {Object} data - 미리보기 데이터
+   */
+  handleRemoteDragPreview(data) {
+    if (this.userAwarenessSystem && data.userId !== this.localUser.id) {
+      this.userAwarenessSystem.updateRemotePreview(data.userId, data.preview);
+    }
+  }
+
   /**
    * 사용자 참가 처리 (비활성화)
    * @param {Object} data - 사용자 데이터
@@ -439,7 +555,12 @@ export class BPMNCollaborationImplementation {
    */
   handleUserJoinConfirmed(data) {
     console.log(`User join confirmed for user: ${data.userId}`);
-    // 참가 확인 후 필요한 추가 로직 (현재는 로깅만)
+
+    // 서버가 부여한 권한으로 읽기 전용 여부 결정
+    if (Array.isArray(data.permissions)) {
+      this.permissions = data.permissions;
+      this.setReadOnly(!data.permissions.includes('write') && !data.permissions.includes('admin'));
+    }
   }
 
   /**
@@ -514,26 +635,172 @@ export class BPMNCollaborationImplementation {
   }
 
   /**
-   * 동기화 요청 처리
+   * 권한 거부 처리
+   * 쓰기 권한이 없으면 읽기 전용으로 전환 (삭제 거부는 알림만)
+   * @param {Object} data - { required, messageType, operation, elementIds, message }
+   */
+  handlePermissionDenied(data) {
+    console.warn('Permission denied:', data.message);
+
+    if (data.required === 'write') {
+      this.setReadOnly(true);
+    }
+
+    this.modeler.get('eventBus').fire('collaboration.permissionDenied', data);
+  }
+
+  /**
+   * 읽기 전용 모드 설정
+   * 읽기 전용이면 편집 도구를 막고 대기 중인 로컬 변경을 전송하지 않음
+   * @param {boolean} readOnly - 읽기 전용 여부
+   */
+  setReadOnly(readOnly) {
+    if (this.readOnly === readOnly) {
+      return;
+    }
+
+    this.readOnly = readOnly;
+
+    if (readOnly) {
+      this.pendingBroadcasts = this.pendingBroadcasts.filter(message => !this.isPersistentMessage(message));
+    }
+
+    this.modeler.get('eventBus').fire('collaboration.readOnly', { readOnly, permissions: this.permissions });
+  }
+
+  /**
+   * 읽기 전용 모드 여부
+   * @returns {boolean}
+   */
+  isReadOnly() {
+    return this.readOnly;
+  }
+
+  /**
+   * 동기화 요청 처리 (서버가 늦게 참가한 사용자를 위해 스냅샷을 요청)
    * @param {Object} data - 동기화 요청 데이터
    */
   handleSyncRequest(data) {
-    // 현재 모델 상태를 전송
+    // 현재 모델 상태와 반영된 마지막 순번을 전송
     const modelState = this.extractCurrentModelState();
     
     this.sendMessage({
       type: 'sync_response',
+      requestId: data.requestId,
       userId: this.localUser.id,
       modelState: modelState,
+      sequence: this.lastSequence,
       timestamp: Date.now()
     });
   }
 
+  /**
+   * 마지막으로 받은 순번 이후의 변경을 서버에 요청
+   */
+  requestSync() {
+    this.pendingSync = { liveSequences: new Set() };
+
+    this.sendMessage({
+      type: 'sync_request',
+      userId: this.localUser.id,
+      lastSequence: this.lastSequence,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * 서버 작업 로그 순번 기록
+   * @param {number} sequence - 메시지 순번
+   */
+  trackSequence(sequence) {
+    if (!Number.isInteger(sequence)) {
+      return;
+    }
+
+    this.lastSequence = Math.max(this.lastSequence, sequence);
+    this.pendingSync?.liveSequences.add(sequence);
+  }
+
+  /**
+   * 따라잡기 응답 처리
+   * - operations: 놓친 작업을 순서대로 적용
+   * - snapshot: 스냅샷으로 모델을 맞춘 뒤 이후 작업 적용
+   * - unavailable: 따라잡을 수 없음 (현재 모델 유지)
+   * @param {Object} data - { mode, operations, modelState, snapshotSequence, latestSequence }
+   */
+  handleSyncResponse(data) {
+    const liveSequences = this.pendingSync?.liveSequences || new Set();
+    this.pendingSync = null;
+
+    if (data.mode === 'snapshot' && data.modelState) {
+      this.applyModelState(data.modelState);
+    }
+
+    const operations = (data.operations || []).filter(message => !liveSequences.has(message.sequence));
+    operations.forEach(message => this.handleRemoteModelChange(message));
+
+    // 응답 이후의 실시간 변경은 latestSequence보다 큰 순번으로 도착 (서버 재시작 시 순번 초기화 반영)
+    if (Number.isInteger(data.latestSequence)) {
+      this.lastSequence = data.latestSequence;
+    }
+
+    this.modeler.get('eventBus').fire('collaboration.synced', {
+      mode: data.mode,
+      operations: operations.length,
+      latestSequence: this.lastSequence
+    });
+
+    // 끊긴 동안의 원격 변경을 충돌 감지에 반영한 뒤 대기 중인 메시지 및 오프라인 변경 전송
+    this.flushMessageQueue().catch(error => {
+      console.error('Failed to replay offline changes:', error);
+    });
+  }
+
+  /**
+   * 스냅샷 모델 상태 적용 (없는 요소 생성, 있는 요소 갱신, 스냅샷에 없는 요소 제거)
+   * @param {Object} modelState - extractCurrentModelState() 형식의 모델 상태
+   */
+  applyModelState(modelState) {
+    const elementRegistry = this.modeler.get('elementRegistry');
+    const snapshotIds = new Set();
+    const changes = [];
+
+    (modelState.elements || []).forEach(element => {
+      snapshotIds.add(element.id);
+
+      if (!elementRegistry.get(element.id)) {
+        changes.push({ type: 'element.added', elementId: element.id, element, parent: element.parent || null });
+      } else if (element.waypoints) {
+        changes.push({ type: 'waypoints.changed', elementId: element.id, waypoints: element.waypoints });
+      } else {
+        changes.push({
+          type: 'element.changed',
+          elementId: element.id,
+          changes: {
+            businessObject: { name: element.businessObject?.name },
+            visual: { x: element.x, y: element.y, width: element.width, height: element.height }
+          }
+        });
+      }
+    });
+
+    elementRegistry.getAll()
+      .filter(element => this.isSnapshotElement(element) && !snapshotIds.has(element.id))
+      .forEach(element => changes.push({ type: 'element.removed', elementId: element.id }));
+
+    this.collaborationManager.applyRemoteChanges(changes);
+  }
+
   /**
    * 배치 브로드캐스트 큐잉
    * @param {Object} message - 전송할 메시지
    */
   queueBroadcast(message) {
+    // 읽기 전용이면 서버가 거부할 문서 변경은 보내지 않음
+    if (this.readOnly && this.isPersistentMessage(message)) {
+      return;
+    }
+
     this.pendingBroadcasts.push(message);
     
     if (this.pendingBroadcasts.length >= this.options.maxBatchSize) {
@@ -577,6 +844,12 @@ export class BPMNCollaborationImplementation {
    * @param {Object} message - 전송할 메시지
    */
   sendMessage(message) {
+    // 대기 중인 오프라인 변경이 있으면 순서 보장을 위해 뒤에 추가
+    if (this.isPersistentMessage(message) && this.offlineQueue.size > 0) {
+      this.queueMessage(message);
+      return;
+    }
+
     if (this.isConnected && this.websocket.readyState === WebSocket.OPEN) {
       try {
         this.websocket.send(JSON.stringify(message));
@@ -594,6 +867,12 @@ export class BPMNCollaborationImplementation {
    * @param {Object} message - 큐에 추가할 메시지
    */
   queueMessage(message) {
+    if (this.isPersistentMessage(message)) {
+      this.offlineQueue.enqueue(message, this.getMessageElementIds(message))
+        .then(() => this.emitOfflineStatus());
+      return;
+    }
+
     if (this.messageQueue.length >= this.maxQueueSize) {
       this.messageQueue.shift(); // 가장 오래된 메시지 제거
     }
@@ -602,12 +881,103 @@ export class BPMNCollaborationImplementation {
 
   /**
    * 대기 중인 메시지 전송
+   * 메모리 큐를 먼저 비운 뒤 오프라인 변경을 순서대로 재전송
+   * @returns {Promise<OfflineReplayResult|null>} 오프라인 변경 재전송 결과
    */
-  flushMessageQueue() {
+  async flushMessageQueue() {
     while (this.messageQueue.length > 0) {
       const message = this.messageQueue.shift();
       this.sendMessage(message);
     }
+
+    return this.replayOfflineChanges();
+  }
+
+  /**
+   * 오프라인 변경 재전송
+   * 대기 중 같은 요소를 변경한 원격 변경이 있으면 충돌로 알리고 onOfflineConflict로 처리 여부 결정
+   * @returns {Promise<OfflineReplayResult|null>}
+   */
+  async replayOfflineChanges() {
+    if (this.offlineQueue.size === 0) {
+      return null;
+    }
+
+    const result = await this.offlineQueue.replay(
+      (message) => this.sendNow(message),
+      {
+        onConflict: async (conflict, entry) => {
+          this.modeler.get('eventBus').fire('collaboration.offlineConflict', { conflict, message: entry.payload });
+          return this.options.onOfflineConflict
+            ? this.options.onOfflineConflict(conflict, entry.payload)
+            : true;
+        }
+      }
+    );
+
+    if (result.conflicts.length > 0) {
+      console.warn(`Offline replay conflicts: ${result.conflicts.length}`);
+    }
+
+    this.emitOfflineStatus();
+    return result;
+  }
+
+  /**
+   * 연결된 소켓으로 즉시 전송 (연결되지 않았으면 예외)
+   * @param {Object} message - 전송할 메시지
+   */
+  sendNow(message) {
+    if (!this.isConnected || this.websocket.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected');
+    }
+    this.websocket.send(JSON.stringify(message));
+  }
+
+  /**
+   * 오프라인 큐에 영속 보관할 메시지인지 확인
+   * @param {Object} message - 메시지
+   * @returns {boolean}
+   */
+  isPersistentMessage(message) {
+    return PERSISTENT_MESSAGE_TYPES.includes(message.type);
+  }
+
+  /**
+   * 메시지가 변경한 요소 ID 목록
+   * @param {Object} message - model_change 또는 batch_update 메시지
+   * @returns {string[]}
+   */
+  getMessageElementIds(message) {
+    if (message.type === 'batch_update') {
+      return (message.updates || []).flatMap(update => this.getMessageElementIds(update));
+    }
+
+    const elementId = message.operation?.elementId;
+    return elementId ? [elementId] : [];
+  }
+
+  /**
+   * 오프라인 상태 조회
+   * @returns {Object} { online, pending, oldestQueuedAt, label }
+   */
+  getOfflineStatus() {
+    const { pending, oldestQueuedAt } = this.offlineQueue.getStatus();
+    const state = this.isConnected ? (pending > 0 ? 'syncing' : 'online') : 'offline';
+
+    return {
+      online: this.isConnected,
+      pending,
+      oldestQueuedAt,
+      label: pending > 0 ? `${state} – ${pending} pending changes` : state
+    };
+  }
+
+  /**
+   * 오프라인 상태 이벤트 발생 (collaboration.offlineStatus)
+   */
+  emitOfflineStatus() {
+    this.modeler.get('eventBus').fire('collaboration.offlineStatus', this.getOfflineStatus());
   }
 
   /**
@@ -616,6 +986,7 @@ export class BPMNCollaborationImplementation {
   sendUserJoin() {
     this.sendMessage({
       type: 'user_join',
+      ...(this.options.documentId ? { documentId: this.options.documentId } : {}),
       user: this.localUser,
       timestamp: Date.now()
     });
@@ -807,23 +1178,42 @@ export class BPMNCollaborationImplementation {
    */
   extractCurrentModelState() {
     const elementRegistry = this.modeler.get('elementRegistry');
-    const elements = elementRegistry.getAll();
+    const elements = elementRegistry.getAll().filter(element => this.isSnapshotElement(element));
     
+    // 전송 가능한 형태로 직렬화 (businessObject의 순환 참조 제외)
     return {
       elements: elements.map(element => ({
         id: element.id,
         type: element.type,
-        businessObject: element.businessObject,
+        businessObject: element.businessObject ? {
+          $type: element.businessObject.$type,
+          id: element.businessObject.id,
+          name: element.businessObject.name,
+          ...(element.source ? { sourceRef: element.source.id } : {}),
+          ...(element.target ? { targetRef: element.target.id } : {})
+        } : null,
         x: element.x,
         y: element.y,
         width: element.width,
         height: element.height,
+        ...(element.waypoints ? { waypoints: element.waypoints.map(({ x, y }) => ({ x, y })) } : {}),
+        ...(element.source ? { source: element.source.id } : {}),
+        ...(element.target ? { target: element.target.id } : {}),
         parent: element.parent?.id
       })),
       timestamp: Date.now()
     };
   }
 
+  /**
+   * 스냅샷 대상 요소 여부 (루트와 레이블 제외)
+   * @param {Object} element - 요소
+   * @returns {boolean}
+   */
+  isSnapshotElement(element) {
+    return Boolean(element.parent) && !element.labelTarget;
+  }
+
   /**
    * 사용자 ID 생성
    * @returns {string} 고유 사용자 ID
@@ -853,7 +1243,12 @@ export class BPMNCollaborationImplementation {
       isConnected: this.isConnected,
       reconnectCount: this.reconnectCount,
       queuedMessages: this.messageQueue.length,
+      pendingChanges: this.offlineQueue.size,
+      offline: this.getOfflineStatus(),
       pendingBroadcasts: this.pendingBroadcasts.length,
+      readOnly: this.readOnly,
+      permissions: this.permissions,
+      lastSequence: this.lastSequence,
       localUser: this.localUser
     };
   }
@@ -894,6 +1289,7 @@ export class BPMNCollaborationImplementation {
       this.syncManager.destroy();
     }
     
+    // 오프라인 큐는 저장소에 남겨 다음 세션에서 재전송
     this.messageQueue = [];
     this.pendingBroadcasts = [];
   }
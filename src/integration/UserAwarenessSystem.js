@@ -4,6 +4,23 @@
  * 다중 사용자 환경에서 사용자들의 커서, 선택, 상태를 실시간으로 표시하여
  * 협업 상황을 시각적으로 인식할 수 있게 해줍니다.
  */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// 원격 드래그 미리보기를 그리는 캔버스 레이어
+const PREVIEW_LAYER = 'collaboration-previews';
+
+// 진행 중인 드래그 이벤트 → 미리보기 종류 (cleanup은 드롭/취소 모두에서 발생)
+const DRAG_PREVIEW_EVENTS = {
+  'shape.move.move': 'move',
+  'resize.move': 'resize',
+  'connect.move': 'connect'
+};
+const DRAG_CLEANUP_EVENTS = ['shape.move.cleanup', 'resize.cleanup', 'connect.cleanup'];
+
+// 드래그 컨텍스트가 갱신된 뒤 읽도록 낮은 우선순위로 구독
+const DRAG_PREVIEW_PRIORITY = 250;
+
 export class UserAwarenessSystem {
   constructor(modeler, websocket, localUser, options = {}) {
     this.modeler = modeler;
@@ -17,6 +34,16 @@ export class UserAwarenessSystem {
       fadeOutDelay: 3000, // 3초 후 커서 페이드아웃
       showUserNames: true,
       showUserList: true,
+      showLockBadges: true,
+      showCommentBadges: true,
+      showResolvedComments: false, // 해결된 스레드만 있는 요소에도 배지 표시
+      enableFollowMode: true,
+      viewportUpdateInterval: 100, // 100ms마다 뷰포트 전송
+      enableDragPreviews: true,
+      dragPreviewInterval: 50, // 50ms마다 드래그 미리보기 전송
+      dragPreviewTimeout: 5000, // 갱신이 없는 원격 미리보기는 5초 후 제거
+      dragPreviewKeepAlive: 2000, // 드래그를 멈추고 있어도 2초마다 미리보기 재전송 (dragPreviewTimeout보다 짧게)
+      maxPreviewShapes: 20, // 미리보기로 보낼 최대 도형 수
       ...options
     };
 
@@ -35,6 +62,36 @@ export class UserAwarenessSystem {
     this.userListContainer = null;
     this.selectionOverlays = new Map();
 
+    // 요소 잠금 배지 (ElementLockService 연결 시)
+    this.elementLocks = null;
+    this.removeLockListener = null;
+    this.lockBadges = new Map();
+
+    // 댓글 배지 (CommentStore 연결 시)
+    this.commentStore = null;
+    this.removeCommentListener = null;
+    this.commentBadges = new Map();
+
+    // 따라가기 모드 (원격 사용자 뷰포트 추적)
+    this.remoteViewports = new Map();
+    this.followingUserId = null;
+    this.isApplyingFollowViewport = false;
+    this.viewportTimer = null;
+    this.awareness = null;
+    this.awarenessUsers = new Map(); // awareness clientID → 사용자 ID
+    this.followRequests = new Map(); // 사용자 ID → 마지막으로 처리한 요청 시각
+    this.handleViewboxChanging = this.handleLocalViewboxChanging.bind(this);
+    this.handleAwarenessUpdate = this.handleAwarenessChange.bind(this);
+
+    // 드래그 미리보기 (문서에 저장하지 않는 일시적 상태)
+    this.remotePreviews = new Map(); // 사용자 ID → { group, timer }
+    this.pendingPreview = null;
+    this.previewTimer = null;
+    this.previewKeepAliveTimer = null;
+    this.isPreviewing = false;
+    this.handleDragMove = this.handleLocalDragMove.bind(this);
+    this.handleDragCleanup = this.clearDragPreview.bind(this);
+
     this.initializeUI();
     this.setupEventListeners();
   }
@@ -118,6 +175,15 @@ export class UserAwarenessSystem {
     // 로컬 사용자 추가
     this.addUserToList(this.localUser, true);
     this.updateUserCount();
+
+    // 발표자 동작: 모두를 내 화면으로
+    if (this.options.enableFollowMode) {
+      const presentButton = document.createElement('button');
+      presentButton.className = 'collaboration-present-button';
+      presentButton.textContent = '모두 내 화면으로';
+      presentButton.addEventListener('click', () => this.bringEveryoneToMe());
+      this.userListContainer.appendChild(presentButton);
+    }
   }
 
   /**
@@ -179,6 +245,58 @@ export class UserAwarenessSystem {
         animation: selection-pulse 2s infinite;
       }
 
+      .collaboration-lock-badge {
+        display: flex;
+        align-items: center;
+        gap: 3px;
+        padding: 1px 6px;
+        border-radius: 8px;
+        color: white;
+        font-size: 11px;
+        font-family: Arial, sans-serif;
+        white-space: nowrap;
+        pointer-events: none;
+        box-shadow: 0 1px 2px rgba(0, 0, 0, 0.3);
+      }
+
+      .collaboration-lock-badge::before {
+        content: '🔒';
+        font-size: 10px;
+      }
+
+      .collaboration-comment-badge {
+        display: flex;
+        align-items: center;
+        gap: 2px;
+        padding: 1px 5px;
+        border-radius: 8px;
+        background: #ffb300;
+        color: #333;
+        font-size: 11px;
+        font-family: Arial, sans-serif;
+        cursor: pointer;
+        box-shadow: 0 1px 2px rgba(0, 0, 0, 0.3);
+      }
+
+      .collaboration-comment-badge.resolved {
+        background: #e0e0e0;
+        color: #777;
+      }
+
+      .collaboration-comment-badge::before {
+        content: '💬';
+        font-size: 10px;
+      }
+
+      .collaboration-drag-preview {
+        pointer-events: none;
+      }
+
+      .collaboration-drag-preview text {
+        font-family: Arial, sans-serif;
+        font-size: 11px;
+      }
+
       @keyframes selection-pulse {
         0%, 100% { opacity: 0.1; }
         50% { opacity: 0.2; }
@@ -196,6 +314,22 @@ export class UserAwarenessSystem {
         background: #f0f0f0;
       }
 
+      .user-item.followable {
+        cursor: pointer;
+      }
+
+      .user-item.following {
+        box-shadow: inset 0 0 0 2px #1976d2;
+        border-radius: 4px;
+      }
+
+      .collaboration-present-button {
+        margin-top: 6px;
+        width: 100%;
+        font-size: 11px;
+        cursor: pointer;
+      }
+
       .user-color-indicator {
         width: 8px;
         height: 8px;
@@ -243,6 +377,18 @@ export class UserAwarenessSystem {
     window.addEventListener('resize', () => {
       this.repositionCursors();
     });
+
+    // 뷰포트 전송 및 수동 이동 감지 (따라가기 모드)
+    if (this.options.enableFollowMode) {
+      this.modeler.get('eventBus').on('canvas.viewbox.changing', this.handleViewboxChanging);
+    }
+
+    // 진행 중인 이동/크기 조절/연결 그리기 미리보기 전송
+    if (this.options.enableDragPreviews) {
+      const eventBus = this.modeler.get('eventBus');
+      eventBus.on(Object.keys(DRAG_PREVIEW_EVENTS), DRAG_PREVIEW_PRIORITY, this.handleDragMove);
+      eventBus.on(DRAG_CLEANUP_EVENTS, this.handleDragCleanup);
+    }
   }
 
   /**
@@ -364,8 +510,14 @@ export class UserAwarenessSystem {
    */
   removeRemoteUser(userId) {
     this.remoteUsers.delete(userId);
+    this.remoteViewports.delete(userId);
+    this.clearRemotePreview(userId);
     this.removeRemoteCursor(userId);
     this.clearRemoteSelection(userId);
+
+    if (this.followingUserId === userId) {
+      this.stopFollowing('left');
+    }
     
     if (this.options.showUserList) {
       this.removeUserFromList(userId);
@@ -411,7 +563,16 @@ export class UserAwarenessSystem {
     userItem.appendChild(userAvatar);
     userItem.appendChild(userDetails);
 
-    this.userListContainer.appendChild(userItem);
+    // 원격 사용자를 클릭하면 따라가기 전환
+    if (!isLocal && this.options.enableFollowMode) {
+      userItem.classList.add('followable');
+      userItem.title = '클릭하여 화면 따라가기';
+      userItem.addEventListener('click', () => this.toggleFollow(user.id));
+    }
+
+    // 발표자 버튼이 있으면 그 앞에 추가
+    const presentButton = this.userListContainer.querySelector('.collaboration-present-button');
+    this.userListContainer.insertBefore(userItem, presentButton);
   }
 
   /**
@@ -562,6 +723,646 @@ export class UserAwarenessSystem {
     }
   }
 
+  /**
+   * 요소 잠금 서비스 연결
+   * 다른 사용자가 잠근 요소에 잠금 배지를 표시
+   * @param {ElementLockService} lockService - 요소 잠금 플러그인
+   */
+  bindElementLocks(lockService) {
+    if (this.removeLockListener) {
+      this.removeLockListener();
+    }
+
+    this.elementLocks = lockService;
+    this.removeLockListener = lockService.onChange(locks => this.renderElementLocks(locks));
+    this.renderElementLocks(lockService.getLocks());
+  }
+
+  /**
+   * 잠금 배지 갱신 (로컬 사용자가 보유한 잠금은 제외)
+   * @param {Array} locks - 잠금 목록 { elementId, clientId, user }
+   */
+  renderElementLocks(locks) {
+    if (!this.options.showLockBadges) return;
+
+    const remoteLocks = locks.filter(lock => lock.clientId !== this.elementLocks?.clientId);
+    const lockedIds = new Set(remoteLocks.map(lock => lock.elementId));
+
+    this.lockBadges.forEach((badge, elementId) => {
+      if (!lockedIds.has(elementId)) {
+        this.hideLockBadge(elementId);
+      }
+    });
+
+    remoteLocks.forEach(lock => {
+      const badge = this.lockBadges.get(lock.elementId);
+      if (!badge || badge.clientId !== lock.clientId) {
+        this.showLockBadge(lock);
+      }
+    });
+  }
+
+  /**
+   * 요소에 잠금 배지 표시 (bpmn-js overlays 사용, 확대/이동 시 요소를 따라감)
+   * @param {Object} lock - 잠금 정보
+   */
+  showLockBadge(lock) {
+    this.hideLockBadge(lock.elementId);
+
+    const element = this.modeler.get('elementRegistry').get(lock.elementId);
+    if (!element) return;
+
+    const userInfo = lock.user || {};
+    const badge = document.createElement('div');
+    badge.className = 'collaboration-lock-badge';
+    badge.style.background = userInfo.color || '#666';
+    badge.textContent = this.options.showUserNames ? (userInfo.name || 'Locked') : '';
+    badge.title = `Locked by ${userInfo.name || lock.clientId}`;
+
+    const overlayId = this.modeler.get('overlays').add(element, 'collaboration-lock', {
+      position: { top: -12, right: 12 },
+      html: badge
+    });
+
+    this.lockBadges.set(lock.elementId, { overlayId, clientId: lock.clientId });
+  }
+
+  /**
+   * 잠금 배지 제거
+   * @param {string} elementId - 요소 ID
+   */
+  hideLockBadge(elementId) {
+    const badge = this.lockBadges.get(elementId);
+    if (!badge) return;
+
+    this.modeler.get('overlays').remove(badge.overlayId);
+    this.lockBadges.delete(elementId);
+  }
+
+  /**
+   * 모든 잠금 배지 제거
+   */
+  clearLockBadges() {
+    Array.from(this.lockBadges.keys()).forEach(elementId => this.hideLockBadge(elementId));
+  }
+
+  /**
+   * 댓글 저장소 연결 (요소별 스레드 수를 배지로 표시)
+   * 배지를 클릭하면 모델러 이벤트 버스에 'comments.open' { elementId, threads }를 발생시킴
+   * @param {CommentStore} commentStore - 댓글 저장소
+   */
+  bindComments(commentStore) {
+    if (this.removeCommentListener) {
+      this.removeCommentListener();
+    }
+
+    this.commentStore = commentStore;
+    this.removeCommentListener = commentStore.onChange(() => this.renderCommentBadges());
+    this.renderCommentBadges();
+  }
+
+  /**
+   * 댓글 배지 갱신 (수가 바뀐 요소만 다시 그림)
+   */
+  renderCommentBadges() {
+    if (!this.options.showCommentBadges || !this.commentStore) return;
+
+    const counts = this.commentStore.getCounts();
+
+    this.commentBadges.forEach((badge, elementId) => {
+      if (!counts.has(elementId)) {
+        this.hideCommentBadge(elementId);
+      }
+    });
+
+    counts.forEach((count, elementId) => {
+      if (count.open === 0 && !this.options.showResolvedComments) {
+        this.hideCommentBadge(elementId);
+        return;
+      }
+
+      const badge = this.commentBadges.get(elementId);
+      if (!badge || badge.open !== count.open || badge.resolved !== count.resolved) {
+        this.showCommentBadge(elementId, count);
+      }
+    });
+  }
+
+  /**
+   * 요소에 댓글 배지 표시
+   * @param {string} elementId - 요소 ID
+   * @param {Object} count - { open, resolved }
+   */
+  showCommentBadge(elementId, count) {
+    this.hideCommentBadge(elementId);
+
+    const element = this.modeler.get('elementRegistry').get(elementId);
+    if (!element) return;
+
+    const badge = document.createElement('div');
+    badge.className = 'collaboration-comment-badge' + (count.open === 0 ? ' resolved' : '');
+    badge.textContent = String(count.open || count.resolved);
+    badge.title = `${count.open} open / ${count.resolved} resolved threads`;
+    badge.addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.modeler.get('eventBus').fire('comments.open', {
+        elementId,
+        threads: this.commentStore.getThreads({ elementId })
+      });
+    });
+
+    const overlayId = this.modeler.get('overlays').add(element, 'collaboration-comment', {
+      position: { top: -12, left: -8 },
+      html: badge
+    });
+
+    this.commentBadges.set(elementId, { overlayId, ...count });
+  }
+
+  /**
+   * 댓글 배지 제거
+   * @param {string} elementId - 요소 ID
+   */
+  hideCommentBadge(elementId) {
+    const badge = this.commentBadges.get(elementId);
+    if (!badge) return;
+
+    this.modeler.get('overlays').remove(badge.overlayId);
+    this.commentBadges.delete(elementId);
+  }
+
+  /**
+   * 모든 댓글 배지 제거
+   */
+  clearCommentBadges() {
+    Array.from(this.commentBadges.keys()).forEach(elementId => this.hideCommentBadge(elementId));
+  }
+
+  /**
+   * 현재 캔버스 뷰포트
+   * @returns {Object} { x, y, width, height, scale }
+   */
+  getViewport() {
+    const { x, y, width, height, scale } = this.modeler.get('canvas').viewbox();
+    return { x, y, width, height, scale };
+  }
+
+  /**
+   * 로컬 뷰포트 변경 처리
+   * 따라가기 적용 중이 아닌 변경은 사용자의 수동 이동으로 보고 따라가기를 멈춤
+   */
+  handleLocalViewboxChanging() {
+    if (this.isApplyingFollowViewport) return;
+
+    if (this.followingUserId) {
+      this.stopFollowing('manual');
+    }
+
+    this.throttledBroadcastViewport();
+  }
+
+  /**
+   * 뷰포트 브로드캐스트 (쓰로틀링)
+   */
+  throttledBroadcastViewport() {
+    if (this.viewportTimer) return;
+
+    this.viewportTimer = setTimeout(() => {
+      this.viewportTimer = null;
+      this.broadcastViewport();
+    }, this.options.viewportUpdateInterval);
+  }
+
+  /**
+   * 뷰포트 브로드캐스트
+   */
+  broadcastViewport() {
+    if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+      this.websocket.send(JSON.stringify({
+        type: 'viewport_changed',
+        userId: this.localUser.id,
+        viewport: this.getViewport(),
+        timestamp: Date.now()
+      }));
+    }
+  }
+
+  /**
+   * 원격 사용자 뷰포트 갱신 (따라가는 중이면 즉시 반영)
+   * @param {string} userId - 사용자 ID
+   * @param {Object} viewport - { x, y, width, height, scale }
+   */
+  updateRemoteViewport(userId, viewport) {
+    if (!viewport || userId === this.localUser.id) return;
+
+    this.remoteViewports.set(userId, viewport);
+
+    if (this.followingUserId === userId) {
+      this.applyFollowViewport(viewport);
+    }
+  }
+
+  /**
+   * 원격 뷰포트를 로컬 캔버스에 반영
+   * 컨테이너 크기가 달라도 같은 중심과 배율을 유지
+   * @param {Object} viewport - { x, y, width, height, scale }
+   */
+  applyFollowViewport(viewport) {
+    const canvas = this.modeler.get('canvas');
+    const { outer } = canvas.viewbox();
+    const scale = viewport.scale || 1;
+    const width = outer.width / scale;
+    const height = outer.height / scale;
+
+    this.isApplyingFollowViewport = true;
+    try {
+      canvas.viewbox({
+        x: viewport.x + viewport.width / 2 - width / 2,
+        y: viewport.y + viewport.height / 2 - height / 2,
+        width,
+        height
+      });
+    } finally {
+      this.isApplyingFollowViewport = false;
+    }
+  }
+
+  /**
+   * 사용자 화면 따라가기 시작
+   * 모델러 이벤트 버스에 'collaboration.follow.changed'를 발생시킴
+   * @param {string} userId - 따라갈 사용자 ID
+   * @returns {boolean} 시작 여부
+   */
+  followUser(userId) {
+    if (!this.options.enableFollowMode || !userId || userId === this.localUser.id) {
+      return false;
+    }
+
+    if (this.followingUserId === userId) return true;
+
+    const previousUserId = this.followingUserId;
+    this.setFollowIndicator(previousUserId, false);
+    this.followingUserId = userId;
+    this.setFollowIndicator(userId, true);
+
+    const viewport = this.remoteViewports.get(userId);
+    if (viewport) {
+      this.applyFollowViewport(viewport);
+    }
+
+    this.modeler.get('eventBus').fire('collaboration.follow.changed', {
+      userId,
+      previousUserId,
+      reason: 'follow'
+    });
+
+    return true;
+  }
+
+  /**
+   * 따라가기 중지
+   * @param {string} reason - 'manual' | 'left' | 'stopped'
+   */
+  stopFollowing(reason = 'stopped') {
+    if (!this.followingUserId) return;
+
+    const previousUserId = this.followingUserId;
+    this.followingUserId = null;
+    this.setFollowIndicator(previousUserId, false);
+
+    this.modeler.get('eventBus').fire('collaboration.follow.changed', {
+      userId: null,
+      previousUserId,
+      reason
+    });
+  }
+
+  /**
+   * 따라가기 전환 (사용자 목록 클릭)
+   * @param {string} userId - 사용자 ID
+   */
+  toggleFollow(userId) {
+    if (this.followingUserId === userId) {
+      this.stopFollowing('stopped');
+    } else {
+      this.followUser(userId);
+    }
+  }
+
+  /**
+   * 발표자 동작: 다른 참가자 모두가 내 화면을 따라오도록 요청
+   */
+  bringEveryoneToMe() {
+    const viewport = this.getViewport();
+    const timestamp = Date.now();
+
+    this.stopFollowing('stopped');
+
+    if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+      this.websocket.send(JSON.stringify({
+        type: 'follow_request',
+        userId: this.localUser.id,
+        user: this.localUser,
+        viewport,
+        timestamp
+      }));
+    }
+
+    if (this.awareness) {
+      this.awareness.setLocalStateField('followRequest', { viewport, timestamp });
+    }
+  }
+
+  /**
+   * 따라오기 요청 수신 처리 (요청한 사용자를 따라가기 시작)
+   * @param {Object} data - { userId, viewport }
+   */
+  handleFollowRequest(data) {
+    if (!data?.userId || data.userId === this.localUser.id) return;
+
+    this.updateRemoteViewport(data.userId, data.viewport);
+    this.followUser(data.userId);
+  }
+
+  /**
+   * Y.js awareness 연결
+   * 각 클라이언트의 bpmn.viewport(AdvancedBpmnYjsBinding이 게시)와 followRequest를 소비
+   * @param {Object} awareness - y-protocols awareness
+   */
+  bindAwareness(awareness) {
+    if (this.awareness) {
+      this.awareness.off('change', this.handleAwarenessUpdate);
+    }
+
+    this.awareness = awareness;
+    this.awareness.on('change', this.handleAwarenessUpdate);
+
+    // 이미 접속한 클라이언트의 뷰포트 반영 (이전 요청은 처리하지 않음)
+    this.handleAwarenessChange({ added: Array.from(awareness.getStates().keys()), updated: [], removed: [] });
+  }
+
+  /**
+   * awareness 변경 처리
+   * @param {Object} changes - { added, updated, removed }
+   */
+  handleAwarenessChange({ added, updated, removed }) {
+    const states = this.awareness.getStates();
+
+    [...added, ...updated].forEach(clientId => {
+      const state = states.get(clientId);
+      if (!state || clientId === this.awareness.clientID) return;
+
+      const userId = state.user?.id || String(clientId);
+      this.awarenessUsers.set(clientId, userId);
+      this.updateRemoteViewport(userId, state.bpmn?.viewport);
+      this.updateRemotePreview(userId, state.dragPreview || null, state.user);
+
+      const request = state.followRequest;
+      if (!request) return;
+
+      const lastHandled = this.followRequests.get(userId);
+      this.followRequests.set(userId, request.timestamp);
+
+      // 새로 본 클라이언트의 지난 요청은 무시
+      if (!added.includes(clientId) && request.timestamp !== lastHandled) {
+        this.handleFollowRequest({ userId, viewport: request.viewport });
+      }
+    });
+
+    removed.forEach(clientId => {
+      const userId = this.awarenessUsers.get(clientId);
+      this.awarenessUsers.delete(clientId);
+
+      if (userId) {
+        this.clearRemotePreview(userId);
+      }
+
+      if (userId && !this.remoteUsers.has(userId)) {
+        this.remoteViewports.delete(userId);
+        this.followRequests.delete(userId);
+
+        if (this.followingUserId === userId) {
+          this.stopFollowing('left');
+        }
+      }
+    });
+  }
+
+  /**
+   * 로컬 드래그 진행 처리 (이동/크기 조절/연결 그리기)
+   * @param {Object} event - diagram-js 드래그 이벤트
+   */
+  handleLocalDragMove(event) {
+    const preview = this.createDragPreview(DRAG_PREVIEW_EVENTS[event.type], event);
+    if (!preview) return;
+
+    this.isPreviewing = true;
+    this.pendingPreview = preview;
+
+    // 마우스를 누른 채 멈춰 있어도 원격 미리보기가 만료되지 않도록 재전송
+    if (!this.previewKeepAliveTimer) {
+      this.previewKeepAliveTimer = setInterval(() => {
+        this.publishDragPreview(this.pendingPreview);
+      }, this.options.dragPreviewKeepAlive);
+    }
+
+    if (this.previewTimer) return;
+
+    this.previewTimer = setTimeout(() => {
+      this.previewTimer = null;
+      this.publishDragPreview(this.pendingPreview);
+    }, this.options.dragPreviewInterval);
+  }
+
+  /**
+   * 드래그 이벤트를 전송용 미리보기로 변환 (좌표는 다이어그램 기준)
+   * @param {string} kind - 'move' | 'resize' | 'connect'
+   * @param {Object} event - diagram-js 드래그 이벤트
+   * @returns {Object|null} { kind, shapes } 또는 { kind, sourceId, from, to }
+   */
+  createDragPreview(kind, event) {
+    const context = event.context || {};
+    const toBounds = (shape, bounds) => ({
+      id: shape.id,
+      x: bounds.x,
+      y: bounds.y,
+      width: bounds.width,
+      height: bounds.height
+    });
+
+    switch (kind) {
+      case 'move': {
+        const shapes = (context.shapes || [event.shape])
+          .filter(shape => shape && !shape.waypoints && !shape.labelTarget)
+          .slice(0, this.options.maxPreviewShapes)
+          .map(shape => toBounds(shape, { ...shape, x: shape.x + event.dx, y: shape.y + event.dy }));
+
+        return shapes.length ? { kind, shapes } : null;
+      }
+      case 'resize':
+        return context.shape && context.newBounds
+          ? { kind, shapes: [toBounds(context.shape, context.newBounds)] }
+          : null;
+      case 'connect':
+        return context.start && context.connectionStart
+          ? { kind, sourceId: context.start.id, from: context.connectionStart, to: { x: event.x, y: event.y } }
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 드래그 미리보기 전송 (WebSocket과 awareness, 문서에는 기록하지 않음)
+   * 같은 미리보기를 재전송해도 awareness 변경으로 전달되도록 전송 시각을 붙임
+   * @param {Object|null} preview - 미리보기 (null이면 제거)
+   */
+  publishDragPreview(preview) {
+    preview = preview && { ...preview, sentAt: Date.now() };
+
+    if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+      this.websocket.send(JSON.stringify({
+        type: 'drag_preview',
+        userId: this.localUser.id,
+        preview,
+        timestamp: Date.now()
+      }));
+    }
+
+    if (this.awareness) {
+      this.awareness.setLocalStateField('dragPreview', preview);
+    }
+  }
+
+  /**
+   * 드롭/취소 시 로컬 미리보기 제거
+   */
+  clearDragPreview() {
+    if (this.previewTimer) {
+      clearTimeout(this.previewTimer);
+      this.previewTimer = null;
+    }
+
+    if (this.previewKeepAliveTimer) {
+      clearInterval(this.previewKeepAliveTimer);
+      this.previewKeepAliveTimer = null;
+    }
+
+    this.pendingPreview = null;
+
+    if (this.isPreviewing) {
+      this.isPreviewing = false;
+      this.publishDragPreview(null);
+    }
+  }
+
+  /**
+   * 원격 드래그 미리보기 갱신
+   * @param {string} userId - 사용자 ID
+   * @param {Object|null} preview - 미리보기 (null이면 제거)
+   * @param {Object} [user] - 사용자 정보 (색상/이름)
+   */
+  updateRemotePreview(userId, preview, user = null) {
+    if (!this.options.enableDragPreviews || userId === this.localUser.id) return;
+
+    if (!preview) {
+      this.clearRemotePreview(userId);
+      return;
+    }
+
+    const userInfo = user || this.remoteUsers.get(userId) || {};
+    const group = this.renderDragPreview(preview, userInfo.color || '#1976d2', userInfo.name);
+
+    this.clearRemotePreview(userId);
+    this.modeler.get('canvas').getLayer(PREVIEW_LAYER).appendChild(group);
+
+    // 드롭 알림 없이 연결이 끊긴 경우 대비
+    const timer = setTimeout(() => this.clearRemotePreview(userId), this.options.dragPreviewTimeout);
+    this.remotePreviews.set(userId, { group, timer });
+  }
+
+  /**
+   * 미리보기 SVG 생성 (반투명 도형 또는 점선 연결)
+   * @param {Object} preview - 미리보기
+   * @param {string} color - 사용자 색상
+   * @param {string} [name] - 사용자 이름
+   * @returns {SVGElement}
+   */
+  renderDragPreview(preview, color, name) {
+    const group = createSvg('g', { class: `collaboration-drag-preview ${preview.kind}` });
+    let labelPosition = null;
+
+    if (preview.kind === 'connect') {
+      group.appendChild(createSvg('line', {
+        x1: preview.from.x,
+        y1: preview.from.y,
+        x2: preview.to.x,
+        y2: preview.to.y,
+        stroke: color,
+        'stroke-width': 2,
+        'stroke-dasharray': '6 4',
+        opacity: 0.7
+      }));
+      labelPosition = preview.to;
+    } else {
+      (preview.shapes || []).forEach(bounds => {
+        group.appendChild(createSvg('rect', {
+          x: bounds.x,
+          y: bounds.y,
+          width: bounds.width,
+          height: bounds.height,
+          rx: 6,
+          fill: color,
+          'fill-opacity': 0.15,
+          stroke: color,
+          'stroke-width': 2,
+          'stroke-dasharray': '4 3'
+        }));
+      });
+      labelPosition = preview.shapes?.[0];
+    }
+
+    if (name && this.options.showUserNames && labelPosition) {
+      const label = createSvg('text', { x: labelPosition.x, y: labelPosition.y - 4, fill: color });
+      label.textContent = name;
+      group.appendChild(label);
+    }
+
+    return group;
+  }
+
+  /**
+   * 원격 드래그 미리보기 제거
+   * @param {string} userId - 사용자 ID
+   */
+  clearRemotePreview(userId) {
+    const preview = this.remotePreviews.get(userId);
+    if (!preview) return;
+
+    clearTimeout(preview.timer);
+    preview.group.remove();
+    this.remotePreviews.delete(userId);
+  }
+
+  /**
+   * 사용자 목록의 따라가기 표시 갱신
+   * @param {string} userId - 사용자 ID
+   * @param {boolean} following - 따라가는 중 여부
+   */
+  setFollowIndicator(userId, following) {
+    if (!userId) return;
+
+    const userItem = document.getElementById(`user-${userId}`);
+    if (!userItem) return;
+
+    userItem.classList.toggle('following', following);
+
+    const userStatus = userItem.querySelector('.user-status');
+    if (userStatus) {
+      userStatus.textContent = following ? '따라가는 중' : '온라인';
+    }
+  }
+
   /**
    * 커서 위치 재정렬 (창 크기 변경 시)
    */
@@ -618,6 +1419,42 @@ export class UserAwarenessSystem {
       }
     });
 
+    // 잠금 배지 정리
+    if (this.removeLockListener) {
+      this.removeLockListener();
+      this.removeLockListener = null;
+    }
+    this.clearLockBadges();
+
+    // 댓글 배지 정리
+    if (this.removeCommentListener) {
+      this.removeCommentListener();
+      this.removeCommentListener = null;
+    }
+    this.clearCommentBadges();
+
+    // 따라가기 모드 정리
+    if (this.viewportTimer) {
+      clearTimeout(this.viewportTimer);
+    }
+    this.modeler.get('eventBus').off('canvas.viewbox.changing', this.handleViewboxChanging);
+    if (this.awareness) {
+      this.awareness.off('change', this.handleAwarenessUpdate);
+      this.awareness = null;
+    }
+    this.followingUserId = null;
+
+    // 드래그 미리보기 정리
+    if (this.previewTimer) {
+      clearTimeout(this.previewTimer);
+    }
+    if (this.previewKeepAliveTimer) {
+      clearInterval(this.previewKeepAliveTimer);
+    }
+    this.modeler.get('eventBus').off(Object.keys(DRAG_PREVIEW_EVENTS), this.handleDragMove);
+    this.modeler.get('eventBus').off(DRAG_CLEANUP_EVENTS, this.handleDragCleanup);
+    Array.from(this.remotePreviews.keys()).forEach(userId => this.clearRemotePreview(userId));
+
     // DOM 요소 제거
     if (this.cursorContainer) {
       this.cursorContainer.remove();
@@ -630,6 +1467,7 @@ export class UserAwarenessSystem {
     // 맵 정리
     this.remoteUsers.clear();
     this.remoteCursors.clear();
+    this.remoteViewports.clear();
     this.selectionOverlays.clear();
 
     // 스타일 제거
@@ -640,4 +1478,16 @@ export class UserAwarenessSystem {
   }
 }
 
+/**
+ * SVG 요소 생성
+ * @param {string} tagName - 태그 이름
+ * @param {Object} attrs - 속성
+ * @returns {SVGElement}
+ */
+function createSvg(tagName, attrs) {
+  const element = document.createElementNS(SVG_NS, tagName);
+  Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, String(value)));
+  return element;
+}
+
 export default UserAwarenessSystem;
\ No newline at end of file
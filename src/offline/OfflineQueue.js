@@ -0,0 +1,277 @@
+/**
+ * 오프라인 편집 큐
+ * 연결이 끊긴 동안의 로컬 변경을 영속 저장소에 보관하고, 재연결 시 순서대로 재전송
+ *
+ * - 브라우저: IndexedDB, Node: 파일, 그 외: 메모리 저장소를 기본으로 사용
+ * - 대기 중인 항목이 있는 동안 수신한 원격 변경을 기록하여 재전송 시 충돌을 감지
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { MemoryQueueStorage } from './storage/MemoryQueueStorage.js';
+import { FileQueueStorage } from './storage/FileQueueStorage.js';
+import { IndexedDBQueueStorage } from './storage/IndexedDBQueueStorage.js';
+
+export const OFFLINE_CONFLICT_TYPE = 'offline-replay';
+
+export class OfflineQueue {
+  constructor(options = {}) {
+    this.options = {
+      storage: null,   // BaseQueueStorage 구현 (기본: OfflineQueue.createDefaultStorage())
+      key: 'default',  // 큐 키 (문서 단위로 분리)
+      maxSize: 1000,   // 최대 보관 항목 수 (초과 시 가장 오래된 항목 제거)
+      ...options
+    };
+
+    this.logger = new Logger();
+    this.storage = this.options.storage || OfflineQueue.createDefaultStorage();
+    this.entries = [];
+    this.remoteChanges = [];
+    this.sequence = 0;
+    this.isLoaded = false;
+    this.isReplaying = false;
+
+    // 저장 작업 직렬화
+    this.persistChain = Promise.resolve();
+  }
+
+  /**
+   * 환경에 맞는 기본 저장소 생성
+   * @param {Object} [options] - 저장소 옵션
+   * @returns {BaseQueueStorage}
+   */
+  static createDefaultStorage(options = {}) {
+    if (IndexedDBQueueStorage.isSupported()) {
+      return new IndexedDBQueueStorage(options);
+    }
+
+    if (typeof process !== 'undefined' && process.versions?.node) {
+      return new FileQueueStorage(options);
+    }
+
+    return new MemoryQueueStorage(options);
+  }
+
+  /**
+   * 저장된 항목 로드 (새로고침/재시작 이전에 보내지 못한 변경)
+   * @returns {Promise<number>} 로드된 항목 수
+   */
+  async load() {
+    const stored = await this.storage.load(this.options.key);
+
+    // 로드 전에 추가된 항목은 저장된 항목 뒤에 유지
+    this.entries = [...stored, ...this.entries];
+    this.sequence = this.entries.reduce((max, entry) => Math.max(max, entry.sequence), this.sequence);
+    this.isLoaded = true;
+
+    if (stored.length > 0) {
+      this.logger.info(`Offline queue restored: ${stored.length} pending changes`);
+    }
+
+    return stored.length;
+  }
+
+  /**
+   * 대기 항목 수
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * 항목 추가 및 저장
+   * @param {any} payload - 재전송할 데이터 (Diff 또는 메시지, 구조적 복제 가능해야 함)
+   * @param {string[]} [elementIds] - 변경된 요소 ID (충돌 감지용)
+   * @returns {Promise<OfflineQueueEntry>} 추가된 항목
+   */
+  async enqueue(payload, elementIds = []) {
+    const entry = {
+      id: 'offline-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      sequence: ++this.sequence,
+      queuedAt: Date.now(),
+      elementIds: Array.from(new Set(elementIds)),
+      payload
+    };
+
+    this.entries.push(entry);
+
+    if (this.entries.length > this.options.maxSize) {
+      const dropped = this.entries.shift();
+      this.logger.warn(`Offline queue full, dropping oldest change: ${dropped.id}`);
+    }
+
+    await this._persist();
+    return entry;
+  }
+
+  /**
+   * 대기 항목 조회
+   * @returns {OfflineQueueEntry[]}
+   */
+  getPending() {
+    return this.entries.slice();
+  }
+
+  /**
+   * 원격 변경 기록
+   * 대기 항목이 있을 때만 기록하며, 재전송 시 같은 요소를 건드린 항목을 충돌로 보고
+   * @param {string[]} elementIds - 원격에서 변경된 요소 ID
+   * @param {string} [clientId] - 원격 클라이언트 ID
+   * @param {number} [timestamp] - 원격 변경 시각
+   */
+  recordRemoteChange(elementIds, clientId = null, timestamp = Date.now()) {
+    if (this.entries.length === 0 || !elementIds || elementIds.length === 0) {
+      return;
+    }
+
+    this.remoteChanges.push({
+      elementIds: new Set(elementIds),
+      clientId,
+      timestamp
+    });
+  }
+
+  /**
+   * 대기 항목을 순서대로 재전송
+   * 전송에 실패하면 중단하고 남은 항목은 다음 재연결 때 다시 시도
+   * @param {Function} send - (payload, entry) => Promise 전송 함수
+   * @param {Object} [options]
+   * @param {Function} [options.onConflict] - (conflict, entry) => boolean|Promise<boolean>, false 반환 시 해당 항목 건너뜀
+   * @returns {Promise<OfflineReplayResult>} 재전송 결과
+   */
+  async replay(send, options = {}) {
+    const result = { replayed: 0, skipped: 0, conflicts: [], remaining: this.entries.length };
+
+    if (this.isReplaying || this.entries.length === 0) {
+      return result;
+    }
+
+    this.isReplaying = true;
+
+    try {
+      while (this.entries.length > 0) {
+        const entry = this.entries[0];
+        const conflict = this._detectConflict(entry);
+        let shouldSend = true;
+
+        if (conflict) {
+          result.conflicts.push(conflict);
+          if (options.onConflict) {
+            shouldSend = (await options.onConflict(conflict, entry)) !== false;
+          }
+        }
+
+        if (shouldSend) {
+          try {
+            await send(entry.payload, entry);
+          } catch (error) {
+            this.logger.warn(`Offline replay stopped at ${entry.id}:`, error.message);
+            break;
+          }
+          result.replayed++;
+        } else {
+          result.skipped++;
+        }
+
+        this.entries.shift();
+        await this._persist();
+      }
+    } finally {
+      this.isReplaying = false;
+    }
+
+    // 대기 항목이 모두 처리되면 충돌 감지 기록도 불필요
+    if (this.entries.length === 0) {
+      this.remoteChanges = [];
+    }
+
+    result.remaining = this.entries.length;
+    this.logger.info(`Offline replay: ${result.replayed} sent, ${result.skipped} skipped, ${result.remaining} remaining`);
+
+    return result;
+  }
+
+  /**
+   * 큐 비우기
+   */
+  async clear() {
+    this.entries = [];
+    this.remoteChanges = [];
+    await this._enqueuePersist(() => this.storage.clear(this.options.key));
+  }
+
+  /**
+   * 큐 상태 조회
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      pending: this.entries.length,
+      oldestQueuedAt: this.entries[0]?.queuedAt || null,
+      isReplaying: this.isReplaying,
+      storage: this.storage.constructor.name
+    };
+  }
+
+  /**
+   * 대기 항목과 그 이후 원격 변경의 충돌 감지
+   * @private
+   * @param {OfflineQueueEntry} entry - 대기 항목
+   * @returns {Object|null} 충돌 레코드
+   */
+  _detectConflict(entry) {
+    const overlapping = new Set();
+    const remoteClientIds = new Set();
+
+    for (const change of this.remoteChanges) {
+      if (change.timestamp < entry.queuedAt) {
+        continue;
+      }
+
+      for (const elementId of entry.elementIds) {
+        if (change.elementIds.has(elementId)) {
+          overlapping.add(elementId);
+          if (change.clientId) {
+            remoteClientIds.add(change.clientId);
+          }
+        }
+      }
+    }
+
+    if (overlapping.size === 0) {
+      return null;
+    }
+
+    return {
+      id: 'conflict-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      type: OFFLINE_CONFLICT_TYPE,
+      entryId: entry.id,
+      elementIds: Array.from(overlapping),
+      remoteClientIds: Array.from(remoteClientIds),
+      queuedAt: entry.queuedAt,
+      detectedAt: Date.now()
+    };
+  }
+
+  /**
+   * 현재 항목을 저장소에 기록
+   * @private
+   */
+  _persist() {
+    const snapshot = this.entries.slice();
+    return this._enqueuePersist(() => this.storage.save(this.options.key, snapshot));
+  }
+
+  /**
+   * 저장 작업을 순서대로 실행 (저장 실패는 로깅 후 메모리 큐로 계속 동작)
+   * @private
+   * @param {Function} operation - 저장 작업
+   */
+  _enqueuePersist(operation) {
+    this.persistChain = this.persistChain
+      .then(operation)
+      .catch(error => this.logger.error('Failed to persist offline queue:', error));
+    return this.persistChain;
+  }
+}
+
@@ -0,0 +1,40 @@
+/**
+ * 기본 오프라인 큐 저장소
+ * 모든 오프라인 큐 저장소 구현의 베이스 클래스
+ */
+
+export class BaseQueueStorage {
+  constructor(options = {}) {
+    this.options = {
+      ...options
+    };
+  }
+
+  /**
+   * 저장된 큐 항목 조회 (추상 메서드)
+   * @param {string} key - 큐 키 (문서 단위)
+   * @returns {Promise<Object[]>} 큐 항목 목록 (없으면 빈 배열)
+   */
+  async load(key) {
+    throw new Error('BaseQueueStorage.load() must be implemented by subclass');
+  }
+
+  /**
+   * 큐 항목 전체 저장 (추상 메서드)
+   * @param {string} key - 큐 키
+   * @param {Object[]} entries - 큐 항목 목록
+   * @returns {Promise<void>}
+   */
+  async save(key, entries) {
+    throw new Error('BaseQueueStorage.save() must be implemented by subclass');
+  }
+
+  /**
+   * 큐 삭제 (추상 메서드)
+   * @param {string} key - 큐 키
+   * @returns {Promise<void>}
+   */
+  async clear(key) {
+    throw new Error('BaseQueueStorage.clear() must be implemented by subclass');
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * 파일 오프라인 큐 저장소 (Node)
+ * 큐 키마다 JSON 파일 하나에 저장하며, 임시 파일에 쓴 뒤 교체하여 원자적으로 기록
+ *
+ * 디렉토리 구조:
+ *   <directory>/<encodeURIComponent(key)>.json
+ */
+
+import { BaseQueueStorage } from './BaseQueueStorage.js';
+
+export class FileQueueStorage extends BaseQueueStorage {
+  constructor(options = {}) {
+    super({
+      directory: '.bpmn-offline-queue',
+      ...options
+    });
+
+    // 브라우저 번들에 fs가 포함되지 않도록 사용 시점에 로드
+    this.modules = null;
+  }
+
+  async load(key) {
+    const { fs } = await this._getModules();
+
+    try {
+      const content = await fs.readFile(await this._getFilePath(key), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async save(key, entries) {
+    const { fs } = await this._getModules();
+    const filePath = await this._getFilePath(key);
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.mkdir(this.options.directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(entries));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async clear(key) {
+    const { fs } = await this._getModules();
+    await fs.rm(await this._getFilePath(key), { force: true });
+  }
+
+  /**
+   * 큐 파일 경로
+   * @private
+   * @param {string} key - 큐 키
+   * @returns {Promise<string>}
+   */
+  async _getFilePath(key) {
+    const { path } = await this._getModules();
+    return path.join(this.options.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Node 모듈 로드
+   * @private
+   * @returns {Promise<{ fs: Object, path: Object }>}
+   */
+  async _getModules() {
+    if (!this.modules) {
+      const [{ promises: fs }, { default: path }] = await Promise.all([import('fs'), import('path')]);
+      this.modules = { fs, path };
+    }
+    return this.modules;
+  }
+}
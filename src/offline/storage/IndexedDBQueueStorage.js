@@ -0,0 +1,83 @@
+/**
+ * IndexedDB 오프라인 큐 저장소 (브라우저)
+ * 새로고침 후에도 보내지 못한 변경을 유지
+ */
+
+import { BaseQueueStorage } from './BaseQueueStorage.js';
+
+export class IndexedDBQueueStorage extends BaseQueueStorage {
+  constructor(options = {}) {
+    super({
+      databaseName: 'bpmn-offline-queue',
+      storeName: 'queues',
+      indexedDB: null,  // IndexedDB 구현 (기본: globalThis.indexedDB)
+      ...options
+    });
+
+    this.dbPromise = null;
+  }
+
+  /**
+   * IndexedDB 사용 가능 여부
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  async load(key) {
+    const entries = await this._request('readonly', store => store.get(key));
+    return entries || [];
+  }
+
+  async save(key, entries) {
+    await this._request('readwrite', store => store.put(entries, key));
+  }
+
+  async clear(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * 데이터베이스 열기
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this.dbPromise) {
+      const factory = this.options.indexedDB || globalThis.indexedDB;
+
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(this.options.databaseName, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.options.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * 단일 요청 트랜잭션 실행
+   * @private
+   * @param {string} mode - 트랜잭션 모드
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<any>} 요청 결과
+   */
+  async _request(mode, operation) {
+    const db = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.options.storeName, mode);
+      const request = operation(transaction.objectStore(this.options.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * 메모리 오프라인 큐 저장소
+ * 영속 저장소를 사용할 수 없는 환경과 테스트용
+ */
+
+import { BaseQueueStorage } from './BaseQueueStorage.js';
+
+export class MemoryQueueStorage extends BaseQueueStorage {
+  constructor(options = {}) {
+    super(options);
+    this.queues = new Map();
+  }
+
+  async load(key) {
+    return structuredClone(this.queues.get(key) || []);
+  }
+
+  async save(key, entries) {
+    this.queues.set(key, structuredClone(entries));
+  }
+
+  async clear(key) {
+    this.queues.delete(key);
+  }
+}
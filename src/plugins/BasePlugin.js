@@ -0,0 +1,60 @@
+/**
+ * 기본 플러그인
+ * 모든 DiffSyncEngine 플러그인의 베이스 클래스
+ *
+ * 엔진은 아래 훅이 정의된 플러그인만 호출하며, 훅은 비동기일 수 있다.
+ * 훅에서 발생한 오류는 엔진이 로깅하고 동기화는 계속 진행한다.
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * 엔진이 호출하는 플러그인 훅 목록 (호출 순서대로)
+ * - beforeExtract:  로컬 상태 추출 직전 ({ context, timestamp })
+ * - afterCalculate: 로컬 Diff 계산 직후 ({ diff, previousState, currentState, timing })
+ * - onRemoteDiff:   원격 Diff 수신 시 ({ diff, receivedAt })
+ * - beforeApply:    원격 Diff 적용 직전 ({ diff, context })
+ * - afterApply:     원격 Diff 적용 직후 ({ diff, result, timing })
+ * - onError:        동기화 오류 발생 시 ({ error, stage })
+ */
+export const PLUGIN_HOOKS = [
+  'beforeExtract',
+  'afterCalculate',
+  'onRemoteDiff',
+  'beforeApply',
+  'afterApply',
+  'onError'
+];
+
+export class BasePlugin {
+  constructor(config = {}) {
+    this.config = {
+      ...config
+    };
+    this.name = this.config.name || this.constructor.name;
+    this.version = '1.0.0';
+    this.logger = new Logger();
+    this.engine = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * 플러그인 초기화
+   * @param {DiffSyncEngine} engine - 플러그인을 등록한 엔진
+   * @returns {Promise<void>}
+   */
+  async initialize(engine) {
+    this.engine = engine;
+    this.logger = engine.logger || this.logger;
+    this.isInitialized = true;
+  }
+
+  /**
+   * 리소스 정리
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    this.engine = null;
+    this.isInitialized = false;
+  }
+}
@@ -0,0 +1,512 @@
+/**
+ * 요소 잠금 플러그인
+ * 한 요소를 여러 사용자가 동시에 편집(드래그 등)하지 않도록 요소 단위 배타 잠금을 관리
+ *
+ * - 선택 시(lockOnSelection) 또는 acquire() 호출로 잠금 획득
+ * - 보유 잠금 전체를 어댑터 제어 메시지(channel: 'element-lock')로 주기적으로 게시
+ *   (YjsAdapter에서는 Awareness 상태로 전달)
+ * - 다른 클라이언트가 잠근 요소의 원격 수정은 BpmnDiffApplicator가 거부 (context.elementLocks)
+ * - 피어 연결 해제(peer_left) 또는 게시가 lockTimeout 동안 없으면 해당 피어의 잠금 해제
+ *
+ * 동시에 같은 요소를 잠그면 먼저 획득한 쪽(같으면 클라이언트 ID가 작은 쪽)이 잠금을 유지한다.
+ */
+
+import { BasePlugin } from './BasePlugin.js';
+
+const CHANNEL = 'element-lock';
+
+// 요소를 대상으로 하는 명령 컨텍스트 키 (diagram-js 명령 처리기)
+const COMMAND_ELEMENT_KEYS = ['shape', 'shapes', 'elements', 'element', 'connection'];
+
+// 편집 명령보다 먼저 실행되도록 하는 우선순위
+const LOCK_PRIORITY = 2000;
+
+export class ElementLockService extends BasePlugin {
+  constructor(config = {}) {
+    super(config);
+    this.options = {
+      lockOnSelection: true,      // 선택한 요소 자동 잠금
+      preventLocalEdits: true,    // 다른 사용자가 잠근 요소에 대한 로컬 편집 차단
+      lockDuration: 300000,       // 보유 잠금 자동 해제 시간 (ms), 0이면 무제한
+      lockTimeout: 30000,         // 게시가 끊긴 원격 잠금 만료 시간 (ms)
+      heartbeatInterval: 10000,   // 잠금 재게시 및 만료 검사 간격 (ms), 0이면 수동
+      user: null,                 // 잠금 배지에 표시할 사용자 정보 { id, name, color }
+      ...config.options
+    };
+
+    this.clientId = null;
+    this.locks = new Map();
+    this.selectionLocks = new Set();
+    this.selectionQueue = Promise.resolve();
+    this.changeListeners = new Set();
+
+    this.heartbeatTimer = null;
+    this.removeMessageListener = null;
+    this.removeConnectionListener = null;
+    this.modelerEventBus = null;
+
+    this.boundHandlers = {
+      onSelectionChanged: this._handleSelectionChanged.bind(this),
+      onCanExecute: this._handleCanExecute.bind(this)
+    };
+  }
+
+  /**
+   * 플러그인 초기화
+   * @param {DiffSyncEngine} engine - 플러그인을 등록한 엔진
+   */
+  async initialize(engine) {
+    await super.initialize(engine);
+
+    this.clientId = engine.context.clientId;
+
+    // 적용기에서 원격 수정 거부 여부를 확인할 수 있도록 컨텍스트에 노출
+    engine.context.elementLocks = this;
+
+    this.removeMessageListener = engine.adapter.onMessage(message => {
+      if (message.channel === CHANNEL) {
+        return this._handleMessage(message);
+      }
+    });
+
+    this.removeConnectionListener = engine.adapter.onConnectionChange(event => {
+      if (event.status === 'peer_left' && event.clientId) {
+        this._releaseOwner(event.clientId);
+      } else if (['connected', 'peer_joined'].includes(event.status) && this.getOwnLocks().length > 0) {
+        // 재연결하거나 새 피어가 들어오면 다음 하트비트를 기다리지 않고 보유 잠금 알림
+        this._publish();
+      }
+    });
+
+    this._bindModeler(engine.context.modeler);
+
+    if (this.options.heartbeatInterval > 0) {
+      this.heartbeatTimer = setInterval(() => {
+        this.expire();
+        this._publish();
+      }, this.options.heartbeatInterval);
+    }
+  }
+
+  /**
+   * 요소 잠금 획득
+   * 다른 클라이언트가 잠근 요소는 거부되며, 이미 보유한 잠금은 만료 시간만 연장
+   * @param {string|string[]} elementIds - 잠글 요소 ID
+   * @returns {Promise<Object>} { acquired: string[], denied: Lock[] }
+   */
+  async acquire(elementIds) {
+    const now = Date.now();
+    const acquired = [];
+    const denied = [];
+
+    this._toArray(elementIds).forEach(elementId => {
+      const lock = this.getLock(elementId);
+
+      if (lock && lock.clientId !== this.clientId) {
+        denied.push(lock);
+        return;
+      }
+
+      this.locks.set(elementId, {
+        elementId,
+        clientId: this.clientId,
+        user: this.options.user,
+        acquiredAt: lock?.acquiredAt ?? now,
+        expiresAt: this.options.lockDuration > 0 ? now + this.options.lockDuration : Infinity
+      });
+      acquired.push(elementId);
+    });
+
+    if (denied.length > 0) {
+      this.engine?.eventBus.emit('lock:denied', { locks: denied });
+    }
+
+    if (acquired.length > 0) {
+      this._notifyChange();
+      await this._publish();
+    }
+
+    return { acquired, denied };
+  }
+
+  /**
+   * 보유한 요소 잠금 해제
+   * @param {string|string[]} elementIds - 해제할 요소 ID
+   * @returns {Promise<string[]>} 해제한 요소 ID
+   */
+  async release(elementIds) {
+    const released = this._toArray(elementIds).filter(elementId => {
+      this.selectionLocks.delete(elementId);
+
+      if (this.locks.get(elementId)?.clientId !== this.clientId) {
+        return false;
+      }
+
+      this.locks.delete(elementId);
+      return true;
+    });
+
+    if (released.length > 0) {
+      this._notifyChange();
+      await this._publish();
+    }
+
+    return released;
+  }
+
+  /**
+   * 보유한 모든 잠금 해제
+   * @returns {Promise<string[]>}
+   */
+  async releaseAll() {
+    return this.release(this.getOwnLocks().map(lock => lock.elementId));
+  }
+
+  /**
+   * 요소 잠금 조회 (만료된 잠금은 없는 것으로 취급)
+   * @param {string} elementId - 요소 ID
+   * @returns {Object|null} { elementId, clientId, user, acquiredAt, expiresAt }
+   */
+  getLock(elementId) {
+    const lock = this.locks.get(elementId);
+    return lock && lock.expiresAt > Date.now() ? lock : null;
+  }
+
+  /**
+   * 유효한 전체 잠금 목록
+   * @returns {Object[]}
+   */
+  getLocks() {
+    return Array.from(this.locks.keys())
+      .map(elementId => this.getLock(elementId))
+      .filter(Boolean);
+  }
+
+  /**
+   * 로컬 클라이언트가 보유한 잠금 목록
+   * @returns {Object[]}
+   */
+  getOwnLocks() {
+    return this.getLocks().filter(lock => lock.clientId === this.clientId);
+  }
+
+  /**
+   * 지정한 클라이언트가 아닌 다른 클라이언트가 잠근 요소인지 확인
+   * @param {string} elementId - 요소 ID
+   * @param {string} clientId - 변경을 만든 클라이언트 ID (기본: 로컬 클라이언트)
+   * @returns {boolean}
+   */
+  isLockedAgainst(elementId, clientId = this.clientId) {
+    const lock = this.getLock(elementId);
+    return Boolean(lock) && lock.clientId !== clientId;
+  }
+
+  /**
+   * 잠금 변경 리스너 등록
+   * @param {Function} callback - (locks) => void
+   * @returns {Function} 제거 함수
+   */
+  onChange(callback) {
+    this.changeListeners.add(callback);
+
+    return () => {
+      this.changeListeners.delete(callback);
+    };
+  }
+
+  /**
+   * 만료된 잠금 정리 (heartbeatInterval마다 자동 호출)
+   * @returns {string[]} 정리한 요소 ID
+   */
+  expire() {
+    const now = Date.now();
+    const expired = [];
+
+    this.locks.forEach((lock, elementId) => {
+      if (lock.expiresAt <= now) {
+        this.locks.delete(elementId);
+        this.selectionLocks.delete(elementId);
+        expired.push(elementId);
+      }
+    });
+
+    if (expired.length > 0) {
+      this.logger.debug(`Element locks expired: ${expired.join(', ')}`);
+      this._notifyChange();
+    }
+
+    return expired;
+  }
+
+  /**
+   * 제어 메시지 처리
+   * @private
+   * @param {Object} message - 수신 메시지
+   */
+  async _handleMessage(message) {
+    if (message.kind !== 'locks') {
+      return;
+    }
+
+    const now = Date.now();
+    const owner = message.clientId;
+    const claimed = new Map((message.locks || []).map(lock => [lock.elementId, lock]));
+    const lost = [];
+    let changed = false;
+
+    // 게시되지 않은 잠금은 해제된 것
+    this.locks.forEach((lock, elementId) => {
+      if (lock.clientId === owner && !claimed.has(elementId)) {
+        this.locks.delete(elementId);
+        changed = true;
+      }
+    });
+
+    claimed.forEach((claim, elementId) => {
+      const current = this.getLock(elementId);
+
+      if (current && current.clientId !== owner && !this._wins(claim, owner, current)) {
+        return;
+      }
+
+      if (current?.clientId === this.clientId) {
+        lost.push(elementId);
+        this.selectionLocks.delete(elementId);
+      }
+
+      this.locks.set(elementId, {
+        elementId,
+        clientId: owner,
+        user: message.user || null,
+        acquiredAt: claim.acquiredAt,
+        // 원격 시계와 무관하게 수신 시점 기준으로 만료
+        expiresAt: now + (message.ttl || this.options.lockTimeout)
+      });
+
+      // 같은 잠금의 재게시는 만료 시간만 연장
+      changed = changed || current?.clientId !== owner;
+    });
+
+    if (lost.length > 0) {
+      this.logger.info(`Element locks lost to ${owner}: ${lost.join(', ')}`);
+      this.engine?.eventBus.emit('lock:lost', { elementIds: lost, clientId: owner });
+    }
+
+    if (changed) {
+      this._notifyChange();
+    }
+  }
+
+  /**
+   * 동시 잠금 경합 판정 (먼저 획득한 쪽, 같으면 클라이언트 ID가 작은 쪽)
+   * @private
+   * @param {Object} claim - 원격 잠금 { acquiredAt }
+   * @param {string} owner - 원격 클라이언트 ID
+   * @param {Object} current - 현재 잠금
+   * @returns {boolean} 원격 잠금이 이기면 true
+   */
+  _wins(claim, owner, current) {
+    if (claim.acquiredAt !== current.acquiredAt) {
+      return claim.acquiredAt < current.acquiredAt;
+    }
+
+    return String(owner) < String(current.clientId);
+  }
+
+  /**
+   * 피어의 모든 잠금 해제 (연결 해제 시)
+   * @private
+   * @param {string} clientId - 피어 클라이언트 ID
+   */
+  _releaseOwner(clientId) {
+    let changed = false;
+
+    this.locks.forEach((lock, elementId) => {
+      if (lock.clientId === clientId) {
+        this.locks.delete(elementId);
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.logger.debug(`Released element locks of disconnected client ${clientId}`);
+      this._notifyChange();
+    }
+  }
+
+  /**
+   * 보유 잠금 게시 (연결이 없으면 다음 하트비트/재연결 때 게시)
+   * @private
+   */
+  async _publish() {
+    if (!this.engine?.adapter) {
+      return;
+    }
+
+    try {
+      await this.engine.adapter.sendMessage({
+        channel: CHANNEL,
+        kind: 'locks',
+        user: this.options.user,
+        ttl: this.options.lockTimeout,
+        locks: this.getOwnLocks().map(({ elementId, acquiredAt }) => ({ elementId, acquiredAt }))
+      });
+    } catch (error) {
+      this.logger.debug('Element lock publish skipped:', error.message);
+    }
+  }
+
+  /**
+   * 변경 리스너와 엔진 이벤트 버스에 알림
+   * @private
+   */
+  _notifyChange() {
+    const locks = this.getLocks();
+
+    this.changeListeners.forEach(callback => {
+      try {
+        callback(locks);
+      } catch (error) {
+        this.logger.error('Element lock listener error:', error);
+      }
+    });
+
+    this.engine?.eventBus.emit('lock:changed', { locks });
+  }
+
+  /**
+   * 모델러 이벤트 연결 (선택 잠금, 잠긴 요소 로컬 편집 차단)
+   * @private
+   * @param {Object} modeler - BPMN 모델러 (없으면 수동 acquire/release만 사용)
+   */
+  _bindModeler(modeler) {
+    if (typeof modeler?.get !== 'function') {
+      return;
+    }
+
+    try {
+      this.modelerEventBus = modeler.get('eventBus');
+    } catch (error) {
+      return;
+    }
+
+    if (this.options.lockOnSelection) {
+      this.modelerEventBus.on('selection.changed', this.boundHandlers.onSelectionChanged);
+    }
+
+    if (this.options.preventLocalEdits) {
+      this.modelerEventBus.on('commandStack.canExecute', LOCK_PRIORITY, this.boundHandlers.onCanExecute);
+    }
+  }
+
+  /**
+   * 선택 변경 처리 (연속 선택 변경이 섞이지 않도록 순서대로 처리)
+   * @private
+   * @param {Object} event - { newSelection }
+   */
+  _handleSelectionChanged(event) {
+    const newSelection = event.newSelection || [];
+
+    this.selectionQueue = this.selectionQueue
+      .then(() => this._syncSelectionLocks(newSelection))
+      .catch(error => this.logger.error('Selection lock failed:', error));
+  }
+
+  /**
+   * 새로 선택한 요소를 잠그고 선택 해제된 요소의 잠금을 해제
+   * @private
+   * @param {Object[]} newSelection - 선택된 요소
+   */
+  async _syncSelectionLocks(newSelection) {
+    const selected = new Set(newSelection.map(element => this._getLockTarget(element)));
+    const deselected = Array.from(this.selectionLocks).filter(elementId => !selected.has(elementId));
+
+    if (deselected.length > 0) {
+      await this.release(deselected);
+    }
+
+    const toLock = Array.from(selected).filter(elementId => !this.selectionLocks.has(elementId));
+    if (toLock.length === 0) {
+      return;
+    }
+
+    const { acquired } = await this.acquire(toLock);
+    acquired.forEach(elementId => this.selectionLocks.add(elementId));
+  }
+
+  /**
+   * 다른 사용자가 잠근 요소를 대상으로 하는 명령 차단
+   * @private
+   * @param {Object} event - { command, context }
+   * @returns {boolean|undefined} 차단 시 false
+   */
+  _handleCanExecute(event) {
+    const context = event.context || {};
+
+    const elements = COMMAND_ELEMENT_KEYS.flatMap(key => {
+      const value = context[key];
+      return Array.isArray(value) ? value : (value ? [value] : []);
+    });
+
+    if (elements.some(element => this.isLockedAgainst(this._getLockTarget(element)))) {
+      return false;
+    }
+  }
+
+  /**
+   * 잠금 대상 요소 ID (레이블은 소유 요소로 취급)
+   * @private
+   * @param {Object} element - 다이어그램 요소
+   * @returns {string}
+   */
+  _getLockTarget(element) {
+    return element.labelTarget?.id || element.id;
+  }
+
+  /**
+   * 단일 값 또는 배열을 배열로 변환
+   * @private
+   */
+  _toArray(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * 리소스 정리 (보유 잠금은 해제를 게시)
+   */
+  async destroy() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (this.modelerEventBus) {
+      this.modelerEventBus.off('selection.changed', this.boundHandlers.onSelectionChanged);
+      this.modelerEventBus.off('commandStack.canExecute', this.boundHandlers.onCanExecute);
+      this.modelerEventBus = null;
+    }
+
+    if (this.getOwnLocks().length > 0) {
+      await this.releaseAll();
+    }
+
+    if (this.removeMessageListener) {
+      this.removeMessageListener();
+      this.removeMessageListener = null;
+    }
+
+    if (this.removeConnectionListener) {
+      this.removeConnectionListener();
+      this.removeConnectionListener = null;
+    }
+
+    if (this.engine?.context.elementLocks === this) {
+      delete this.engine.context.elementLocks;
+    }
+
+    this.locks.clear();
+    this.selectionLocks.clear();
+    this.changeListeners.clear();
+    await super.destroy();
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * 성능 모니터 플러그인
+ * 동기화 단계별 지연 시간을 히스토그램으로 기록
+ */
+
+import { BasePlugin } from './BasePlugin.js';
+
+// 측정 대상 단계
+const STAGES = ['extraction', 'calculation', 'localSync', 'application', 'remoteSync'];
+
+export class PerformanceMonitor extends BasePlugin {
+  constructor(config = {}) {
+    super(config);
+    this.options = {
+      enableMetrics: true,
+      slowSyncThreshold: 100, // ms
+      buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500], // 버킷 상한 (ms)
+      maxSamples: 1000, // 백분위 계산용 최근 샘플 수
+      ...config.options
+    };
+
+    this._resetMetrics();
+  }
+
+  /**
+   * 로컬 Diff 계산 후 추출/계산 시간 기록
+   * @param {Object} payload - 훅 데이터
+   */
+  afterCalculate({ timing }) {
+    if (!this.options.enableMetrics || !timing) {
+      return;
+    }
+
+    this._record('extraction', timing.extraction);
+    this._record('calculation', timing.calculation);
+
+    const localSyncTime = timing.extraction + timing.calculation;
+    this._record('localSync', localSyncTime);
+    this._checkSlowSync('local', localSyncTime);
+  }
+
+  /**
+   * 원격 Diff 적용 후 적용 시간 기록
+   * @param {Object} payload - 훅 데이터
+   */
+  afterApply({ timing }) {
+    if (!this.options.enableMetrics || !timing) {
+      return;
+    }
+
+    this._record('application', timing.application);
+    this._record('remoteSync', timing.total);
+    this._checkSlowSync('remote', timing.total);
+  }
+
+  /**
+   * 단계별 오류 수 기록
+   * @param {Object} payload - 훅 데이터
+   */
+  onError({ stage }) {
+    const key = stage || 'unknown';
+    this.errors[key] = (this.errors[key] || 0) + 1;
+  }
+
+  /**
+   * 성능 메트릭 조회
+   * @returns {Object} 단계별 히스토그램과 느린 동기화 통계
+   */
+  getMetrics() {
+    const stages = {};
+
+    for (const stage of STAGES) {
+      stages[stage] = this._summarize(this.histograms[stage]);
+    }
+
+    return {
+      since: this.since,
+      stages,
+      slowSyncs: { ...this.slowSyncs },
+      slowSyncThreshold: this.options.slowSyncThreshold,
+      errors: { ...this.errors }
+    };
+  }
+
+  /**
+   * 메트릭 초기화
+   */
+  reset() {
+    this._resetMetrics();
+  }
+
+  /**
+   * 메트릭 저장소 초기화
+   * @private
+   */
+  _resetMetrics() {
+    this.histograms = {};
+
+    for (const stage of STAGES) {
+      this.histograms[stage] = {
+        counts: new Array(this.options.buckets.length + 1).fill(0),
+        samples: [],
+        count: 0,
+        sum: 0,
+        min: Infinity,
+        max: 0
+      };
+    }
+
+    this.slowSyncs = { local: 0, remote: 0 };
+    this.errors = {};
+    this.since = Date.now();
+  }
+
+  /**
+   * 측정값 기록
+   * @private
+   * @param {string} stage - 단계 이름
+   * @param {number} duration - 소요 시간 (ms)
+   */
+  _record(stage, duration) {
+    if (typeof duration !== 'number' || Number.isNaN(duration)) {
+      return;
+    }
+
+    const histogram = this.histograms[stage];
+    const bucketIndex = this.options.buckets.findIndex(bound => duration <= bound);
+
+    // 마지막 칸은 가장 큰 상한을 넘는 값 (+Inf)
+    histogram.counts[bucketIndex === -1 ? this.options.buckets.length : bucketIndex]++;
+    histogram.count++;
+    histogram.sum += duration;
+    histogram.min = Math.min(histogram.min, duration);
+    histogram.max = Math.max(histogram.max, duration);
+
+    histogram.samples.push(duration);
+    if (histogram.samples.length > this.options.maxSamples) {
+      histogram.samples.shift();
+    }
+  }
+
+  /**
+   * 느린 동기화 감지
+   * @private
+   * @param {string} direction - 'local' 또는 'remote'
+   * @param {number} duration - 소요 시간 (ms)
+   */
+  _checkSlowSync(direction, duration) {
+    if (duration > this.options.slowSyncThreshold) {
+      this.slowSyncs[direction]++;
+      this.logger.warn(`Slow ${direction} sync: ${duration.toFixed(2)}ms (threshold ${this.options.slowSyncThreshold}ms)`);
+    }
+  }
+
+  /**
+   * 히스토그램 요약
+   * @private
+   * @param {Object} histogram - 단계 히스토그램
+   * @returns {Object} 버킷별 개수와 통계
+   */
+  _summarize(histogram) {
+    const sorted = [...histogram.samples].sort((a, b) => a - b);
+    const percentile = (p) => sorted.length > 0
+      ? sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)]
+      : 0;
+
+    return {
+      count: histogram.count,
+      sum: histogram.sum,
+      min: histogram.count > 0 ? histogram.min : 0,
+      max: histogram.max,
+      average: histogram.count > 0 ? histogram.sum / histogram.count : 0,
+      p50: percentile(50),
+      p95: percentile(95),
+      p99: percentile(99),
+      buckets: [
+        ...this.options.buckets.map((bound, index) => ({ le: bound, count: histogram.counts[index] })),
+        { le: '+Inf', count: histogram.counts[this.options.buckets.length] }
+      ]
+    };
+  }
+}
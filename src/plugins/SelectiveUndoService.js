@@ -0,0 +1,491 @@
+/**
+ * 선택적 협업 실행 취소 플러그인
+ * 로컬 사용자가 만든 변경만 되돌리고, 되돌리기 자체도 다른 클라이언트에 동기화
+ *
+ * - 로컬 Diff(afterCalculate)마다 변경된 요소의 이전/이후 상태를 실행 취소 항목으로 기록
+ *   (원격 Diff는 엔진이 상태에 반영한 뒤라 로컬 Diff에 포함되지 않음)
+ * - 실행 취소 시 현재 상태를 기준으로 역변경을 변환:
+ *   속성 값이 아직 내 변경 결과와 같을 때만 되돌리고, 이후 피어가 바꾼 속성은 유지하고 충돌로 보고
+ * - 역변경은 적용기로 적용한 뒤 엔진 sync()로 전송하며, 이때 계산된 Diff가 반대쪽 스택(다시 실행)에 기록됨
+ *
+ * Y.js 요소 맵에 직접 바인딩하는 경로(client BpmnYjsBinding)는 Y.UndoManager의 trackedOrigins로 같은 동작을 한다.
+ */
+
+import { BasePlugin } from './BasePlugin.js';
+
+// 요소 식별 필드 (되돌리기 대상 아님)
+const IDENTITY_FIELDS = ['id', 'type'];
+
+// 하위 키 단위로 비교하는 객체 필드
+const NESTED_FIELDS = ['businessObject', 'customProperties'];
+
+// 선택적 실행 취소로 교체하는 모델러 편집 액션
+const EDITOR_ACTIONS = ['undo', 'redo'];
+
+export class SelectiveUndoService extends BasePlugin {
+  constructor(config = {}) {
+    super(config);
+    this.options = {
+      captureTimeout: 500,        // 이 시간 안의 연속 로컬 변경은 한 항목으로 병합 (ms), 0이면 병합 안 함
+      maxStackSize: 100,          // 스택별 최대 항목 수
+      bindEditorActions: true,    // 모델러 undo/redo 편집 액션(단축키)을 선택적 실행 취소로 대체
+      ...config.options
+    };
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = null;
+    this.queue = Promise.resolve();
+    this.entryCounter = 0;
+
+    this.editorActions = null;
+  }
+
+  /**
+   * 플러그인 초기화
+   * @param {DiffSyncEngine} engine - 플러그인을 등록한 엔진
+   */
+  async initialize(engine) {
+    await super.initialize(engine);
+    this._bindEditorActions(engine.context.modeler);
+  }
+
+  /**
+   * 로컬 Diff를 실행 취소 항목으로 기록 (엔진 훅)
+   * @param {Object} payload - { diff, previousState, currentState }
+   */
+  afterCalculate({ diff, previousState, currentState }) {
+    if (!diff?.hasChanges || !previousState) {
+      return;
+    }
+
+    const before = previousState.elements || {};
+    const after = currentState?.elements || {};
+    const ids = [
+      ...diff.added.map(element => element.id),
+      ...diff.modified.map(modification => modification.id),
+      ...diff.removed
+    ];
+
+    const changes = new Map(ids.map(id => [id, {
+      before: before[id] || null,
+      after: after[id] || null
+    }]));
+
+    // 실행 취소/다시 실행으로 생긴 변경은 반대쪽 스택에 기록
+    if (this.pending) {
+      this._push(this.pending === 'undo' ? this.redoStack : this.undoStack, this._createEntry(changes));
+      return;
+    }
+
+    const last = this.undoStack[this.undoStack.length - 1];
+    const now = Date.now();
+
+    if (last && this.options.captureTimeout > 0 && now - last.timestamp < this.options.captureTimeout) {
+      this._mergeInto(last, changes, now);
+    } else {
+      this._push(this.undoStack, this._createEntry(changes));
+    }
+
+    this.redoStack = [];
+    this._notifyChange();
+  }
+
+  /**
+   * 마지막 로컬 변경 실행 취소
+   * @returns {Promise<Object>} { applied, entryId, conflicts }
+   */
+  undo() {
+    return this._enqueue('undo');
+  }
+
+  /**
+   * 마지막으로 실행 취소한 변경 다시 실행
+   * @returns {Promise<Object>} { applied, entryId, conflicts }
+   */
+  redo() {
+    return this._enqueue('redo');
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 다음 로컬 변경이 이전 항목에 병합되지 않도록 항목 경계 지정
+   */
+  stopCapturing() {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (last) {
+      last.timestamp = 0;
+    }
+  }
+
+  /**
+   * 실행 취소/다시 실행 기록 삭제
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._notifyChange();
+  }
+
+  /**
+   * 실행 취소/다시 실행을 순서대로 처리
+   * @private
+   * @param {string} direction - 'undo' | 'redo'
+   * @returns {Promise<Object>}
+   */
+  _enqueue(direction) {
+    const run = this.queue.then(() => this._run(direction));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 스택의 마지막 항목을 되돌림
+   * 적용할 변경이 남지 않으면(모두 피어가 바꿈) 항목만 버림
+   * @private
+   * @param {string} direction - 'undo' | 'redo'
+   * @returns {Promise<Object>}
+   */
+  async _run(direction) {
+    const engine = this.engine;
+    const stack = direction === 'undo' ? this.undoStack : this.redoStack;
+
+    if (!engine || stack.length === 0) {
+      return { applied: false, entryId: null, conflicts: [] };
+    }
+
+    // 아직 전송하지 않은 로컬 변경을 먼저 기록해 되돌릴 항목에 섞이지 않도록 함
+    await engine.sync();
+    this.stopCapturing();
+
+    const entry = stack.pop();
+    if (!entry) {
+      return { applied: false, entryId: null, conflicts: [] };
+    }
+
+    const currentState = await engine.extractor.extract(engine.context);
+    const { diff, conflicts } = await this._createInverseDiff(entry, currentState);
+
+    if (conflicts.length > 0) {
+      this.logger.info(`Selective ${direction} skipped ${conflicts.length} change(s) modified by other users`);
+      engine.eventBus.emit('undo:conflict', { direction, entryId: entry.id, conflicts });
+    }
+
+    if (!diff.hasChanges) {
+      this._notifyChange();
+      return { applied: false, entryId: entry.id, conflicts };
+    }
+
+    this.pending = direction;
+
+    try {
+      const result = await engine.applicator.apply(diff, {
+        ...engine.context,
+        eventBus: engine.eventBus,
+        localTimestamp: Date.now()
+      });
+
+      if (!result.success) {
+        throw new Error(`Failed to apply ${direction}: ${result.errors.map(error => error.message).join(', ')}`);
+      }
+
+      // 되돌린 결과를 다른 클라이언트에 전송 (afterCalculate에서 반대쪽 스택에 기록)
+      await engine.sync();
+    } catch (error) {
+      stack.push(entry);
+      throw error;
+    } finally {
+      this.pending = null;
+      this.stopCapturing();
+    }
+
+    this.logger.debug(`Selective ${direction} applied: ${entry.id}`);
+    engine.eventBus.emit('undo:applied', { direction, entryId: entry.id, conflicts });
+    this._notifyChange();
+
+    return { applied: true, entryId: entry.id, conflicts };
+  }
+
+  /**
+   * 현재 상태에 맞춰 변환한 역변경 Diff 생성
+   * @private
+   * @param {Object} entry - 실행 취소 항목
+   * @param {Object} currentState - 현재 문서 상태
+   * @returns {Promise<Object>} { diff, conflicts }
+   */
+  async _createInverseDiff(entry, currentState) {
+    const currentElements = currentState.elements || {};
+    const from = {};
+    const to = {};
+    const conflicts = [];
+
+    entry.changes.forEach(({ before, after }, id) => {
+      const current = currentElements[id] || null;
+
+      if (current) {
+        from[id] = current;
+        to[id] = current;
+      }
+
+      // 내가 추가한 요소: 이후 아무도 바꾸지 않았을 때만 삭제
+      if (!before) {
+        if (!current) {
+          return;
+        }
+
+        if (this._isEqual(current, after)) {
+          delete to[id];
+        } else {
+          conflicts.push({ elementId: id, field: null, reason: 'modified' });
+        }
+        return;
+      }
+
+      // 내가 삭제한 요소: 다른 사용자가 다시 만들지 않았으면 복원
+      if (!after) {
+        if (current) {
+          conflicts.push({ elementId: id, field: null, reason: 'exists' });
+        } else {
+          to[id] = before;
+        }
+        return;
+      }
+
+      if (!current) {
+        conflicts.push({ elementId: id, field: null, reason: 'removed' });
+        return;
+      }
+
+      to[id] = this._revertFields(id, before, after, current, conflicts);
+    });
+
+    const diff = await this.engine.calculator.calculate(
+      { ...currentState, elements: from },
+      { ...currentState, elements: to }
+    );
+
+    return { diff, conflicts };
+  }
+
+  /**
+   * 내가 바꾼 속성 중 아직 내 값 그대로인 속성만 이전 값으로 되돌린 요소 상태
+   * @private
+   * @param {string} id - 요소 ID
+   * @param {Object} before - 변경 전 상태
+   * @param {Object} after - 변경 후 상태
+   * @param {Object} current - 현재 상태
+   * @param {Object[]} conflicts - 충돌 목록 (추가됨)
+   * @returns {Object}
+   */
+  _revertFields(id, before, after, current, conflicts) {
+    const target = this._clone(current);
+
+    this._getFieldPaths(before, after).forEach(path => {
+      const previous = this._getPath(before, path);
+      const mine = this._getPath(after, path);
+
+      if (this._isEqual(previous, mine)) {
+        return;
+      }
+
+      if (!this._isEqual(this._getPath(current, path), mine)) {
+        conflicts.push({ elementId: id, field: path.join('.'), reason: 'modified' });
+        return;
+      }
+
+      this._setPath(target, path, previous);
+    });
+
+    return target;
+  }
+
+  /**
+   * 비교할 속성 경로 목록 (businessObject 등은 하위 키 단위)
+   * @private
+   * @param {Object} before - 변경 전 상태
+   * @param {Object} after - 변경 후 상태
+   * @returns {string[][]}
+   */
+  _getFieldPaths(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return Array.from(keys)
+      .filter(key => !IDENTITY_FIELDS.includes(key))
+      .flatMap(key => {
+        if (!NESTED_FIELDS.includes(key)) {
+          return [[key]];
+        }
+
+        const nestedKeys = new Set([...Object.keys(before[key] || {}), ...Object.keys(after[key] || {})]);
+        return Array.from(nestedKeys)
+          .filter(nestedKey => nestedKey !== 'id')
+          .map(nestedKey => [key, nestedKey]);
+      });
+  }
+
+  /**
+   * @private
+   */
+  _getPath(object, path) {
+    return path.reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  /**
+   * 경로에 값 설정 (undefined면 속성 삭제)
+   * @private
+   */
+  _setPath(object, path, value) {
+    const parent = path.slice(0, -1).reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, object);
+    const key = path[path.length - 1];
+
+    if (value === undefined) {
+      delete parent[key];
+    } else {
+      parent[key] = this._clone(value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isEqual(a, b) {
+    return JSON.stringify(this._canonicalize(a)) === JSON.stringify(this._canonicalize(b));
+  }
+
+  /**
+   * 키 순서와 무관하게 비교하도록 객체 키 정렬
+   * @private
+   */
+  _canonicalize(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._canonicalize(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = this._canonicalize(value[key]);
+        return sorted;
+      }, {});
+    }
+
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * 실행 취소 항목 생성
+   * @private
+   * @param {Map} changes - 요소 ID → { before, after }
+   * @returns {Object}
+   */
+  _createEntry(changes) {
+    return {
+      id: `undo-${++this.entryCounter}`,
+      timestamp: Date.now(),
+      changes
+    };
+  }
+
+  /**
+   * 연속 변경을 기존 항목에 병합 (처음 상태와 마지막 상태 유지)
+   * @private
+   */
+  _mergeInto(entry, changes, timestamp) {
+    changes.forEach(({ before, after }, id) => {
+      const existing = entry.changes.get(id);
+      entry.changes.set(id, { before: existing ? existing.before : before, after });
+    });
+    entry.timestamp = timestamp;
+  }
+
+  /**
+   * 최대 크기를 넘지 않도록 스택에 추가
+   * @private
+   */
+  _push(stack, entry) {
+    stack.push(entry);
+    if (stack.length > this.options.maxStackSize) {
+      stack.shift();
+    }
+  }
+
+  /**
+   * 스택 변경 알림
+   * @private
+   */
+  _notifyChange() {
+    this.engine?.eventBus.emit('undo:changed', {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+  }
+
+  /**
+   * 모델러의 undo/redo 편집 액션을 선택적 실행 취소로 교체
+   * @private
+   * @param {Object} modeler - BPMN 모델러 (없으면 undo()/redo() 직접 호출)
+   */
+  _bindEditorActions(modeler) {
+    if (!this.options.bindEditorActions || typeof modeler?.get !== 'function') {
+      return;
+    }
+
+    try {
+      this.editorActions = modeler.get('editorActions');
+    } catch (error) {
+      return;
+    }
+
+    EDITOR_ACTIONS.forEach(action => {
+      if (this.editorActions.isRegistered(action)) {
+        this.editorActions.unregister(action);
+      }
+      this.editorActions.register(action, () => {
+        this[action]().catch(error => this.logger.error(`Selective ${action} failed:`, error));
+      });
+    });
+  }
+
+  /**
+   * 리소스 정리 (편집 액션은 명령 스택 기본 동작으로 복원)
+   */
+  async destroy() {
+    if (this.editorActions) {
+      const commandStack = this.engine?.context.modeler.get('commandStack');
+
+      EDITOR_ACTIONS.forEach(action => {
+        this.editorActions.unregister(action);
+        if (commandStack) {
+          this.editorActions.register(action, () => commandStack[action]());
+        }
+      });
+      this.editorActions = null;
+    }
+
+    this.undoStack = [];
+    this.redoStack = [];
+    await super.destroy();
+  }
+}
@@ -0,0 +1,430 @@
+/**
+ * 상태 검증 플러그인
+ * 클라이언트 간 문서 상태 해시를 주기적으로 교환하여 조용히 갈라진(diverged) 요소를 찾고
+ * 해당 요소만 기준 클라이언트의 상태로 재동기화
+ *
+ * 교환 절차 (어댑터 제어 메시지, channel: 'state-verifier'):
+ * 1. state-hash:              루트/버킷 해시 게시
+ * 2. element-hashes-request:  불일치가 연속 mismatchThreshold회 이상이면 다른 버킷의 요소 해시 요청
+ * 3. element-hashes:          요청한 버킷의 요소 해시 응답 → 다른 요소 ID 확정
+ * 4. resync-request/response: 해당 요소 데이터만 받아 적용 (요청한 상대와 요소의 응답만 수락)
+ *
+ * 양쪽이 서로의 상태를 덮어쓰지 않도록 클라이언트 ID가 더 작은 쪽을 기준으로 삼고,
+ * 큰 쪽만 복구를 요청한다.
+ */
+
+import { BasePlugin } from './BasePlugin.js';
+import { StateHasher } from '../utils/StateHasher.js';
+
+const CHANNEL = 'state-verifier';
+
+export class StateVerifier extends BasePlugin {
+  constructor(config = {}) {
+    super(config);
+    this.options = {
+      checkInterval: 10000,   // 해시 게시 간격 (ms), 0이면 check() 수동 호출
+      mismatchThreshold: 2,   // 전송 중인 Diff로 인한 일시적 불일치를 무시하기 위한 연속 불일치 횟수
+      autoRepair: true,       // false면 divergence:detected 이벤트만 발생
+      resyncTimeout: 10000,   // resync-request 응답 대기 시간 (ms), 이후 도착한 응답은 버림
+      bucketCount: 32,
+      precision: 0,
+      ignoreProperties: [],
+      ...config.options
+    };
+
+    this.hasher = new StateHasher({
+      bucketCount: this.options.bucketCount,
+      precision: this.options.precision,
+      ignoreProperties: this.options.ignoreProperties
+    });
+
+    this.checkTimer = null;
+    this.removeMessageListener = null;
+    this.mismatches = new Map();
+    this.pendingResyncs = new Map(); // 상대 클라이언트 ID → Map<요소 ID, 요청 시각>
+    this._resetMetrics();
+  }
+
+  /**
+   * 플러그인 초기화
+   * @param {DiffSyncEngine} engine - 플러그인을 등록한 엔진
+   */
+  async initialize(engine) {
+    await super.initialize(engine);
+
+    this.removeMessageListener = engine.adapter.onMessage(message => {
+      if (message.channel === CHANNEL) {
+        return this._handleMessage(message);
+      }
+    });
+
+    if (this.options.checkInterval > 0) {
+      this.checkTimer = setInterval(() => {
+        this.check().catch(error => this.logger.warn('State check failed:', error.message));
+      }, this.options.checkInterval);
+    }
+  }
+
+  /**
+   * 로컬 상태 해시 게시
+   * 아직 전송하지 않은 로컬 변경이 있으면 건너뜀
+   * @returns {Promise<StateHash|null>} 게시한 해시
+   */
+  async check() {
+    if (!this._canVerify()) {
+      return null;
+    }
+
+    const state = await this._getVerifiableState();
+    if (!state) {
+      return null;
+    }
+
+    const hash = this.hasher.hashState(state);
+    await this._send({ kind: 'state-hash', ...hash });
+
+    this.metrics.checks++;
+    this.metrics.lastCheckAt = Date.now();
+
+    return hash;
+  }
+
+  /**
+   * 검증 통계 조회
+   * @returns {Object}
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * 제어 메시지 처리
+   * @private
+   * @param {Object} message - 수신 메시지
+   */
+  async _handleMessage(message) {
+    if (!this._canVerify()) {
+      return;
+    }
+
+    switch (message.kind) {
+      case 'state-hash':
+        await this._handleStateHash(message);
+        break;
+      case 'element-hashes-request':
+        await this._handleElementHashesRequest(message);
+        break;
+      case 'element-hashes':
+        await this._handleElementHashes(message);
+        break;
+      case 'resync-request':
+        await this._handleResyncRequest(message);
+        break;
+      case 'resync-response':
+        await this._handleResyncResponse(message);
+        break;
+      default:
+        this.logger.debug(`Ignored state verifier message: ${message.kind}`);
+    }
+  }
+
+  /**
+   * 원격 상태 해시 비교
+   * @private
+   * @param {Object} message - state-hash 메시지
+   */
+  async _handleStateHash(message) {
+    const state = await this._getVerifiableState();
+    if (!state) {
+      return;
+    }
+
+    const peerId = message.clientId;
+    const localHash = this.hasher.hashState(state);
+
+    if (localHash.root === message.root) {
+      this.mismatches.delete(peerId);
+      return;
+    }
+
+    const count = (this.mismatches.get(peerId) || 0) + 1;
+    this.mismatches.set(peerId, count);
+
+    if (count < this.options.mismatchThreshold || !this._isReference(peerId)) {
+      return;
+    }
+
+    const buckets = this.hasher.diffBuckets(localHash, message);
+    this.logger.warn(`State hash mismatch with ${peerId}: ${buckets.length} buckets differ`);
+
+    await this._send({ kind: 'element-hashes-request', to: peerId, buckets });
+  }
+
+  /**
+   * 요청한 버킷의 요소 해시 응답
+   * @private
+   * @param {Object} message - element-hashes-request 메시지
+   */
+  async _handleElementHashesRequest(message) {
+    const state = await this._getVerifiableState();
+    if (!state) {
+      return;
+    }
+
+    await this._send({
+      kind: 'element-hashes',
+      to: message.clientId,
+      buckets: message.buckets,
+      hashes: this.hasher.hashElementsInBuckets(state, message.buckets)
+    });
+  }
+
+  /**
+   * 요소 해시 비교로 갈라진 요소 확정
+   * @private
+   * @param {Object} message - element-hashes 메시지
+   */
+  async _handleElementHashes(message) {
+    const state = await this._getVerifiableState();
+    if (!state) {
+      return;
+    }
+
+    const localHashes = this.hasher.hashElementsInBuckets(state, message.buckets);
+    const elementIds = this.hasher.diffElements(localHashes, message.hashes);
+
+    if (elementIds.length === 0) {
+      this.mismatches.delete(message.clientId);
+      return;
+    }
+
+    this.metrics.divergences++;
+    this.engine.eventBus.emit('divergence:detected', {
+      peerClientId: message.clientId,
+      elementIds,
+      detectedAt: Date.now()
+    });
+
+    if (this.options.autoRepair) {
+      this._addPendingResync(message.clientId, elementIds);
+      await this._send({ kind: 'resync-request', to: message.clientId, elementIds });
+    }
+  }
+
+  /**
+   * 요청한 요소의 현재 데이터 응답 (없는 요소는 null)
+   * @private
+   * @param {Object} message - resync-request 메시지
+   */
+  async _handleResyncRequest(message) {
+    const state = await this._getVerifiableState();
+    if (!state) {
+      return;
+    }
+
+    const elements = {};
+    for (const elementId of message.elementIds) {
+      elements[elementId] = state.elements[elementId] || null;
+    }
+
+    await this._send({ kind: 'resync-response', to: message.clientId, elements });
+  }
+
+  /**
+   * 요청한 요소의 응답만 골라 복구 (요청하지 않았거나 만료된 요소는 버림)
+   * @private
+   * @param {Object} message - resync-response 메시지
+   */
+  async _handleResyncResponse(message) {
+    const peerId = message.clientId;
+    const pending = this.pendingResyncs.get(peerId);
+    const expiresBefore = Date.now() - this.options.resyncTimeout;
+    const elements = {};
+
+    for (const [elementId, data] of Object.entries(message.elements || {})) {
+      const requestedAt = pending?.get(elementId);
+      if (requestedAt === undefined) {
+        continue;
+      }
+
+      pending.delete(elementId);
+      if (requestedAt >= expiresBefore) {
+        elements[elementId] = data;
+      }
+    }
+
+    if (pending?.size === 0) {
+      this.pendingResyncs.delete(peerId);
+    }
+
+    const ignored = Object.keys(message.elements || {}).length - Object.keys(elements).length;
+    if (ignored > 0) {
+      this.metrics.ignoredResponses++;
+      this.logger.warn(`Ignored ${ignored} unsolicited or expired resync elements from ${peerId}`);
+    }
+
+    if (Object.keys(elements).length > 0) {
+      await this._repair(peerId, elements);
+    }
+  }
+
+  /**
+   * 응답을 기다리는 resync-request 기록
+   * @private
+   * @param {string} peerId - 요청 대상 클라이언트 ID
+   * @param {string[]} elementIds - 요청한 요소 ID
+   */
+  _addPendingResync(peerId, elementIds) {
+    if (!this.pendingResyncs.has(peerId)) {
+      this.pendingResyncs.set(peerId, new Map());
+    }
+
+    const pending = this.pendingResyncs.get(peerId);
+    const requestedAt = Date.now();
+    elementIds.forEach(elementId => pending.set(elementId, requestedAt));
+  }
+
+  /**
+   * 갈라진 요소만 기준 상태로 복구
+   * @private
+   * @param {string} peerId - 기준 클라이언트 ID
+   * @param {Object<string, Object|null>} elements - 기준 요소 데이터 (null은 삭제)
+   */
+  async _repair(peerId, elements) {
+    const { engine } = this;
+    const elementIds = Object.keys(elements);
+    const localState = await engine.extractor.extract(engine.context);
+
+    const pick = (source) => elementIds.reduce((picked, id) => {
+      if (source[id]) {
+        picked[id] = source[id];
+      }
+      return picked;
+    }, {});
+
+    const diff = await engine.calculator.calculate(
+      { ...localState, elements: pick(localState.elements) },
+      { ...localState, clientId: peerId, elements: pick(elements) }
+    );
+
+    if (!diff.hasChanges) {
+      this.mismatches.delete(peerId);
+      return;
+    }
+
+    const result = await engine.applicator.apply(diff, {
+      ...engine.context,
+      eventBus: engine.eventBus,
+      localTimestamp: engine.stateManager.getCurrentState()?.timestamp ?? null
+    });
+
+    if (!result.success) {
+      this.logger.error(`Divergence repair failed for ${elementIds.length} elements:`, result.errors);
+      this.metrics.failedRepairs++;
+      return;
+    }
+
+    // 복구한 요소만 동기화된 상태에 반영하여 다른 미전송 로컬 변경은 유지
+    const syncedState = engine.stateManager.getCurrentState();
+    const syncedElements = { ...(syncedState?.elements || {}) };
+    for (const elementId of elementIds) {
+      if (elements[elementId]) {
+        syncedElements[elementId] = elements[elementId];
+      } else {
+        delete syncedElements[elementId];
+      }
+    }
+    await engine.stateManager.updateState({ ...syncedState, timestamp: Date.now(), elements: syncedElements });
+
+    this.mismatches.delete(peerId);
+    this.metrics.repairs++;
+    this.metrics.repairedElements += elementIds.length;
+    this.metrics.lastRepairAt = Date.now();
+
+    this.logger.info(`Divergence repaired from ${peerId}: ${elementIds.join(', ')}`);
+    engine.eventBus.emit('divergence:repaired', { peerClientId: peerId, elementIds, diff, result });
+  }
+
+  /**
+   * 검증 가능한 로컬 상태 조회
+   * 모델러 상태가 마지막 동기화 상태와 다르면(미전송 변경 존재) null
+   * @private
+   * @returns {Promise<DocumentState|null>}
+   */
+  async _getVerifiableState() {
+    const { engine } = this;
+    const state = await engine.extractor.extract(engine.context);
+    const syncedState = engine.stateManager.getCurrentState();
+
+    if (this.hasher.hashState(state).root !== this.hasher.hashState(syncedState).root) {
+      this.logger.debug('State check skipped: unsynced local changes');
+      return null;
+    }
+
+    return state;
+  }
+
+  /**
+   * 상대가 기준 클라이언트인지 (클라이언트 ID가 더 작은 쪽이 기준)
+   * @private
+   * @param {string} peerId - 상대 클라이언트 ID
+   * @returns {boolean}
+   */
+  _isReference(peerId) {
+    return String(peerId) < String(this.engine.context.clientId);
+  }
+
+  /**
+   * 검증 가능 여부
+   * @private
+   * @returns {boolean}
+   */
+  _canVerify() {
+    return Boolean(this.engine?.isInitialized && !this.engine.isPaused && this.engine.adapter.isConnected !== false);
+  }
+
+  /**
+   * 제어 메시지 전송
+   * @private
+   * @param {Object} message - 전송할 메시지
+   */
+  async _send(message) {
+    await this.engine.adapter.sendMessage({ channel: CHANNEL, ...message });
+  }
+
+  /**
+   * 통계 초기화
+   * @private
+   */
+  _resetMetrics() {
+    this.metrics = {
+      checks: 0,
+      divergences: 0,
+      repairs: 0,
+      repairedElements: 0,
+      failedRepairs: 0,
+      ignoredResponses: 0,
+      lastCheckAt: null,
+      lastRepairAt: null
+    };
+  }
+
+  /**
+   * 리소스 정리
+   */
+  async destroy() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+
+    if (this.removeMessageListener) {
+      this.removeMessageListener();
+      this.removeMessageListener = null;
+    }
+
+    this.mismatches.clear();
+    this.pendingResyncs.clear();
+    await super.destroy();
+  }
+}
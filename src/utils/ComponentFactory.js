@@ -26,8 +26,10 @@ export class ComponentFactory {
 
   /**
    * 컴포넌트 등록
+   * 클래스 대신 화살표/async 함수를 넘기면 지연 로더로 간주하며,
+   * 로더는 처음 createAsync() 될 때 호출되어 클래스를 반환해야 한다.
    * @param {string} name - 컴포넌트 이름
-   * @param {Function} constructor - 컴포넌트 생성자
+   * @param {Function} constructor - 컴포넌트 생성자 또는 지연 로더 (() => Promise<Class>)
    * @param {Object} options - 등록 옵션
    * @returns {ComponentFactory} 체이닝을 위한 자기 참조
    */
@@ -45,7 +47,8 @@ export class ComponentFactory {
       constructor,
       singleton: options.singleton ?? false,
       dependencies: options.dependencies || [],
-      lazy: options.lazy ?? false,
+      lazy: options.lazy ?? !constructor.prototype,
+      resolvedConstructor: null,
       category: options.category || 'default',
       description: options.description || '',
       version: options.version || '1.0.0',
@@ -71,6 +74,12 @@ export class ComponentFactory {
       throw new Error(`Component '${name}' not registered`);
     }
 
+    const Constructor = componentInfo.lazy ? componentInfo.resolvedConstructor : componentInfo.constructor;
+
+    if (!Constructor) {
+      throw new Error(`Component '${name}' is lazy and not loaded yet; use createAsync()`);
+    }
+
     // 싱글톤 체크
     if (componentInfo.singleton && this.instances.has(name)) {
       return this.instances.get(name);
@@ -81,7 +90,7 @@ export class ComponentFactory {
 
     try {
       // 인스턴스 생성
-      const instance = new componentInfo.constructor(config, dependencies, ...args);
+      const instance = new Constructor(config, dependencies, ...args);
       
       // 메타데이터 추가
       this._addMetadata(instance, componentInfo, config);
@@ -101,6 +110,64 @@ export class ComponentFactory {
     }
   }
 
+  /**
+   * 컴포넌트 비동기 생성
+   * 지연 로더로 등록된 컴포넌트와 그 의존성을 먼저 로드한 뒤 생성
+   * @param {string} name - 컴포넌트 이름
+   * @param {Object} config - 생성 설정
+   * @param {Array} args - 생성자 인수
+   * @returns {Promise<Object>} 생성된 컴포넌트 인스턴스
+   */
+  async createAsync(name, config = {}, ...args) {
+    await this.load(name);
+    return this.create(name, config, ...args);
+  }
+
+  /**
+   * 지연 로더 실행 (의존성 포함)
+   * @param {string} name - 컴포넌트 이름
+   * @returns {Promise<Function>} 컴포넌트 생성자
+   */
+  async load(name) {
+    const componentInfo = this.components.get(name);
+
+    if (!componentInfo) {
+      throw new Error(`Component '${name}' not registered`);
+    }
+
+    for (const dep of componentInfo.dependencies) {
+      const depName = typeof dep === 'string' ? dep : dep.name;
+      if (this.has(depName)) {
+        await this.load(depName);
+      }
+    }
+
+    if (!componentInfo.lazy) {
+      return componentInfo.constructor;
+    }
+
+    if (!componentInfo.resolvedConstructor) {
+      const Constructor = await componentInfo.constructor();
+
+      if (typeof Constructor !== 'function') {
+        throw new Error(`Lazy loader for component '${name}' did not return a constructor`);
+      }
+
+      componentInfo.resolvedConstructor = Constructor;
+    }
+
+    return componentInfo.resolvedConstructor;
+  }
+
+  /**
+   * 등록된 컴포넌트 정보 조회
+   * @param {string} name - 컴포넌트 이름
+   * @returns {Object|null} 컴포넌트 정보
+   */
+  getInfo(name) {
+    return this.components.get(name) || null;
+  }
+
   /**
    * 컴포넌트 존재 여부 확인
    * @param {string} name - 컴포넌트 이름
@@ -260,6 +327,35 @@ export class ComponentFactory {
     };
   }
 
+  /**
+   * 컴포넌트 인스턴스 여부 확인 (설정 병합/생성 시 명세와 구분)
+   * type이 없고 메서드를 가진 객체(또는 클래스 인스턴스)를 인스턴스로 간주
+   * @param {Object} spec - 컴포넌트 명세 또는 인스턴스
+   * @returns {boolean}
+   */
+  static isComponentInstance(spec) {
+    if (!spec || typeof spec !== 'object' || spec.type !== undefined) {
+      return false;
+    }
+
+    return !ComponentFactory.isPlainObject(spec) ||
+      Object.values(spec).some(value => typeof value === 'function');
+  }
+
+  /**
+   * 일반 객체 여부 확인
+   * @param {any} value - 확인할 값
+   * @returns {boolean}
+   */
+  static isPlainObject(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return false;
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+  }
+
   /**
    * 기본 컴포넌트들 등록
    * @private
@@ -279,6 +375,12 @@ export class ComponentFactory {
         category: 'calculator',
         description: '표준 Diff 계산기'
       },
+      {
+        name: 'ThreeWayDiffCalculator',
+        path: '../calculators/ThreeWayDiffCalculator.js',
+        category: 'calculator',
+        description: '3-way 병합 Diff 계산기'
+      },
       {
         name: 'BpmnDiffApplicator',
         path: '../applicators/BpmnDiffApplicator.js',
@@ -290,15 +392,50 @@ export class ComponentFactory {
         path: '../adapters/YjsAdapter.js',
         category: 'adapter',
         description: 'Y.js 동기화 어댑터'
+      },
+      {
+        name: 'WebSocketAdapter',
+        path: '../adapters/WebSocketAdapter.js',
+        category: 'adapter',
+        description: 'JSON 협업 프로토콜 WebSocket 어댑터'
+      },
+      {
+        name: 'BroadcastChannelAdapter',
+        path: '../adapters/BroadcastChannelAdapter.js',
+        category: 'adapter',
+        description: '탭 간/프로세스 내 동기화 어댑터'
+      },
+      {
+        name: 'PerformanceMonitor',
+        path: '../plugins/PerformanceMonitor.js',
+        category: 'plugin',
+        description: '동기화 성능 모니터'
+      },
+      {
+        name: 'StateVerifier',
+        path: '../plugins/StateVerifier.js',
+        category: 'plugin',
+        description: '클라이언트 간 상태 해시 검증 및 복구'
+      },
+      {
+        name: 'ElementLockService',
+        path: '../plugins/ElementLockService.js',
+        category: 'plugin',
+        description: '요소 단위 배타 편집 잠금'
+      },
+      {
+        name: 'SelectiveUndoService',
+        path: '../plugins/SelectiveUndoService.js',
+        category: 'plugin',
+        description: '로컬 사용자 변경만 되돌리는 협업 실행 취소'
       }
     ];
 
-    // 동적 import는 실제 사용 시점에서 처리
+    // 동적 import는 실제 사용 시점(createAsync)에서 처리
     defaultComponents.forEach(comp => {
-      this.register(comp.name, async (config) => {
+      this.register(comp.name, async () => {
         const module = await import(comp.path);
-        const Constructor = module[comp.name];
-        return new Constructor(config);
+        return module[comp.name];
       }, {
         category: comp.category,
         description: comp.description,
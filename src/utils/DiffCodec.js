@@ -0,0 +1,288 @@
+/**
+ * Diff 바이너리 코덱
+ * DocumentDiff를 압축된 바이너리로 인코딩/디코딩
+ *
+ * 형식: [MAGIC][VERSION][값]
+ * - 문자열(요소 ID, 타입, 키 등)은 처음 등장할 때만 본문을 쓰고 이후에는 인덱스로 참조
+ * - 정수는 varint, 정수가 아닌 숫자는 float64
+ * - 정수 좌표로만 된 waypoints는 첫 점 이후 델타로 기록
+ */
+
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+
+const MAGIC = 0xbd;
+const FORMAT_VERSION = 1;
+
+// 값 태그
+const TAG = {
+  UNDEFINED: 0,
+  NULL: 1,
+  FALSE: 2,
+  TRUE: 3,
+  INTEGER: 4,
+  FLOAT: 5,
+  STRING: 6,
+  ARRAY: 7,
+  OBJECT: 8,
+  POINTS: 9
+};
+
+export class DiffCodec {
+  /**
+   * Diff를 바이너리로 인코딩
+   * @param {DocumentDiff} diff - 인코딩할 Diff
+   * @returns {Uint8Array}
+   */
+  encode(diff) {
+    const encoder = encoding.createEncoder();
+    const strings = new Map();
+
+    encoding.writeUint8(encoder, MAGIC);
+    encoding.writeUint8(encoder, FORMAT_VERSION);
+    this._writeValue(encoder, diff, strings);
+
+    return encoding.toUint8Array(encoder);
+  }
+
+  /**
+   * 바이너리를 Diff로 디코딩
+   * @param {Uint8Array} bytes - 인코딩된 데이터
+   * @returns {DocumentDiff}
+   */
+  decode(bytes) {
+    const decoder = decoding.createDecoder(bytes);
+
+    if (decoding.readUint8(decoder) !== MAGIC) {
+      throw new Error('Invalid diff encoding: bad magic byte');
+    }
+
+    const version = decoding.readUint8(decoder);
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported diff encoding version: ${version}`);
+    }
+
+    return this._readValue(decoder, []);
+  }
+
+  /**
+   * deflate 압축 지원 여부
+   * @returns {boolean}
+   */
+  static isDeflateSupported() {
+    return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+  }
+
+  /**
+   * deflate 압축
+   * @param {Uint8Array} bytes - 원본 데이터
+   * @returns {Promise<Uint8Array>}
+   */
+  static deflate(bytes) {
+    return DiffCodec._pipe(bytes, new CompressionStream('deflate'));
+  }
+
+  /**
+   * deflate 압축 해제
+   * @param {Uint8Array} bytes - 압축된 데이터
+   * @returns {Promise<Uint8Array>}
+   */
+  static inflate(bytes) {
+    return DiffCodec._pipe(bytes, new DecompressionStream('deflate'));
+  }
+
+  /**
+   * 스트림 변환 실행
+   * @private
+   * @param {Uint8Array} bytes - 입력 데이터
+   * @param {TransformStream} transform - 변환 스트림
+   * @returns {Promise<Uint8Array>}
+   */
+  static async _pipe(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * 값 기록
+   * @private
+   * @param {Object} encoder - lib0 인코더
+   * @param {any} value - 기록할 값
+   * @param {Map<string, number>} strings - 문자열 인터닝 테이블
+   */
+  _writeValue(encoder, value, strings) {
+    if (value === undefined) {
+      encoding.writeUint8(encoder, TAG.UNDEFINED);
+    } else if (value === null) {
+      encoding.writeUint8(encoder, TAG.NULL);
+    } else if (typeof value === 'boolean') {
+      encoding.writeUint8(encoder, value ? TAG.TRUE : TAG.FALSE);
+    } else if (typeof value === 'number') {
+      if (Number.isSafeInteger(value)) {
+        encoding.writeUint8(encoder, TAG.INTEGER);
+        encoding.writeVarInt(encoder, value);
+      } else {
+        encoding.writeUint8(encoder, TAG.FLOAT);
+        encoding.writeFloat64(encoder, value);
+      }
+    } else if (typeof value === 'string') {
+      encoding.writeUint8(encoder, TAG.STRING);
+      this._writeString(encoder, value, strings);
+    } else if (Array.isArray(value)) {
+      if (this._isIntegerPoints(value)) {
+        encoding.writeUint8(encoder, TAG.POINTS);
+        this._writePoints(encoder, value);
+      } else {
+        encoding.writeUint8(encoder, TAG.ARRAY);
+        encoding.writeVarUint(encoder, value.length);
+        value.forEach(item => this._writeValue(encoder, item, strings));
+      }
+    } else if (typeof value === 'object') {
+      const entries = Object.entries(value).filter(([, entryValue]) => typeof entryValue !== 'function');
+      encoding.writeUint8(encoder, TAG.OBJECT);
+      encoding.writeVarUint(encoder, entries.length);
+      entries.forEach(([key, entryValue]) => {
+        this._writeString(encoder, key, strings);
+        this._writeValue(encoder, entryValue, strings);
+      });
+    } else {
+      throw new Error(`Cannot encode value of type ${typeof value}`);
+    }
+  }
+
+  /**
+   * 값 읽기
+   * @private
+   * @param {Object} decoder - lib0 디코더
+   * @param {string[]} strings - 문자열 인터닝 테이블
+   * @returns {any}
+   */
+  _readValue(decoder, strings) {
+    const tag = decoding.readUint8(decoder);
+
+    switch (tag) {
+      case TAG.UNDEFINED:
+        return undefined;
+      case TAG.NULL:
+        return null;
+      case TAG.FALSE:
+        return false;
+      case TAG.TRUE:
+        return true;
+      case TAG.INTEGER:
+        return decoding.readVarInt(decoder);
+      case TAG.FLOAT:
+        return decoding.readFloat64(decoder);
+      case TAG.STRING:
+        return this._readString(decoder, strings);
+      case TAG.POINTS:
+        return this._readPoints(decoder);
+      case TAG.ARRAY: {
+        const length = decoding.readVarUint(decoder);
+        const array = [];
+        for (let i = 0; i < length; i++) {
+          array.push(this._readValue(decoder, strings));
+        }
+        return array;
+      }
+      case TAG.OBJECT: {
+        const size = decoding.readVarUint(decoder);
+        const object = {};
+        for (let i = 0; i < size; i++) {
+          const key = this._readString(decoder, strings);
+          object[key] = this._readValue(decoder, strings);
+        }
+        return object;
+      }
+      default:
+        throw new Error(`Invalid diff encoding: unknown tag ${tag}`);
+    }
+  }
+
+  /**
+   * 인터닝된 문자열 기록 (0: 새 문자열, n: n-1번째 문자열 참조)
+   * @private
+   */
+  _writeString(encoder, value, strings) {
+    const index = strings.get(value);
+
+    if (index !== undefined) {
+      encoding.writeVarUint(encoder, index + 1);
+      return;
+    }
+
+    strings.set(value, strings.size);
+    encoding.writeVarUint(encoder, 0);
+    encoding.writeVarString(encoder, value);
+  }
+
+  /**
+   * 인터닝된 문자열 읽기
+   * @private
+   */
+  _readString(decoder, strings) {
+    const reference = decoding.readVarUint(decoder);
+
+    if (reference > 0) {
+      if (reference > strings.length) {
+        throw new Error('Invalid diff encoding: unknown string reference');
+      }
+      return strings[reference - 1];
+    }
+
+    const value = decoding.readVarString(decoder);
+    strings.push(value);
+    return value;
+  }
+
+  /**
+   * { x, y } 정수 좌표만으로 구성된 배열인지 확인
+   * @private
+   * @param {Array} array - 확인할 배열
+   * @returns {boolean}
+   */
+  _isIntegerPoints(array) {
+    return array.length > 0 && array.every(point =>
+      point !== null &&
+      typeof point === 'object' &&
+      !Array.isArray(point) &&
+      Object.keys(point).length === 2 &&
+      Number.isSafeInteger(point.x) &&
+      Number.isSafeInteger(point.y)
+    );
+  }
+
+  /**
+   * 좌표 목록을 델타로 기록
+   * @private
+   */
+  _writePoints(encoder, points) {
+    encoding.writeVarUint(encoder, points.length);
+
+    let previous = { x: 0, y: 0 };
+    for (const point of points) {
+      encoding.writeVarInt(encoder, point.x - previous.x);
+      encoding.writeVarInt(encoder, point.y - previous.y);
+      previous = point;
+    }
+  }
+
+  /**
+   * 델타로 기록된 좌표 목록 읽기
+   * @private
+   */
+  _readPoints(decoder) {
+    const length = decoding.readVarUint(decoder);
+    const points = [];
+
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < length; i++) {
+      x += decoding.readVarInt(decoder);
+      y += decoding.readVarInt(decoder);
+      points.push({ x, y });
+    }
+
+    return points;
+  }
+}
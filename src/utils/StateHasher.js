@@ -0,0 +1,164 @@
+/**
+ * 문서 상태 해셔
+ * DocumentState를 정규화(키 정렬, 숫자 반올림)한 뒤 요소/버킷/루트 해시를 계산
+ *
+ * 요소 ID로 버킷을 나누어 루트 해시가 다를 때 버킷 해시만 비교해도
+ * 어느 요소 묶음이 다른지 좁힐 수 있으며, 이후 해당 버킷의 요소 해시만 교환
+ */
+
+export class StateHasher {
+  constructor(options = {}) {
+    this.options = {
+      bucketCount: 32,
+      precision: 0,          // 숫자 반올림 자릿수 (좌표 미세 오차 무시)
+      ignoreProperties: [],  // 해시에서 제외할 요소 속성
+      ...options
+    };
+  }
+
+  /**
+   * 상태 해시 계산
+   * @param {DocumentState|null} state - 문서 상태
+   * @returns {StateHash} { root, buckets, elementCount }
+   */
+  hashState(state) {
+    const elements = state?.elements || {};
+    const buckets = new Array(this.options.bucketCount).fill('');
+    const ids = Object.keys(elements).sort();
+
+    for (const id of ids) {
+      const bucket = this.getBucket(id);
+      buckets[bucket] = this._hash(buckets[bucket] + id + ':' + this.hashElement(elements[id]));
+    }
+
+    return {
+      root: this._hash(buckets.join('|')),
+      buckets,
+      elementCount: ids.length
+    };
+  }
+
+  /**
+   * 요소 해시 계산
+   * @param {Object} element - 요소 데이터
+   * @returns {string}
+   */
+  hashElement(element) {
+    return this._hash(this._canonicalize(element));
+  }
+
+  /**
+   * 요소 ID의 버킷 번호
+   * @param {string} elementId - 요소 ID
+   * @returns {number}
+   */
+  getBucket(elementId) {
+    return parseInt(this._hash(elementId).slice(-6), 16) % this.options.bucketCount;
+  }
+
+  /**
+   * 지정한 버킷에 속한 요소의 해시 목록
+   * @param {DocumentState|null} state - 문서 상태
+   * @param {number[]} buckets - 버킷 번호 목록
+   * @returns {Object<string, string>} 요소 ID별 해시
+   */
+  hashElementsInBuckets(state, buckets) {
+    const selected = new Set(buckets);
+    const hashes = {};
+
+    for (const [id, element] of Object.entries(state?.elements || {})) {
+      if (selected.has(this.getBucket(id))) {
+        hashes[id] = this.hashElement(element);
+      }
+    }
+
+    return hashes;
+  }
+
+  /**
+   * 버킷 해시 비교
+   * @param {StateHash} local - 로컬 해시
+   * @param {StateHash} remote - 원격 해시
+   * @returns {number[]} 다른 버킷 번호 목록
+   */
+  diffBuckets(local, remote) {
+    if (local.root === remote.root) {
+      return [];
+    }
+
+    if (local.buckets.length !== remote.buckets.length) {
+      throw new Error(`Bucket count mismatch: ${local.buckets.length} !== ${remote.buckets.length}`);
+    }
+
+    return local.buckets
+      .map((hash, index) => (hash === remote.buckets[index] ? -1 : index))
+      .filter(index => index >= 0);
+  }
+
+  /**
+   * 요소 해시 비교
+   * @param {Object<string, string>} local - 로컬 요소 해시
+   * @param {Object<string, string>} remote - 원격 요소 해시
+   * @returns {string[]} 한쪽에만 있거나 내용이 다른 요소 ID 목록
+   */
+  diffElements(local, remote) {
+    const ids = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    return Array.from(ids).filter(id => local[id] !== remote[id]).sort();
+  }
+
+  /**
+   * 정규화된 문자열 생성 (키 정렬, 숫자 반올림, undefined/함수 제외)
+   * @private
+   * @param {any} value - 값
+   * @param {boolean} [isRoot] - 요소 최상위 여부 (ignoreProperties 적용)
+   * @returns {string}
+   */
+  _canonicalize(value, isRoot = true) {
+    if (value === null || value === undefined) {
+      return 'null';
+    }
+
+    if (typeof value === 'number') {
+      const factor = Math.pow(10, this.options.precision);
+      return String(Math.round(value * factor) / factor);
+    }
+
+    if (Array.isArray(value)) {
+      return '[' + value.map(item => this._canonicalize(item, false)).join(',') + ']';
+    }
+
+    if (typeof value === 'object') {
+      const keys = Object.keys(value)
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+        .filter(key => !isRoot || !this.options.ignoreProperties.includes(key))
+        .sort();
+
+      return '{' + keys.map(key => JSON.stringify(key) + ':' + this._canonicalize(value[key], false)).join(',') + '}';
+    }
+
+    return JSON.stringify(value);
+  }
+
+  /**
+   * 53비트 문자열 해시 (cyrb53)
+   * 브라우저/Node 공통으로 동기 계산 가능한 비암호화 해시
+   * @private
+   * @param {string} input - 입력 문자열
+   * @returns {string} 14자리 16진수
+   */
+  _hash(input) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < input.length; i++) {
+      const code = input.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+  }
+}
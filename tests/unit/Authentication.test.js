@@ -0,0 +1,139 @@
+/**
+ * 토큰 인증 단위 테스트
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { WebSocketServer } from 'ws';
+import WebSocket from 'ws';
+import { BaseAuthenticator } from '../../server/auth/BaseAuthenticator.js';
+import { JwtAuthenticator } from '../../server/auth/JwtAuthenticator.js';
+import { WebSocketAdapter } from '../../src/adapters/WebSocketAdapter.js';
+
+const SECRET = 'test-secret';
+
+describe('JwtAuthenticator', () => {
+  it('발급한 토큰을 검증하여 사용자 정보를 반환해야 한다', async () => {
+    const authenticator = new JwtAuthenticator({ secret: SECRET });
+    const token = authenticator.sign({ sub: 'user-1', name: 'Alice', roles: ['editor'] });
+
+    const identity = await authenticator.authenticate(token);
+
+    assert.strictEqual(identity.id, 'user-1');
+    assert.strictEqual(identity.name, 'Alice');
+    assert.deepStrictEqual(identity.roles, ['editor']);
+    assert.ok(identity.claims.exp > identity.claims.iat);
+  });
+
+  it('변조되었거나 다른 키로 서명된 토큰은 거부해야 한다', async () => {
+    const authenticator = new JwtAuthenticator({ secret: SECRET });
+    const token = authenticator.sign({ sub: 'user-1' });
+    const [header, , signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url');
+    const foreign = new JwtAuthenticator({ secret: 'other' }).sign({ sub: 'user-1' });
+
+    await assert.rejects(authenticator.authenticate(`${header}.${forgedPayload}.${signature}`), {
+      code: 'AUTH_FAILED',
+      message: 'Invalid token signature'
+    });
+    await assert.rejects(authenticator.authenticate(foreign), { code: 'AUTH_FAILED' });
+    await assert.rejects(authenticator.authenticate('not-a-token'), { code: 'AUTH_FAILED' });
+  });
+
+  it('alg가 다른 토큰(none 포함)은 거부해야 한다', async () => {
+    const authenticator = new JwtAuthenticator({ secret: SECRET });
+    const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url');
+
+    await assert.rejects(authenticator.authenticate(`${header}.${payload}.`), {
+      message: 'Unexpected token algorithm'
+    });
+  });
+
+  it('만료 시간과 발급자/대상을 검사해야 한다', async () => {
+    const authenticator = new JwtAuthenticator({ secret: SECRET, clockTolerance: 0 });
+    const expired = authenticator.sign({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) - 10 });
+
+    await assert.rejects(authenticator.authenticate(expired), { message: 'Token expired' });
+
+    const strict = new JwtAuthenticator({ secret: SECRET, issuer: 'bpmn', audience: 'collab' });
+    await assert.rejects(strict.authenticate(authenticator.sign({ sub: 'user-1' })), {
+      message: 'Unexpected token issuer'
+    });
+    assert.strictEqual((await strict.authenticate(strict.sign({ sub: 'user-1' }))).id, 'user-1');
+  });
+
+  it('비밀키가 없으면 생성할 수 없어야 한다', () => {
+    assert.throws(() => new JwtAuthenticator(), /requires a secret/);
+  });
+});
+
+describe('BaseAuthenticator', () => {
+  it('Bearer 헤더를 우선하고 없으면 쿼리 파라미터에서 토큰을 추출해야 한다', () => {
+    const authenticator = new BaseAuthenticator();
+
+    assert.strictEqual(authenticator.extractToken({
+      headers: { authorization: 'Bearer header-token' },
+      url: '/collaboration/doc?token=query-token'
+    }), 'header-token');
+    assert.strictEqual(authenticator.extractToken({ headers: {}, url: '/?token=query-token' }), 'query-token');
+    assert.strictEqual(authenticator.extractToken({ headers: {}, url: '/' }), null);
+  });
+
+  it('토큰이 없는 요청은 AUTH_FAILED로 거부해야 한다', async () => {
+    await assert.rejects(new BaseAuthenticator().authenticateRequest({ headers: {}, url: '/' }), {
+      code: 'AUTH_FAILED'
+    });
+  });
+});
+
+describe('WebSocketAdapter 토큰 전달', () => {
+  let wss;
+  let adapter;
+
+  afterEach(async () => {
+    await adapter?.destroy();
+    await new Promise(resolve => wss.close(resolve));
+  });
+
+  const startServer = async (authenticator) => {
+    const identities = [];
+    wss = new WebSocketServer({
+      port: 0,
+      verifyClient: (info, callback) => {
+        authenticator.authenticateRequest(info.req)
+          .then((identity) => {
+            identities.push(identity);
+            callback(true);
+          })
+          .catch(() => callback(false, 401, 'Unauthorized'));
+      }
+    });
+    await new Promise(resolve => wss.once('listening', resolve));
+    return { identities, url: `ws://127.0.0.1:${wss.address().port}/collaboration` };
+  };
+
+  it('토큰 함수의 결과를 업그레이드 요청에 포함해야 한다', async () => {
+    const authenticator = new JwtAuthenticator({ secret: SECRET });
+    const { identities, url } = await startServer(authenticator);
+
+    adapter = new WebSocketAdapter({
+      options: { url, WebSocket, token: async () => authenticator.sign({ sub: 'user-7' }), autoReconnect: false }
+    });
+    await adapter.initialize({ clientId: 'client-1' });
+
+    assert.strictEqual(identities[0].id, 'user-7');
+  });
+
+  it('토큰이 없으면 연결이 거부되어야 한다', async () => {
+    const { url } = await startServer(new JwtAuthenticator({ secret: SECRET }));
+
+    adapter = new WebSocketAdapter({
+      options: { url, WebSocket, autoReconnect: false },
+      maxRetries: 1
+    });
+
+    await assert.rejects(adapter.initialize({ clientId: 'client-2' }), /connection failed/);
+    adapter = null;
+  });
+});
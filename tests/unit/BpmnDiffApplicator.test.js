@@ -0,0 +1,288 @@
+/**
+ * BpmnDiffApplicator 충돌 해결 단위 테스트
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BpmnDiffApplicator, CONFLICT_STRATEGIES } from '../../src/applicators/BpmnDiffApplicator.js';
+import { EventBus } from '../../src/utils/EventBus.js';
+
+const createModeler = (initialElements = []) => {
+  const root = { id: 'Process_1' };
+  const registry = new Map(initialElements.map(element => [element.id, element]));
+  const calls = [];
+
+  const modeling = {
+    _moddle: { create: (type, attrs) => ({ $type: type, ...attrs }) },
+    createShape: (shape, position, parent) => {
+      const created = { ...shape, ...position, parent };
+      registry.set(shape.businessObject.id, { ...created, id: shape.businessObject.id });
+      calls.push(['createShape', shape.businessObject.id, parent.id]);
+      return registry.get(shape.businessObject.id);
+    },
+    moveElements: (elements, delta, parent) => {
+      calls.push(['moveElements', elements[0].id, delta, parent?.id]);
+    },
+    updateProperties: (element, props) => {
+      calls.push(['updateProperties', element.id, props]);
+    }
+  };
+
+  const services = {
+    modeling,
+    elementRegistry: {
+      get: (id) => registry.get(id),
+      getAll: () => Array.from(registry.values())
+    },
+    elementFactory: { createShape: (attrs) => attrs },
+    canvas: { getRootElement: () => root },
+    commandStack: { canUndo: () => false, undo: () => {} }
+  };
+
+  return { modeler: { get: (name) => services[name] }, registry, calls };
+};
+
+const task = (id, overrides = {}) => ({
+  id,
+  type: 'bpmn:Task',
+  x: 100,
+  y: 100,
+  width: 100,
+  height: 80,
+  parent: 'Process_1',
+  businessObject: { id, name: id },
+  ...overrides
+});
+
+const remoteDiff = (modified, overrides = {}) => ({
+  id: 'diff-remote',
+  timestamp: 2000,
+  clientId: 'remote',
+  added: [],
+  modified,
+  removed: [],
+  ...overrides
+});
+
+const moveModification = (element) => ({
+  id: element.id,
+  element,
+  changes: [{ type: 'position', old: { x: 100, y: 100 }, new: { x: element.x, y: element.y } }]
+});
+
+describe('BpmnDiffApplicator 충돌 해결', () => {
+  it('알 수 없는 전략은 생성 시 거부해야 한다', () => {
+    assert.throws(
+      () => new BpmnDiffApplicator({ options: { conflictStrategy: 'coin-flip' } }),
+      /Unknown conflict strategy: coin-flip/
+    );
+  });
+
+  it('last-writer-wins: 원격이 나중이면 삭제된 요소를 다시 생성해야 한다', async () => {
+    const { modeler, registry } = createModeler();
+    const eventBus = new EventBus();
+    const events = [];
+    eventBus.on('conflict:detected', (conflict) => events.push(['detected', conflict.type]));
+    eventBus.on('conflict:resolved', (record) => events.push(['resolved', record.resolution]));
+
+    const applicator = new BpmnDiffApplicator();
+    const result = await applicator.apply(
+      remoteDiff([moveModification(task('Task_1', { x: 300 }))]),
+      { modeler, clientId: 'local', eventBus, localTimestamp: 1000 }
+    );
+
+    assert.strictEqual(result.success, true);
+    assert.ok(registry.has('Task_1'));
+    assert.strictEqual(result.appliedChanges.added, 1);
+    assert.strictEqual(result.metadata.conflictsResolved, 1);
+    assert.strictEqual(result.conflicts[0].type, 'missing-element');
+    assert.strictEqual(result.conflicts[0].strategy, CONFLICT_STRATEGIES.LAST_WRITER_WINS);
+    assert.deepStrictEqual(events, [['detected', 'missing-element'], ['resolved', 'remote']]);
+  });
+
+  it('last-writer-wins: 로컬이 나중이면 원격 수정을 건너뛰어야 한다', async () => {
+    const { modeler, registry } = createModeler();
+    const applicator = new BpmnDiffApplicator();
+
+    const result = await applicator.apply(
+      remoteDiff([moveModification(task('Task_1', { x: 300 }))]),
+      { modeler, clientId: 'local', localTimestamp: 3000 }
+    );
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(registry.has('Task_1'), false);
+    assert.strictEqual(result.conflicts[0].resolution, 'local');
+    assert.deepStrictEqual(result.skippedChanges.reasons, ['conflict_local_wins']);
+  });
+
+  it('last-writer-wins: 요소별 마지막 로컬 변경 시각과 비교해야 한다', async () => {
+    const { modeler, registry } = createModeler();
+    const applicator = new BpmnDiffApplicator();
+
+    const result = await applicator.apply(
+      remoteDiff([
+        moveModification(task('Task_1', { x: 300 })),
+        moveModification(task('Task_2', { x: 300 }))
+      ]),
+      { modeler, clientId: 'local', localTimestamps: new Map([['Task_1', 3000], ['Task_2', 1000]]) }
+    );
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.conflicts.map(conflict => [conflict.elementId, conflict.localTimestamp, conflict.resolution]), [
+      ['Task_1', 3000, 'local'],
+      ['Task_2', 1000, 'remote']
+    ]);
+    assert.strictEqual(registry.has('Task_1'), false);
+    assert.ok(registry.has('Task_2'));
+  });
+
+  it('role-priority: 역할 우선순위가 높은 쪽이 이겨야 한다', async () => {
+    const { modeler, registry } = createModeler();
+    const applicator = new BpmnDiffApplicator({
+      options: { conflictStrategy: CONFLICT_STRATEGIES.ROLE_PRIORITY }
+    });
+
+    // 원격이 더 나중이지만 로컬 admin이 우선
+    const result = await applicator.apply(
+      remoteDiff([moveModification(task('Task_1', { x: 300 }))], { userRole: 'editor' }),
+      { modeler, clientId: 'local', userRole: 'admin', localTimestamp: 1000 }
+    );
+
+    assert.strictEqual(result.conflicts[0].resolution, 'local');
+    assert.strictEqual(result.conflicts[0].remoteRole, 'editor');
+    assert.strictEqual(registry.has('Task_1'), false);
+  });
+
+  it('role-priority: Diff에 역할이 없으면 getUserRole로 조회해야 한다', async () => {
+    const { modeler } = createModeler();
+    const applicator = new BpmnDiffApplicator({
+      options: {
+        conflictStrategy: CONFLICT_STRATEGIES.ROLE_PRIORITY,
+        getUserRole: (clientId) => (clientId === 'remote' ? 'admin' : 'viewer')
+      }
+    });
+
+    const result = await applicator.apply(
+      remoteDiff([moveModification(task('Task_1', { x: 300 }))]),
+      { modeler, clientId: 'local', userRole: 'editor', localTimestamp: 5000 }
+    );
+
+    assert.strictEqual(result.conflicts[0].remoteRole, 'admin');
+    assert.strictEqual(result.conflicts[0].resolution, 'remote');
+  });
+
+  it('keep-both: 부모가 삭제된 경우 원격 상태를 복제 요소로 추가해야 한다', async () => {
+    const { modeler, registry, calls } = createModeler([task('Task_1')]);
+    const applicator = new BpmnDiffApplicator({
+      options: { conflictStrategy: CONFLICT_STRATEGIES.KEEP_BOTH }
+    });
+
+    const modification = {
+      id: 'Task_1',
+      element: task('Task_1', { parent: 'SubProcess_1' }),
+      changes: [{ type: 'parent', old: 'Process_1', new: 'SubProcess_1' }]
+    };
+
+    const result = await applicator.apply(remoteDiff([modification]), { modeler, clientId: 'local' });
+    const [record] = result.conflicts;
+
+    assert.strictEqual(record.type, 'missing-parent');
+    assert.strictEqual(record.parentId, 'SubProcess_1');
+    assert.match(record.cloneId, /^Task_1_copy_/);
+    assert.ok(registry.has(record.cloneId));
+    assert.ok(registry.has('Task_1'));
+    assert.deepStrictEqual(calls[0], ['createShape', record.cloneId, 'Process_1']);
+  });
+
+  it('callback: 사용자 콜백의 결정을 따라야 한다', async () => {
+    const { modeler, calls } = createModeler([task('Task_1')]);
+    const received = [];
+    const applicator = new BpmnDiffApplicator({
+      options: {
+        conflictStrategy: CONFLICT_STRATEGIES.CALLBACK,
+        onConflict: async (conflict) => {
+          received.push(conflict);
+          return 'remote';
+        }
+      }
+    });
+
+    const modification = {
+      id: 'Task_1',
+      element: task('Task_1', { parent: 'SubProcess_1', businessObject: { id: 'Task_1', name: 'Renamed' } }),
+      changes: [
+        { type: 'parent', old: 'Process_1', new: 'SubProcess_1' },
+        { type: 'businessObject', changedProperties: [{ property: 'name', newValue: 'Renamed' }] }
+      ]
+    };
+
+    const result = await applicator.apply(remoteDiff([modification]), { modeler, clientId: 'local' });
+
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(received[0].elementId, 'Task_1');
+    assert.strictEqual(result.conflicts[0].resolution, 'remote');
+    // 없는 부모로의 이동은 제외하고 나머지 변경만 적용
+    assert.deepStrictEqual(calls, [['updateProperties', 'Task_1', { name: 'Renamed' }]]);
+    assert.strictEqual(result.appliedChanges.modified, 1);
+  });
+
+  it('callback: 잘못된 결정은 적용 오류로 기록해야 한다', async () => {
+    const { modeler } = createModeler();
+    const applicator = new BpmnDiffApplicator({
+      options: {
+        conflictStrategy: CONFLICT_STRATEGIES.CALLBACK,
+        rollbackOnError: false,
+        onConflict: () => 'both-please'
+      }
+    });
+
+    const result = await applicator.apply(
+      remoteDiff([moveModification(task('Task_1', { x: 300 }))]),
+      { modeler, clientId: 'local' }
+    );
+
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0].message, /Invalid conflict resolution: both-please/);
+  });
+});
+
+describe('BpmnDiffApplicator 요소 잠금', () => {
+  const lockedBy = (owner) => ({
+    getLock: (elementId) => (elementId === 'Task_1' ? { elementId, clientId: owner } : null),
+    isLockedAgainst: (elementId, clientId) => elementId === 'Task_1' && clientId !== owner
+  });
+
+  it('다른 클라이언트가 잠근 요소의 원격 수정/삭제는 건너뛰어야 한다', async () => {
+    const { modeler, calls } = createModeler([task('Task_1'), task('Task_2')]);
+    const applicator = new BpmnDiffApplicator();
+    const eventBus = new EventBus();
+    const rejected = [];
+    eventBus.on('lock:rejected', event => rejected.push(event));
+
+    const result = await applicator.apply(
+      remoteDiff([moveModification(task('Task_1', { x: 300 })), moveModification(task('Task_2', { x: 300 }))]),
+      { modeler, eventBus, clientId: 'local', elementLocks: lockedBy('local') }
+    );
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(calls.map(call => call[1]), ['Task_2']);
+    assert.deepStrictEqual(result.skippedChanges.reasons, ['element_locked']);
+    assert.deepStrictEqual(
+      rejected.map(({ elementId, operation, clientId }) => [elementId, operation, clientId]),
+      [['Task_1', 'modify', 'remote']]
+    );
+  });
+
+  it('잠금 보유자가 보낸 변경은 적용해야 한다', async () => {
+    const { modeler, calls } = createModeler([task('Task_1')]);
+    const applicator = new BpmnDiffApplicator();
+
+    const result = await applicator.apply(
+      remoteDiff([moveModification(task('Task_1', { x: 300 }))]),
+      { modeler, clientId: 'local', elementLocks: lockedBy('remote') }
+    );
+
+    assert.strictEqual(result.skippedChanges.count, 0);
+    assert.strictEqual(calls[0][1], 'Task_1');
+  });
+});
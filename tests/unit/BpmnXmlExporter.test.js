@@ -0,0 +1,201 @@
+/**
+ * BpmnXmlExporter 단위 테스트
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import BpmnModdle from 'bpmn-moddle';
+import { BpmnXmlExporter } from '../../server/services/BpmnXmlExporter.js';
+import { DocumentManager } from '../../server/services/DocumentManager.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const logger = new Logger({ level: 'error' });
+
+const parse = async (xml) => {
+  const { rootElement, warnings } = await new BpmnModdle().fromXML(xml);
+  assert.deepStrictEqual(warnings, []);
+  return rootElement;
+};
+
+const findDi = (definitions, id) =>
+  definitions.diagrams[0].plane.planeElement.find(di => di.bpmnElement?.id === id);
+
+// YjsSyncService가 기록하는 형태의 맵 데이터
+const simpleContent = {
+  elements: {
+    StartEvent_1: {
+      type: 'bpmn:StartEvent', x: 100, y: 100, width: 36, height: 36,
+      businessObject: { id: 'StartEvent_1', name: 'Start', $type: 'bpmn:StartEvent' }
+    },
+    Task_1: {
+      type: 'bpmn:Task', x: 200, y: 78, width: 100, height: 80,
+      businessObject: { id: 'Task_1', name: 'Review', $type: 'bpmn:Task' }
+    },
+    diff_1700000000000: { diff: { added: [] } },
+    _metadata: { lastSync: 1 }
+  },
+  connections: {
+    Flow_1: {
+      type: 'bpmn:SequenceFlow', source: 'StartEvent_1', target: 'Task_1',
+      businessObject: { id: 'Flow_1', $type: 'bpmn:SequenceFlow' },
+      waypoints: [{ x: 136, y: 118 }, { x: 200, y: 118 }]
+    }
+  }
+};
+
+describe('BpmnXmlExporter', () => {
+  it('elements/connections 맵을 DI가 포함된 BPMN XML로 변환해야 한다', async () => {
+    const exporter = new BpmnXmlExporter({ logger });
+    const xml = await exporter.export(simpleContent, { documentId: 'doc-1', name: 'Order' });
+    const definitions = await parse(xml);
+
+    const [process] = definitions.rootElements;
+    assert.strictEqual(process.$type, 'bpmn:Process');
+    assert.strictEqual(process.name, 'Order');
+    assert.deepStrictEqual(process.flowElements.map(e => e.id), ['StartEvent_1', 'Task_1', 'Flow_1']);
+
+    const flow = process.flowElements.find(e => e.id === 'Flow_1');
+    assert.strictEqual(flow.sourceRef.id, 'StartEvent_1');
+    assert.strictEqual(flow.targetRef.id, 'Task_1');
+    assert.strictEqual(process.flowElements[1].incoming[0], flow);
+
+    const taskDi = findDi(definitions, 'Task_1');
+    assert.deepStrictEqual(
+      { x: taskDi.bounds.x, y: taskDi.bounds.y, width: taskDi.bounds.width, height: taskDi.bounds.height },
+      { x: 200, y: 78, width: 100, height: 80 }
+    );
+    assert.deepStrictEqual(findDi(definitions, 'Flow_1').waypoint.map(p => [p.x, p.y]), [[136, 118], [200, 118]]);
+  });
+
+  it('크기와 경로가 없으면 기본 크기와 중심 연결을 사용해야 한다', async () => {
+    const exporter = new BpmnXmlExporter({ logger });
+    const xml = await exporter.export({
+      elements: {
+        Gateway_1: { id: 'Gateway_1', type: 'bpmn:ExclusiveGateway', x: 0, y: 0 },
+        End_1: { id: 'End_1', type: 'bpmn:EndEvent', x: 100, y: 7 }
+      },
+      connections: {
+        Flow_1: { id: 'Flow_1', type: 'bpmn:SequenceFlow', source: 'Gateway_1', target: 'End_1' }
+      }
+    });
+    const definitions = await parse(xml);
+
+    assert.strictEqual(findDi(definitions, 'Gateway_1').bounds.width, 50);
+    assert.strictEqual(findDi(definitions, 'End_1').bounds.width, 36);
+    assert.deepStrictEqual(findDi(definitions, 'Flow_1').waypoint.map(p => [p.x, p.y]), [[25, 25], [118, 25]]);
+  });
+
+  it('참가자가 있으면 영역에 포함된 요소를 해당 프로세스에 배치해야 한다', async () => {
+    const exporter = new BpmnXmlExporter({ logger });
+    const xml = await exporter.export({
+      elements: {
+        Pool_A: { type: 'bpmn:Participant', x: 0, y: 0, width: 600, height: 250, businessObject: { name: 'A' } },
+        Lane_A: { type: 'bpmn:Lane', x: 30, y: 0, width: 570, height: 125 },
+        Pool_B: { type: 'bpmn:Participant', x: 0, y: 300, width: 600, height: 250 },
+        Task_A: { type: 'bpmn:Task', x: 100, y: 20 },
+        Task_B: { type: 'bpmn:UserTask', x: 100, y: 350 }
+      },
+      connections: {
+        Message_1: { type: 'bpmn:MessageFlow', source: 'Task_A', target: 'Task_B' }
+      }
+    });
+    const definitions = await parse(xml);
+
+    const collaboration = definitions.rootElements.find(e => e.$type === 'bpmn:Collaboration');
+    const [poolA, poolB] = collaboration.participants;
+    assert.deepStrictEqual(poolA.processRef.flowElements.map(e => e.id), ['Task_A']);
+    assert.deepStrictEqual(poolB.processRef.flowElements.map(e => e.id), ['Task_B']);
+    assert.strictEqual(collaboration.messageFlows[0].sourceRef.id, 'Task_A');
+    assert.deepStrictEqual(poolA.processRef.laneSets[0].lanes[0].flowNodeRef.map(e => e.id), ['Task_A']);
+    assert.strictEqual(definitions.diagrams[0].plane.bpmnElement, collaboration);
+  });
+
+  it('parent가 서브프로세스이면 하위 요소로 중첩해야 한다', async () => {
+    const exporter = new BpmnXmlExporter({ logger });
+    const xml = await exporter.export({
+      elements: {
+        Sub_1: { type: 'bpmn:SubProcess', x: 0, y: 0, width: 350, height: 200 },
+        Inner_1: { type: 'bpmn:Task', x: 50, y: 50, parent: 'Sub_1' }
+      }
+    });
+    const definitions = await parse(xml);
+
+    const subProcess = definitions.rootElements[0].flowElements[0];
+    assert.strictEqual(subProcess.id, 'Sub_1');
+    assert.deepStrictEqual(subProcess.flowElements.map(e => e.id), ['Inner_1']);
+    assert.strictEqual(findDi(definitions, 'Sub_1').isExpanded, true);
+  });
+
+  it('알 수 없는 타입과 끊어진 연결은 건너뛰어야 한다', async () => {
+    const exporter = new BpmnXmlExporter({ logger });
+    const xml = await exporter.export({
+      elements: {
+        Task_1: { type: 'bpmn:Task', x: 0, y: 0 },
+        Custom_1: { type: 'bpmn:NotAType', x: 0, y: 0 },
+        Label_1: { type: 'label', x: 0, y: 0 }
+      },
+      connections: {
+        Flow_1: { type: 'bpmn:SequenceFlow', source: 'Task_1', target: 'Missing' }
+      }
+    });
+    const definitions = await parse(xml);
+
+    assert.deepStrictEqual(definitions.rootElements[0].flowElements.map(e => e.id), ['Task_1']);
+  });
+});
+
+describe('DocumentManager BPMN XML 내보내기', () => {
+  let manager;
+
+  afterEach(async () => {
+    await manager.destroy();
+  });
+
+  it('문서 맵으로부터 XML을 생성해야 한다', async () => {
+    manager = new DocumentManager({ logger });
+    await manager.initialize();
+    const created = await manager.createDocument('Exported', simpleContent);
+
+    const definitions = await parse(await manager.exportDocumentXml(created.id));
+
+    assert.strictEqual(definitions.rootElements[0].name, 'Exported');
+    assert.strictEqual(definitions.rootElements[0].flowElements.length, 3);
+  });
+
+  it('BPMN 텍스트가 있어도 맵에 항목이 있으면 맵으로 생성해야 한다', async () => {
+    manager = new DocumentManager({ logger });
+    await manager.initialize();
+    const legacyXml = '<bpmn:definitions id="Legacy"/>';
+    const created = await manager.createDocument('Edited', { bpmn: legacyXml });
+
+    assert.strictEqual(await manager.exportDocumentXml(created.id), legacyXml);
+
+    const yjsDoc = await manager.getYjsDocument(created.id);
+    for (const [id, element] of Object.entries(simpleContent.elements)) {
+      yjsDoc.getMap('elements').set(id, element);
+    }
+
+    const definitions = await parse(await manager.exportDocumentXml(created.id));
+    assert.strictEqual(definitions.rootElements[0].name, 'Edited');
+    assert.ok(definitions.rootElements[0].flowElements.some(element => element.id === 'Task_1'));
+  });
+
+  it('없는 문서나 빈 문서는 null을 반환해야 한다', async () => {
+    manager = new DocumentManager({ logger });
+    await manager.initialize();
+    const created = await manager.createDocument('Empty');
+
+    assert.strictEqual(await manager.exportDocumentXml('missing'), null);
+    assert.strictEqual(await manager.exportDocumentXml(created.id), null);
+  });
+
+  it('BPMN 텍스트가 없는 버전도 XML로 조회되어야 한다', async () => {
+    manager = new DocumentManager({ logger });
+    await manager.initialize();
+    const created = await manager.createDocument('Versioned', simpleContent);
+
+    const definitions = await parse(await manager.getVersionXml(created.id, 1));
+
+    assert.ok(findDi(definitions, 'StartEvent_1'));
+  });
+});
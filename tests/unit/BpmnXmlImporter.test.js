@@ -0,0 +1,184 @@
+/**
+ * BpmnXmlImporter 단위 테스트
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import BpmnModdle from 'bpmn-moddle';
+import { BpmnXmlImporter } from '../../server/services/BpmnXmlImporter.js';
+import { BpmnXmlExporter } from '../../server/services/BpmnXmlExporter.js';
+import { DocumentManager } from '../../server/services/DocumentManager.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const logger = new Logger({ level: 'error' });
+
+const NAMESPACES = 'xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" ' +
+  'xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI" ' +
+  'xmlns:dc="http://www.omg.org/spec/DD/20100524/DC" ' +
+  'xmlns:di="http://www.omg.org/spec/DD/20100524/DI"';
+
+const PROCESS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions ${NAMESPACES} id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+  <bpmn:process id="Order_Process" name="Order" isExecutable="false">
+    <bpmn:startEvent id="Start_1" name="Received">
+      <bpmn:messageEventDefinition id="Message_Def_1" />
+    </bpmn:startEvent>
+    <bpmn:task id="Task_1" name="Check" />
+    <bpmn:boundaryEvent id="Timer_1" attachedToRef="Task_1">
+      <bpmn:timerEventDefinition id="Timer_Def_1" />
+    </bpmn:boundaryEvent>
+    <bpmn:task id="Hidden_Task" />
+    <bpmn:sequenceFlow id="Flow_1" sourceRef="Start_1" targetRef="Task_1">
+      <bpmn:conditionExpression>\${ok}</bpmn:conditionExpression>
+    </bpmn:sequenceFlow>
+  </bpmn:process>
+  <bpmndi:BPMNDiagram id="Diagram_1">
+    <bpmndi:BPMNPlane id="Plane_1" bpmnElement="Order_Process">
+      <bpmndi:BPMNShape id="Start_1_di" bpmnElement="Start_1">
+        <dc:Bounds x="100.4" y="100" width="36" height="36" />
+      </bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="Task_1_di" bpmnElement="Task_1">
+        <dc:Bounds x="200" y="78" width="100" height="80" />
+      </bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="Timer_1_di" bpmnElement="Timer_1">
+        <dc:Bounds x="232" y="140" width="36" height="36" />
+      </bpmndi:BPMNShape>
+      <bpmndi:BPMNEdge id="Flow_1_di" bpmnElement="Flow_1">
+        <di:waypoint x="136" y="118" />
+        <di:waypoint x="200" y="118" />
+      </bpmndi:BPMNEdge>
+    </bpmndi:BPMNPlane>
+  </bpmndi:BPMNDiagram>
+</bpmn:definitions>`;
+
+const COLLABORATION_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions ${NAMESPACES} id="Definitions_2" targetNamespace="http://bpmn.io/schema/bpmn">
+  <bpmn:collaboration id="Collaboration_1">
+    <bpmn:participant id="Pool_1" name="Customer" processRef="Process_A" />
+  </bpmn:collaboration>
+  <bpmn:process id="Process_A">
+    <bpmn:laneSet id="LaneSet_1">
+      <bpmn:lane id="Lane_1">
+        <bpmn:flowNodeRef>Task_A</bpmn:flowNodeRef>
+      </bpmn:lane>
+    </bpmn:laneSet>
+    <bpmn:task id="Task_A" />
+  </bpmn:process>
+  <bpmndi:BPMNDiagram id="Diagram_1">
+    <bpmndi:BPMNPlane id="Plane_1" bpmnElement="Collaboration_1">
+      <bpmndi:BPMNShape id="Pool_1_di" bpmnElement="Pool_1" isHorizontal="true">
+        <dc:Bounds x="0" y="0" width="600" height="250" />
+      </bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="Lane_1_di" bpmnElement="Lane_1" isHorizontal="true">
+        <dc:Bounds x="30" y="0" width="570" height="250" />
+      </bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="Task_A_di" bpmnElement="Task_A">
+        <dc:Bounds x="100" y="80" width="100" height="80" />
+      </bpmndi:BPMNShape>
+    </bpmndi:BPMNPlane>
+  </bpmndi:BPMNDiagram>
+</bpmn:definitions>`;
+
+describe('BpmnXmlImporter', () => {
+  it('BPMN XML을 클라이언트가 사용하는 맵 구조로 변환해야 한다', async () => {
+    const importer = new BpmnXmlImporter({ logger });
+    const result = await importer.import(PROCESS_XML);
+
+    assert.strictEqual(result.name, 'Order');
+    assert.deepStrictEqual(Object.keys(result.elements).sort(), ['Start_1', 'Task_1', 'Timer_1']);
+
+    const start = result.elements.Start_1;
+    assert.strictEqual(start.type, 'bpmn:StartEvent');
+    assert.deepStrictEqual([start.x, start.y, start.width, start.height], [100, 100, 36, 36]);
+    assert.strictEqual(start.parent, 'Order_Process');
+    assert.deepStrictEqual(start.businessObject.eventDefinitions, [
+      { id: 'Message_Def_1', $type: 'bpmn:MessageEventDefinition' }
+    ]);
+    assert.strictEqual(result.elements.Timer_1.businessObject.attachedToRef, 'Task_1');
+
+    const flow = result.connections.Flow_1;
+    assert.strictEqual(flow.source, 'Start_1');
+    assert.strictEqual(flow.target, 'Task_1');
+    assert.deepStrictEqual(flow.waypoints, [{ x: 136, y: 118 }, { x: 200, y: 118 }]);
+    assert.strictEqual(flow.businessObject.conditionExpression, '${ok}');
+
+    assert.strictEqual(result.metadata.processId, 'Order_Process');
+  });
+
+  it('DI가 없는 요소는 경고로 보고해야 한다', async () => {
+    const importer = new BpmnXmlImporter({ logger });
+    const { warnings } = await importer.import(PROCESS_XML);
+
+    assert.deepStrictEqual(warnings.map(w => w.elementId), ['Hidden_Task']);
+  });
+
+  it('협업 다이어그램의 요소 부모는 참가자여야 한다', async () => {
+    const importer = new BpmnXmlImporter({ logger });
+    const { elements } = await importer.import(COLLABORATION_XML);
+
+    assert.strictEqual(elements.Pool_1.parent, 'Collaboration_1');
+    assert.strictEqual(elements.Pool_1.businessObject.processRef, 'Process_A');
+    assert.strictEqual(elements.Lane_1.parent, 'Pool_1');
+    assert.strictEqual(elements.Task_A.parent, 'Pool_1');
+  });
+
+  it('잘못된 XML은 INVALID_BPMN 오류를 던져야 한다', async () => {
+    const importer = new BpmnXmlImporter({ logger });
+
+    await assert.rejects(importer.import('<not-bpmn'), { code: 'INVALID_BPMN' });
+    await assert.rejects(importer.import(''), { code: 'INVALID_BPMN' });
+    await assert.rejects(
+      importer.import(`<bpmn:definitions ${NAMESPACES} id="D"><bpmn:process id="P" /></bpmn:definitions>`),
+      { code: 'INVALID_BPMN', message: /diagram interchange/ }
+    );
+  });
+
+  it('가져온 맵을 다시 내보내면 같은 다이어그램이어야 한다', async () => {
+    const imported = await new BpmnXmlImporter({ logger }).import(PROCESS_XML);
+    const xml = await new BpmnXmlExporter({ logger }).export(imported);
+    const { rootElement, warnings } = await new BpmnModdle().fromXML(xml);
+
+    assert.deepStrictEqual(warnings, []);
+
+    const [process] = rootElement.rootElements;
+    assert.strictEqual(process.id, 'Order_Process');
+
+    const timer = process.flowElements.find(e => e.id === 'Timer_1');
+    assert.strictEqual(timer.attachedToRef.id, 'Task_1');
+    assert.strictEqual(timer.eventDefinitions[0].$type, 'bpmn:TimerEventDefinition');
+
+    const flow = process.flowElements.find(e => e.id === 'Flow_1');
+    assert.strictEqual(flow.conditionExpression.body, '${ok}');
+  });
+});
+
+describe('DocumentManager BPMN XML 가져오기', () => {
+  let manager;
+
+  afterEach(async () => {
+    await manager.destroy();
+  });
+
+  it('가져온 XML로 elements/connections 맵을 채워야 한다', async () => {
+    manager = new DocumentManager({ logger });
+    await manager.initialize();
+
+    const { document, warnings, statistics } = await manager.importDocument(null, PROCESS_XML);
+    const yjsDoc = await manager.getYjsDocument(document.id);
+
+    assert.strictEqual(document.name, 'Order');
+    assert.strictEqual(warnings.length, 1);
+    assert.deepStrictEqual(statistics, { elements: 3, connections: 1 });
+    assert.strictEqual(yjsDoc.getMap('elements').get('Task_1').businessObject.name, 'Check');
+    assert.strictEqual(yjsDoc.getMap('connections').get('Flow_1').target, 'Task_1');
+    assert.strictEqual(yjsDoc.getText('bpmn').length, 0);
+  });
+
+  it('잘못된 XML이면 문서를 만들지 않아야 한다', async () => {
+    manager = new DocumentManager({ logger });
+    await manager.initialize();
+
+    await assert.rejects(manager.importDocument('Broken', '<bpmn:definitions'), { code: 'INVALID_BPMN' });
+    assert.strictEqual((await manager.getDocuments()).length, 0);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * BroadcastChannelAdapter 단위 테스트
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { BroadcastChannelAdapter, InMemoryHub } from '../../src/adapters/BroadcastChannelAdapter.js';
+import { DiffSyncEngine } from '../../src/core/DiffSyncEngine.js';
+
+const createDiff = (id) => ({
+  id,
+  timestamp: Date.now(),
+  clientId: 'ignored',
+  added: [{ id: `${id}_Task`, type: 'bpmn:Task', x: 10, y: 20, width: 100, height: 80 }],
+  modified: [],
+  removed: []
+});
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('waitFor timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('BroadcastChannelAdapter', () => {
+  let hub;
+  let adapters;
+
+  const createAdapter = async (clientId, options = {}, context = {}) => {
+    const adapter = new BroadcastChannelAdapter({ options: { hub, ...options } });
+    adapters.push(adapter);
+    await adapter.initialize({ clientId, ...context });
+    return adapter;
+  };
+
+  beforeEach(() => {
+    hub = new InMemoryHub();
+    adapters = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(adapters.map(adapter => adapter.destroy()));
+  });
+
+  it('Node에서는 메모리 허브로 연결되어야 한다', async () => {
+    const statuses = [];
+    const adapter = await createAdapter('tab-a');
+    adapter.onConnectionChange(event => statuses.push(event.status));
+
+    assert.strictEqual(adapter.transport, 'memory');
+    assert.strictEqual(adapter.isConnected, true);
+    assert.deepStrictEqual(statuses, ['connected']);
+  });
+
+  it('자신을 제외한 인스턴스에 Diff를 전달해야 한다', async () => {
+    const a = await createAdapter('tab-a');
+    const b = await createAdapter('tab-b');
+    const c = await createAdapter('tab-c');
+
+    const receivedByA = [];
+    const receivedByB = [];
+    const receivedByC = [];
+    a.onRemoteDiff(diff => receivedByA.push(diff));
+    b.onRemoteDiff(diff => receivedByB.push(diff));
+    c.onRemoteDiff(diff => receivedByC.push(diff));
+
+    const diff = createDiff('diff-1');
+    await a.sendDiff(diff);
+    await waitFor(() => receivedByB.length === 1 && receivedByC.length === 1);
+
+    assert.strictEqual(receivedByA.length, 0);
+    assert.strictEqual(receivedByB[0].clientId, 'tab-a');
+    assert.deepStrictEqual(receivedByB[0].added, diff.added);
+    assert.notStrictEqual(receivedByB[0].added, receivedByC[0].added, '수신자마다 복제본을 받아야 한다');
+  });
+
+  it('원격 Diff 처리가 끝나기 전에 다음 Diff를 처리하지 않아야 한다', async () => {
+    const a = await createAdapter('tab-a');
+    const b = await createAdapter('tab-b');
+
+    const events = [];
+    b.onRemoteDiff(async diff => {
+      events.push(`start:${diff.id}`);
+      if (diff.id === 'diff-1') {
+        await new Promise(resolve => setTimeout(resolve, 30));
+      }
+      events.push(`end:${diff.id}`);
+    });
+
+    await a.sendDiff(createDiff('diff-1'));
+    await a.sendDiff(createDiff('diff-2'));
+    await waitFor(() => events.length === 4);
+
+    assert.deepStrictEqual(events, ['start:diff-1', 'end:diff-1', 'start:diff-2', 'end:diff-2']);
+  });
+
+  it('hello/welcome으로 피어를 파악하고 인코딩을 협상해야 한다', async () => {
+    const a = await createAdapter('tab-a', { enableCompression: true });
+    const b = await createAdapter('tab-b', { enableCompression: true });
+
+    await waitFor(() => a.getPeers().length === 1 && b.getPeers().length === 1);
+    assert.strictEqual(a.peerEncodings.get('tab-b'), 'deflate');
+
+    const received = [];
+    b.onRemoteDiff(diff => received.push(diff));
+    await a.sendDiff(createDiff('diff-compressed'));
+    await waitFor(() => received.length === 1);
+    assert.strictEqual(received[0].id, 'diff-compressed');
+
+    await b.destroy();
+    await waitFor(() => a.getPeers().length === 0);
+    assert.strictEqual(a.peerEncodings.size, 0);
+  });
+
+  it('문서 ID가 다르면 서로 다른 채널을 사용해야 한다', async () => {
+    const a = await createAdapter('tab-a', {}, { documentId: 'doc-1' });
+    const b = await createAdapter('tab-b', {}, { documentId: 'doc-2' });
+
+    const received = [];
+    b.onRemoteDiff(diff => received.push(diff));
+    await a.sendDiff(createDiff('diff-other-doc'));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.strictEqual(received.length, 0);
+    assert.strictEqual(hub.getMemberCount('bpmn-diff-sync:doc-1'), 1);
+  });
+
+  it('제어 메시지를 모든 리스너에 전달하고 리스너를 제거할 수 있어야 한다', async () => {
+    const a = await createAdapter('tab-a');
+    const b = await createAdapter('tab-b');
+
+    const first = [];
+    const second = [];
+    b.onMessage(message => first.push(message));
+    const removeSecond = b.onMessage(message => second.push(message));
+
+    await a.sendMessage({ channel: 'test', kind: 'ping' });
+    await waitFor(() => first.length === 1 && second.length === 1);
+    assert.strictEqual(first[0].clientId, 'tab-a');
+
+    removeSecond();
+    await a.sendMessage({ channel: 'test', kind: 'ping', to: 'tab-b' });
+    await waitFor(() => first.length === 2);
+    assert.strictEqual(second.length, 1);
+  });
+
+  it('종료 후에는 전송할 수 없어야 한다', async () => {
+    const a = await createAdapter('tab-a');
+    await a.destroy();
+
+    await assert.rejects(a.sendDiff(createDiff('diff-closed')), /not connected/);
+  });
+});
+
+describe('BroadcastChannelAdapter 다중 클라이언트 동기화', () => {
+  it('서버 없이 두 엔진 간 로컬 변경이 전달되어야 한다', async () => {
+    const hub = new InMemoryHub();
+
+    const createClient = (clientId) => {
+      const client = { elements: {}, applied: [] };
+      client.engine = new DiffSyncEngine({
+        logging: { level: 'error' },
+        extractor: {
+          extract: async () => ({ timestamp: Date.now(), version: '1.0.0', clientId, elements: { ...client.elements } })
+        },
+        calculator: { type: 'StandardDiffCalculator' },
+        applicator: {
+          apply: async (diff) => {
+            client.applied.push(diff);
+            diff.added.forEach(element => { client.elements[element.id] = element; });
+            return { success: true, errors: [] };
+          }
+        },
+        adapter: new BroadcastChannelAdapter({ options: { hub } })
+      });
+      return client;
+    };
+
+    const alice = createClient('alice');
+    const bob = createClient('bob');
+    await alice.engine.initialize({ clientId: 'alice' });
+    await bob.engine.initialize({ clientId: 'bob' });
+    await alice.engine.start();
+    await bob.engine.start();
+
+    alice.elements.Task_1 = { id: 'Task_1', type: 'bpmn:Task', x: 100, y: 100, width: 100, height: 80 };
+    await alice.engine.sync();
+
+    await waitFor(() => bob.applied.length === 1);
+    assert.deepStrictEqual(Object.keys(bob.elements), ['Task_1']);
+
+    // bob이 받은 변경은 다시 전송되지 않아야 한다
+    const result = await bob.engine.sync();
+    assert.deepStrictEqual(result.appliedChanges, { added: 0, modified: 0, removed: 0 });
+
+    await alice.engine.destroy();
+    await bob.engine.destroy();
+  });
+});
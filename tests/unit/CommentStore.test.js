@@ -0,0 +1,122 @@
+/**
+ * CommentStore 단위 테스트
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import * as Y from 'yjs';
+import { CommentStore, THREAD_STATUS } from '../../src/comments/CommentStore.js';
+
+const alice = { id: 'alice', name: 'Alice Kim' };
+const bob = { id: 'bob', name: 'Bob' };
+
+// 두 문서를 양방향으로 연결
+const connect = (docA, docB) => {
+  docA.on('update', (update, origin) => origin !== docB && Y.applyUpdate(docB, update, docA));
+  docB.on('update', (update, origin) => origin !== docA && Y.applyUpdate(docA, update, docB));
+};
+
+describe('CommentStore', () => {
+  let doc;
+  let store;
+
+  beforeEach(() => {
+    doc = new Y.Doc();
+    store = new CommentStore(doc, { user: alice, users: [alice, bob] });
+  });
+
+  it('요소 ID를 접두사로 한 평면 키에 스레드와 답글을 저장해야 한다', () => {
+    const thread = store.createThread('Task_1', '  이름을 바꿀까요?  ');
+    const reply = store.reply(thread.id, '좋아요', { author: bob });
+
+    const stored = store.getThread(thread.id);
+    assert.strictEqual(stored.elementId, 'Task_1');
+    assert.strictEqual(stored.status, THREAD_STATUS.OPEN);
+    assert.deepStrictEqual(stored.author, alice);
+    assert.deepStrictEqual(stored.comments.map(comment => [comment.author.id, comment.text]), [
+      ['alice', '이름을 바꿀까요?'],
+      ['bob', '좋아요']
+    ]);
+    assert.strictEqual(stored.updatedAt, reply.createdAt);
+    assert.deepStrictEqual(Array.from(doc.getMap('comments').keys()).filter(key => !key.startsWith('Task_1/')), []);
+    assert.strictEqual(doc.getMap('comments').get(`Task_1/thread:${thread.id}`).elementId, 'Task_1');
+  });
+
+  it('해결/다시 열기에 따라 열린 스레드와 배지 수가 바뀌어야 한다', () => {
+    const first = store.createThread('Task_1', '첫 번째');
+    store.createThread('Task_1', '두 번째');
+    store.createThread('Gateway_1', '세 번째');
+
+    const resolved = store.resolve(first.id);
+    assert.strictEqual(resolved.status, THREAD_STATUS.RESOLVED);
+    assert.deepStrictEqual(resolved.resolvedBy, alice);
+    assert.strictEqual(store.getOpenThreads().length, 2);
+    assert.strictEqual(store.getOpenThreads('Task_1').length, 1);
+    assert.deepStrictEqual(store.getCounts().get('Task_1'), { open: 1, resolved: 1 });
+
+    const reopened = store.reopen(first.id);
+    assert.strictEqual(reopened.status, THREAD_STATUS.OPEN);
+    assert.strictEqual(reopened.resolvedBy, null);
+    assert.deepStrictEqual(store.getCounts().get('Task_1'), { open: 2, resolved: 0 });
+  });
+
+  it('알려진 사용자만 멘션으로 해석해야 한다', () => {
+    assert.deepStrictEqual(store.parseMentions('@bob @AliceKim @carol @bob 확인 부탁'), ['bob', 'alice']);
+
+    const thread = store.createThread('Task_1', '@bob 검토해 주세요');
+    assert.deepStrictEqual(thread.comments[0].mentions, ['bob']);
+
+    store.setUsers([]);
+    assert.deepStrictEqual(store.parseMentions('@bob'), []);
+  });
+
+  it('잘못된 입력은 거부해야 한다', () => {
+    assert.throws(() => store.createThread('Task_1', '   '), { message: 'Comment text is required' });
+    assert.throws(() => store.createThread('', '내용'), { message: 'Element ID is required' });
+    assert.throws(() => store.reply('missing', '내용'), { message: 'Thread not found' });
+    assert.throws(() => new CommentStore(doc).createThread('Task_1', '내용'), { message: 'Comment author is required' });
+  });
+
+  it('동시에 단 답글을 모두 보존하고 원격 변경을 알려야 한다', () => {
+    const remoteDoc = new Y.Doc();
+    const remote = new CommentStore(remoteDoc, { user: bob });
+    connect(doc, remoteDoc);
+
+    const thread = store.createThread('Task_1', '질문');
+    const changes = [];
+    store.onChange(change => changes.push(change));
+
+    // 연결을 끊은 상태에서 각자 답글 작성 후 병합
+    const offlineA = new Y.Doc();
+    const offlineB = new Y.Doc();
+    Y.applyUpdate(offlineA, Y.encodeStateAsUpdate(doc));
+    Y.applyUpdate(offlineB, Y.encodeStateAsUpdate(remoteDoc));
+    new CommentStore(offlineA, { user: alice }).reply(thread.id, 'A 답글');
+    new CommentStore(offlineB, { user: bob }).reply(thread.id, 'B 답글');
+    Y.applyUpdate(doc, Y.encodeStateAsUpdate(offlineA));
+    Y.applyUpdate(doc, Y.encodeStateAsUpdate(offlineB));
+
+    assert.deepStrictEqual(remote.getThread(thread.id).comments.map(comment => comment.text).sort(), ['A 답글', 'B 답글', '질문']);
+    assert.ok(changes.length > 0);
+    assert.deepStrictEqual(changes[0], { elementIds: ['Task_1'], local: false });
+  });
+
+  it('같은 요소의 첫 스레드를 동시에 만들어도 둘 다 보존해야 한다', () => {
+    const remoteDoc = new Y.Doc();
+    const remote = new CommentStore(remoteDoc, { user: bob });
+
+    // 연결 전 각자 같은 요소에 첫 스레드 생성 후 병합
+    const mine = store.createThread('Task_1', 'A 스레드');
+    const theirs = remote.createThread('Task_1', 'B 스레드');
+    remote.reply(theirs.id, 'B 답글');
+    connect(doc, remoteDoc);
+    Y.applyUpdate(doc, Y.encodeStateAsUpdate(remoteDoc));
+    Y.applyUpdate(remoteDoc, Y.encodeStateAsUpdate(doc));
+
+    [store, remote].forEach(current => {
+      assert.deepStrictEqual(current.getThreads({ elementId: 'Task_1' }).map(thread => thread.id).sort(), [mine.id, theirs.id].sort());
+      assert.deepStrictEqual(current.getThread(theirs.id).comments.map(comment => comment.text), ['B 스레드', 'B 답글']);
+      assert.deepStrictEqual(current.getCounts().get('Task_1'), { open: 2, resolved: 0 });
+    });
+  });
+});
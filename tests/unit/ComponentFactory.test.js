@@ -0,0 +1,179 @@
+/**
+ * ComponentFactory 및 엔진 컴포넌트 구성 단위 테스트
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as Y from 'yjs';
+import { ComponentFactory } from '../../src/utils/ComponentFactory.js';
+import { BpmnDiffSync } from '../../src/core/BpmnDiffSync.js';
+import { BpmnStateExtractor } from '../../src/extractors/BpmnStateExtractor.js';
+import { BaseAdapter } from '../../src/adapters/BaseAdapter.js';
+
+const createModeler = (elements) => ({
+  get: (service) => ({
+    elementRegistry: { getAll: () => elements, get: (id) => elements.find(e => e.id === id) },
+    canvas: {
+      getRootElement: () => ({ id: 'Process_1' }),
+      viewbox: () => ({ x: 0, y: 0, width: 800, height: 600 }),
+      zoom: () => 1,
+      getContainer: () => null
+    }
+  })[service]
+});
+
+const createTask = (id, x = 100) => ({
+  id,
+  type: 'bpmn:Task',
+  x,
+  y: 100,
+  width: 100,
+  height: 80,
+  businessObject: { id, $type: 'bpmn:Task', name: id }
+});
+
+class RecordingAdapter extends BaseAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.sent = [];
+  }
+
+  async initialize(context) {
+    this.isInitialized = true;
+  }
+
+  async sendDiff(diff) {
+    this.sent.push(diff);
+  }
+
+  onRemoteDiff(callback) {
+    this.remoteDiffCallback = callback;
+  }
+}
+
+describe('ComponentFactory', () => {
+  it('기본 컴포넌트는 지연 로더로 등록되어 createAsync로 생성되어야 한다', async () => {
+    const factory = new ComponentFactory();
+
+    assert.strictEqual(factory.getInfo('BpmnStateExtractor').lazy, true);
+    assert.throws(
+      () => factory.create('BpmnStateExtractor'),
+      { message: /use createAsync/ }
+    );
+
+    const extractor = await factory.createAsync('BpmnStateExtractor', { options: { positionPrecision: 2 } });
+    assert.ok(extractor instanceof BpmnStateExtractor);
+    assert.strictEqual(extractor.options.positionPrecision, 2);
+
+    // 로드 이후에는 동기 생성도 가능
+    assert.ok(factory.create('BpmnStateExtractor') instanceof BpmnStateExtractor);
+  });
+
+  it('클래스는 즉시 생성되고 화살표 함수는 지연 로더로 등록되어야 한다', async () => {
+    const factory = new ComponentFactory();
+    factory.register('Recording', RecordingAdapter, { category: 'adapter' });
+    factory.register('LazyRecording', async () => RecordingAdapter, { category: 'adapter' });
+
+    assert.strictEqual(factory.getInfo('Recording').lazy, false);
+    assert.ok(factory.create('Recording') instanceof RecordingAdapter);
+    assert.ok(await factory.createAsync('LazyRecording') instanceof RecordingAdapter);
+  });
+
+  it('로더가 생성자를 반환하지 않으면 오류가 발생해야 한다', async () => {
+    const factory = new ComponentFactory();
+    factory.register('Broken', async () => null);
+
+    await assert.rejects(
+      () => factory.createAsync('Broken'),
+      { message: "Lazy loader for component 'Broken' did not return a constructor" }
+    );
+  });
+
+  it('명세와 이미 생성된 컴포넌트 인스턴스를 구분해야 한다', () => {
+    assert.strictEqual(ComponentFactory.isComponentInstance({ type: 'BpmnStateExtractor', options: {} }), false);
+    assert.strictEqual(ComponentFactory.isComponentInstance({ options: { level: 'info' } }), false);
+    assert.strictEqual(ComponentFactory.isComponentInstance({ extract: async () => ({}) }), true);
+    assert.strictEqual(ComponentFactory.isComponentInstance(new BaseAdapter()), true);
+    assert.strictEqual(ComponentFactory.isComponentInstance(null), false);
+
+    assert.strictEqual(ComponentFactory.isPlainObject(Object.create(null)), true);
+    assert.strictEqual(ComponentFactory.isPlainObject([]), false);
+    assert.strictEqual(ComponentFactory.isPlainObject(new BaseAdapter()), false);
+  });
+});
+
+describe('BpmnDiffSync 컴포넌트 구성', () => {
+  let diffSync;
+
+  afterEach(async () => {
+    await diffSync?.destroy();
+  });
+
+  it('기본 컴포넌트로 초기화 후 Y.js 문서로 동기화해야 한다', async () => {
+    const elements = [createTask('Task_1')];
+    const yjsDoc = new Y.Doc();
+
+    diffSync = new BpmnDiffSync({
+      logging: { level: 'error' },
+      adapter: { options: { batchUpdates: false } }
+    });
+    await diffSync.initialize(createModeler(elements), yjsDoc, { clientId: 'client-a' });
+
+    assert.deepStrictEqual(diffSync.listPlugins(), ['PerformanceMonitor']);
+
+    const idle = await diffSync.sync();
+    assert.deepStrictEqual(idle.appliedChanges, { added: 0, modified: 0, removed: 0 });
+
+    elements.push(createTask('Task_2', 300));
+    const result = await diffSync.sync();
+
+    assert.strictEqual(result.appliedChanges.added, 1);
+    assert.ok(Array.from(yjsDoc.getMap('elements').keys()).some(key => key.startsWith('diff_')));
+    assert.strictEqual(diffSync.getMetrics().plugins.PerformanceMonitor.stages.extraction.count, 2);
+  });
+
+  it('옵션으로 등록한 사용자 컴포넌트를 이름으로 사용해야 한다', async () => {
+    const elements = [createTask('Task_1')];
+    let extractCalls = 0;
+
+    class CountingExtractor extends BpmnStateExtractor {
+      async extract(context) {
+        extractCalls++;
+        return super.extract(context);
+      }
+    }
+
+    diffSync = new BpmnDiffSync({
+      logging: { level: 'error' },
+      plugins: [],
+      components: {
+        extractor: { CountingExtractor: async () => CountingExtractor },
+        adapter: { RecordingAdapter }
+      },
+      extractor: { type: 'CountingExtractor' },
+      adapter: { type: 'RecordingAdapter' }
+    });
+    await diffSync.initialize(createModeler(elements), null, { clientId: 'client-a' });
+
+    elements[0] = createTask('Task_1', 250);
+    await diffSync.sync();
+
+    const adapter = diffSync.engine.adapter;
+    assert.ok(adapter instanceof RecordingAdapter);
+    assert.strictEqual(adapter.sent.length, 1);
+    assert.strictEqual(adapter.sent[0].modified.length, 1);
+    assert.strictEqual(extractCalls, 2);
+  });
+
+  it('카테고리가 다른 컴포넌트 지정 시 초기화가 실패해야 한다', async () => {
+    diffSync = new BpmnDiffSync({
+      logging: { level: 'error' },
+      extractor: { type: 'YjsAdapter' }
+    });
+
+    await assert.rejects(
+      () => diffSync.initialize(createModeler([]), new Y.Doc()),
+      { message: "Component 'YjsAdapter' is registered as adapter, not extractor" }
+    );
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * DiffCodec 및 어댑터 Diff 압축 단위 테스트
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import * as Y from 'yjs';
+import { DiffCodec } from '../../src/utils/DiffCodec.js';
+import { BaseAdapter } from '../../src/adapters/BaseAdapter.js';
+import { YjsAdapter } from '../../src/adapters/YjsAdapter.js';
+
+const createBulkMoveDiff = (count) => {
+  const modified = [];
+
+  for (let i = 0; i < count; i++) {
+    const id = `Task_${i}`;
+    modified.push({
+      id,
+      element: {
+        id,
+        type: 'bpmn:Task',
+        x: 100 + i * 10,
+        y: 200,
+        width: 100,
+        height: 80,
+        parent: 'Process_1',
+        businessObject: { id, $type: 'bpmn:Task', name: `작업 ${i}` }
+      },
+      changes: [{ type: 'position', old: { x: 90 + i * 10, y: 200 }, new: { x: 100 + i * 10, y: 200 } }],
+      changeTypes: ['position']
+    });
+    modified.push({
+      id: `Flow_${i}`,
+      element: {
+        id: `Flow_${i}`,
+        type: 'bpmn:SequenceFlow',
+        source: id,
+        target: `Task_${i + 1}`,
+        waypoints: [{ x: 200 + i * 10, y: 240 }, { x: 250 + i * 10, y: 240 }, { x: 250 + i * 10, y: 300 }]
+      },
+      changes: [{ type: 'waypoints', new: [{ x: 200 + i * 10, y: 240 }, { x: 250 + i * 10, y: 240 }] }],
+      changeTypes: ['waypoints']
+    });
+  }
+
+  return {
+    id: 'diff-bulk',
+    timestamp: 1760000000000,
+    clientId: 'client-a',
+    fromVersion: '1.0.0',
+    toVersion: '1.0.1',
+    added: [],
+    modified,
+    removed: ['Task_removed'],
+    hasChanges: true,
+    statistics: { addedCount: 0, modifiedCount: modified.length, removedCount: 1, calculationTime: 1.25 }
+  };
+};
+
+class TestAdapter extends BaseAdapter {}
+
+describe('DiffCodec', () => {
+  const codec = new DiffCodec();
+
+  it('Diff를 손실 없이 왕복 변환해야 한다', () => {
+    const diff = createBulkMoveDiff(20);
+    diff.added.push({
+      id: 'Gateway_1',
+      type: 'bpmn:ExclusiveGateway',
+      x: -15.5,
+      y: 0,
+      visible: false,
+      note: null,
+      waypoints: [{ x: 1.5, y: 2 }],
+      nested: [[1, 'a'], { deep: true }]
+    });
+
+    assert.deepStrictEqual(codec.decode(codec.encode(diff)), diff);
+  });
+
+  it('대량 이동 Diff를 JSON보다 작게 인코딩해야 한다', () => {
+    const diff = createBulkMoveDiff(500);
+    const jsonSize = Buffer.byteLength(JSON.stringify(diff));
+    const binarySize = codec.encode(diff).length;
+
+    assert.ok(binarySize < jsonSize / 2, `binary ${binarySize} bytes vs JSON ${jsonSize} bytes`);
+  });
+
+  it('잘못된 데이터는 거부해야 한다', () => {
+    assert.throws(() => codec.decode(new Uint8Array([0x00, 0x01, 0x01])), /bad magic byte/);
+    assert.throws(() => codec.decode(new Uint8Array([0xbd, 0x09, 0x01])), /Unsupported diff encoding version: 9/);
+  });
+
+  it('deflate 압축을 왕복 변환해야 한다', async () => {
+    const binary = codec.encode(createBulkMoveDiff(100));
+    const deflated = await DiffCodec.deflate(binary);
+
+    assert.ok(deflated.length < binary.length);
+    assert.deepStrictEqual(await DiffCodec.inflate(deflated), binary);
+  });
+});
+
+describe('BaseAdapter 인코딩 협상', () => {
+  it('압축이 비활성화되면 원본 Diff를 그대로 보내야 한다', async () => {
+    const adapter = new TestAdapter();
+    const diff = createBulkMoveDiff(50);
+
+    assert.deepStrictEqual(adapter.getSupportedEncodings(), ['json']);
+    assert.strictEqual(await adapter._compressDiff(diff), diff);
+  });
+
+  it('연결별로 협상된 인코딩을 사용해야 한다', async () => {
+    const adapter = new TestAdapter({ options: { enableCompression: true } });
+    const diff = createBulkMoveDiff(50);
+
+    assert.strictEqual(adapter._negotiateEncoding('modern', ['deflate', 'binary', 'json']), 'deflate');
+    assert.strictEqual(adapter._negotiateEncoding('binary-only', ['binary', 'json']), 'binary');
+    assert.strictEqual(adapter._negotiateEncoding('legacy'), 'json');
+
+    const deflated = await adapter._compressDiff(diff, 'modern');
+    const binary = await adapter._compressDiff(diff, 'binary-only');
+
+    assert.strictEqual(deflated.encoding, 'deflate');
+    assert.strictEqual(binary.encoding, 'binary');
+    assert.strictEqual(await adapter._compressDiff(diff, 'legacy'), diff);
+
+    // 브로드캐스트는 모든 피어가 읽을 수 있는 인코딩 사용
+    assert.strictEqual(await adapter._compressDiff(diff), diff);
+    adapter._forgetPeerEncoding('legacy');
+    assert.strictEqual((await adapter._compressDiff(diff)).encoding, 'binary');
+
+    assert.deepStrictEqual(await adapter._decompressDiff(deflated), diff);
+    assert.deepStrictEqual(await adapter._decompressDiff(binary), diff);
+  });
+
+  it('협상한 피어가 없으면 json으로 보내야 한다', async () => {
+    const adapter = new TestAdapter({ options: { enableCompression: true } });
+    const diff = createBulkMoveDiff(50);
+
+    assert.strictEqual(await adapter._compressDiff(diff), diff);
+
+    adapter._negotiateEncoding('peer', ['deflate', 'binary', 'json']);
+    assert.strictEqual((await adapter._compressDiff(diff)).encoding, 'deflate');
+  });
+
+  it('임계값보다 작은 Diff는 deflate 없이 바이너리로 보내야 한다', async () => {
+    const adapter = new TestAdapter({ options: { enableCompression: true, compressionThreshold: 1 << 20 } });
+    adapter._negotiateEncoding('peer', ['deflate']);
+
+    const envelope = await adapter._compressDiff(createBulkMoveDiff(5), 'peer');
+    assert.strictEqual(envelope.encoding, 'binary');
+  });
+
+  it('YjsAdapter가 압축된 Diff를 다른 문서로 전달해야 한다', async () => {
+    const docA = new Y.Doc();
+    const docB = new Y.Doc();
+    docA.on('update', (update) => Y.applyUpdate(docB, update));
+
+    const options = { enableCompression: true, compressionThreshold: 0, batchUpdates: false };
+    const sender = new YjsAdapter({ options });
+    const receiver = new YjsAdapter({ options });
+    await sender.initialize({ collaborationProvider: docA, clientId: 'client-a' });
+    await receiver.initialize({ collaborationProvider: docB, clientId: 'client-b' });
+
+    // awareness 없이 연결한 문서이므로 상대 문서와 직접 협상
+    sender._negotiateEncoding(docB.clientID, receiver.getSupportedEncodings());
+
+    const received = new Promise(resolve => receiver.onRemoteDiff(resolve));
+    const diff = createBulkMoveDiff(30);
+    await sender.sendDiff(diff);
+
+    const stored = docB.getMap('elements').get('diff_diff-bulk');
+    assert.strictEqual(stored.encoding, 'deflate');
+
+    const remoteDiff = await received;
+    assert.deepStrictEqual(remoteDiff.modified, diff.modified);
+    assert.strictEqual(remoteDiff.clientId, 'client-a');
+
+    await sender.destroy();
+    await receiver.destroy();
+  });
+});
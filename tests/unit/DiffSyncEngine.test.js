@@ -163,6 +163,41 @@ describe('DiffSyncEngine', () => {
       await engine.sync();
       assert.strictEqual(diffSent, false);
     });
+
+    it('원격 Diff 적용 시 요소별 마지막 로컬 변경 시각을 전달해야 한다', async () => {
+      let handleRemoteDiff;
+      let applyContext;
+
+      mockAdapter.onRemoteDiff = (callback) => {
+        handleRemoteDiff = callback;
+      };
+      mockApplicator.apply = async (diff, context) => {
+        applyContext = context;
+        return { success: true, appliedChanges: { added: 0, modified: 1, removed: 0 }, errors: [] };
+      };
+      mockCalculator.calculate = async () => ({
+        id: 'diff-local',
+        timestamp: 3000,
+        hasChanges: true,
+        added: [],
+        modified: [{ id: 'element-1', changes: {} }],
+        removed: []
+      });
+
+      await engine.sync();
+      await engine.start();
+      await handleRemoteDiff({
+        id: 'diff-remote',
+        timestamp: 2000,
+        clientId: 'remote-client',
+        added: [],
+        modified: [{ id: 'element-1', changes: {} }, { id: 'element-2', changes: {} }],
+        removed: []
+      });
+
+      assert.strictEqual(applyContext.localTimestamps.get('element-1'), 3000);
+      assert.strictEqual(applyContext.localTimestamps.has('element-2'), false);
+    });
   });
 
   describe('원격 Diff 처리', () => {
@@ -0,0 +1,187 @@
+/**
+ * 문서 공유/초대 단위 테스트
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { UserManager } from '../../server/services/UserManager.js';
+import { DocumentManager } from '../../server/services/DocumentManager.js';
+import { Logger } from '../../src/utils/Logger.js';
+import { CommentStore } from '../../src/comments/CommentStore.js';
+
+const logger = new Logger({ level: 'error' });
+const DOCUMENT_ID = 'doc-1';
+
+describe('UserManager 문서 공유', () => {
+  let userManager;
+
+  beforeEach(() => {
+    userManager = new UserManager({ logger });
+  });
+
+  it('공유 역할과 요청 역할 중 높은 역할을 사용해야 한다', () => {
+    userManager.shareDocument(DOCUMENT_ID, 'alice', 'admin', { sharedBy: 'owner' });
+    userManager.shareDocument(DOCUMENT_ID, 'bob', 'viewer', { sharedBy: 'owner' });
+
+    const alice = userManager.addUser(DOCUMENT_ID, 'alice', { role: 'viewer' });
+    const bob = userManager.addUser(DOCUMENT_ID, 'bob', { role: 'editor' });
+    const carol = userManager.addUser(DOCUMENT_ID, 'carol');
+
+    assert.strictEqual(alice.role, 'admin');
+    assert.strictEqual(bob.role, 'editor');
+    assert.deepStrictEqual(bob.permissions, ['read', 'write']);
+    assert.strictEqual(carol.role, 'editor');
+    assert.strictEqual(userManager.getHigherRole(null, 'viewer'), 'viewer');
+    assert.strictEqual(userManager.getHigherRole(null, null), null);
+  });
+
+  it('접속 중인 사용자의 권한을 공유 변경/해제에 맞춰 갱신해야 한다', () => {
+    userManager.addUser(DOCUMENT_ID, 'alice', { role: 'viewer' });
+
+    userManager.shareDocument(DOCUMENT_ID, 'alice', 'admin');
+    assert.strictEqual(userManager.hasPermission('alice', DOCUMENT_ID, 'delete'), true);
+
+    assert.strictEqual(userManager.revokeShare(DOCUMENT_ID, 'alice'), true);
+    assert.deepStrictEqual(userManager.getUserPermissions('alice', DOCUMENT_ID), ['read']);
+    assert.strictEqual(userManager.getUser('alice').role, 'viewer');
+    assert.strictEqual(userManager.revokeShare(DOCUMENT_ID, 'alice'), false);
+  });
+
+  it('알 수 없는 역할로는 공유할 수 없어야 한다', () => {
+    assert.throws(() => userManager.shareDocument(DOCUMENT_ID, 'alice', 'owner'), { code: 'INVALID_ROLE' });
+    assert.throws(() => userManager.createInvite(DOCUMENT_ID, { role: 'root' }), { code: 'INVALID_ROLE' });
+    assert.throws(() => userManager.shareDocument(DOCUMENT_ID, '', 'viewer'), { code: 'INVALID_SHARE' });
+  });
+
+  it('초대 링크를 수락하면 초대 역할로 공유되어야 한다', () => {
+    const invite = userManager.createInvite(DOCUMENT_ID, { role: 'editor', createdBy: 'owner' });
+
+    const { documentId, share } = userManager.acceptInvite(invite.token, 'carol');
+
+    assert.strictEqual(documentId, DOCUMENT_ID);
+    assert.deepStrictEqual([share.role, share.sharedBy, share.inviteId], ['editor', 'owner', invite.id]);
+    assert.strictEqual(userManager.getSharedRole(DOCUMENT_ID, 'carol'), 'editor');
+    assert.strictEqual(userManager.getShares(DOCUMENT_ID).invites[0].uses, 1);
+  });
+
+  it('초대를 수락해도 기존의 더 높은 공유 역할을 낮추지 않아야 한다', () => {
+    userManager.shareDocument(DOCUMENT_ID, 'carol', 'admin', { sharedBy: 'owner' });
+    const viewerInvite = userManager.createInvite(DOCUMENT_ID, { role: 'viewer' });
+    const adminInvite = userManager.createInvite(DOCUMENT_ID, { role: 'admin' });
+    userManager.shareDocument(DOCUMENT_ID, 'dave', 'viewer');
+
+    assert.strictEqual(userManager.acceptInvite(viewerInvite.token, 'carol').share.role, 'admin');
+    assert.strictEqual(userManager.getSharedRole(DOCUMENT_ID, 'carol'), 'admin');
+    assert.strictEqual(userManager.getShares(DOCUMENT_ID).invites.find(invite => invite.id === viewerInvite.id).uses, 1);
+
+    assert.strictEqual(userManager.acceptInvite(adminInvite.token, 'dave').share.role, 'admin');
+    assert.strictEqual(userManager.getSharedRole(DOCUMENT_ID, 'dave'), 'admin');
+  });
+
+  it('만료되었거나 사용 횟수를 넘긴 초대는 거부해야 한다', async () => {
+    const limited = userManager.createInvite(DOCUMENT_ID, { maxUses: 1 });
+    const expiring = userManager.createInvite(DOCUMENT_ID, { expiresIn: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    userManager.acceptInvite(limited.token, 'dave');
+    assert.throws(() => userManager.acceptInvite(limited.token, 'erin'), { code: 'INVITE_EXPIRED' });
+    assert.throws(() => userManager.acceptInvite(expiring.token, 'erin'), { code: 'INVITE_EXPIRED' });
+    assert.throws(() => userManager.acceptInvite('unknown', 'erin'), { code: 'INVITE_NOT_FOUND' });
+
+    assert.strictEqual(userManager.revokeInvite(DOCUMENT_ID, expiring.id), true);
+    assert.deepStrictEqual(userManager.getShares(DOCUMENT_ID).invites.map(invite => invite.id), [limited.id]);
+  });
+
+  it('목록에는 초대 토큰과 해시를 노출하지 않아야 한다', () => {
+    userManager.createInvite(DOCUMENT_ID, { role: 'viewer' });
+
+    const [invite] = userManager.getShares(DOCUMENT_ID).invites;
+
+    assert.strictEqual(invite.token, undefined);
+    assert.strictEqual(invite.tokenHash, undefined);
+    assert.ok(userManager.exportSharing(DOCUMENT_ID).invites[0].tokenHash);
+  });
+});
+
+describe('DocumentManager 공유 상태 저장', () => {
+  it('공유와 초대가 재시작 후에도 유지되어야 한다', async () => {
+    const basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'bpmn-sharing-'));
+
+    try {
+      const users = new UserManager({ logger });
+      const persistent = new DocumentManager({ enablePersistence: true, storagePath: basePath, logger });
+      await persistent.initialize();
+      await persistent.createDocument('Shared', null, { documentId: 'shared' });
+
+      users.shareDocument('shared', 'alice', 'viewer');
+      const invite = users.createInvite('shared', { role: 'editor' });
+      await persistent.saveSharing('shared', users.exportSharing('shared'));
+      await persistent.destroy();
+
+      const restarted = new DocumentManager({ enablePersistence: true, storagePath: basePath, logger });
+      await restarted.initialize();
+      const restored = new UserManager({ logger });
+      restored.importSharing('shared', restarted.getSharing('shared'));
+
+      assert.strictEqual(restored.getSharedRole('shared', 'alice'), 'viewer');
+      assert.strictEqual(restored.acceptInvite(invite.token, 'bob').share.role, 'editor');
+      assert.strictEqual((await restarted.getDocument('shared')).sharing, undefined);
+
+      await restarted.destroy();
+    } finally {
+      await fs.rm(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it('없는 문서의 공유 상태는 null이어야 한다', async () => {
+    const manager = new DocumentManager({ logger });
+    await manager.initialize();
+
+    assert.strictEqual(manager.getSharing('missing'), null);
+    await assert.rejects(() => manager.saveSharing('missing', {}), { message: 'Document not found' });
+
+    await manager.destroy();
+  });
+});
+
+describe('문서 댓글과 멘션 대상', () => {
+  it('문서 Y.Doc에 저장된 스레드가 재시작 후에도 유지되어야 한다', async () => {
+    const basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'bpmn-comments-'));
+
+    try {
+      const users = new UserManager({ logger });
+      users.addUser('doc-1', 'alice', { name: 'Alice' });
+      users.shareDocument('doc-1', 'bob', 'viewer');
+      assert.deepStrictEqual(users.getMentionableUsers('doc-1'), [
+        { id: 'alice', name: 'Alice', online: true },
+        { id: 'bob', name: 'bob', online: false }
+      ]);
+
+      const manager = new DocumentManager({ enablePersistence: true, storagePath: basePath, logger });
+      await manager.initialize();
+      await manager.createDocument('Commented', null, { documentId: 'doc-1' });
+
+      // 서버는 자체 yjs 복사본의 문서를 사용
+      const store = new CommentStore(await manager.getYjsDocument('doc-1'), {
+        user: { id: 'alice', name: 'Alice' },
+        users: users.getMentionableUsers('doc-1')
+      });
+      const thread = store.createThread('Task_1', '@bob 확인 부탁드립니다');
+      store.destroy();
+      assert.deepStrictEqual(thread.comments[0].mentions, ['bob']);
+      await manager.destroy();
+
+      const restarted = new DocumentManager({ enablePersistence: true, storagePath: basePath, logger });
+      await restarted.initialize();
+      const reloaded = new CommentStore(await restarted.getYjsDocument('doc-1'));
+
+      assert.deepStrictEqual(reloaded.getOpenThreads().map(open => open.id), [thread.id]);
+      await restarted.destroy();
+    } finally {
+      await fs.rm(basePath, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * DocumentManager 버전 히스토리 단위 테스트
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { DocumentManager } from '../../server/services/DocumentManager.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+describe('DocumentManager 버전 히스토리', () => {
+  const logger = new Logger({ level: 'error' });
+  let manager;
+  let documentId;
+
+  beforeEach(async () => {
+    manager = new DocumentManager({ logger });
+    await manager.initialize();
+
+    const created = await manager.createDocument('Versioned', {
+      bpmn: '<bpmn:definitions id="v1"/>',
+      elements: { StartEvent_1: { id: 'StartEvent_1', type: 'bpmn:StartEvent', x: 100 } }
+    });
+    documentId = created.id;
+  });
+
+  afterEach(async () => {
+    await manager.destroy();
+  });
+
+  it('초기 버전이 생성되어야 한다', () => {
+    const versions = manager.getVersions(documentId);
+
+    assert.strictEqual(versions.length, 1);
+    assert.strictEqual(versions[0].version, 1);
+    assert.strictEqual(versions[0].elementCount, 1);
+  });
+
+  it('이름 있는 버전을 만들고 당시 내용을 조회할 수 있어야 한다', async () => {
+    const yjsDoc = await manager.getYjsDocument(documentId);
+    yjsDoc.getMap('elements').set('Task_1', { id: 'Task_1', type: 'bpmn:Task' });
+
+    const created = await manager.createVersion(documentId, { name: 'Review', author: 'alice' });
+    assert.strictEqual(created.version, 2);
+    assert.strictEqual(created.name, 'Review');
+
+    yjsDoc.getMap('elements').delete('Task_1');
+
+    const version = await manager.getVersion(documentId, 2);
+    assert.deepStrictEqual(Object.keys(version.content.elements).sort(), ['StartEvent_1', 'Task_1']);
+    // 맵에 항목이 있으면 BPMN 텍스트 대신 맵으로 생성
+    const xml = await manager.getVersionXml(documentId, 1);
+    assert.match(xml, /<bpmn:startEvent id="StartEvent_1"/);
+    assert.doesNotMatch(xml, /Task_1/);
+  });
+
+  it('두 버전의 차이를 계산해야 한다', async () => {
+    const yjsDoc = await manager.getYjsDocument(documentId);
+    const elements = yjsDoc.getMap('elements');
+    elements.set('StartEvent_1', { id: 'StartEvent_1', type: 'bpmn:StartEvent', x: 200 });
+    elements.set('Task_1', { id: 'Task_1', type: 'bpmn:Task' });
+    yjsDoc.getMap('connections').set('Flow_1', { id: 'Flow_1', source: 'StartEvent_1', target: 'Task_1' });
+    await manager.createVersion(documentId);
+
+    const diff = await manager.diffVersions(documentId, 1, 2);
+    assert.deepStrictEqual(diff.elements, { added: ['Task_1'], modified: ['StartEvent_1'], removed: [] });
+    assert.deepStrictEqual(diff.connections.added, ['Flow_1']);
+    assert.strictEqual(diff.bpmnChanged, false);
+
+    elements.delete('Task_1');
+    const current = await manager.diffVersions(documentId, 2, 'current');
+    assert.deepStrictEqual(current.elements.removed, ['Task_1']);
+  });
+
+  it('이전 버전으로 복원하고 복원 전 상태를 보관해야 한다', async () => {
+    const yjsDoc = await manager.getYjsDocument(documentId);
+    yjsDoc.getMap('elements').set('Task_1', { id: 'Task_1', type: 'bpmn:Task' });
+    const bpmn = yjsDoc.getText('bpmn');
+    bpmn.delete(0, bpmn.length);
+    bpmn.insert(0, '<bpmn:definitions id="v2"/>');
+
+    const result = await manager.restoreVersion(documentId, 1);
+    assert.strictEqual(result.restoredVersion, 1);
+    assert.strictEqual(result.backupVersion, 2);
+
+    assert.deepStrictEqual(Array.from(yjsDoc.getMap('elements').keys()), ['StartEvent_1']);
+    assert.strictEqual(bpmn.toString(), '<bpmn:definitions id="v1"/>');
+
+    const backup = await manager.getVersion(documentId, 2);
+    assert.ok(backup.content.elements.Task_1);
+  });
+
+  it('없는 버전은 null을 반환해야 한다', async () => {
+    assert.strictEqual(await manager.getVersion(documentId, 99), null);
+    assert.strictEqual(manager.getVersions('missing'), null);
+    await assert.rejects(() => manager.restoreVersion(documentId, 99), { message: 'Version not found' });
+  });
+
+  it('버전 상태가 재시작 후에도 유지되어야 한다', async () => {
+    const basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'bpmn-versions-'));
+
+    try {
+      const persistent = new DocumentManager({ enablePersistence: true, storagePath: basePath, logger });
+      await persistent.initialize();
+      const created = await persistent.createDocument('Stored', null, { documentId: 'stored' });
+      const yjsDoc = await persistent.getYjsDocument(created.id);
+      yjsDoc.getMap('elements').set('Task_1', { id: 'Task_1' });
+      await persistent.createVersion(created.id, { name: 'Saved' });
+      await persistent.destroy();
+
+      const restarted = new DocumentManager({ enablePersistence: true, storagePath: basePath, logger });
+      await restarted.initialize();
+
+      assert.deepStrictEqual(restarted.getVersions('stored').map(v => v.version), [1, 2]);
+      const version = await restarted.getVersion('stored', 2);
+      assert.strictEqual(version.name, 'Saved');
+      assert.ok(version.content.elements.Task_1);
+
+      await restarted.destroy();
+    } finally {
+      await fs.rm(basePath, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * ElementLockService 단위 테스트
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import EventBus from 'diagram-js/lib/core/EventBus.js';
+import { ElementLockService } from '../../src/plugins/ElementLockService.js';
+import { BroadcastChannelAdapter, InMemoryHub } from '../../src/adapters/BroadcastChannelAdapter.js';
+import { DiffSyncEngine } from '../../src/core/DiffSyncEngine.js';
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('waitFor timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('ElementLockService', () => {
+  let clients = [];
+
+  const createClient = async (clientId, hub, options = {}) => {
+    const client = { eventBus: new EventBus(), lost: [] };
+    client.engine = new DiffSyncEngine({
+      logging: { level: 'error' },
+      extractor: {
+        extract: async () => ({ timestamp: Date.now(), version: '1.0.0', clientId, elements: {} })
+      },
+      calculator: { type: 'StandardDiffCalculator' },
+      applicator: { apply: async () => ({ success: true, errors: [] }) },
+      adapter: new BroadcastChannelAdapter({ options: { hub } }),
+      plugins: [{
+        type: ElementLockService,
+        options: { heartbeatInterval: 0, user: { name: clientId }, ...options }
+      }]
+    });
+
+    await client.engine.initialize({ clientId, modeler: { get: () => client.eventBus } });
+    client.engine.eventBus.on('lock:lost', event => client.lost.push(event));
+    client.locks = client.engine.getPlugin('ElementLockService');
+    clients.push(client);
+    return client;
+  };
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.engine.destroy()));
+    clients = [];
+  });
+
+  it('획득한 잠금을 다른 클라이언트에 알리고 중복 획득을 거부해야 한다', async () => {
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub);
+    const bob = await createClient('client-b', hub);
+
+    assert.deepStrictEqual((await alice.locks.acquire('SubProcess_1')).acquired, ['SubProcess_1']);
+    await waitFor(() => bob.locks.getLock('SubProcess_1'));
+
+    assert.strictEqual(bob.locks.getLock('SubProcess_1').clientId, 'client-a');
+    assert.deepStrictEqual(bob.locks.getLock('SubProcess_1').user, { name: 'client-a' });
+    assert.strictEqual(bob.locks.isLockedAgainst('SubProcess_1'), true);
+    assert.strictEqual(alice.locks.isLockedAgainst('SubProcess_1'), false);
+
+    const { acquired, denied } = await bob.locks.acquire(['SubProcess_1', 'Task_1']);
+    assert.deepStrictEqual(acquired, ['Task_1']);
+    assert.strictEqual(denied[0].clientId, 'client-a');
+
+    await alice.locks.release('SubProcess_1');
+    await waitFor(() => !bob.locks.getLock('SubProcess_1'));
+  });
+
+  it('요소 선택 시 잠그고 선택 해제 시 풀어야 한다', async () => {
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub);
+    const label = { id: 'Task_1_label', labelTarget: { id: 'Task_1' } };
+
+    alice.eventBus.fire('selection.changed', { newSelection: [label, { id: 'Task_2' }] });
+    await waitFor(() => alice.locks.getOwnLocks().length === 2);
+    assert.deepStrictEqual(alice.locks.getOwnLocks().map(lock => lock.elementId), ['Task_1', 'Task_2']);
+
+    alice.eventBus.fire('selection.changed', { newSelection: [{ id: 'Task_2' }] });
+    await waitFor(() => alice.locks.getOwnLocks().length === 1);
+    assert.strictEqual(alice.locks.getLock('Task_1'), null);
+  });
+
+  it('다른 사용자가 잠근 요소에 대한 로컬 명령을 막아야 한다', async () => {
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub);
+    const bob = await createClient('client-b', hub);
+
+    await alice.locks.acquire('Task_1');
+    await waitFor(() => bob.locks.getLock('Task_1'));
+
+    const canExecute = (client, context) => client.eventBus.fire('commandStack.canExecute', {
+      command: 'elements.move',
+      context
+    });
+
+    assert.strictEqual(canExecute(bob, { shapes: [{ id: 'Task_1' }] }), false);
+    assert.strictEqual(canExecute(bob, { shapes: [{ id: 'Task_2' }] }), undefined);
+    assert.strictEqual(canExecute(alice, { shape: { id: 'Task_1' } }), undefined);
+  });
+
+  it('동시에 잠그면 먼저 획득한 쪽이 잠금을 유지해야 한다', async () => {
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub);
+    const bob = await createClient('client-b', hub);
+
+    // 서로의 게시를 받기 전에 같은 요소를 잠근 상황 재현
+    alice.locks.locks.set('Task_1', {
+      elementId: 'Task_1', clientId: 'client-a', user: null, acquiredAt: 2000, expiresAt: Infinity
+    });
+    bob.locks.locks.set('Task_1', {
+      elementId: 'Task_1', clientId: 'client-b', user: null, acquiredAt: 1000, expiresAt: Infinity
+    });
+
+    await alice.locks._publish();
+    await bob.locks._publish();
+    await waitFor(() => alice.lost.length === 1);
+
+    assert.strictEqual(alice.locks.getLock('Task_1').clientId, 'client-b');
+    assert.strictEqual(bob.locks.getLock('Task_1').clientId, 'client-b');
+    assert.deepStrictEqual(alice.lost[0], { elementIds: ['Task_1'], clientId: 'client-b' });
+  });
+
+  it('피어가 연결을 끊으면 그 피어의 잠금을 해제해야 한다', async () => {
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub);
+    const bob = await createClient('client-b', hub);
+
+    await alice.locks.acquire('Task_1');
+    await waitFor(() => bob.locks.getLock('Task_1'));
+
+    await alice.engine.adapter.destroy();
+    await waitFor(() => !bob.locks.getLock('Task_1'));
+  });
+
+  it('게시가 끊긴 원격 잠금과 기한이 지난 자신의 잠금은 만료되어야 한다', async () => {
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub, { lockTimeout: 30, lockDuration: 30 });
+    const bob = await createClient('client-b', hub);
+    const changes = [];
+    bob.locks.onChange(locks => changes.push(locks.length));
+
+    await alice.locks.acquire('Task_1');
+    await waitFor(() => bob.locks.getLock('Task_1'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.strictEqual(bob.locks.isLockedAgainst('Task_1'), false);
+    assert.deepStrictEqual(alice.locks.expire(), ['Task_1']);
+    assert.deepStrictEqual(bob.locks.expire(), ['Task_1']);
+    assert.deepStrictEqual(changes, [1, 0]);
+  });
+
+  it('새 피어가 들어오면 보유한 잠금을 바로 알려야 한다', async () => {
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub);
+    await alice.locks.acquire('Task_1');
+
+    const bob = await createClient('client-b', hub);
+    await waitFor(() => bob.locks.getLock('Task_1'));
+  });
+});
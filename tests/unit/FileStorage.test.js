@@ -0,0 +1,181 @@
+/**
+ * FileStorage 및 DocumentManager 지속성 단위 테스트
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileStorage } from '../../server/storage/FileStorage.js';
+import { DocumentManager } from '../../server/services/DocumentManager.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+describe('FileStorage', () => {
+  let basePath;
+  let storage;
+
+  beforeEach(async () => {
+    basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'bpmn-storage-'));
+    storage = new FileStorage({ basePath });
+    await storage.initialize();
+  });
+
+  afterEach(async () => {
+    await storage.destroy();
+    await fs.rm(basePath, { recursive: true, force: true });
+  });
+
+  it('업데이트를 순서대로 저장하고 읽을 수 있어야 한다', async () => {
+    await storage.saveMetadata('doc-1', { id: 'doc-1' });
+    await storage.storeUpdate('doc-1', new Uint8Array([1, 2, 3]));
+    const count = await storage.storeUpdate('doc-1', new Uint8Array([4, 5]));
+
+    assert.strictEqual(count, 2);
+
+    const updates = await storage.getUpdates('doc-1');
+    assert.deepStrictEqual(updates.map(update => Array.from(update)), [[1, 2, 3], [4, 5]]);
+  });
+
+  it('압축 후에는 스냅샷만 남아야 한다', async () => {
+    await storage.storeUpdate('doc-1', new Uint8Array([1]));
+    await storage.storeUpdate('doc-1', new Uint8Array([2]));
+    await storage.compact('doc-1', new Uint8Array([9, 9]));
+    await storage.storeUpdate('doc-1', new Uint8Array([3]));
+
+    const updates = await storage.getUpdates('doc-1');
+    assert.deepStrictEqual(updates.map(update => Array.from(update)), [[9, 9], [3]]);
+  });
+
+  it('메타데이터가 있는 문서만 목록에 포함되어야 한다', async () => {
+    await storage.saveMetadata('doc/with/slash', { id: 'doc/with/slash' });
+    await storage.storeUpdate('orphan', new Uint8Array([1]));
+
+    const documentIds = await storage.listDocuments();
+    assert.deepStrictEqual(documentIds, ['doc/with/slash']);
+  });
+
+  it('문서를 삭제할 수 있어야 한다', async () => {
+    await storage.saveMetadata('doc-1', { id: 'doc-1' });
+    await storage.deleteDocument('doc-1');
+
+    assert.strictEqual(await storage.hasDocument('doc-1'), false);
+    assert.strictEqual(await storage.getMetadata('doc-1'), null);
+  });
+});
+
+describe('DocumentManager 지속성', () => {
+  let basePath;
+  const logger = new Logger({ level: 'error' });
+
+  const createManager = () => new DocumentManager({
+    enablePersistence: true,
+    storagePath: basePath,
+    compactionThreshold: 3,
+    logger
+  });
+
+  beforeEach(async () => {
+    basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'bpmn-documents-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(basePath, { recursive: true, force: true });
+  });
+
+  it('재시작 후에도 문서 내용이 복원되어야 한다', async () => {
+    const manager = createManager();
+    await manager.initialize();
+
+    const created = await manager.createDocument('Persistent', {
+      elements: { StartEvent_1: { id: 'StartEvent_1', type: 'bpmn:StartEvent' } }
+    });
+
+    const yjsDoc = await manager.getYjsDocument(created.id);
+    for (let i = 0; i < 5; i++) {
+      yjsDoc.getMap('elements').set(`Task_${i}`, { id: `Task_${i}`, type: 'bpmn:Task' });
+    }
+
+    await manager.destroy();
+
+    const restarted = createManager();
+    await restarted.initialize();
+
+    const documents = await restarted.getDocuments();
+    assert.strictEqual(documents.length, 1);
+    assert.strictEqual(documents[0].name, 'Persistent');
+
+    // 문서 내용은 처음 조회할 때 로드
+    assert.strictEqual(restarted.documents.has(created.id), false);
+
+    const document = await restarted.getDocument(created.id);
+    assert.deepStrictEqual(
+      Object.keys(document.content.elements).sort(),
+      ['StartEvent_1', 'Task_0', 'Task_1', 'Task_2', 'Task_3', 'Task_4']
+    );
+
+    await restarted.destroy();
+  });
+
+  it('지정한 ID로 문서를 생성할 수 있어야 한다', async () => {
+    const manager = createManager();
+    await manager.initialize();
+
+    await manager.createDocument('Named', null, { documentId: 'room-1' });
+
+    assert.ok(await manager.getYjsDocument('room-1'));
+    await assert.rejects(
+      () => manager.createDocument('Duplicate', null, { documentId: 'room-1' }),
+      { message: 'Document already exists: room-1' }
+    );
+
+    await manager.destroy();
+  });
+
+  it('내린 문서는 저장 후 메모리에서 제거되고 다시 조회하면 로드되어야 한다', async () => {
+    const manager = createManager();
+    await manager.initialize();
+
+    await manager.createDocument('Idle', null, { documentId: 'idle' });
+    (await manager.getYjsDocument('idle')).getMap('elements').set('Task_1', { id: 'Task_1' });
+
+    assert.strictEqual(await manager.unloadDocument('idle'), true);
+    assert.strictEqual(manager.isDocumentLoaded('idle'), false);
+    assert.strictEqual((await manager.getDocuments()).length, 1);
+    assert.strictEqual(await manager.unloadDocument('idle'), false);
+
+    const reloaded = await manager.getYjsDocument('idle');
+    assert.deepStrictEqual(reloaded.getMap('elements').toJSON(), { Task_1: { id: 'Task_1' } });
+    assert.strictEqual(manager.isDocumentLoaded('idle'), true);
+
+    await manager.destroy();
+  });
+
+  it('지속성이 꺼져 있으면 문서를 내리지 않아야 한다', async () => {
+    const manager = new DocumentManager({ logger });
+    await manager.initialize();
+
+    await manager.createDocument('Memory', null, { documentId: 'memory' });
+
+    assert.strictEqual(await manager.unloadDocument('memory'), false);
+    assert.strictEqual(manager.isDocumentLoaded('memory'), true);
+
+    await manager.destroy();
+  });
+
+  it('삭제한 문서는 재시작 후 나타나지 않아야 한다', async () => {
+    const manager = createManager();
+    await manager.initialize();
+
+    const created = await manager.createDocument('To Delete');
+    await manager.deleteDocument(created.id);
+    await manager.destroy();
+
+    const restarted = createManager();
+    await restarted.initialize();
+
+    assert.strictEqual(await restarted.getDocument(created.id), null);
+
+    await restarted.destroy();
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * LabelTextBinding 단위 테스트
+ * 직접 편집 DOM은 사용하지 않고 Y.Text 생성/반영 규칙만 검사
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as Y from 'yjs';
+import { LabelTextBinding } from '../../client/src/services/LabelTextBinding.js';
+
+// 바인딩이 사용하는 최소한의 브라우저 전역
+globalThis.window = { Y };
+globalThis.document = {
+  getElementById: () => ({}),
+  addEventListener: () => {},
+  removeEventListener: () => {}
+};
+
+// 두 문서를 양방향으로 연결
+const connect = (docA, docB) => {
+  docA.on('update', (update, origin) => origin !== docB && Y.applyUpdate(docB, update, docA));
+  docB.on('update', (update, origin) => origin !== docA && Y.applyUpdate(docA, update, docB));
+};
+
+// 업데이트를 모아 두었다가 flush() 때 전달 (네트워크 지연)
+const connectDelayed = (docA, docB) => {
+  const queue = [];
+  docA.on('update', (update, origin) => origin !== docB && queue.push([docB, update, docA]));
+  docB.on('update', (update, origin) => origin !== docA && queue.push([docA, update, docB]));
+
+  return () => {
+    while (queue.length > 0) {
+      const [target, update, origin] = queue.shift();
+      Y.applyUpdate(target, update, origin);
+    }
+  };
+};
+
+class FakeEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(events, callback) {
+    [].concat(events).forEach(name => {
+      this.listeners.set(name, [...(this.listeners.get(name) || []), callback]);
+    });
+  }
+
+  off(events, callback) {
+    [].concat(events).forEach(name => {
+      this.listeners.set(name, (this.listeners.get(name) || []).filter(listener => listener !== callback));
+    });
+  }
+
+  emit(name, payload) {
+    (this.listeners.get(name) || []).forEach(listener => listener(payload));
+  }
+}
+
+// 클라이언트끼리 상태 Map을 공유하는 awareness
+class FakeAwareness extends FakeEmitter {
+  constructor(clientID, states) {
+    super();
+    this.clientID = clientID;
+    this.states = states;
+    this.states.set(clientID, {});
+  }
+
+  getStates() {
+    return this.states;
+  }
+
+  setLocalStateField(field, value) {
+    this.states.set(this.clientID, { ...this.states.get(this.clientID), [field]: value });
+  }
+}
+
+const createModeler = elements => {
+  const eventBus = new FakeEmitter();
+  eventBus.fire = eventBus.emit;
+
+  const services = {
+    eventBus,
+    overlays: { add: () => 'overlay', remove: () => {} },
+    elementRegistry: {
+      get: id => elements.find(element => element.id === id),
+      getAll: () => elements
+    },
+    directEditing: { isActive: () => false }
+  };
+
+  return { get: name => services[name] };
+};
+
+const createClient = (clientID, states, names, options = {}) => {
+  const root = { id: 'Process_1', type: 'bpmn:Process', businessObject: {} };
+  const elements = [root, ...Object.entries(names).map(([id, name]) => ({
+    id,
+    type: 'bpmn:Task',
+    parent: root,
+    businessObject: { name }
+  }))];
+
+  const doc = new Y.Doc();
+  const modeler = createModeler(elements);
+  const awareness = new FakeAwareness(clientID, states);
+
+  return {
+    doc,
+    elements,
+    awareness,
+    eventBus: modeler.get('eventBus'),
+    createBinding: () => new LabelTextBinding(doc, modeler, awareness, { Y, ...options })
+  };
+};
+
+describe('LabelTextBinding', () => {
+  let states;
+  let bindings;
+
+  beforeEach(() => {
+    states = new Map();
+    bindings = [];
+  });
+
+  afterEach(() => {
+    bindings.forEach(binding => binding.destroy());
+  });
+
+  it('clientID가 가장 작은 클라이언트만 Y.Text를 만들어야 한다', () => {
+    const alice = createClient(1, states, { Task_1: 'Review' });
+    const bob = createClient(2, states, { Task_1: 'Review' });
+
+    bindings.push(bob.createBinding());
+    assert.strictEqual(bob.doc.getMap('labelTexts').size, 0);
+
+    connect(alice.doc, bob.doc);
+    bindings.push(alice.createBinding());
+
+    const labelTexts = bob.doc.getMap('labelTexts');
+    assert.deepStrictEqual(Array.from(labelTexts.keys()).sort(), ['Task_1:documentation', 'Task_1:name']);
+    assert.strictEqual(labelTexts.get('Task_1:name').toString(), 'Review');
+    assert.strictEqual(bindings[0].setValue('Task_1', 'name', 'Review!'), true);
+    assert.strictEqual(alice.doc.getMap('labelTexts').get('Task_1:name').toString(), 'Review!');
+  });
+
+  it('작성자 클라이언트가 나가면 다음 클라이언트가 빠진 Y.Text를 만들어야 한다', () => {
+    const alice = createClient(1, states, {});
+    const bob = createClient(2, states, {});
+    connect(alice.doc, bob.doc);
+    bindings.push(alice.createBinding(), bob.createBinding());
+
+    states.delete(1);
+    bob.awareness.emit('change');
+
+    const task = { id: 'Task_2', type: 'bpmn:Task', parent: bob.elements[0], businessObject: { name: 'Ship' } };
+    bob.elements.push(task);
+    bob.eventBus.fire('shape.added', { element: task });
+
+    assert.strictEqual(alice.doc.getMap('labelTexts').get('Task_2:name').toString(), 'Ship');
+  });
+
+  it('provider 첫 동기화 전에는 Y.Text를 만들지 않아야 한다', () => {
+    const provider = new FakeEmitter();
+    provider.synced = false;
+    const client = createClient(1, states, { Task_1: 'Draft' }, { provider });
+
+    const binding = client.createBinding();
+    bindings.push(binding);
+
+    const values = [];
+    binding.observeField('Task_1', 'name', value => values.push(value));
+    assert.strictEqual(binding.setValue('Task_1', 'name', 'Final'), false);
+    assert.strictEqual(client.doc.getMap('labelTexts').size, 0);
+
+    provider.emit('sync', true);
+    binding.setValue('Task_1', 'name', 'Final');
+
+    assert.deepStrictEqual(values, ['Draft', 'Final']);
+  });
+
+  it('원격 변경을 적용하며 바뀐 요소 값은 Y.Text에 다시 쓰지 않아야 한다', () => {
+    const alice = createClient(1, states, { Task_1: 'A' });
+    const bob = createClient(2, states, { Task_1: 'A' });
+    const flush = connectDelayed(alice.doc, bob.doc);
+
+    // 모델 동기화가 라벨 바인딩보다 먼저 element.changed를 받아 요소 데이터를 먼저 보냄
+    alice.eventBus.on('element.changed', ({ element }) => {
+      alice.doc.getMap('elements').set(element.id, { name: element.businessObject.name });
+    });
+    bob.doc.getMap('elements').observe(event => {
+      event.keysChanged.forEach(id => {
+        const element = bob.elements.find(candidate => candidate.id === id);
+        element.businessObject.name = bob.doc.getMap('elements').get(id).name;
+        bob.eventBus.fire('element.changed', { element });
+      });
+    });
+
+    bindings.push(alice.createBinding(), bob.createBinding());
+    flush();
+
+    const task = alice.elements[1];
+    task.businessObject.name = 'AB';
+    alice.eventBus.fire('element.changed', { element: task });
+    flush();
+
+    assert.strictEqual(alice.doc.getMap('labelTexts').get('Task_1:name').toString(), 'AB');
+    assert.strictEqual(bob.doc.getMap('labelTexts').get('Task_1:name').toString(), 'AB');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * LiveDocumentRegistry 단위 테스트 (yjs-server.js 라이브 문서 수명 주기)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { DocumentManager } from '../../server/services/DocumentManager.js';
+import { LiveDocumentRegistry } from '../../server/services/LiveDocumentRegistry.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const logger = new Logger({ level: 'error' });
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('waitFor timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const readTask = entry => entry.doc.getMap('elements').get('Task_1');
+
+describe('LiveDocumentRegistry', () => {
+  let basePath;
+  let documentManager;
+  let registry;
+
+  const createRegistry = async (options = {}, { enablePersistence = true } = {}) => {
+    documentManager = new DocumentManager({ enablePersistence, storagePath: basePath, logger });
+    await documentManager.initialize();
+    registry = new LiveDocumentRegistry({ documentManager, idleTimeout: 30, logger, ...options });
+    return registry;
+  };
+
+  // 연결 하나가 요소를 편집하고 끊김
+  const editAndLeave = async (docname, name) => {
+    const entry = await registry.get(docname);
+    registry.updateConnections(docname, entry, 1);
+    entry.doc.getMap('elements').set('Task_1', { id: 'Task_1', name });
+    registry.updateConnections(docname, entry, -1);
+    return entry;
+  };
+
+  beforeEach(async () => {
+    basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'bpmn-live-'));
+  });
+
+  afterEach(async () => {
+    registry?.destroy();
+    await documentManager?.destroy();
+    await fs.rm(basePath, { recursive: true, force: true });
+    registry = null;
+    documentManager = null;
+  });
+
+  it('저장소에 없는 문서는 한 번만 만들고 같은 항목을 공유해야 한다', async () => {
+    await createRegistry();
+
+    const [first, second] = await Promise.all([registry.get('room-1'), registry.get('room-1')]);
+
+    assert.strictEqual(first, second);
+    assert.deepStrictEqual(documentManager.getSharing('room-1'), { shares: [], invites: [] });
+    assert.strictEqual((await documentManager.getDocuments()).length, 1);
+  });
+
+  it('연결이 모두 끊기고 유예 시간이 지나면 저장 후 내리고 다시 로드해야 한다', async () => {
+    await createRegistry();
+    await editAndLeave('room-1', 'Review');
+
+    assert.notStrictEqual(registry.describe('room-1').idleSince, null);
+    await waitFor(() => !registry.documents.has('room-1'));
+    await waitFor(() => !registry.unloading.has('room-1'));
+    assert.strictEqual(documentManager.isDocumentLoaded('room-1'), false);
+
+    const reloaded = await registry.get('room-1');
+    assert.deepStrictEqual(readTask(reloaded), { id: 'Task_1', name: 'Review' });
+  });
+
+  it('유예 시간 안에 다시 연결되면 문서를 유지해야 한다', async () => {
+    await createRegistry({ idleTimeout: 60 });
+    const entry = await editAndLeave('room-1', 'Review');
+
+    await sleep(20);
+    registry.updateConnections('room-1', entry, 1);
+    await sleep(120);
+
+    assert.strictEqual(await registry.get('room-1'), entry);
+    assert.strictEqual(documentManager.isDocumentLoaded('room-1'), true);
+    assert.strictEqual(registry.describe('room-1').idleSince, null);
+  });
+
+  it('내리는 중에 다시 연결하면 저장이 끝난 뒤 저장소에서 다시 로드해야 한다', async () => {
+    await createRegistry({ idleTimeout: 60000 });
+    const entry = await editAndLeave('room-1', 'Review');
+
+    const unloading = registry.unload('room-1');
+    const reconnected = registry.get('room-1');
+
+    assert.strictEqual(await unloading, true);
+    const reloaded = await reconnected;
+    assert.notStrictEqual(reloaded, entry);
+    assert.deepStrictEqual(readTask(reloaded), { id: 'Task_1', name: 'Review' });
+    assert.strictEqual(documentManager.isDocumentLoaded('room-1'), true);
+  });
+
+  it('연결이 있는 문서는 내리지 않아야 한다', async () => {
+    await createRegistry({ idleTimeout: 60000 });
+    const entry = await registry.get('room-1');
+    registry.updateConnections('room-1', entry, 1);
+
+    assert.strictEqual(await registry.unload('room-1'), false);
+    assert.strictEqual(await registry.get('room-1'), entry);
+  });
+
+  it('로드 후 연결되지 않은 문서도 유예 시간 후 내려야 한다', async () => {
+    await createRegistry();
+    await registry.get('room-1');
+
+    await waitFor(() => !registry.documents.has('room-1'));
+    await waitFor(() => !documentManager.isDocumentLoaded('room-1'));
+  });
+
+  it('지속성이 꺼져 있으면 DocumentManager에 내용을 유지해야 한다', async () => {
+    await createRegistry({ idleTimeout: 60000 }, { enablePersistence: false });
+    await editAndLeave('room-1', 'Draft');
+
+    assert.strictEqual(await registry.unload('room-1'), false);
+    assert.strictEqual(documentManager.isDocumentLoaded('room-1'), true);
+    assert.deepStrictEqual(readTask(await registry.get('room-1')), { id: 'Task_1', name: 'Draft' });
+  });
+
+  it('라이브 문서를 연결 수 순으로 나열해야 한다', async () => {
+    await createRegistry({ idleTimeout: 60000 });
+    const idle = await registry.get('idle');
+    const busy = await registry.get('busy');
+    registry.updateConnections('busy', busy, 2);
+    registry.updateConnections('idle', idle, 0);
+
+    const { documents, totalConnections } = registry.list();
+
+    assert.deepStrictEqual(documents.map(({ id, connections }) => ({ id, connections })), [
+      { id: 'busy', connections: 2 },
+      { id: 'idle', connections: 0 }
+    ]);
+    assert.strictEqual(totalConnections, 2);
+    assert.strictEqual(documents[0].idleSince, null);
+    assert.strictEqual(documents[0].awarenessStates, 0);
+    assert.strictEqual(registry.describe('missing'), null);
+    assert.strictEqual((await documentManager.getDocument('busy')).activeUsers, 2);
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * OfflineQueue 단위 테스트
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { OfflineQueue, OFFLINE_CONFLICT_TYPE } from '../../src/offline/OfflineQueue.js';
+import { MemoryQueueStorage } from '../../src/offline/storage/MemoryQueueStorage.js';
+import { FileQueueStorage } from '../../src/offline/storage/FileQueueStorage.js';
+import { BaseQueueStorage } from '../../src/offline/storage/BaseQueueStorage.js';
+import { BaseAdapter } from '../../src/adapters/BaseAdapter.js';
+import { DiffSyncEngine } from '../../src/core/DiffSyncEngine.js';
+
+/**
+ * 연결 상태를 전환할 수 있는 테스트 어댑터
+ */
+class ToggleAdapter extends BaseAdapter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  async initialize() {
+    this.isInitialized = true;
+    this.isConnected = true;
+  }
+
+  async sendDiff(diff) {
+    if (!this.isConnected) {
+      throw new Error('ToggleAdapter not connected');
+    }
+    this.sent.push(diff);
+  }
+
+  onRemoteDiff(callback) {
+    this.remoteDiffCallback = callback;
+  }
+
+  setOnline(online) {
+    this.isConnected = online;
+    this._notifyConnectionChange(online ? 'connected' : 'disconnected');
+  }
+}
+
+/**
+ * 재연결 후 놓친 원격 변경을 따라잡은 뒤 'synced'를 알리는 테스트 어댑터 (WebSocketAdapter 방식)
+ */
+class CatchUpAdapter extends ToggleAdapter {
+  isCatchingUp() {
+    return this.catchingUp === true;
+  }
+
+  setOnline(online) {
+    this.catchingUp = online;
+    super.setOnline(online);
+  }
+
+  async finishCatchUp(remoteDiffs = []) {
+    for (const diff of remoteDiffs) {
+      await this.remoteDiffCallback(diff);
+    }
+    this.catchingUp = false;
+    this._notifyConnectionChange('synced');
+  }
+}
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('waitFor timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('OfflineQueue', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryQueueStorage();
+  });
+
+  it('추가한 항목을 저장소에 보관하고 다시 로드해야 한다', async () => {
+    const queue = new OfflineQueue({ storage, key: 'doc-1' });
+    await queue.enqueue({ id: 'diff-1' }, ['Task_1']);
+    await queue.enqueue({ id: 'diff-2' }, ['Task_2', 'Task_2']);
+
+    const restored = new OfflineQueue({ storage, key: 'doc-1' });
+    assert.strictEqual(await restored.load(), 2);
+    assert.deepStrictEqual(restored.getPending().map(entry => entry.payload.id), ['diff-1', 'diff-2']);
+    assert.deepStrictEqual(restored.getPending()[1].elementIds, ['Task_2']);
+
+    // 복원 후 추가한 항목은 순서가 이어져야 한다
+    const entry = await restored.enqueue({ id: 'diff-3' });
+    assert.strictEqual(entry.sequence, 3);
+  });
+
+  it('최대 크기를 넘으면 가장 오래된 항목을 제거해야 한다', async () => {
+    const queue = new OfflineQueue({ storage, maxSize: 2 });
+    await queue.enqueue({ id: 'diff-1' });
+    await queue.enqueue({ id: 'diff-2' });
+    await queue.enqueue({ id: 'diff-3' });
+
+    assert.deepStrictEqual(queue.getPending().map(entry => entry.payload.id), ['diff-2', 'diff-3']);
+  });
+
+  it('항목을 순서대로 재전송하고 저장소를 비워야 한다', async () => {
+    const queue = new OfflineQueue({ storage });
+    await queue.enqueue({ id: 'diff-1' });
+    await queue.enqueue({ id: 'diff-2' });
+
+    const sent = [];
+    const result = await queue.replay(async payload => { sent.push(payload.id); });
+
+    assert.deepStrictEqual(sent, ['diff-1', 'diff-2']);
+    assert.deepStrictEqual(result, { replayed: 2, skipped: 0, conflicts: [], remaining: 0 });
+    assert.deepStrictEqual(await storage.load('default'), []);
+  });
+
+  it('전송에 실패하면 중단하고 남은 항목을 유지해야 한다', async () => {
+    const queue = new OfflineQueue({ storage });
+    await queue.enqueue({ id: 'diff-1' });
+    await queue.enqueue({ id: 'diff-2' });
+
+    const result = await queue.replay(async payload => {
+      if (payload.id === 'diff-2') {
+        throw new Error('connection lost');
+      }
+    });
+
+    assert.strictEqual(result.replayed, 1);
+    assert.strictEqual(result.remaining, 1);
+    assert.deepStrictEqual((await storage.load('default')).map(entry => entry.payload.id), ['diff-2']);
+  });
+
+  it('대기 중 같은 요소를 변경한 원격 변경을 충돌로 보고해야 한다', async () => {
+    const queue = new OfflineQueue({ storage });
+
+    // 대기 항목이 없을 때의 원격 변경은 기록하지 않음
+    queue.recordRemoteChange(['Task_1'], 'bob');
+    await queue.enqueue({ id: 'diff-1' }, ['Task_1', 'Task_2']);
+    await queue.enqueue({ id: 'diff-2' }, ['Task_3']);
+    queue.recordRemoteChange(['Task_2'], 'bob');
+
+    const seen = [];
+    const result = await queue.replay(async () => {}, {
+      onConflict: (conflict, entry) => {
+        seen.push(entry.payload.id);
+        return false;
+      }
+    });
+
+    assert.deepStrictEqual(seen, ['diff-1']);
+    assert.strictEqual(result.conflicts.length, 1);
+    assert.strictEqual(result.conflicts[0].type, OFFLINE_CONFLICT_TYPE);
+    assert.deepStrictEqual(result.conflicts[0].elementIds, ['Task_2']);
+    assert.deepStrictEqual(result.conflicts[0].remoteClientIds, ['bob']);
+    assert.strictEqual(result.skipped, 1);
+    assert.strictEqual(result.replayed, 1);
+  });
+
+  it('저장소 구현이 없으면 예외가 발생해야 한다', async () => {
+    await assert.rejects(new BaseQueueStorage().load('key'), /must be implemented by subclass/);
+  });
+});
+
+describe('FileQueueStorage', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'offline-queue-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('큐 키별 파일에 저장하고 삭제해야 한다', async () => {
+    const storage = new FileQueueStorage({ directory });
+
+    assert.deepStrictEqual(await storage.load('doc/1'), []);
+
+    await storage.save('doc/1', [{ id: 'entry-1' }]);
+    assert.deepStrictEqual(await new FileQueueStorage({ directory }).load('doc/1'), [{ id: 'entry-1' }]);
+    assert.deepStrictEqual(await fs.readdir(directory), ['doc%2F1.json']);
+
+    await storage.clear('doc/1');
+    assert.deepStrictEqual(await storage.load('doc/1'), []);
+  });
+});
+
+describe('DiffSyncEngine 오프라인 모드', () => {
+  let storage;
+  let elements;
+
+  const createEngine = (adapter, offline = {}) => new DiffSyncEngine({
+    logging: { level: 'error' },
+    extractor: {
+      extract: async () => ({ timestamp: Date.now(), version: '1.0.0', clientId: 'alice', elements: { ...elements } })
+    },
+    calculator: { type: 'StandardDiffCalculator' },
+    applicator: {
+      apply: async (diff) => {
+        diff.added.forEach(element => { elements[element.id] = element; });
+        return { success: true, errors: [] };
+      }
+    },
+    adapter,
+    offline: { enabled: true, storage, ...offline }
+  });
+
+  beforeEach(() => {
+    storage = new MemoryQueueStorage();
+    elements = {};
+  });
+
+  it('오프라인 변경을 보관했다가 재연결 시 순서대로 전송해야 한다', async () => {
+    const adapter = new ToggleAdapter();
+    const engine = createEngine(adapter);
+    await engine.initialize({ clientId: 'alice', documentId: 'doc-1' });
+
+    const statuses = [];
+    engine.eventBus.on('offline:status', status => statuses.push(status));
+
+    adapter.setOnline(false);
+    elements.Task_1 = { id: 'Task_1', type: 'bpmn:Task', x: 0, y: 0, width: 100, height: 80 };
+    const first = await engine.sync();
+    elements.Task_2 = { id: 'Task_2', type: 'bpmn:Task', x: 200, y: 0, width: 100, height: 80 };
+    await engine.sync();
+
+    assert.strictEqual(first.queued, true);
+    assert.strictEqual(adapter.sent.length, 0);
+    assert.deepStrictEqual(engine.getOfflineStatus(), {
+      enabled: true, online: false, pending: 2, oldestQueuedAt: engine.getOfflineStatus().oldestQueuedAt, isReplaying: false
+    });
+    assert.strictEqual((await storage.load('doc-1')).length, 2);
+
+    adapter.setOnline(true);
+    await waitFor(() => adapter.sent.length === 2);
+
+    assert.deepStrictEqual(adapter.sent.map(diff => diff.added[0].id), ['Task_1', 'Task_2']);
+    await waitFor(() => statuses.at(-1)?.pending === 0);
+    assert.strictEqual(statuses.at(-1).online, true);
+
+    await engine.destroy();
+  });
+
+  it('재시작 후 저장된 변경을 재전송해야 한다', async () => {
+    const offlineAdapter = new ToggleAdapter();
+    const first = createEngine(offlineAdapter);
+    await first.initialize({ clientId: 'alice', documentId: 'doc-1' });
+    offlineAdapter.setOnline(false);
+    elements.Task_1 = { id: 'Task_1', type: 'bpmn:Task', x: 0, y: 0, width: 100, height: 80 };
+    await first.sync();
+    await first.destroy();
+
+    const adapter = new ToggleAdapter();
+    const second = createEngine(adapter);
+    await second.initialize({ clientId: 'alice', documentId: 'doc-1' });
+
+    await waitFor(() => adapter.sent.length === 1);
+    assert.strictEqual(adapter.sent[0].added[0].id, 'Task_1');
+
+    await second.destroy();
+  });
+
+  it('대기 중 원격에서 변경된 요소는 충돌로 알리고 onConflict 결과를 따라야 한다', async () => {
+    const adapter = new ToggleAdapter();
+    const conflicts = [];
+    const engine = createEngine(adapter, { onConflict: () => false });
+    engine.eventBus.on('conflict:detected', conflict => conflicts.push(conflict));
+    await engine.initialize({ clientId: 'alice', documentId: 'doc-1' });
+    await engine.start();
+
+    adapter.setOnline(false);
+    elements.Task_1 = { id: 'Task_1', type: 'bpmn:Task', x: 0, y: 0, width: 100, height: 80 };
+    await engine.sync();
+
+    await adapter.remoteDiffCallback({
+      id: 'remote-1',
+      timestamp: Date.now(),
+      clientId: 'bob',
+      added: [{ id: 'Task_1', type: 'bpmn:Task', x: 50, y: 50, width: 100, height: 80 }],
+      modified: [],
+      removed: []
+    });
+
+    const replayed = new Promise(resolve => engine.eventBus.once('offline:replayed', resolve));
+    adapter.setOnline(true);
+    const result = await replayed;
+
+    assert.strictEqual(conflicts.length, 1);
+    assert.strictEqual(conflicts[0].type, OFFLINE_CONFLICT_TYPE);
+    assert.deepStrictEqual(conflicts[0].remoteClientIds, ['bob']);
+    assert.strictEqual(result.skipped, 1);
+    assert.strictEqual(adapter.sent.length, 0);
+
+    await engine.destroy();
+  });
+
+  it('재연결 후 따라잡기 응답으로 받은 원격 변경까지 반영한 뒤 재전송해야 한다', async () => {
+    const adapter = new CatchUpAdapter();
+    const conflicts = [];
+    const engine = createEngine(adapter, { onConflict: () => false });
+    engine.eventBus.on('conflict:detected', conflict => conflicts.push(conflict));
+    await engine.initialize({ clientId: 'alice', documentId: 'doc-1' });
+    await engine.start();
+
+    adapter.setOnline(false);
+    elements.Task_1 = { id: 'Task_1', type: 'bpmn:Task', x: 0, y: 0, width: 100, height: 80 };
+    elements.Task_2 = { id: 'Task_2', type: 'bpmn:Task', x: 200, y: 0, width: 100, height: 80 };
+    await engine.sync();
+
+    const replayed = new Promise(resolve => engine.eventBus.once('offline:replayed', resolve));
+    adapter.setOnline(true);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(engine.getOfflineStatus().pending, 1);
+
+    await adapter.finishCatchUp([{
+      id: 'remote-1',
+      timestamp: Date.now(),
+      clientId: 'bob',
+      added: [],
+      modified: [{ id: 'Task_1', changes: { x: 50 } }],
+      removed: []
+    }]);
+    const result = await replayed;
+
+    assert.strictEqual(conflicts.length, 1);
+    assert.deepStrictEqual(conflicts[0].elementIds, ['Task_1']);
+    assert.deepStrictEqual(conflicts[0].remoteClientIds, ['bob']);
+    assert.strictEqual(result.skipped, 1);
+    assert.strictEqual(adapter.sent.length, 0);
+
+    await engine.destroy();
+  });
+});
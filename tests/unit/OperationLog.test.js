@@ -0,0 +1,101 @@
+/**
+ * OperationLog 단위 테스트
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { OperationLog } from '../../server/services/OperationLog.js';
+
+const DOCUMENT_ID = 'doc-1';
+
+const modelChange = (elementId) => ({
+  type: 'model_change',
+  operation: { type: 'element.changed', elementId },
+  userId: 'alice'
+});
+
+describe('OperationLog', () => {
+  let log;
+
+  beforeEach(() => {
+    log = new OperationLog({ maxOperations: 5, maxCatchUp: 3 });
+  });
+
+  it('문서별로 1부터 순번을 매겨야 한다', () => {
+    assert.strictEqual(log.append(DOCUMENT_ID, modelChange('Task_1')), 1);
+    assert.strictEqual(log.append(DOCUMENT_ID, modelChange('Task_2')), 2);
+    assert.strictEqual(log.append('doc-2', modelChange('Task_1')), 1);
+
+    assert.strictEqual(log.getLatestSequence(DOCUMENT_ID), 2);
+    assert.strictEqual(log.getLatestSequence('missing'), 0);
+  });
+
+  it('마지막으로 받은 순번 이후의 작업을 순서대로 반환해야 한다', () => {
+    ['Task_1', 'Task_2', 'Task_3'].forEach(id => log.append(DOCUMENT_ID, modelChange(id)));
+
+    const { operations, latestSequence, complete } = log.getSince(DOCUMENT_ID, 1);
+
+    assert.strictEqual(complete, true);
+    assert.strictEqual(latestSequence, 3);
+    assert.deepStrictEqual(operations.map(message => [message.sequence, message.operation.elementId]), [
+      [2, 'Task_2'],
+      [3, 'Task_3']
+    ]);
+    assert.deepStrictEqual(log.getSince(DOCUMENT_ID, 3).operations, []);
+    assert.deepStrictEqual(log.getSince('missing', 0), { operations: [], latestSequence: 0, complete: true });
+  });
+
+  it('보관 범위를 벗어났거나 차이가 너무 크면 불완전으로 표시해야 한다', () => {
+    for (let i = 1; i <= 7; i++) {
+      log.append(DOCUMENT_ID, modelChange(`Task_${i}`));
+    }
+
+    // 보관 중인 작업은 3~7
+    assert.strictEqual(log.getSince(DOCUMENT_ID, 1).complete, false);
+    assert.strictEqual(log.getSince(DOCUMENT_ID, 2).complete, false);
+    assert.strictEqual(log.getSince(DOCUMENT_ID, 4).complete, true);
+    assert.deepStrictEqual(log.getSince(DOCUMENT_ID, 2).operations, []);
+
+    // 서버 재시작 등으로 클라이언트 순번이 더 앞선 경우
+    assert.strictEqual(log.getSince(DOCUMENT_ID, 10).complete, false);
+  });
+
+  it('스냅샷과 이후 작업으로 따라잡을 수 있어야 한다', () => {
+    ['Task_1', 'Task_2'].forEach(id => log.append(DOCUMENT_ID, modelChange(id)));
+    const modelState = { elements: [{ id: 'Task_1' }, { id: 'Task_2' }] };
+
+    assert.strictEqual(log.setSnapshot(DOCUMENT_ID, modelState, 2), true);
+    log.append(DOCUMENT_ID, modelChange('Task_3'));
+
+    const catchUp = log.getSnapshotCatchUp(DOCUMENT_ID);
+    assert.strictEqual(catchUp.modelState, modelState);
+    assert.strictEqual(catchUp.snapshotSequence, 2);
+    assert.deepStrictEqual(catchUp.operations.map(message => message.sequence), [3]);
+    assert.strictEqual(catchUp.latestSequence, 3);
+
+    // 더 오래된 스냅샷으로는 덮어쓰지 않음
+    assert.strictEqual(log.setSnapshot(DOCUMENT_ID, { elements: [] }, 1), false);
+    assert.strictEqual(log.getSnapshot(DOCUMENT_ID).modelState, modelState);
+  });
+
+  it('스냅샷 이후 작업이 보관 범위를 벗어나면 스냅샷으로 따라잡을 수 없어야 한다', () => {
+    log.setSnapshot(DOCUMENT_ID, { elements: [] }, 0);
+    for (let i = 1; i <= 6; i++) {
+      log.append(DOCUMENT_ID, modelChange(`Task_${i}`));
+    }
+
+    assert.strictEqual(log.getSnapshotCatchUp(DOCUMENT_ID), null);
+    assert.strictEqual(log.getSnapshotCatchUp('missing'), null);
+  });
+
+  it('문서 삭제 시 로그와 스냅샷을 지워야 한다', () => {
+    log.append(DOCUMENT_ID, modelChange('Task_1'));
+    log.setSnapshot(DOCUMENT_ID, { elements: [] }, 1);
+
+    log.clear(DOCUMENT_ID);
+
+    assert.strictEqual(log.getLatestSequence(DOCUMENT_ID), 0);
+    assert.strictEqual(log.getSnapshot(DOCUMENT_ID), null);
+    assert.deepStrictEqual(log.getMetrics(), { documents: 0, operations: 0, snapshots: 0 });
+  });
+});
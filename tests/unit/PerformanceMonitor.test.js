@@ -0,0 +1,76 @@
+/**
+ * PerformanceMonitor 플러그인 단위 테스트
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { PerformanceMonitor } from '../../src/plugins/PerformanceMonitor.js';
+import { BasePlugin } from '../../src/plugins/BasePlugin.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+describe('PerformanceMonitor', () => {
+  let monitor;
+
+  beforeEach(async () => {
+    monitor = new PerformanceMonitor({ options: { slowSyncThreshold: 20, buckets: [5, 10, 50] } });
+    await monitor.initialize({ logger: new Logger({ level: 'error' }) });
+  });
+
+  it('BasePlugin을 상속하고 기본 이름을 가져야 한다', () => {
+    assert.ok(monitor instanceof BasePlugin);
+    assert.strictEqual(monitor.name, 'PerformanceMonitor');
+    assert.strictEqual(monitor.isInitialized, true);
+  });
+
+  it('단계별 지연 시간을 히스토그램 버킷에 기록해야 한다', () => {
+    monitor.afterCalculate({ timing: { extraction: 3, calculation: 8 } });
+    monitor.afterCalculate({ timing: { extraction: 7, calculation: 100 } });
+
+    const { stages } = monitor.getMetrics();
+
+    assert.strictEqual(stages.extraction.count, 2);
+    assert.deepStrictEqual(
+      stages.extraction.buckets.map(bucket => bucket.count),
+      [1, 1, 0, 0]
+    );
+    assert.deepStrictEqual(
+      stages.calculation.buckets.map(bucket => bucket.count),
+      [0, 1, 0, 1]
+    );
+    assert.strictEqual(stages.calculation.buckets[3].le, '+Inf');
+    assert.strictEqual(stages.calculation.max, 100);
+    assert.strictEqual(stages.localSync.sum, 118);
+  });
+
+  it('백분위와 평균을 계산해야 한다', () => {
+    for (let i = 1; i <= 100; i++) {
+      monitor.afterApply({ timing: { application: i, total: i } });
+    }
+
+    const { application } = monitor.getMetrics().stages;
+
+    assert.strictEqual(application.p50, 50);
+    assert.strictEqual(application.p95, 95);
+    assert.strictEqual(application.average, 50.5);
+  });
+
+  it('느린 동기화와 오류를 집계해야 한다', () => {
+    monitor.afterCalculate({ timing: { extraction: 15, calculation: 10 } });
+    monitor.afterApply({ timing: { application: 1, total: 2 } });
+    monitor.onError({ error: new Error('boom'), stage: 'remote_diff' });
+
+    const metrics = monitor.getMetrics();
+
+    assert.deepStrictEqual(metrics.slowSyncs, { local: 1, remote: 0 });
+    assert.deepStrictEqual(metrics.errors, { remote_diff: 1 });
+  });
+
+  it('reset 후에는 메트릭이 비어 있어야 한다', () => {
+    monitor.afterCalculate({ timing: { extraction: 1, calculation: 1 } });
+    monitor.reset();
+
+    const { stages } = monitor.getMetrics();
+    assert.strictEqual(stages.extraction.count, 0);
+    assert.strictEqual(stages.extraction.min, 0);
+  });
+});
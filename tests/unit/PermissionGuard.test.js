@@ -0,0 +1,167 @@
+/**
+ * PermissionGuard 단위 테스트
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import * as Y from 'yjs';
+import * as encoding from 'lib0/encoding';
+import * as syncProtocol from 'y-protocols/sync';
+import { PermissionGuard } from '../../server/services/PermissionGuard.js';
+import { UserManager } from '../../server/services/UserManager.js';
+import { DiffCodec } from '../../src/utils/DiffCodec.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+const logger = new Logger({ level: 'error' });
+const DOCUMENT_ID = 'doc-1';
+
+const modelChange = (operation) => ({ type: 'model_change', operation, userId: 'someone' });
+
+const syncMessage = (write) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, 0);
+  write(encoder);
+  return Buffer.from(encoding.toUint8Array(encoder));
+};
+
+describe('PermissionGuard', () => {
+  let userManager;
+  let guard;
+
+  beforeEach(() => {
+    userManager = new UserManager({ logger });
+    userManager.addUser(DOCUMENT_ID, 'viewer-1', { role: 'viewer' });
+    userManager.addUser(DOCUMENT_ID, 'editor-1', { role: 'editor' });
+    userManager.addUser(DOCUMENT_ID, 'admin-1', { role: 'admin' });
+    guard = new PermissionGuard({ userManager, logger });
+  });
+
+  it('쓰기 권한이 없으면 모델 변경을 거부해야 한다', async () => {
+    const message = modelChange({ type: 'element_update', elementId: 'Task_1' });
+
+    assert.deepStrictEqual(await guard.authorize('viewer-1', DOCUMENT_ID, message), {
+      allowed: false,
+      required: 'write',
+      elementIds: ['Task_1']
+    });
+    assert.strictEqual((await guard.authorize('editor-1', DOCUMENT_ID, message)).allowed, true);
+  });
+
+  it('커서/선택 등 문서를 바꾸지 않는 메시지는 읽기 전용 사용자도 허용해야 한다', async () => {
+    const result = await guard.authorize('viewer-1', DOCUMENT_ID, { type: 'cursor_position', x: 1, y: 2 });
+
+    assert.strictEqual(result.allowed, true);
+    assert.strictEqual(
+      (await guard.authorize('viewer-1', DOCUMENT_ID, { type: 'control_message', payload: { kind: 'state-hash' } })).allowed,
+      true
+    );
+  });
+
+  it('삭제 권한이 없으면 요소 삭제를 거부해야 한다', async () => {
+    const message = modelChange({ type: 'element.removed', elementId: 'Task_1' });
+
+    assert.deepStrictEqual(await guard.authorize('editor-1', DOCUMENT_ID, message), {
+      allowed: false,
+      required: 'delete',
+      elementIds: ['Task_1']
+    });
+    assert.strictEqual((await guard.authorize('admin-1', DOCUMENT_ID, message)).allowed, true);
+  });
+
+  it('압축된 Diff 봉투의 삭제 목록을 검사해야 한다', async () => {
+    const bytes = new DiffCodec().encode({ id: 'diff-1', added: {}, modified: {}, removed: ['Flow_1'] });
+    const message = modelChange({
+      type: 'diff',
+      diff: { compressed: true, encoding: 'binary', data: Buffer.from(bytes).toString('base64') }
+    });
+    const plain = modelChange({ type: 'diff', diff: { id: 'diff-2', added: { Task_2: {} }, modified: {}, removed: [] } });
+
+    assert.deepStrictEqual(await guard.authorize('editor-1', DOCUMENT_ID, message), {
+      allowed: false,
+      required: 'delete',
+      elementIds: ['Flow_1']
+    });
+    assert.strictEqual((await guard.authorize('editor-1', DOCUMENT_ID, plain)).allowed, true);
+  });
+
+  it('해석할 수 없는 Diff는 삭제로 간주해야 한다', async () => {
+    const message = modelChange({ type: 'diff', diff: { compressed: true, encoding: 'binary', data: 'AAAA' } });
+
+    assert.strictEqual((await guard.authorize('editor-1', DOCUMENT_ID, message)).required, 'delete');
+  });
+
+  it('기준 상태 응답의 null 요소는 삭제로 취급해야 한다', async () => {
+    const message = {
+      type: 'control_message',
+      payload: { kind: 'resync-response', elements: { Task_1: { x: 1 }, Task_2: null } }
+    };
+
+    assert.strictEqual((await guard.authorize('viewer-1', DOCUMENT_ID, message)).required, 'write');
+    assert.deepStrictEqual((await guard.authorize('editor-1', DOCUMENT_ID, message)).elementIds, ['Task_2']);
+  });
+
+  it('permission_denied 응답 메시지를 만들어야 한다', async () => {
+    const message = modelChange({ type: 'element.removed', elementId: 'Task_1' });
+    const result = await guard.authorize('editor-1', DOCUMENT_ID, message);
+    const denied = guard.createDeniedMessage(message, result, { userId: 'editor-1', documentId: DOCUMENT_ID });
+
+    assert.strictEqual(denied.type, 'permission_denied');
+    assert.strictEqual(denied.required, 'delete');
+    assert.strictEqual(denied.messageType, 'model_change');
+    assert.strictEqual(denied.operation, 'element.removed');
+    assert.deepStrictEqual(denied.elementIds, ['Task_1']);
+    assert.match(denied.message, /"delete" permission on document doc-1/);
+  });
+
+  it('Y.js 업데이트 메시지만 문서 변경으로 판별해야 한다', () => {
+    const doc = new Y.Doc();
+
+    assert.strictEqual(guard.isYjsUpdate(syncMessage(encoder => syncProtocol.writeSyncStep1(encoder, doc))), false);
+    assert.strictEqual(guard.isYjsUpdate(syncMessage(encoder => syncProtocol.writeSyncStep2(encoder, doc))), true);
+    assert.strictEqual(guard.isYjsUpdate(syncMessage(encoder => syncProtocol.writeUpdate(encoder, new Uint8Array([0, 0])))), true);
+    assert.strictEqual(guard.isYjsUpdate(Buffer.from([1, 0])), false);
+  });
+
+  it('읽기 전용 Y.js 연결의 업데이트는 버리고 동기화 요청은 전달해야 한다', () => {
+    const doc = new Y.Doc();
+    const ws = new EventEmitter();
+    const received = [];
+    guard.guardYjsConnection(ws, doc, { userId: 'viewer-1', documentId: DOCUMENT_ID });
+    ws.on('message', data => received.push(data));
+
+    ws.emit('message', syncMessage(encoder => syncProtocol.writeUpdate(encoder, new Uint8Array([0, 0]))));
+    ws.emit('message', syncMessage(encoder => syncProtocol.writeSyncStep1(encoder, doc)));
+
+    assert.strictEqual(received.length, 1);
+  });
+
+  it('삭제 권한이 없는 Y.js 연결이 지운 요소는 복구해야 한다', () => {
+    const doc = new Y.Doc();
+    const elements = doc.getMap('elements');
+    elements.set('Task_1', { type: 'bpmn:Task' });
+    elements.set('Task_2', { type: 'bpmn:Task' });
+
+    const editor = new EventEmitter();
+    const admin = new EventEmitter();
+    guard.guardYjsConnection(editor, doc, { userId: 'editor-1', documentId: DOCUMENT_ID });
+    guard.guardYjsConnection(admin, doc, { userId: 'admin-1', documentId: DOCUMENT_ID });
+
+    doc.transact(() => elements.delete('Task_1'), editor);
+    doc.transact(() => elements.delete('Task_2'), admin);
+
+    assert.deepStrictEqual(elements.get('Task_1'), { type: 'bpmn:Task' });
+    assert.strictEqual(elements.has('Task_2'), false);
+  });
+});
+
+describe('UserManager 역할 권한', () => {
+  it('역할별 기본 권한을 반환해야 한다', () => {
+    const userManager = new UserManager({ logger });
+
+    assert.deepStrictEqual(userManager.getRolePermissions('editor'), ['read', 'write']);
+    assert.deepStrictEqual(userManager.getRolePermissions('viewer'), ['read']);
+    assert.deepStrictEqual(userManager.getRolePermissions('unknown'), ['read']);
+    assert.ok(userManager.getRolePermissions('admin').includes('delete'));
+  });
+});
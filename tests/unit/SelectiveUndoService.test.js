@@ -0,0 +1,183 @@
+/**
+ * SelectiveUndoService 단위 테스트
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { SelectiveUndoService } from '../../src/plugins/SelectiveUndoService.js';
+import { BroadcastChannelAdapter, InMemoryHub } from '../../src/adapters/BroadcastChannelAdapter.js';
+import { DiffSyncEngine } from '../../src/core/DiffSyncEngine.js';
+
+const task = (id, x = 100, name = id) => ({
+  id,
+  type: 'bpmn:Task',
+  x,
+  y: 100,
+  width: 100,
+  height: 80,
+  businessObject: { id, $type: 'bpmn:Task', name }
+});
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('waitFor timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('SelectiveUndoService', () => {
+  let clients = [];
+
+  const createClient = async (clientId, hub, elements, options = {}) => {
+    const client = { elements: structuredClone(elements), conflicts: [] };
+    client.engine = new DiffSyncEngine({
+      syncInterval: 60000,
+      logging: { level: 'error' },
+      extractor: {
+        extract: async () => ({ timestamp: Date.now(), version: '1.0.0', clientId, elements: structuredClone(client.elements) })
+      },
+      calculator: { type: 'StandardDiffCalculator' },
+      applicator: {
+        apply: async (diff) => {
+          diff.added.forEach(element => { client.elements[element.id] = structuredClone(element); });
+          diff.modified.forEach(modification => { client.elements[modification.id] = structuredClone(modification.element); });
+          diff.removed.forEach(id => { delete client.elements[id]; });
+          return { success: true, errors: [] };
+        }
+      },
+      adapter: new BroadcastChannelAdapter({ options: { hub } }),
+      plugins: [{ type: SelectiveUndoService, options: { captureTimeout: 0, ...options } }]
+    });
+
+    await client.engine.initialize({ clientId });
+    await client.engine.start();
+    client.engine.eventBus.on('undo:conflict', event => client.conflicts.push(event));
+    client.undo = client.engine.getPlugin('SelectiveUndoService');
+    clients.push(client);
+    return client;
+  };
+
+  // 로컬 편집 후 전송하고 피어에 반영될 때까지 대기
+  const edit = async (client, peer, mutate) => {
+    mutate(client.elements);
+    await client.engine.sync();
+    await waitFor(() => JSON.stringify(peer.elements) === JSON.stringify(client.elements));
+  };
+
+  const setup = async (options) => {
+    const hub = new InMemoryHub();
+    const initial = { Task_1: task('Task_1'), Task_2: task('Task_2') };
+    const alice = await createClient('client-a', hub, initial, options);
+    const bob = await createClient('client-b', hub, initial, options);
+    return { alice, bob };
+  };
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.engine.destroy()));
+    clients = [];
+  });
+
+  it('자신의 변경만 되돌리고 다른 클라이언트에도 반영해야 한다', async () => {
+    const { alice, bob } = await setup();
+
+    await edit(alice, bob, elements => { elements.Task_1.x = 400; });
+    await edit(bob, alice, elements => { elements.Task_2.businessObject.name = 'Review'; });
+
+    assert.strictEqual(bob.undo.canUndo(), true);
+    const result = await alice.undo.undo();
+
+    assert.strictEqual(result.applied, true);
+    await waitFor(() => bob.elements.Task_1.x === 100);
+    assert.strictEqual(alice.elements.Task_1.x, 100);
+    assert.strictEqual(alice.elements.Task_2.businessObject.name, 'Review');
+    assert.strictEqual(bob.elements.Task_2.businessObject.name, 'Review');
+    assert.strictEqual(alice.undo.canUndo(), false);
+  });
+
+  it('이후 피어가 바꾼 속성은 유지하고 내 속성만 되돌려야 한다', async () => {
+    const { alice, bob } = await setup();
+
+    await edit(alice, bob, elements => {
+      elements.Task_1.x = 400;
+      elements.Task_1.businessObject.name = 'Mine';
+    });
+    await edit(bob, alice, elements => { elements.Task_1.x = 250; });
+
+    const result = await alice.undo.undo();
+
+    assert.strictEqual(result.applied, true);
+    assert.deepStrictEqual(result.conflicts, [{ elementId: 'Task_1', field: 'x', reason: 'modified' }]);
+    await waitFor(() => bob.elements.Task_1.businessObject.name === 'Task_1');
+    assert.strictEqual(alice.elements.Task_1.x, 250);
+    assert.strictEqual(bob.elements.Task_1.x, 250);
+    assert.strictEqual(alice.conflicts.length, 1);
+  });
+
+  it('되돌릴 변경이 모두 덮어써졌으면 적용하지 않고 항목을 버려야 한다', async () => {
+    const { alice, bob } = await setup();
+
+    await edit(alice, bob, elements => { elements.Task_1.businessObject.name = 'Alice'; });
+    await edit(bob, alice, elements => { elements.Task_1.businessObject.name = 'Bob'; });
+
+    const result = await alice.undo.undo();
+
+    assert.strictEqual(result.applied, false);
+    assert.deepStrictEqual(result.conflicts, [{ elementId: 'Task_1', field: 'businessObject.name', reason: 'modified' }]);
+    assert.strictEqual(alice.elements.Task_1.businessObject.name, 'Bob');
+    assert.strictEqual(alice.undo.canUndo(), false);
+    assert.strictEqual(alice.undo.canRedo(), false);
+  });
+
+  it('추가/삭제를 되돌리고 다시 실행할 수 있어야 한다', async () => {
+    const { alice, bob } = await setup();
+
+    await edit(alice, bob, elements => { elements.Task_3 = task('Task_3', 600); });
+    await edit(alice, bob, elements => { delete elements.Task_2; });
+
+    await alice.undo.undo();
+    await waitFor(() => bob.elements.Task_2);
+    assert.deepStrictEqual(bob.elements.Task_2, task('Task_2'));
+
+    await alice.undo.undo();
+    await waitFor(() => !bob.elements.Task_3);
+    assert.strictEqual(alice.undo.canUndo(), false);
+
+    await alice.undo.redo();
+    await waitFor(() => bob.elements.Task_3);
+    assert.deepStrictEqual(alice.elements.Task_3, task('Task_3', 600));
+    assert.strictEqual(alice.undo.canRedo(), true);
+    assert.strictEqual(alice.undo.canUndo(), true);
+  });
+
+  it('피어가 수정한 내 추가 요소는 삭제하지 않아야 한다', async () => {
+    const { alice, bob } = await setup();
+
+    await edit(alice, bob, elements => { elements.Task_3 = task('Task_3'); });
+    await edit(bob, alice, elements => { elements.Task_3.businessObject.name = 'Bob'; });
+
+    const result = await alice.undo.undo();
+
+    assert.strictEqual(result.applied, false);
+    assert.deepStrictEqual(result.conflicts, [{ elementId: 'Task_3', field: null, reason: 'modified' }]);
+    assert.ok(alice.elements.Task_3);
+  });
+
+  it('새 로컬 변경은 다시 실행 기록을 지우고 연속 변경은 병합해야 한다', async () => {
+    const { alice, bob } = await setup({ captureTimeout: 60000 });
+
+    await edit(alice, bob, elements => { elements.Task_1.x = 200; });
+    await edit(alice, bob, elements => { elements.Task_1.x = 300; });
+    assert.strictEqual(alice.undo.undoStack.length, 1);
+
+    await alice.undo.undo();
+    await waitFor(() => bob.elements.Task_1.x === 100);
+    assert.strictEqual(alice.undo.canRedo(), true);
+
+    await edit(alice, bob, elements => { elements.Task_2.x = 500; });
+    assert.strictEqual(alice.undo.canRedo(), false);
+    assert.strictEqual(alice.undo.undoStack.length, 1);
+  });
+});
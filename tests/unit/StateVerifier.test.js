@@ -0,0 +1,233 @@
+/**
+ * StateHasher / StateVerifier 단위 테스트
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { StateHasher } from '../../src/utils/StateHasher.js';
+import { StateVerifier } from '../../src/plugins/StateVerifier.js';
+import { BroadcastChannelAdapter, InMemoryHub } from '../../src/adapters/BroadcastChannelAdapter.js';
+import { YjsAdapter } from '../../src/adapters/YjsAdapter.js';
+import { DiffSyncEngine } from '../../src/core/DiffSyncEngine.js';
+import * as Y from 'yjs';
+import { Awareness, encodeAwarenessUpdate, applyAwarenessUpdate } from 'y-protocols/awareness';
+
+const task = (id, x = 100) => ({ id, type: 'bpmn:Task', x, y: 100, width: 100, height: 80 });
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('waitFor timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('StateHasher', () => {
+  const hasher = new StateHasher({ bucketCount: 8 });
+
+  it('키 순서와 반올림 오차에 관계없이 같은 해시를 내야 한다', () => {
+    const a = { elements: { Task_1: { id: 'Task_1', x: 100.2, y: 50, businessObject: { name: 'A', id: 'Task_1' } } } };
+    const b = { elements: { Task_1: { businessObject: { id: 'Task_1', name: 'A' }, y: 50, x: 99.8, id: 'Task_1' } } };
+
+    assert.strictEqual(hasher.hashState(a).root, hasher.hashState(b).root);
+    assert.notStrictEqual(hasher.hashState(a).root, hasher.hashState({ elements: {} }).root);
+  });
+
+  it('다른 버킷과 요소 ID를 찾아야 한다', () => {
+    const local = { elements: { Task_1: task('Task_1'), Task_2: task('Task_2'), Task_3: task('Task_3') } };
+    const remote = { elements: { Task_1: task('Task_1', 300), Task_2: task('Task_2'), Task_4: task('Task_4') } };
+
+    const buckets = hasher.diffBuckets(hasher.hashState(local), hasher.hashState(remote));
+    const expectedBuckets = new Set(['Task_1', 'Task_3', 'Task_4'].map(id => hasher.getBucket(id)));
+    assert.deepStrictEqual(new Set(buckets), expectedBuckets);
+
+    const elementIds = hasher.diffElements(
+      hasher.hashElementsInBuckets(local, buckets),
+      hasher.hashElementsInBuckets(remote, buckets)
+    );
+    assert.deepStrictEqual(elementIds, ['Task_1', 'Task_3', 'Task_4']);
+  });
+
+  it('제외한 속성은 해시에 영향을 주지 않아야 한다', () => {
+    const ignoring = new StateHasher({ ignoreProperties: ['di'] });
+    assert.strictEqual(
+      ignoring.hashElement({ id: 'Task_1', di: { stroke: 'red' } }),
+      ignoring.hashElement({ id: 'Task_1', di: { stroke: 'blue' } })
+    );
+  });
+});
+
+describe('StateVerifier', () => {
+  let clients;
+
+  const createClient = async (clientId, hub, elements) => {
+    const client = { elements: { ...elements }, repaired: [], detected: [] };
+    client.engine = new DiffSyncEngine({
+      logging: { level: 'error' },
+      extractor: {
+        extract: async () => ({ timestamp: Date.now(), version: '1.0.0', clientId, elements: structuredClone(client.elements) })
+      },
+      calculator: { type: 'StandardDiffCalculator' },
+      applicator: {
+        apply: async (diff) => {
+          diff.added.forEach(element => { client.elements[element.id] = element; });
+          diff.modified.forEach(modification => { client.elements[modification.id] = modification.element; });
+          diff.removed.forEach(id => { delete client.elements[id]; });
+          return { success: true, errors: [] };
+        }
+      },
+      adapter: new BroadcastChannelAdapter({ options: { hub } }),
+      plugins: [{ type: StateVerifier, options: { checkInterval: 0, mismatchThreshold: 1 } }]
+    });
+
+    await client.engine.initialize({ clientId });
+    client.engine.eventBus.on('divergence:detected', event => client.detected.push(event));
+    client.engine.eventBus.on('divergence:repaired', event => client.repaired.push(event));
+    client.verifier = client.engine.getPlugin('StateVerifier');
+    clients.push(client);
+    return client;
+  };
+
+  // 모델러와 동기화 상태를 함께 바꿔 감지되지 않은 불일치를 재현
+  const diverge = async (client, mutate) => {
+    mutate(client.elements);
+    await client.engine.stateManager.updateState(await client.engine.extractor.extract(client.engine.context));
+  };
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.engine.destroy()));
+  });
+
+  it('상태가 같으면 복구하지 않아야 한다', async () => {
+    clients = [];
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub, { Task_1: task('Task_1') });
+    const bob = await createClient('client-b', hub, { Task_1: task('Task_1') });
+
+    await alice.verifier.check();
+    await bob.verifier.check();
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.strictEqual(bob.detected.length, 0);
+    assert.strictEqual(alice.verifier.getMetrics().checks, 1);
+  });
+
+  it('갈라진 요소만 찾아 기준 클라이언트 상태로 복구해야 한다', async () => {
+    clients = [];
+    const hub = new InMemoryHub();
+    const initial = { Task_1: task('Task_1'), Task_2: task('Task_2') };
+    const alice = await createClient('client-a', hub, initial);
+    const bob = await createClient('client-b', hub, initial);
+
+    await diverge(bob, elements => {
+      elements.Task_1 = task('Task_1', 500);
+      elements.Task_X = task('Task_X');
+    });
+
+    await alice.verifier.check();
+    await waitFor(() => bob.repaired.length === 1);
+
+    assert.deepStrictEqual(bob.detected[0].elementIds, ['Task_1', 'Task_X']);
+    assert.deepStrictEqual(bob.repaired[0].elementIds, ['Task_1', 'Task_X']);
+    assert.deepStrictEqual(bob.elements, initial);
+    assert.deepStrictEqual(bob.engine.stateManager.getCurrentState().elements, initial);
+    assert.strictEqual(bob.verifier.getMetrics().repairedElements, 2);
+
+    // 복구 결과가 로컬 변경으로 다시 전송되지 않아야 한다
+    const result = await bob.engine.sync();
+    assert.deepStrictEqual(result.appliedChanges, { added: 0, modified: 0, removed: 0 });
+  });
+
+  it('기준 클라이언트(더 작은 ID)는 상대 상태로 덮어쓰지 않아야 한다', async () => {
+    clients = [];
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub, { Task_1: task('Task_1') });
+    const bob = await createClient('client-b', hub, { Task_1: task('Task_1') });
+
+    await diverge(bob, elements => { elements.Task_1 = task('Task_1', 500); });
+
+    await bob.verifier.check();
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.strictEqual(alice.repaired.length, 0);
+    assert.strictEqual(alice.elements.Task_1.x, 100);
+  });
+
+  it('요청하지 않은 resync-response는 적용하지 않아야 한다', async () => {
+    clients = [];
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub, { Task_1: task('Task_1'), Task_2: task('Task_2') });
+    const bob = await createClient('client-b', hub, { Task_1: task('Task_1'), Task_2: task('Task_2') });
+    const spoof = elements => alice.engine.adapter.sendMessage({
+      channel: 'state-verifier',
+      kind: 'resync-response',
+      to: 'client-b',
+      elements
+    });
+
+    await spoof({ Task_1: task('Task_1', 900) });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(bob.elements.Task_1.x, 100);
+
+    // 요청한 요소는 한 번만 적용하고, 같은 응답에 끼운 다른 요소는 버림
+    await diverge(bob, elements => { elements.Task_1 = task('Task_1', 500); });
+    await alice.verifier.check();
+    await waitFor(() => bob.repaired.length === 1);
+
+    await spoof({ Task_1: task('Task_1', 900), Task_2: null });
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.deepStrictEqual(bob.repaired[0].elementIds, ['Task_1']);
+    assert.deepStrictEqual(bob.elements, { Task_1: task('Task_1'), Task_2: task('Task_2') });
+    assert.strictEqual(bob.verifier.getMetrics().ignoredResponses, 2);
+    assert.strictEqual(bob.verifier.pendingResyncs.size, 0);
+  });
+
+  it('미전송 로컬 변경이 있으면 해시를 게시하지 않아야 한다', async () => {
+    clients = [];
+    const hub = new InMemoryHub();
+    const alice = await createClient('client-a', hub, { Task_1: task('Task_1') });
+
+    alice.elements.Task_2 = task('Task_2');
+    assert.strictEqual(await alice.verifier.check(), null);
+  });
+});
+
+describe('YjsAdapter 제어 메시지', () => {
+  it('Awareness로 문서에 남기지 않고 전달해야 한다', async () => {
+    const createProvider = () => {
+      const doc = new Y.Doc();
+      return { doc, awareness: new Awareness(doc) };
+    };
+    const providerA = createProvider();
+    const providerB = createProvider();
+    providerA.awareness.on('update', ({ added, updated, removed }) => {
+      const update = encodeAwarenessUpdate(providerA.awareness, [...added, ...updated, ...removed]);
+      applyAwarenessUpdate(providerB.awareness, update, 'remote');
+    });
+
+    const sender = new YjsAdapter({ options: { batchUpdates: false } });
+    const receiver = new YjsAdapter({ options: { batchUpdates: false } });
+    await sender.initialize({ collaborationProvider: providerA, clientId: 'client-a' });
+    await receiver.initialize({ collaborationProvider: providerB, clientId: 'client-b' });
+
+    const received = [];
+    receiver.onMessage(message => received.push(message));
+
+    await sender.sendMessage({ channel: 'test', kind: 'first' });
+    await sender.sendMessage({ channel: 'test', kind: 'second', to: 'client-b' });
+    await sender.sendMessage({ channel: 'test', kind: 'other', to: 'client-c' });
+    await waitFor(() => received.length === 2);
+
+    assert.deepStrictEqual(received.map(message => message.kind), ['first', 'second']);
+    assert.strictEqual(received[0].clientId, 'client-a');
+    assert.strictEqual(providerB.doc.getMap('elements').size, 0);
+
+    await sender.destroy();
+    await receiver.destroy();
+    providerA.awareness.destroy();
+    providerB.awareness.destroy();
+  });
+});
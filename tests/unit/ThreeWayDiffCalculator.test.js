@@ -0,0 +1,204 @@
+/**
+ * ThreeWayDiffCalculator 단위 테스트
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { ThreeWayDiffCalculator, CONFLICT_TYPES } from '../../src/calculators/ThreeWayDiffCalculator.js';
+import { DiffSyncEngine } from '../../src/core/DiffSyncEngine.js';
+import { StateManager } from '../../src/core/StateManager.js';
+
+const task = (id, overrides = {}) => ({
+  id,
+  type: 'bpmn:Task',
+  x: 100,
+  y: 100,
+  width: 100,
+  height: 80,
+  parent: 'Process_1',
+  businessObject: { id, $type: 'bpmn:Task', name: id },
+  ...overrides
+});
+
+const state = (clientId, elements) => ({
+  timestamp: Date.now(),
+  version: '1.0.0',
+  clientId,
+  elements: Object.fromEntries(elements.map(element => [element.id, element]))
+});
+
+describe('ThreeWayDiffCalculator', () => {
+  let calculator;
+
+  beforeEach(() => {
+    calculator = new ThreeWayDiffCalculator();
+  });
+
+  it('겹치지 않는 속성 변경은 자동 병합되어야 한다', async () => {
+    const base = state('base', [task('Task_1')]);
+    const local = state('local', [task('Task_1', { businessObject: { id: 'Task_1', $type: 'bpmn:Task', name: 'Renamed' } })]);
+    const remote = state('remote', [task('Task_1', { x: 300 })]);
+
+    const result = await calculator.merge(base, local, remote);
+
+    assert.strictEqual(result.hasConflicts, false);
+    assert.strictEqual(result.mergedState.elements.Task_1.x, 300);
+    assert.strictEqual(result.mergedState.elements.Task_1.businessObject.name, 'Renamed');
+    assert.strictEqual(result.diff.modified.length, 1);
+    assert.deepStrictEqual(result.diff.modified[0].changeTypes, ['position']);
+  });
+
+  it('같은 속성을 다르게 변경하면 property 충돌을 보고하고 로컬 값을 유지해야 한다', async () => {
+    const base = state('base', [task('Task_1')]);
+    const local = state('local', [task('Task_1', { businessObject: { id: 'Task_1', $type: 'bpmn:Task', name: 'Local' } })]);
+    const remote = state('remote', [task('Task_1', { businessObject: { id: 'Task_1', $type: 'bpmn:Task', name: 'Remote' } })]);
+
+    const result = await calculator.merge(base, local, remote);
+
+    assert.strictEqual(result.conflicts.length, 1);
+    const [conflict] = result.conflicts;
+    assert.strictEqual(conflict.type, CONFLICT_TYPES.PROPERTY);
+    assert.strictEqual(conflict.elementId, 'Task_1');
+    assert.strictEqual(conflict.property, 'businessObject.name');
+    assert.deepStrictEqual([conflict.base, conflict.local, conflict.remote], ['Task_1', 'Local', 'Remote']);
+    assert.strictEqual(conflict.remoteClientId, 'remote');
+    assert.strictEqual(result.mergedState.elements.Task_1.businessObject.name, 'Local');
+    assert.strictEqual(result.diff.hasChanges, false);
+  });
+
+  it('삭제 대 수정은 delete-modify 충돌이어야 한다', async () => {
+    const base = state('base', [task('Task_1'), task('Task_2')]);
+    const local = state('local', [task('Task_2', { x: 500 })]);
+    const remote = state('remote', [task('Task_1', { width: 200 })]);
+
+    const result = await calculator.merge(base, local, remote);
+    const byElement = Object.fromEntries(result.conflicts.map(conflict => [conflict.elementId, conflict]));
+
+    assert.strictEqual(byElement.Task_1.type, CONFLICT_TYPES.DELETE_MODIFY);
+    assert.strictEqual(byElement.Task_1.deletedBy, 'local');
+    assert.strictEqual(byElement.Task_2.deletedBy, 'remote');
+
+    // 수정된 쪽 요소는 충돌 해결 전까지 유지
+    assert.ok(result.mergedState.elements.Task_1);
+    assert.ok(result.mergedState.elements.Task_2);
+  });
+
+  it('변경 없는 요소의 삭제와 원격 추가는 자동 병합되어야 한다', async () => {
+    const base = state('base', [task('Task_1'), task('Task_2')]);
+    const local = state('local', [task('Task_1'), task('Task_2'), task('Task_local')]);
+    const remote = state('remote', [task('Task_1'), task('Task_remote')]);
+
+    const result = await calculator.merge(base, local, remote);
+
+    assert.strictEqual(result.hasConflicts, false);
+    assert.deepStrictEqual(
+      Object.keys(result.mergedState.elements).sort(),
+      ['Task_1', 'Task_local', 'Task_remote']
+    );
+    assert.deepStrictEqual(result.diff.added.map(element => element.id), ['Task_remote']);
+    assert.deepStrictEqual(result.diff.removed, ['Task_2']);
+  });
+
+  it('부모 변경 대 위치 이동은 reparent-move 충돌이어야 한다', async () => {
+    const base = state('base', [task('Task_1')]);
+    const local = state('local', [task('Task_1', { parent: 'SubProcess_1' })]);
+    const remote = state('remote', [task('Task_1', { x: 400, y: 250 })]);
+
+    const result = await calculator.merge(base, local, remote);
+
+    assert.strictEqual(result.conflicts.length, 1);
+    assert.strictEqual(result.conflicts[0].type, CONFLICT_TYPES.REPARENT_MOVE);
+    assert.strictEqual(result.conflicts[0].reparentedBy, 'local');
+    assert.deepStrictEqual(result.conflicts[0].remote.position, { x: 400, y: 250 });
+    assert.strictEqual(result.mergedState.elements.Task_1.parent, 'SubProcess_1');
+    assert.strictEqual(result.mergedState.elements.Task_1.x, 100);
+  });
+
+  it('Diff를 상태에 적용해 원격 상태를 재구성해야 한다', () => {
+    const base = state('base', [task('Task_1'), task('Task_2')]);
+    const remote = calculator.applyDiffToState(base, {
+      clientId: 'remote',
+      added: [task('Task_3')],
+      modified: [{ id: 'Task_1', element: task('Task_1', { x: 10 }), changes: [] }],
+      removed: ['Task_2']
+    });
+
+    assert.strictEqual(remote.clientId, 'remote');
+    assert.deepStrictEqual(Object.keys(remote.elements).sort(), ['Task_1', 'Task_3']);
+    assert.strictEqual(remote.elements.Task_1.x, 10);
+    assert.ok(base.elements.Task_2, '기준 상태는 변경되지 않아야 한다');
+  });
+});
+
+describe('StateManager 공통 조상', () => {
+  it('마지막 동기화 상태의 복제본을 반환해야 한다', async () => {
+    const stateManager = new StateManager();
+    await stateManager.updateState(state('local', [task('Task_1')]));
+
+    const ancestor = stateManager.getCommonAncestor();
+    ancestor.elements.Task_1.x = 999;
+
+    assert.strictEqual(stateManager.getCurrentState().elements.Task_1.x, 100);
+  });
+});
+
+describe('DiffSyncEngine 3-way 병합', () => {
+  it('원격 Diff를 로컬 미전송 변경과 병합하여 적용해야 한다', async () => {
+    let localElements = [task('Task_1')];
+    let remoteCallback = null;
+    const applied = [];
+    const sent = [];
+
+    const engine = new DiffSyncEngine({
+      logging: { level: 'error' },
+      extractor: { extract: async () => state('local', localElements.map(element => ({ ...element }))) },
+      calculator: new ThreeWayDiffCalculator(),
+      applicator: {
+        apply: async (diff) => {
+          applied.push(diff);
+          return { success: true, errors: [] };
+        }
+      },
+      adapter: {
+        sendDiff: async (diff) => { sent.push(diff); },
+        onRemoteDiff: (callback) => { remoteCallback = callback; }
+      }
+    });
+
+    await engine.initialize({ clientId: 'local' });
+    await engine.start();
+
+    const conflicts = [];
+    engine.eventBus.on('remoteSync', (event) => conflicts.push(...event.conflicts));
+
+    // 로컬에서 이름 변경 (아직 전송 전)
+    localElements = [task('Task_1', { businessObject: { id: 'Task_1', $type: 'bpmn:Task', name: 'Local' } })];
+
+    await remoteCallback({
+      id: 'diff-remote',
+      timestamp: Date.now(),
+      clientId: 'remote',
+      added: [task('Task_2')],
+      modified: [{ id: 'Task_1', element: task('Task_1', { x: 300 }), changes: [] }],
+      removed: []
+    });
+
+    assert.strictEqual(applied.length, 1);
+    assert.deepStrictEqual(applied[0].added.map(element => element.id), ['Task_2']);
+    assert.strictEqual(applied[0].modified[0].element.x, 300);
+    assert.strictEqual(conflicts.length, 0);
+
+    // 원격 변경이 반영되었다고 가정하고 동기화하면 로컬 이름 변경이 전송되어야 함
+    localElements = [
+      task('Task_1', { x: 300, businessObject: { id: 'Task_1', $type: 'bpmn:Task', name: 'Local' } }),
+      task('Task_2')
+    ];
+    await engine.sync();
+
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(sent[0].modified.map(modification => modification.id), ['Task_1']);
+    assert.deepStrictEqual(sent[0].modified[0].changeTypes, ['businessObject']);
+
+    await engine.destroy();
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * UserAwarenessSystem 단위 테스트
+ * 따라가기 모드와 드래그 미리보기를 최소한의 DOM/이벤트 버스로 검사
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { UserAwarenessSystem } from '../../src/integration/UserAwarenessSystem.js';
+
+// 시스템이 사용하는 만큼만 흉내 낸 DOM 요소
+class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName;
+    this.children = [];
+    this.parentElement = null;
+    this.attributes = {};
+    this.listeners = {};
+    this.style = {};
+    this.className = '';
+    this.id = '';
+    this.textContent = '';
+
+    const classes = () => this.className.split(/\s+/).filter(Boolean);
+    this.classList = {
+      contains: name => classes().includes(name),
+      add: name => this.classList.toggle(name, true),
+      remove: name => this.classList.toggle(name, false),
+      toggle: (name, force = !this.classList.contains(name)) => {
+        const rest = classes().filter(className => className !== name);
+        this.className = (force ? [...rest, name] : rest).join(' ');
+        return force;
+      }
+    };
+  }
+
+  set innerHTML(value) {
+    this.children.forEach(child => { child.parentElement = null; });
+    this.children = [];
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+
+  insertBefore(child, reference) {
+    child.remove();
+    const index = this.children.indexOf(reference);
+    this.children.splice(index === -1 ? this.children.length : index, 0, child);
+    child.parentElement = this;
+    return child;
+  }
+
+  remove() {
+    if (!this.parentElement) return;
+    this.parentElement.children = this.parentElement.children.filter(child => child !== this);
+    this.parentElement = null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = value;
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = [...(this.listeners[type] || []), listener];
+  }
+
+  click() {
+    (this.listeners.click || []).forEach(listener => listener({ type: 'click' }));
+  }
+
+  find(predicate) {
+    for (const child of this.children) {
+      const match = predicate(child) ? child : child.find(predicate);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  querySelector(selector) {
+    return this.find(element => element.classList.contains(selector.slice(1)));
+  }
+}
+
+const installDom = () => {
+  const head = new FakeElement('head');
+  const body = new FakeElement('body');
+
+  globalThis.WebSocket = { OPEN: 1 };
+  globalThis.window = { addEventListener: () => {} };
+  globalThis.document = {
+    head,
+    body,
+    createElement: tagName => new FakeElement(tagName),
+    createElementNS: (namespace, tagName) => new FakeElement(tagName),
+    getElementById: id => [head, body].map(root => root.find(element => element.id === id)).find(Boolean) || null
+  };
+};
+
+// diagram-js 이벤트 버스처럼 우선순위 인자를 받는 에미터
+class FakeEventBus {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(events, priority, callback) {
+    callback = callback || priority;
+    [].concat(events).forEach(name => {
+      this.listeners.set(name, [...(this.listeners.get(name) || []), callback]);
+    });
+  }
+
+  off(events, callback) {
+    [].concat(events).forEach(name => {
+      this.listeners.set(name, (this.listeners.get(name) || []).filter(listener => listener !== callback));
+    });
+  }
+
+  fire(name, payload = {}) {
+    (this.listeners.get(name) || []).forEach(listener => listener({ type: name, ...payload }));
+  }
+}
+
+// viewbox 설정 시 diagram-js처럼 canvas.viewbox.changing을 동기적으로 발생
+const createModeler = () => {
+  const eventBus = new FakeEventBus();
+  const wrapper = document.body.appendChild(new FakeElement('div'));
+  const container = wrapper.appendChild(new FakeElement('div'));
+  const layers = new Map();
+  const viewboxCalls = [];
+  let viewbox = { x: 0, y: 0, width: 800, height: 600, scale: 1 };
+
+  const canvas = {
+    getContainer: () => container,
+    getLayer: name => {
+      if (!layers.has(name)) layers.set(name, new FakeElement('g'));
+      return layers.get(name);
+    },
+    viewbox: next => {
+      if (next) {
+        viewboxCalls.push(next);
+        viewbox = { ...next, scale: 800 / next.width };
+        eventBus.fire('canvas.viewbox.changing');
+      }
+      return { ...viewbox, outer: { width: 800, height: 600 } };
+    }
+  };
+
+  const services = { eventBus, canvas };
+  return { get: name => services[name], eventBus, canvas, viewboxCalls };
+};
+
+// 상태가 실제로 바뀐 경우에만 change를 알리는 awareness 네트워크 (y-protocols와 동일)
+const createAwarenessNetwork = () => {
+  const states = new Map();
+  const members = [];
+
+  const notify = changes => members.forEach(member => {
+    (member.listeners.get('change') || []).forEach(listener => listener(changes));
+  });
+
+  return {
+    join(clientID, user) {
+      const awareness = new FakeEventBus();
+      awareness.clientID = clientID;
+      awareness.getStates = () => states;
+      awareness.setLocalStateField = (field, value) => {
+        const previous = JSON.stringify(states.get(clientID));
+        states.set(clientID, { ...states.get(clientID), [field]: value });
+        if (JSON.stringify(states.get(clientID)) !== previous) {
+          notify({ added: [], updated: [clientID], removed: [] });
+        }
+      };
+
+      states.set(clientID, { user });
+      members.push(awareness);
+      notify({ added: [clientID], updated: [], removed: [] });
+      return awareness;
+    },
+    leave(clientID) {
+      states.delete(clientID);
+      notify({ added: [], updated: [], removed: [clientID] });
+    }
+  };
+};
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('waitFor timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const ALICE = { id: 'alice', name: 'Alice', color: '#e53935' };
+const BOB = { id: 'bob', name: 'Bob', color: '#1e88e5' };
+
+describe('UserAwarenessSystem', () => {
+  let systems;
+
+  const createSystem = (localUser, options = {}) => {
+    const modeler = createModeler();
+    const sent = [];
+    const websocket = { readyState: 1, send: data => sent.push(JSON.parse(data)) };
+    const system = new UserAwarenessSystem(modeler, websocket, localUser, {
+      enableCursorTracking: false,
+      ...options
+    });
+    systems.push(system);
+
+    const followEvents = [];
+    modeler.eventBus.on('collaboration.follow.changed', event => followEvents.push(event));
+
+    return { system, modeler, sent, followEvents };
+  };
+
+  beforeEach(() => {
+    installDom();
+    systems = [];
+  });
+
+  afterEach(() => {
+    systems.forEach(system => system.destroy());
+  });
+
+  describe('따라가기 모드', () => {
+    it('사용자 목록에서 원격 사용자를 클릭하면 그 뷰포트를 따라가야 한다', () => {
+      const { system, modeler, followEvents } = createSystem(ALICE);
+      system.addRemoteUser(BOB);
+      system.updateRemoteViewport('bob', { x: 100, y: 50, width: 400, height: 300, scale: 2 });
+
+      const item = document.getElementById('user-bob');
+      item.click();
+
+      assert.strictEqual(system.followingUserId, 'bob');
+      assert.deepStrictEqual(modeler.viewboxCalls, [{ x: 100, y: 50, width: 400, height: 300 }]);
+      assert.deepStrictEqual(followEvents.map(({ userId, reason }) => ({ userId, reason })), [{ userId: 'bob', reason: 'follow' }]);
+      assert.strictEqual(item.classList.contains('following'), true);
+      assert.strictEqual(item.querySelector('.user-status').textContent, '따라가는 중');
+
+      // 따라가는 동안 원격 뷰포트 변경이 바로 반영됨 (중심 유지)
+      system.updateRemoteViewport('bob', { x: 0, y: 0, width: 400, height: 300, scale: 1 });
+      assert.deepStrictEqual(modeler.viewboxCalls[1], { x: -200, y: -150, width: 800, height: 600 });
+      assert.strictEqual(system.followingUserId, 'bob');
+
+      item.click();
+      assert.strictEqual(system.followingUserId, null);
+      assert.strictEqual(followEvents[1].reason, 'stopped');
+      assert.strictEqual(item.classList.contains('following'), false);
+    });
+
+    it('직접 뷰포트를 옮기면 따라가기를 멈춰야 한다', () => {
+      const { system, modeler, followEvents } = createSystem(ALICE);
+      system.addRemoteUser(BOB);
+      system.followUser('bob');
+
+      modeler.eventBus.fire('canvas.viewbox.changing');
+
+      assert.strictEqual(system.followingUserId, null);
+      assert.deepStrictEqual(followEvents[1], {
+        type: 'collaboration.follow.changed',
+        userId: null,
+        previousUserId: 'bob',
+        reason: 'manual'
+      });
+    });
+
+    it('따라가던 사용자가 나가면 따라가기를 멈춰야 한다', () => {
+      const { system, followEvents } = createSystem(ALICE);
+      system.addRemoteUser(BOB);
+      system.followUser('bob');
+
+      system.removeRemoteUser('bob');
+
+      assert.strictEqual(system.followingUserId, null);
+      assert.strictEqual(followEvents[1].reason, 'left');
+      assert.strictEqual(document.getElementById('user-bob'), null);
+    });
+
+    it('"모두 내 화면으로"는 요청을 보내고 awareness 요청은 새 요청만 따라가야 한다', () => {
+      const network = createAwarenessNetwork();
+      const alice = createSystem(ALICE);
+      const bob = createSystem(BOB);
+      const aliceAwareness = network.join(1, ALICE);
+
+      // 이미 있던 요청은 새로 접속한 클라이언트가 따르지 않음
+      aliceAwareness.setLocalStateField('followRequest', { viewport: { x: 0, y: 0, width: 800, height: 600, scale: 1 }, timestamp: 1 });
+      bob.system.bindAwareness(network.join(2, BOB));
+      assert.strictEqual(bob.system.followingUserId, null);
+
+      alice.system.bindAwareness(aliceAwareness);
+      document.body.find(element => element.classList.contains('collaboration-present-button')).click();
+
+      assert.strictEqual(alice.sent.at(-1).type, 'follow_request');
+      assert.strictEqual(bob.system.followingUserId, 'alice');
+      assert.strictEqual(bob.followEvents[0].reason, 'follow');
+    });
+  });
+
+  describe('드래그 미리보기', () => {
+    const moveShape = (modeler, dx, dy) => {
+      const shape = { id: 'Task_1', x: 100, y: 100, width: 100, height: 80 };
+      modeler.eventBus.fire('shape.move.move', { shape, dx, dy, context: { shapes: [shape] } });
+    };
+
+    it('드래그 중에는 미리보기를 보내고 드롭하면 제거를 알려야 한다', async () => {
+      const { modeler, sent } = createSystem(ALICE, { dragPreviewInterval: 5 });
+
+      moveShape(modeler, 10, 0);
+      moveShape(modeler, 40, 20);
+      await waitFor(() => sent.some(message => message.type === 'drag_preview'));
+
+      const previews = sent.filter(message => message.type === 'drag_preview');
+      assert.strictEqual(previews.length, 1, '간격 안의 이동은 마지막 위치만 전송');
+      assert.deepStrictEqual(previews[0].preview.shapes, [{ id: 'Task_1', x: 140, y: 120, width: 100, height: 80 }]);
+
+      modeler.eventBus.fire('shape.move.cleanup');
+      assert.strictEqual(sent.at(-1).preview, null);
+    });
+
+    it('마우스를 누른 채 멈춰 있어도 원격 미리보기가 유지되어야 한다', async () => {
+      const options = { dragPreviewInterval: 5, dragPreviewKeepAlive: 20, dragPreviewTimeout: 60 };
+      const network = createAwarenessNetwork();
+      const alice = createSystem(ALICE, options);
+      const bob = createSystem(BOB, options);
+      alice.system.bindAwareness(network.join(1, ALICE));
+      bob.system.bindAwareness(network.join(2, BOB));
+
+      const layer = bob.modeler.canvas.getLayer('collaboration-previews');
+      moveShape(alice.modeler, 40, 20);
+      await waitFor(() => layer.children.length === 1);
+
+      await sleep(150);
+      assert.strictEqual(layer.children.length, 1);
+      assert.strictEqual(layer.children[0].getAttribute('class'), 'collaboration-drag-preview move');
+      assert.strictEqual(layer.children[0].children[0].attributes.x, '140');
+
+      alice.modeler.eventBus.fire('shape.move.cleanup');
+      assert.strictEqual(layer.children.length, 0);
+      assert.strictEqual(alice.system.previewKeepAliveTimer, null);
+    });
+
+    it('드래그하던 피어의 awareness가 사라지면 미리보기를 제거해야 한다', async () => {
+      const network = createAwarenessNetwork();
+      const alice = createSystem(ALICE, { dragPreviewInterval: 5 });
+      const bob = createSystem(BOB);
+      alice.system.bindAwareness(network.join(1, ALICE));
+      bob.system.bindAwareness(network.join(2, BOB));
+
+      const layer = bob.modeler.canvas.getLayer('collaboration-previews');
+      moveShape(alice.modeler, 40, 20);
+      await waitFor(() => layer.children.length === 1);
+
+      network.leave(1);
+      assert.strictEqual(layer.children.length, 0);
+    });
+  });
+});
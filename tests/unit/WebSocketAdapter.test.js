@@ -0,0 +1,433 @@
+/**
+ * WebSocketAdapter 단위 테스트
+ * server/index.js의 JSON 협업 프로토콜과 같은 방식으로 동작하는 중계 서버 사용
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import WebSocket, { WebSocketServer } from 'ws';
+import { WebSocketAdapter } from '../../src/adapters/WebSocketAdapter.js';
+import { OperationLog } from '../../server/services/OperationLog.js';
+
+const createRelayServer = async (logOptions = {}) => {
+  const wss = new WebSocketServer({ port: 0 });
+  const received = [];
+  const operationLog = new OperationLog(logOptions);
+  const pendingSnapshots = new Map();
+  let requestCount = 0;
+
+  const respond = (ws, response) => {
+    ws.send(JSON.stringify({ type: 'sync_response', operations: [], ...response, timestamp: Date.now() }));
+  };
+
+  // 서버와 같이 모델 변경에 순번을 매겨 기록하고 발신자에게 확인 전송
+  const record = (sender, message) => {
+    const sequence = operationLog.append(sender.documentId, message);
+    sender.send(JSON.stringify({ type: 'operation_ack', sequence, timestamp: Date.now() }));
+    return { ...message, sequence };
+  };
+
+  // 서버와 같이 발신자의 문서 룸에만 전달
+  const broadcast = (sender, message) => {
+    wss.clients.forEach(client => {
+      if (client !== sender && client.documentId === sender.documentId && client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(message));
+      }
+    });
+  };
+
+  wss.on('connection', (ws) => {
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      received.push(message);
+
+      switch (message.type) {
+        case 'user_join': {
+          ws.userInfo = message.user;
+          ws.documentId = message.documentId || 'default';
+          const users = Array.from(wss.clients)
+            .filter(c => c.userInfo && c.documentId === ws.documentId)
+            .map(c => c.userInfo);
+          ws.send(JSON.stringify({ type: 'users_list', users, timestamp: Date.now() }));
+          broadcast(ws, { type: 'user_joined', user: message.user, timestamp: Date.now() });
+          ws.send(JSON.stringify({ type: 'user_join_confirmed', userId: message.user.id, timestamp: Date.now() }));
+          break;
+        }
+        case 'model_change':
+          broadcast(ws, record(ws, message));
+          break;
+        case 'control_message':
+          broadcast(ws, message);
+          break;
+        case 'batch_update':
+          message.updates.forEach(update => broadcast(ws, record(ws, update)));
+          break;
+        case 'sync_request': {
+          const { operations, latestSequence, complete } = operationLog.getSince(ws.documentId, message.lastSequence);
+          const catchUp = complete ? null : operationLog.getSnapshotCatchUp(ws.documentId);
+          if (complete || catchUp) {
+            respond(ws, complete ? { mode: 'operations', operations, latestSequence } : { mode: 'snapshot', ...catchUp });
+            break;
+          }
+
+          // 서버와 같이 룸 피어에 스냅샷을 요청하고 응답이 없으면 unavailable
+          const requestId = `sync_${++requestCount}`;
+          const timer = setTimeout(() => {
+            pendingSnapshots.delete(requestId);
+            respond(ws, { mode: 'unavailable', latestSequence });
+          }, 100);
+          pendingSnapshots.set(requestId, { requester: ws, timer });
+          broadcast(ws, { type: 'sync_request', requestId, userId: ws.userInfo?.id, timestamp: Date.now() });
+          break;
+        }
+        case 'sync_response': {
+          const pending = pendingSnapshots.get(message.requestId);
+          if (!pending) break;
+
+          clearTimeout(pending.timer);
+          pendingSnapshots.delete(message.requestId);
+          operationLog.setSnapshot(ws.documentId, message.modelState, message.sequence);
+          respond(pending.requester, { mode: 'snapshot', ...operationLog.getSnapshotCatchUp(ws.documentId) });
+          break;
+        }
+        case 'heartbeat':
+          ws.send(JSON.stringify({ type: 'heartbeat', timestamp: Date.now() }));
+          break;
+      }
+    });
+
+    ws.on('close', () => {
+      if (ws.userInfo) {
+        broadcast(ws, { type: 'user_left', userId: ws.userInfo.id, timestamp: Date.now() });
+      }
+    });
+  });
+
+  await new Promise(resolve => wss.once('listening', resolve));
+
+  return {
+    wss,
+    received,
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    close: () => new Promise(resolve => {
+      pendingSnapshots.forEach(pending => clearTimeout(pending.timer));
+      wss.clients.forEach(client => client.terminate());
+      wss.close(resolve);
+    })
+  };
+};
+
+const createDiff = (id, count = 1) => ({
+  id,
+  timestamp: Date.now(),
+  clientId: 'ignored',
+  added: Array.from({ length: count }, (_, i) => ({
+    id: `${id}_Task_${i}`,
+    type: 'bpmn:Task',
+    x: i * 10,
+    y: 100,
+    width: 100,
+    height: 80,
+    businessObject: { id: `${id}_Task_${i}`, name: `작업 ${i}` }
+  })),
+  modified: [],
+  removed: []
+});
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('waitFor timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('WebSocketAdapter', () => {
+  let relay;
+  let adapters;
+
+  const disconnect = async (adapter) => {
+    const findClient = () => Array.from(relay.wss.clients).find(client => client.userInfo?.id === adapter.clientId);
+    await waitFor(findClient);
+    findClient().terminate();
+    await waitFor(() => !adapter.isConnected);
+  };
+
+  const createAdapter = async (clientId, options = {}) => {
+    const adapter = new WebSocketAdapter({
+      options: { url: relay.url, WebSocket, reconnectInterval: 20, ...options }
+    });
+    adapters.push(adapter);
+    await adapter.initialize({ clientId });
+    return adapter;
+  };
+
+  beforeEach(async () => {
+    relay = await createRelayServer();
+    adapters = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(adapters.map(adapter => adapter.destroy()));
+    await relay.close();
+  });
+
+  it('user_join으로 참가하고 model_change로 Diff를 주고받아야 한다', async () => {
+    const alice = await createAdapter('alice');
+    const bob = await createAdapter('bob');
+
+    const received = [];
+    bob.onRemoteDiff(diff => received.push(diff));
+
+    await alice.sendDiff(createDiff('diff-1', 3));
+    await waitFor(() => received.length === 1);
+
+    assert.strictEqual(received[0].id, 'diff-1');
+    assert.strictEqual(received[0].clientId, 'alice');
+    assert.strictEqual(received[0].added.length, 3);
+
+    const join = relay.received.find(message => message.type === 'user_join');
+    assert.strictEqual(join.user.id, 'alice');
+    assert.deepStrictEqual(bob.getConnectedUsers().map(user => user.id), ['alice']);
+  });
+
+  it('user_join에 문서 ID를 보내 같은 문서 룸의 변경만 받아야 한다', async () => {
+    const alice = await createAdapter('alice', { documentId: 'order' });
+    const bob = await createAdapter('bob', { documentId: 'order' });
+    const carol = await createAdapter('carol', { documentId: 'invoice' });
+
+    const bobReceived = [];
+    const carolReceived = [];
+    bob.onRemoteDiff(diff => bobReceived.push(diff.id));
+    carol.onRemoteDiff(diff => carolReceived.push(diff.id));
+
+    await alice.sendDiff(createDiff('diff-order'));
+    await waitFor(() => bobReceived.length === 1);
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.deepStrictEqual(carolReceived, []);
+    assert.strictEqual(relay.received.find(message => message.user?.id === 'carol').documentId, 'invoice');
+    assert.deepStrictEqual(carol.getConnectedUsers(), []);
+  });
+
+  it('제어 메시지를 control_message로 중계하고 수신 대상을 걸러야 한다', async () => {
+    const alice = await createAdapter('alice');
+    const bob = await createAdapter('bob');
+    const carol = await createAdapter('carol');
+
+    const receivedByBob = [];
+    const receivedByCarol = [];
+    bob.onMessage(message => receivedByBob.push(message));
+    carol.onMessage(message => receivedByCarol.push(message));
+
+    await alice.sendMessage({ channel: 'test', kind: 'ping', to: 'bob' });
+    await waitFor(() => receivedByBob.length === 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.strictEqual(receivedByBob[0].kind, 'ping');
+    assert.strictEqual(receivedByBob[0].clientId, 'alice');
+    assert.strictEqual(receivedByCarol.length, 0);
+    assert.ok(relay.received.some(message => message.type === 'control_message'));
+  });
+
+  it('연결별로 압축 인코딩을 협상해야 한다', async () => {
+    const options = { enableCompression: true, compressionThreshold: 0 };
+    const alice = await createAdapter('alice', options);
+    const bob = await createAdapter('bob', options);
+    await createAdapter('legacy');
+
+    await waitFor(() => alice.peerEncodings.size === 2);
+    assert.strictEqual(alice.peerEncodings.get('bob'), 'deflate');
+    assert.strictEqual(alice.peerEncodings.get('legacy'), 'json');
+
+    // legacy 클라이언트가 있으면 모두가 읽을 수 있는 json으로 전송
+    await alice.sendDiff(createDiff('diff-json'));
+    await waitFor(() => relay.received.some(message => message.operation?.diff?.id === 'diff-json'));
+    const plain = relay.received.find(message => message.operation?.diff?.id === 'diff-json');
+    assert.strictEqual(plain.operation.diff.compressed, undefined);
+
+    await adapters[2].destroy();
+    await waitFor(() => alice.peerEncodings.size === 1);
+
+    const received = [];
+    bob.onRemoteDiff(diff => received.push(diff));
+    await alice.sendDiff(createDiff('diff-deflate', 20));
+    await waitFor(() => received.length === 1);
+
+    const compressed = relay.received.find(message => message.operation?.diff?.id === 'diff-deflate');
+    assert.strictEqual(compressed.operation.diff.encoding, 'deflate');
+    assert.strictEqual(typeof compressed.operation.diff.data, 'string');
+    assert.strictEqual(received[0].added.length, 20);
+  });
+
+  it('batch_update로 여러 Diff를 묶어 보내야 한다', async () => {
+    const alice = await createAdapter('alice', { batchUpdates: true, batchDelay: 10 });
+    const bob = await createAdapter('bob');
+
+    const received = [];
+    bob.onRemoteDiff(diff => received.push(diff.id));
+
+    await alice.sendDiff(createDiff('diff-a'));
+    await alice.sendDiff(createDiff('diff-b'));
+    await waitFor(() => received.length === 2);
+
+    assert.deepStrictEqual(received, ['diff-a', 'diff-b']);
+    assert.strictEqual(relay.received.filter(message => message.type === 'batch_update').length, 1);
+  });
+
+  it('연결이 끊기면 메시지를 보관하고 재연결 후 전송해야 한다', async () => {
+    const alice = await createAdapter('alice');
+    const bob = await createAdapter('bob');
+
+    const statuses = [];
+    alice.onConnectionChange(event => statuses.push(event.status));
+    const received = [];
+    bob.onRemoteDiff(diff => received.push(diff.id));
+
+    // 서버 측에서 alice 연결 강제 종료
+    Array.from(relay.wss.clients).find(client => client.userInfo?.id === 'alice').terminate();
+    await waitFor(() => !alice.isConnected);
+
+    await alice.sendDiff(createDiff('diff-offline'));
+    assert.strictEqual(alice.messageQueue.length, 1);
+
+    await waitFor(() => received.length === 1);
+    assert.deepStrictEqual(received, ['diff-offline']);
+    assert.ok(statuses.includes('disconnected'));
+    await waitFor(() => statuses[statuses.length - 1] === 'synced');
+    assert.deepStrictEqual(statuses.slice(-2), ['connected', 'synced']);
+    assert.strictEqual(alice.reconnectAttempts, 0);
+  });
+
+  it('재연결하면 끊긴 동안의 변경을 작업 로그에서 따라잡아야 한다', async () => {
+    const alice = await createAdapter('alice');
+    const bob = await createAdapter('bob', { reconnectInterval: 100 });
+
+    const received = [];
+    bob.onRemoteDiff(diff => received.push(diff.id));
+
+    await alice.sendDiff(createDiff('diff-live'));
+    await waitFor(() => received.length === 1);
+
+    await disconnect(bob);
+    // 따라잡은 작업을 모두 적용한 뒤에 synced를 알려야 함
+    bob.onConnectionChange(event => {
+      if (event.status === 'synced') {
+        received.push(`synced@${event.latestSequence}`);
+      }
+    });
+    await alice.sendDiff(createDiff('diff-missed-1'));
+    await alice.sendDiff(createDiff('diff-missed-2'));
+    await waitFor(() => alice.lastSequence === 3);
+
+    await waitFor(() => received.length === 4);
+    assert.deepStrictEqual(received, ['diff-live', 'diff-missed-1', 'diff-missed-2', 'synced@3']);
+    assert.strictEqual(bob.lastSequence, 3);
+    assert.strictEqual(bob.isCatchingUp(), false);
+
+    const syncRequests = relay.received.filter(message => message.type === 'sync_request' && message.clientId === 'bob');
+    assert.deepStrictEqual(syncRequests.map(message => message.lastSequence), [0, 1]);
+  });
+
+  it('작업 로그로 따라잡을 수 없으면 resync_required를 알려야 한다', async () => {
+    await relay.close();
+    relay = await createRelayServer({ maxOperations: 2 });
+
+    const alice = await createAdapter('alice');
+    const bob = await createAdapter('bob', { reconnectInterval: 100 });
+
+    const statuses = [];
+    bob.onConnectionChange(event => statuses.push(event));
+
+    await disconnect(bob);
+    for (const id of ['diff-1', 'diff-2', 'diff-3']) {
+      await alice.sendDiff(createDiff(id));
+    }
+
+    await waitFor(() => statuses.some(event => event.status === 'resync_required'));
+    const resync = statuses.find(event => event.status === 'resync_required');
+    assert.strictEqual(resync.mode, 'unavailable');
+    assert.strictEqual(resync.latestSequence, 3);
+    assert.strictEqual(bob.lastSequence, 3);
+  });
+
+  it('작업 로그로 따라잡을 수 없으면 다른 클라이언트의 스냅샷을 적용해야 한다', async () => {
+    await relay.close();
+    relay = await createRelayServer({ maxOperations: 2 });
+
+    const alice = await createAdapter('alice');
+    const bob = await createAdapter('bob', { reconnectInterval: 100 });
+
+    alice.onSnapshotRequest(async () => ({ elements: {}, providedAt: alice.lastSequence }));
+    const applied = [];
+    bob.onRemoteSnapshot(async snapshot => applied.push(`snapshot@${snapshot.providedAt}`));
+    bob.onRemoteDiff(diff => applied.push(diff.id));
+    const statuses = [];
+    bob.onConnectionChange(event => statuses.push(event.status));
+
+    await disconnect(bob);
+    for (const id of ['diff-1', 'diff-2', 'diff-3']) {
+      await alice.sendDiff(createDiff(id));
+    }
+    await waitFor(() => alice.lastSequence === 3);
+
+    await waitFor(() => statuses.includes('resynced'));
+    assert.deepStrictEqual(applied, ['snapshot@3']);
+    assert.strictEqual(statuses.includes('resync_required'), false);
+    assert.strictEqual(bob.lastSequence, 3);
+
+    const answer = relay.received.find(message => message.type === 'sync_response' && message.clientId === 'alice');
+    assert.strictEqual(answer.sequence, 3);
+    assert.match(answer.requestId, /^sync_/);
+  });
+
+  it('서버에 연결할 수 없으면 재시도 후 초기화에 실패해야 한다', async () => {
+    const url = relay.url;
+    await relay.close();
+    relay.close = async () => {};
+
+    const adapter = new WebSocketAdapter({
+      maxRetries: 2,
+      retryDelay: 10,
+      options: { url, WebSocket }
+    });
+
+    await assert.rejects(adapter.initialize({ clientId: 'alice' }), /WebSocket connection failed/);
+    assert.strictEqual(adapter.isInitialized, false);
+  });
+
+  it('연결 시간이 초과되면 대기 중인 소켓을 닫고 늦게 열려도 연결로 쓰지 않아야 한다', async () => {
+    const sockets = [];
+    // 핸드셰이크가 끝나지 않는 소켓
+    class PendingWebSocket {
+      constructor(url) {
+        this.url = url;
+        this.closed = false;
+        sockets.push(this);
+      }
+
+      close() {
+        this.closed = true;
+      }
+    }
+
+    const adapter = new WebSocketAdapter({
+      maxRetries: 2,
+      retryDelay: 10,
+      timeout: 30,
+      options: { url: relay.url, WebSocket: PendingWebSocket }
+    });
+
+    await assert.rejects(adapter.initialize({ clientId: 'alice' }), /WebSocket connect timeout/);
+    assert.strictEqual(sockets.length, 2);
+    assert.ok(sockets.every(socket => socket.closed));
+    assert.ok(sockets.every(socket => socket.onopen === null && socket.onclose === null));
+
+    // 늦게 열린 연결은 어댑터 상태를 바꾸지 않아야 함
+    sockets.forEach(socket => socket.onopen?.());
+    assert.strictEqual(adapter.socket, null);
+    assert.strictEqual(adapter.isConnected, false);
+  });
+});